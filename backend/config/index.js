@@ -0,0 +1,11 @@
+// Application settings shared by services that build links or sign payloads
+module.exports = {
+  app: {
+    name: process.env.APP_NAME || 'Hackspree Wallet',
+    baseUrl: process.env.FRONTEND_URL || 'http://localhost:3000',
+    apiBaseUrl: process.env.API_BASE_URL || 'http://localhost:5000'
+  },
+  qr: {
+    encryptionKey: process.env.QR_ENCRYPTION_KEY
+  }
+};
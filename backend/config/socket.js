@@ -358,6 +358,64 @@ const socketEmitters = {
     });
   },
 
+  // Dispute case updates for the customer and the merchant owner
+  emitDisputeUpdate: (io, userId, disputeData) => {
+    io.to(`user_${userId}`).emit('dispute_updated', {
+      ...disputeData,
+      timestamp: new Date().toISOString()
+    });
+  },
+
+  // Canteen order status for the student who placed it
+  emitOrderUpdate: (io, userId, orderData) => {
+    io.to(`user_${userId}`).emit('order_updated', {
+      ...orderData,
+      timestamp: new Date().toISOString()
+    });
+  },
+
+  // Kitchen display refresh for the merchant owner
+  emitOrderQueueUpdate: (io, merchantOwnerId, orderData) => {
+    io.to(`merchant_${merchantOwnerId}`).emit('order_queue_updated', {
+      ...orderData,
+      timestamp: new Date().toISOString()
+    });
+  },
+
+  // Catalog items that reached their low-stock threshold
+  emitLowStock: (io, merchantOwnerId, stockData) => {
+    io.to(`merchant_${merchantOwnerId}`).emit('low_stock', {
+      ...stockData,
+      timestamp: new Date().toISOString()
+    });
+  },
+
+  // Till QR payment requests being paid, cancelled or expiring
+  emitPaymentRequestUpdate: (io, merchantOwnerId, requestData) => {
+    io.to(`merchant_${merchantOwnerId}`).emit('payment_request_updated', {
+      ...requestData,
+      timestamp: new Date().toISOString()
+    });
+  },
+
+  // Waitlist offers, lapses and queue position changes
+  emitWaitlistUpdate: (io, userId, waitlistData) => {
+    io.to(`user_${userId}`).emit('waitlist_updated', {
+      ...waitlistData,
+      timestamp: new Date().toISOString()
+    });
+  },
+
+  // Live door counts for everyone running an event's check-in
+  emitAttendanceUpdate: (io, staffIds, attendanceData) => {
+    staffIds.forEach(staffId => {
+      io.to(`user_${staffId}`).emit('event_attendance_updated', {
+        ...attendanceData,
+        timestamp: new Date().toISOString()
+      });
+    });
+  },
+
   // Admin notifications
   emitAdminAlert: (io, alertData) => {
     io.emit('admin_alert', {
@@ -305,11 +305,9 @@ class TransactionController {
 
       // Get related transactions (if this is part of a transfer)
       let relatedTransactions = [];
-      if (transaction.category === 'TRANSFER' && transaction.metadata?.transferTo) {
-        const relatedTxn = await Transaction.findOne({
-          transactionId: transaction.transactionId,
-          userId: { $ne: transaction.userId._id }
-        }).populate('userId', 'name email').lean();
+      if (transaction.category === 'TRANSFER' && transaction.relatedTransactionId) {
+        const relatedTxn = await Transaction.findById(transaction.relatedTransactionId)
+          .populate('userId', 'name email').lean();
 
         if (relatedTxn) {
           relatedTransactions.push(relatedTxn);
@@ -1,10 +1,100 @@
 const User = require('../models/User');
+const Wallet = require('../models/Wallet');
 const Transaction = require('../models/Transaction');
 const paymentService = require('../services/paymentService');
+const ledgerService = require('../services/ledgerService');
+const rewardService = require('../services/rewardService');
+const voucherService = require('../services/voucherService');
+const payCodeService = require('../services/payCodeService');
 const { generateTransactionId } = require('../utils/helpers');
 const { applicationId, locationId } = require('../config/square');
+const { socketEmitters } = require('../config/socket');
+const { AppError } = require('../middleware/errorHandler');
+
+const isAdminRole = (role) => ['admin', 'super_admin'].includes(role);
+
+// Error body for a failed User#canSpend check, or null if spending is allowed
+const spendingLimitResponse = (spendingCheck, amount) => {
+  if (spendingCheck.canSpend) {
+    return null;
+  }
+
+  if (!spendingCheck.hasBalance) {
+    return {
+      message: 'Insufficient wallet balance',
+      code: 'INSUFFICIENT_BALANCE',
+      available: spendingCheck.availableBalance,
+      required: amount
+    };
+  }
+
+  return {
+    message: `Daily transaction limit exceeded. Remaining: ${spendingCheck.dailyLimit - spendingCheck.dailySpent}`,
+    code: 'DAILY_LIMIT_EXCEEDED',
+    dailySpent: spendingCheck.dailySpent,
+    dailyLimit: spendingCheck.dailyLimit
+  };
+};
 
 class WalletController {
+  /**
+   * Create wallet for a user
+   */
+  async createWallet(req, res) {
+    try {
+      const userId = req.body.userId || req.userId;
+
+      if (userId.toString() !== req.userId.toString() && !isAdminRole(req.user.role)) {
+        return res.status(403).json({
+          message: 'You can only create your own wallet',
+          code: 'ACCESS_DENIED'
+        });
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(404).json({
+          message: 'User not found',
+          code: 'USER_NOT_FOUND'
+        });
+      }
+
+      const existing = await Wallet.findByUserId(userId);
+      if (existing) {
+        return res.status(409).json({
+          message: 'Wallet already exists',
+          code: 'WALLET_EXISTS',
+          wallet: {
+            id: existing._id,
+            walletId: existing.walletId,
+            balance: existing.balance,
+            currency: existing.currency
+          }
+        });
+      }
+
+      const wallet = await Wallet.createWallet(userId);
+
+      res.status(201).json({
+        message: 'Wallet created successfully',
+        wallet: {
+          id: wallet._id,
+          walletId: wallet.walletId,
+          balance: wallet.balance,
+          currency: wallet.currency,
+          status: wallet.status
+        }
+      });
+
+    } catch (error) {
+      console.error('Wallet creation error:', error);
+      res.status(500).json({
+        message: 'Failed to create wallet',
+        code: 'WALLET_CREATION_ERROR'
+      });
+    }
+  }
+
   /**
    * Create top-up order
    */
@@ -14,7 +104,7 @@ class WalletController {
       const user = await User.findById(req.userId);
 
       if (!user) {
-        return res.status(404).json({ 
+        return res.status(404).json({
           message: 'User not found',
           code: 'USER_NOT_FOUND'
         });
@@ -23,7 +113,7 @@ class WalletController {
       // Validate amount limits
       const minAmount = parseFloat(process.env.MIN_TOPUP_AMOUNT) || 1;
       const maxAmount = parseFloat(process.env.MAX_TOPUP_AMOUNT) || 10000;
-      
+
       if (amount < minAmount || amount > maxAmount) {
         return res.status(400).json({
           message: `Amount must be between $${minAmount} and $${maxAmount}`,
@@ -31,19 +121,26 @@ class WalletController {
         });
       }
 
-      // Create pending transaction
+      const wallet = await Wallet.createWallet(req.userId);
+
+      // Create pending transaction; balances are set when the ledger posts it
       const transaction = new Transaction({
         transactionId: generateTransactionId(),
-        fromUser: req.userId,
+        userId: req.userId,
+        walletId: wallet._id,
         amount: amount,
-        type: 'topup',
+        currency: wallet.currency,
+        type: 'CREDIT',
+        category: 'TOP_UP',
+        status: 'PENDING',
+        paymentMethod: 'SQUARE',
         description: `Wallet top-up of $${amount}`,
-        status: 'pending',
-        balanceBeforeTransaction: user.walletBalance,
-        balanceAfterTransaction: user.walletBalance,
+        balanceBefore: wallet.balance,
+        balanceAfter: wallet.balance,
         metadata: {
-          amountInDollars: amount,
-          squareLocationId: locationId
+          squareLocationId: locationId,
+          ip: req.ip,
+          userAgent: req.get('User-Agent')
         }
       });
 
@@ -53,7 +150,7 @@ class WalletController {
         message: 'Top-up order created successfully',
         transactionId: transaction.transactionId,
         amount: amount,
-        currency: 'USD',
+        currency: wallet.currency,
         squareConfig: { applicationId, locationId },
         userDetails: {
           name: user.name,
@@ -63,7 +160,7 @@ class WalletController {
 
     } catch (error) {
       console.error('Order creation error:', error);
-      res.status(500).json({ 
+      res.status(500).json({
         message: 'Failed to create payment order',
         code: 'ORDER_CREATION_ERROR'
       });
@@ -75,74 +172,137 @@ class WalletController {
    */
   async processTopUp(req, res) {
     try {
-      const { nonce, transactionId, amount } = req.body;
+      const { nonce, transactionId } = req.body;
 
-      if (!nonce || !transactionId || !amount) {
+      if (!nonce || !transactionId) {
         return res.status(400).json({
           message: 'Missing required payment data',
           code: 'MISSING_DATA'
         });
       }
 
-      // Find pending transaction
-      const transaction = await Transaction.findOne({
-        transactionId,
-        fromUser: req.userId,
-        status: 'pending',
-        type: 'topup'
-      });
+      // Claim the pending transaction so a double submit cannot charge twice
+      let transaction = await Transaction.findOneAndUpdate(
+        {
+          transactionId,
+          userId: req.userId,
+          status: 'PENDING',
+          category: 'TOP_UP'
+        },
+        { $set: { status: 'PROCESSING', processedAt: new Date() } },
+        { new: true }
+      );
 
       if (!transaction) {
-        return res.status(404).json({ 
+        return res.status(404).json({
           message: 'Transaction not found or already processed',
           code: 'TRANSACTION_NOT_FOUND'
         });
       }
 
+      // Always charge the amount recorded on the order, not the request body
+      const amount = transaction.amount;
+
       // Process payment with Square
       const paymentResult = await paymentService.createPayment({
         nonce,
         amount,
+        currency: transaction.currency,
         note: `Collex wallet top-up - ${transactionId}`,
         buyerEmailAddress: req.user.email,
-        userId: req.userId
+        userId: req.userId,
+        idempotencyKey: transaction.transactionId,
+        referenceId: transaction.transactionId
       });
 
       if (!paymentResult.success) {
         // Mark transaction as failed
-        transaction.status = 'failed';
+        transaction.status = 'FAILED';
         transaction.errorCode = 'PAYMENT_FAILED';
         transaction.errorMessage = paymentResult.message;
-        transaction.failedAt = new Date();
         await transaction.save();
 
-        return res.status(400).json({ 
+        return res.status(400).json({
           message: paymentResult.message,
           code: 'PAYMENT_FAILED',
           errors: paymentResult.error
         });
       }
 
-      // Update user wallet balance
-      const user = await User.findById(req.userId);
-      const previousBalance = user.walletBalance;
-      user.walletBalance += amount;
-      
-      // Update transaction
-      transaction.status = 'completed';
-      transaction.squarePaymentId = paymentResult.paymentId;
-      transaction.balanceAfterTransaction = user.walletBalance;
-      transaction.completedAt = new Date();
-      transaction.metadata.squarePayment = paymentResult.payment;
-
-      // Save both user and transaction
-      await Promise.all([user.save(), transaction.save()]);
+      const squareUpdates = {
+        squarePaymentId: paymentResult.paymentId,
+        'metadata.squarePayment': {
+          paymentId: paymentResult.paymentId,
+          status: paymentResult.status,
+          receiptUrl: paymentResult.receiptUrl,
+          createdAt: paymentResult.createdAt,
+          updatedAt: paymentResult.updatedAt
+        }
+      };
+
+      // Post to the ledger: Dr platform float, Cr user wallet
+      let posting;
+      try {
+        posting = await ledgerService.postTopUp(transaction._id, squareUpdates);
+      } catch (ledgerError) {
+        // Square captured the money; leave the transaction PROCESSING with
+        // the payment id so the webhook or a replay can post it later
+        console.error('Top-up ledger posting error:', ledgerError);
+        await Transaction.updateOne(
+          { _id: transaction._id },
+          {
+            $set: {
+              ...squareUpdates,
+              errorCode: 'LEDGER_POST_FAILED',
+              errorMessage: ledgerError.message
+            }
+          }
+        );
+
+        return res.status(202).json({
+          message: 'Payment received; your wallet will be credited shortly',
+          code: 'TOPUP_PENDING_POSTING',
+          transactionId: transaction.transactionId
+        });
+      }
+
+      if (!posting) {
+        // The Square webhook got there first
+        const posted = await Transaction.findById(transaction._id);
+        return res.json({
+          message: 'Wallet topped up successfully',
+          transaction: {
+            id: posted._id,
+            transactionId: posted.transactionId,
+            amount: amount,
+            type: 'topup',
+            status: 'completed',
+            timestamp: posted.completedAt,
+            squarePaymentId: paymentResult.paymentId,
+            receiptUrl: paymentResult.receiptUrl
+          },
+          wallet: {
+            previousBalance: posted.balanceBefore,
+            newBalance: posted.balanceAfter,
+            amountAdded: amount
+          }
+        });
+      }
+
+      transaction = posting.transaction;
+
+      const balances = posting.balances[transaction.walletId.toString()];
+      const previousBalance = balances.before;
+      const newBalance = balances.after;
 
       // Real-time update via Socket.io
       const io = req.app.get('io');
+
+      // Top-up bonuses are credited on top, as separate CASHBACK transactions
+      const rewards = await rewardService.applyFor(transaction, { io });
       if (io) {
         io.to(`wallet_${req.userId}`).emit('balance_updated', {
-          newBalance: user.walletBalance,
+          newBalance,
           previousBalance,
           amountAdded: amount,
           transaction: {
@@ -169,14 +329,20 @@ class WalletController {
         },
         wallet: {
           previousBalance,
-          newBalance: user.walletBalance,
+          newBalance,
           amountAdded: amount
-        }
+        },
+        rewards: rewards.map(reward => ({
+          code: reward.code,
+          name: reward.name,
+          amount: reward.amount,
+          transactionId: reward.transaction.transactionId
+        }))
       });
 
     } catch (error) {
       console.error('Payment processing error:', error);
-      res.status(500).json({ 
+      res.status(500).json({
         message: 'Payment processing failed',
         code: 'PROCESSING_ERROR'
       });
@@ -184,33 +350,447 @@ class WalletController {
   }
 
   /**
-   * Get wallet balance
+   * Transfer money between two students' wallets
    */
-  async getBalance(req, res) {
+  async transferMoney(req, res, next) {
     try {
-      const user = await User.findById(req.userId);
-      
-      if (!user) {
-        return res.status(404).json({ 
+      const { fromUserId, toUserId, description } = req.body;
+      const amount = ledgerService.roundAmount(req.body.amount);
+
+      if (fromUserId.toString() !== req.userId.toString()) {
+        return res.status(403).json({
+          message: 'You can only transfer from your own wallet',
+          code: 'ACCESS_DENIED'
+        });
+      }
+
+      if (fromUserId.toString() === toUserId.toString()) {
+        return res.status(400).json({
+          message: 'Cannot transfer to your own wallet',
+          code: 'SELF_TRANSFER'
+        });
+      }
+
+      const [sender, recipient] = await Promise.all([
+        User.findById(fromUserId),
+        User.findById(toUserId)
+      ]);
+
+      if (!sender) {
+        return res.status(404).json({
           message: 'User not found',
           code: 'USER_NOT_FOUND'
         });
       }
 
-      res.json({ 
-        balance: user.walletBalance,
-        balanceInDollars: user.walletBalance.toFixed(2),
-        canSpend: user.walletBalance > 0
+      if (!recipient || !recipient.isActive) {
+        return res.status(404).json({
+          message: 'Recipient not found',
+          code: 'RECIPIENT_NOT_FOUND'
+        });
+      }
+
+      // Peer transfers are student to student; merchants are paid at checkout
+      if (recipient.role !== 'student') {
+        return res.status(400).json({
+          message: 'Transfers can only be sent to students',
+          code: 'INVALID_RECIPIENT'
+        });
+      }
+
+      // Early check so the common failures don't open a session
+      const spendingCheck = sender.canSpend(amount);
+      const limitResponse = spendingLimitResponse(spendingCheck, amount);
+      if (limitResponse) {
+        return res.status(400).json(limitResponse);
+      }
+
+      const [senderWallet, recipientWallet] = await Promise.all([
+        Wallet.createWallet(sender._id),
+        Wallet.createWallet(recipient._id)
+      ]);
+
+      if (!recipientWallet.canTransact()) {
+        return res.status(400).json({
+          message: 'Recipient wallet cannot receive transfers',
+          code: 'RECIPIENT_WALLET_UNAVAILABLE'
+        });
+      }
+
+      const transferDescription = description || `Transfer to ${recipient.name}`;
+
+      const debit = new Transaction({
+        transactionId: generateTransactionId('TRF'),
+        userId: sender._id,
+        walletId: senderWallet._id,
+        amount,
+        currency: senderWallet.currency,
+        type: 'DEBIT',
+        category: 'TRANSFER',
+        paymentMethod: 'WALLET',
+        status: 'COMPLETED',
+        description: transferDescription,
+        balanceBefore: senderWallet.balance,
+        balanceAfter: senderWallet.balance,
+        metadata: {
+          transferTo: {
+            userId: recipient._id,
+            walletId: recipientWallet._id,
+            name: recipient.name
+          },
+          ip: req.ip,
+          userAgent: req.get('User-Agent')
+        }
+      });
+
+      const credit = new Transaction({
+        transactionId: generateTransactionId('TRF'),
+        userId: recipient._id,
+        walletId: recipientWallet._id,
+        amount,
+        currency: recipientWallet.currency,
+        type: 'CREDIT',
+        category: 'TRANSFER',
+        paymentMethod: 'WALLET',
+        status: 'COMPLETED',
+        description: description || `Transfer from ${sender.name}`,
+        balanceBefore: recipientWallet.balance,
+        balanceAfter: recipientWallet.balance,
+        relatedTransactionId: debit._id,
+        metadata: {
+          transferFrom: {
+            userId: sender._id,
+            walletId: senderWallet._id,
+            name: sender.name
+          }
+        }
+      });
+      debit.relatedTransactionId = credit._id;
+
+      await ledgerService.runInTransaction(async (session) => {
+        // Re-check the daily limit inside the session so concurrent
+        // transfers cannot both squeeze under it
+        const lockedSender = await User.findById(sender._id).session(session);
+        const response = spendingLimitResponse(lockedSender.canSpend(amount), amount);
+        if (response) {
+          throw Object.assign(
+            new AppError(response.message, 400, response.code),
+            { details: response }
+          );
+        }
+
+        const [fromWallet, toWallet] = await Promise.all([
+          Wallet.findById(senderWallet._id).session(session),
+          Wallet.findById(recipientWallet._id).session(session)
+        ]);
+
+        await ledgerService.postJournal({
+          lines: ledgerService.transferLines(fromWallet, toWallet, amount, transferDescription),
+          transactions: [debit, credit],
+          description: transferDescription,
+          session
+        });
+
+        lockedSender.dailySpentAmount += amount;
+        await lockedSender.save({ session });
+        sender.dailySpentAmount = lockedSender.dailySpentAmount;
+      });
+
+      // Real-time update for both parties
+      const io = req.app.get('io');
+      if (io) {
+        socketEmitters.emitBalanceUpdate(io, sender._id, {
+          newBalance: debit.balanceAfter,
+          previousBalance: debit.balanceBefore,
+          amountDeducted: amount,
+          transaction: {
+            id: debit._id,
+            transactionId: debit.transactionId,
+            amount,
+            type: 'transfer_out',
+            counterparty: recipient.name
+          }
+        });
+
+        socketEmitters.emitBalanceUpdate(io, recipient._id, {
+          newBalance: credit.balanceAfter,
+          previousBalance: credit.balanceBefore,
+          amountAdded: amount,
+          transaction: {
+            id: credit._id,
+            transactionId: credit.transactionId,
+            amount,
+            type: 'transfer_in',
+            counterparty: sender.name
+          }
+        });
+      }
+
+      console.log(`💸 Transfer completed: ${sender.email} → ${recipient.email} - ${amount}`);
+
+      res.json({
+        message: 'Transfer completed successfully',
+        transfer: {
+          id: debit._id,
+          transactionId: debit.transactionId,
+          recipientTransactionId: credit.transactionId,
+          amount,
+          recipient: {
+            id: recipient._id,
+            name: recipient.name
+          },
+          description: transferDescription,
+          status: 'completed',
+          timestamp: debit.completedAt
+        },
+        wallet: {
+          previousBalance: debit.balanceBefore,
+          newBalance: debit.balanceAfter,
+          dailySpent: sender.dailySpentAmount,
+          dailyRemaining: Math.max(0, spendingCheck.dailyLimit - sender.dailySpentAmount)
+        }
+      });
+
+    } catch (error) {
+      if (error.errorCode === 'INSUFFICIENT_FUNDS') {
+        return res.status(400).json({
+          message: 'Insufficient wallet balance',
+          code: 'INSUFFICIENT_BALANCE',
+          available: error.availableBalance,
+          required: error.requiredAmount
+        });
+      }
+
+      if (error.errorCode === 'DAILY_LIMIT_EXCEEDED') {
+        return res.status(400).json(error.details);
+      }
+
+      if (error.errorCode === 'WALLET_ERROR') {
+        return res.status(400).json({
+          message: error.message,
+          code: 'WALLET_UNAVAILABLE'
+        });
+      }
+
+      // Other operational errors from the ledger, e.g. UNBALANCED_JOURNAL
+      if (error.isOperational && error.statusCode < 500) {
+        return next(error);
+      }
+
+      console.error('Transfer error:', error);
+      res.status(500).json({
+        message: 'Transfer failed',
+        code: 'TRANSFER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Get wallet balance
+   */
+  async getBalance(req, res) {
+    try {
+      const userId = req.params.userId || req.userId;
+
+      if (userId.toString() !== req.userId.toString() && !isAdminRole(req.user.role)) {
+        return res.status(403).json({
+          message: 'You can only view your own wallet',
+          code: 'ACCESS_DENIED'
+        });
+      }
+
+      const wallet = await Wallet.findByUserId(userId);
+
+      if (!wallet) {
+        return res.status(404).json({
+          message: 'Wallet not found',
+          code: 'WALLET_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        walletId: wallet.walletId,
+        balance: wallet.balance,
+        balanceInDollars: wallet.balance.toFixed(2),
+        heldAmount: wallet.heldAmount,
+        availableBalance: wallet.availableBalance,
+        currency: wallet.currency,
+        status: wallet.status,
+        canSpend: wallet.canTransact() && wallet.availableBalance > 0,
+        lastEntryAt: wallet.ledger.lastEntryAt || null
       });
 
     } catch (error) {
       console.error('Balance fetch error:', error);
-      res.status(500).json({ 
+      res.status(500).json({
         message: 'Failed to fetch balance',
         code: 'BALANCE_FETCH_ERROR'
       });
     }
   }
+
+  /**
+   * Redeem a gift voucher or prepaid card into the wallet
+   */
+  async redeemVoucher(req, res) {
+    try {
+      const { code, amount } = req.body;
+
+      const { voucher, transaction, amount: credited } = await voucherService.redeem({
+        code,
+        userId: req.userId,
+        amount
+      });
+
+      const io = req.app.get('io');
+      if (io) {
+        socketEmitters.emitBalanceUpdate(io, req.userId, {
+          newBalance: transaction.balanceAfter,
+          previousBalance: transaction.balanceBefore,
+          amountAdded: credited,
+          reason: 'VOUCHER',
+          transaction: {
+            id: transaction._id,
+            transactionId: transaction.transactionId,
+            amount: credited,
+            type: 'voucher'
+          }
+        });
+      }
+
+      console.log(`🎁 Voucher redeemed: ${voucher.code} → ${req.userId} - ${credited}`);
+
+      res.json({
+        message: 'Voucher redeemed successfully',
+        voucher: {
+          code: voucher.code,
+          name: voucher.name,
+          usage: voucher.usage,
+          value: voucher.value,
+          balance: voucher.balance,
+          status: voucher.status,
+          expiresAt: voucher.expiresAt
+        },
+        transaction: {
+          id: transaction._id,
+          transactionId: transaction.transactionId,
+          amount: credited,
+          timestamp: transaction.completedAt
+        },
+        wallet: {
+          previousBalance: transaction.balanceBefore,
+          newBalance: transaction.balanceAfter
+        }
+      });
+
+    } catch (error) {
+      if (error.isOperational && error.statusCode < 500) {
+        return res.status(error.statusCode).json({
+          message: error.message,
+          code: error.errorCode
+        });
+      }
+
+      console.error('Voucher redeem error:', error);
+      res.status(500).json({
+        message: 'Failed to redeem voucher',
+        code: 'VOUCHER_REDEEM_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Vouchers the user holds or has been given
+   */
+  async getVouchers(req, res) {
+    try {
+      const vouchers = await voucherService.getUserVouchers(req.userId);
+
+      res.json({
+        message: 'Vouchers fetched successfully',
+        vouchers
+      });
+
+    } catch (error) {
+      console.error('Vouchers fetch error:', error);
+      res.status(500).json({
+        message: 'Failed to fetch vouchers',
+        code: 'VOUCHER_FETCH_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Issue the secret the app uses to show rotating pay codes. Returned once;
+   * calling again replaces it and signs out any other device.
+   */
+  async enablePayCode(req, res) {
+    try {
+      const payCode = await payCodeService.enable(req.userId);
+
+      res.status(201).json({
+        message: 'Pay code enabled; keep this secret on the device only',
+        payCode
+      });
+
+    } catch (error) {
+      console.error('Enable pay code error:', error);
+      res.status(500).json({
+        message: 'Failed to enable pay code',
+        code: 'PAY_CODE_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Stop accepting pay codes for the wallet
+   */
+  async disablePayCode(req, res) {
+    try {
+      await payCodeService.disable(req.userId);
+
+      res.json({
+        message: 'Pay code disabled'
+      });
+
+    } catch (error) {
+      console.error('Disable pay code error:', error);
+      res.status(500).json({
+        message: 'Failed to disable pay code',
+        code: 'PAY_CODE_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Set or change the wallet PIN used to confirm larger pay code charges
+   */
+  async setPin(req, res) {
+    try {
+      await payCodeService.setPin(req.userId, {
+        pin: req.body.pin,
+        currentPin: req.body.currentPin
+      });
+
+      res.json({
+        message: 'Wallet PIN saved'
+      });
+
+    } catch (error) {
+      if (error.isOperational && error.statusCode < 500) {
+        return res.status(error.statusCode).json({
+          message: error.message,
+          code: error.errorCode
+        });
+      }
+
+      console.error('Set PIN error:', error);
+      res.status(500).json({
+        message: 'Failed to save PIN',
+        code: 'PIN_UPDATE_ERROR'
+      });
+    }
+  }
 }
 
 module.exports = new WalletController();
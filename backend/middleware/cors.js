@@ -83,6 +83,7 @@ const corsOptions = {
     'X-API-Key',
     'X-Client-Version',
     'X-Request-ID',
+    'Idempotency-Key',
     'Cache-Control',
     'Pragma'
   ],
@@ -94,7 +95,8 @@ const corsOptions = {
     'X-Total-Pages',
     'X-Rate-Limit-Remaining',
     'X-Rate-Limit-Reset',
-    'Content-Range'
+    'Content-Range',
+    'Idempotent-Replayed'
   ],
 
   // Preflight cache duration (in seconds)
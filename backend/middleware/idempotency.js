@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const KEY_PATTERN = /^[A-Za-z0-9_\-:.]{8,255}$/;
+const TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+/**
+ * Serialize a value with object keys sorted so that equivalent payloads hash
+ * the same regardless of property order
+ */
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalize(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashRequest = (method, path, body) => crypto
+  .createHash('sha256')
+  .update(`${method}\n${path}\n${canonicalize(body || {})}`)
+  .digest('hex');
+
+/**
+ * Idempotency middleware for money-moving routes
+ *
+ * Requires an `Idempotency-Key` header (must run after auth). The first
+ * response for a key is stored and replayed verbatim for retries; a key
+ * reused with a different request is rejected. Server errors (5xx) are not
+ * stored, so the client may retry them with the same key.
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (!key) {
+    return res.status(400).json({
+      message: 'Idempotency-Key header is required for this request',
+      code: 'IDEMPOTENCY_KEY_REQUIRED'
+    });
+  }
+
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      message: 'Idempotency-Key must be 8-255 characters of letters, digits, "-", "_", ":" or "."',
+      code: 'INVALID_IDEMPOTENCY_KEY'
+    });
+  }
+
+  const path = req.originalUrl.split('?')[0];
+  const requestHash = hashRequest(req.method, path, req.body);
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      key,
+      userId: req.userId,
+      method: req.method,
+      path,
+      requestHash,
+      expiresAt: new Date(Date.now() + TTL_HOURS * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      console.error('Idempotency key error:', error);
+      return res.status(500).json({
+        message: 'Failed to process request',
+        code: 'IDEMPOTENCY_ERROR'
+      });
+    }
+
+    const existing = await IdempotencyKey.findOne({ userId: req.userId, key });
+
+    if (!existing) {
+      // Expired between the insert and the lookup; ask the client to retry
+      return res.status(409).json({
+        message: 'Request with this Idempotency-Key is being processed, please retry',
+        code: 'IDEMPOTENCY_KEY_IN_PROGRESS'
+      });
+    }
+
+    if (existing.requestHash !== requestHash) {
+      return res.status(422).json({
+        message: 'Idempotency-Key has already been used for a different request',
+        code: 'IDEMPOTENCY_KEY_MISMATCH'
+      });
+    }
+
+    if (existing.status !== 'COMPLETED') {
+      res.set('Retry-After', '2');
+      return res.status(409).json({
+        message: 'A request with this Idempotency-Key is still being processed',
+        code: 'IDEMPOTENCY_KEY_IN_PROGRESS'
+      });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  let settled = false;
+  const originalJson = res.json.bind(res);
+
+  // Store the response before sending it so a retry never sees a gap
+  res.json = (body) => {
+    settled = true;
+    res.json = originalJson;
+
+    const statusCode = res.statusCode;
+    const persist = statusCode >= 500 || statusCode === 429
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : IdempotencyKey.updateOne(
+        { _id: record._id },
+        {
+          $set: {
+            status: 'COMPLETED',
+            responseStatus: statusCode,
+            responseBody: body,
+            completedAt: new Date()
+          }
+        }
+      );
+
+    persist
+      .catch(error => console.error('Idempotency key persist error:', error))
+      .then(() => originalJson(body));
+
+    return res;
+  };
+
+  // A response sent without res.json releases the key. A dropped client
+  // connection does not: the handler may still be moving money.
+  res.on('finish', () => {
+    if (!settled) {
+      settled = true;
+      IdempotencyKey.deleteOne({ _id: record._id })
+        .catch(error => console.error('Idempotency key release error:', error));
+    }
+  });
+
+  next();
+};
+
+module.exports = {
+  idempotency,
+  hashRequest
+};
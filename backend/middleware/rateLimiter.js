@@ -167,6 +167,20 @@ const paymentLimiter = rateLimit({
   handler: createRateLimitHandler('Too many payment attempts, please try again in 10 minutes.')
 });
 
+/**
+ * Voucher Redemption Rate Limiter
+ */
+const voucherRedeemLimiter = rateLimit({
+  store: createStore(),
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: process.env.RATE_LIMIT_VOUCHER || 10, // 10 redemption attempts per window, against code guessing
+  keyGenerator: createKeyGenerator('voucher'),
+  skip: createSkipFunction(),
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: createRateLimitHandler('Too many voucher redemption attempts, please try again in 15 minutes.')
+});
+
 /**
  * OTP/Verification Rate Limiter
  */
@@ -456,6 +470,7 @@ module.exports = {
   topup: walletTopupLimiter,
   transfer: walletTransferLimiter,
   payment: paymentLimiter,
+  voucher: voucherRedeemLimiter,
   otp: otpLimiter,
   passwordReset: passwordResetLimiter,
   admin: adminLimiter,
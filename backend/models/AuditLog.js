@@ -42,7 +42,8 @@ const auditLogSchema = new mongoose.Schema({
     trim: true,
     enum: [
       'USER', 'WALLET', 'TRANSACTION', 'MERCHANT', 'EVENT', 
-      'ADMIN', 'SYSTEM', 'PAYMENT', 'AUTHENTICATION', 'AUTHORIZATION'
+      'ADMIN', 'SYSTEM', 'PAYMENT', 'AUTHENTICATION', 'AUTHORIZATION',
+      'DISPUTE', 'REWARD', 'COUPON', 'VOUCHER'
     ],
     index: true
   },
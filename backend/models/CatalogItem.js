@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const variantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Variant name is required'],
+    trim: true,
+    maxlength: [50, 'Variant name cannot exceed 50 characters']
+  },
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  price: {
+    type: Number,
+    required: [true, 'Variant price is required'],
+    min: [0.01, 'Price must be positive']
+  },
+  // Only counted while the item has trackStock on
+  stock: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isAvailable: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// An item a merchant sells. Canteens show their catalog as the pre-order menu.
+const catalogItemSchema = new mongoose.Schema({
+  merchantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Item name is required'],
+    trim: true,
+    maxlength: [100, 'Item name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  // Menu or shelf section, e.g. "Breakfast" or "Notebooks"
+  category: {
+    type: String,
+    trim: true,
+    default: 'Other',
+    maxlength: [50, 'Category cannot exceed 50 characters']
+  },
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  // Price of the item itself; items with variants are sold by variant
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: [0.01, 'Price must be positive']
+  },
+  variants: [variantSchema],
+  isVegetarian: {
+    type: Boolean,
+    default: false
+  },
+  imageUrl: String,
+  // Switched off when the item is withdrawn; hidden from students but kept
+  isAvailable: {
+    type: Boolean,
+    default: true
+  },
+  // When the item can be sold, in server local time; empty means any time
+  availability: [{
+    days: [{
+      type: String,
+      enum: DAYS
+    }],
+    from: {
+      type: String,
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Times must be HH:MM']
+    },
+    to: {
+      type: String,
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Times must be HH:MM']
+    }
+  }],
+  trackStock: {
+    type: Boolean,
+    default: false
+  },
+  // Stock of an item without variants
+  stock: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lowStockThreshold: {
+    type: Number,
+    default: 5,
+    min: 0
+  },
+  prepMinutes: {
+    type: Number,
+    default: 10,
+    min: 0,
+    max: 180
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+catalogItemSchema.index({ merchantId: 1, category: 1, sortOrder: 1 });
+catalogItemSchema.index({ merchantId: 1, isAvailable: 1 });
+catalogItemSchema.index({ merchantId: 1, sku: 1 }, { unique: true, partialFilterExpression: { sku: { $type: 'string' } } });
+
+// Virtual for items or variants at or below their low-stock threshold
+catalogItemSchema.virtual('isLowStock').get(function() {
+  if (!this.trackStock) return false;
+  if (this.variants.length > 0) {
+    return this.variants.some(variant => variant.isAvailable && variant.stock <= this.lowStockThreshold);
+  }
+  return this.stock <= this.lowStockThreshold;
+});
+
+// Instance method to check the availability windows
+catalogItemSchema.methods.isAvailableAt = function(at = new Date()) {
+  if (!this.isAvailable) return false;
+  if (!this.availability || this.availability.length === 0) return true;
+
+  const day = DAYS[at.getDay()];
+  const time = at.toTimeString().slice(0, 5); // HH:MM format
+
+  return this.availability.some(window => {
+    if (window.days && window.days.length > 0 && !window.days.includes(day)) return false;
+    return (!window.from || time >= window.from) && (!window.to || time <= window.to);
+  });
+};
+
+catalogItemSchema.statics.DAYS = DAYS;
+
+module.exports = mongoose.model('CatalogItem', catalogItemSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const CERTIFICATE_STATUSES = ['ISSUED', 'REVOKED'];
+
+// One attendee's certificate for an event. The text printed on it is kept
+// here so a re-issue can tell what changed; the PDF is rendered on download.
+const certificateSchema = new mongoose.Schema({
+  // Public verification ID, printed on the certificate and in its QR
+  certificateId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipientName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  eventTitle: {
+    type: String,
+    required: true
+  },
+  eventDate: {
+    type: Date,
+    required: true
+  },
+  organizerName: String,
+  status: {
+    type: String,
+    enum: CERTIFICATE_STATUSES,
+    default: 'ISSUED'
+  },
+  // Bumped each time a re-run changes what the certificate says
+  revision: {
+    type: Number,
+    default: 1
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reissuedAt: Date,
+  revokedAt: Date,
+  revokedReason: String,
+  downloadCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+certificateSchema.index({ event: 1, user: 1 }, { unique: true });
+certificateSchema.index({ user: 1, issuedAt: -1 });
+
+certificateSchema.statics.CERTIFICATE_STATUSES = CERTIFICATE_STATUSES;
+
+module.exports = mongoose.model('Certificate', certificateSchema);
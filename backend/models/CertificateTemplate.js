@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// An event's certificate design: the organizer's background artwork and the
+// text laid over it. Body and title may use {{name}}, {{event}}, {{date}}
+// and {{organizer}}.
+const certificateTemplateSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true,
+    unique: true
+  },
+  background: {
+    // Kept out of normal reads; only rendering needs the bytes
+    data: {
+      type: Buffer,
+      select: false
+    },
+    mimeType: {
+      type: String,
+      enum: ['image/png', 'image/jpeg']
+    },
+    fileName: String,
+    size: Number
+  },
+  title: {
+    type: String,
+    trim: true,
+    default: 'Certificate of Participation',
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  body: {
+    type: String,
+    trim: true,
+    default: 'for participating in {{event}} held on {{date}}',
+    maxlength: [500, 'Body cannot exceed 500 characters']
+  },
+  signatoryName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Signatory name cannot exceed 100 characters']
+  },
+  signatoryTitle: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Signatory title cannot exceed 100 characters']
+  },
+  textColor: {
+    type: String,
+    default: '#111827',
+    match: [/^#[0-9A-Fa-f]{6}$/, 'Text color must be a hex color like #111827']
+  },
+  // Where the recipient's name sits, as a percentage of the page height
+  nameY: {
+    type: Number,
+    default: 42,
+    min: [10, 'Name position must be between 10 and 80'],
+    max: [80, 'Name position must be between 10 and 80']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('CertificateTemplate', certificateTemplateSchema);
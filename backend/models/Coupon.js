@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Code must be 3-30 letters, digits, _ or -']
+  },
+  description: {
+    type: String,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  discountType: {
+    type: String,
+    enum: ['PERCENTAGE', 'FLAT'],
+    required: true
+  },
+  // Percent off for PERCENTAGE, currency units off for FLAT
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  minSpend: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  appliesTo: {
+    type: String,
+    enum: ['PAYMENT', 'EVENT', 'ANY'],
+    default: 'ANY'
+  },
+  // Empty lists mean no restriction on that dimension
+  scope: {
+    merchantIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Merchant'
+    }],
+    merchantCategories: [{
+      type: String,
+      enum: ['canteen', 'shop', 'stationery', 'event_organizer', 'club', 'transport', 'library', 'sports', 'medical']
+    }],
+    eventIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event'
+    }],
+    eventCategories: [{
+      type: String,
+      enum: ['workshop', 'seminar', 'competition', 'cultural', 'sports', 'technical', 'career', 'social', 'other']
+    }]
+  },
+  // PLATFORM pays the discount from promotions; MERCHANT (or the event
+  // organiser) simply receives less
+  fundedBy: {
+    type: String,
+    enum: ['PLATFORM', 'MERCHANT'],
+    required: true
+  },
+  // Set when a merchant created the coupon for their own shop
+  merchantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant'
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  limits: {
+    total: {
+      type: Number,
+      min: 1
+    },
+    perUser: {
+      type: Number,
+      default: 1,
+      min: 1
+    }
+  },
+  redemptionCount: {
+    type: Number,
+    default: 0
+  },
+  discountGiven: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'PAUSED', 'ARCHIVED'],
+    default: 'ACTIVE'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+couponSchema.index({ status: 1, expiresAt: 1 });
+couponSchema.index({ merchantId: 1, createdAt: -1 });
+
+// Virtual for redemptions left under the global limit
+couponSchema.virtual('remainingRedemptions').get(function() {
+  if (!this.limits?.total) return null;
+  return Math.max(0, this.limits.total - this.redemptionCount);
+});
+
+// Instance method to check merchant, category and event scoping
+couponSchema.methods.isInScope = function({ merchant, event }) {
+  const { merchantIds = [], merchantCategories = [], eventIds = [], eventCategories = [] } = this.scope || {};
+
+  if (merchant) {
+    if (this.appliesTo === 'EVENT') return false;
+    if (merchantIds.length && !merchantIds.some(id => id.equals(merchant._id))) return false;
+    if (merchantCategories.length && !merchantCategories.includes(merchant.category)) return false;
+    return true;
+  }
+
+  if (event) {
+    if (this.appliesTo === 'PAYMENT') return false;
+    if (eventIds.length && !eventIds.some(id => id.equals(event._id))) return false;
+    if (eventCategories.length && !eventCategories.includes(event.category)) return false;
+    return true;
+  }
+
+  return false;
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const couponRedemptionSchema = new mongoose.Schema({
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  code: String,
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Nth use of the coupon by this user; unique so concurrent checkouts
+  // cannot both take the last use allowed per user
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  merchantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant'
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  amountBefore: Number,
+  discount: {
+    type: Number,
+    required: true
+  },
+  fundedBy: {
+    type: String,
+    enum: ['PLATFORM', 'MERCHANT'],
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+couponRedemptionSchema.index({ couponId: 1, userId: 1, sequence: 1 }, { unique: true });
+couponRedemptionSchema.index({ couponId: 1, createdAt: -1 });
+couponRedemptionSchema.index({ transactionId: 1 });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
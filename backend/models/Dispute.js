@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+
+const DISPUTE_REASONS = ['unauthorized', 'incorrect_amount', 'service_not_received', 'duplicate_charge', 'other'];
+
+const evidenceSchema = new mongoose.Schema({
+  party: {
+    type: String,
+    enum: ['CUSTOMER', 'MERCHANT', 'ADMIN'],
+    required: true
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    maxlength: 500
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const timelineSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String,
+    enum: ['CUSTOMER', 'MERCHANT', 'ADMIN', 'SYSTEM'],
+    required: true
+  },
+  note: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const disputeSchema = new mongoose.Schema({
+  disputeId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The disputed payment; one dispute per payment
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true,
+    unique: true
+  },
+  transactionRef: String,
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  merchantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant',
+    required: true
+  },
+  // Amount still refundable on the payment when the dispute was opened
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  reason: {
+    type: String,
+    enum: DISPUTE_REASONS,
+    required: true
+  },
+  description: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+  status: {
+    type: String,
+    enum: ['AWAITING_MERCHANT', 'UNDER_REVIEW', 'RESOLVED'],
+    default: 'AWAITING_MERCHANT'
+  },
+  evidence: [evidenceSchema],
+  merchantResponse: {
+    message: String,
+    acceptsLiability: Boolean,
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    respondedAt: Date
+  },
+  decision: {
+    outcome: {
+      type: String,
+      enum: ['FULL_REFUND', 'PARTIAL_REFUND', 'REJECTED']
+    },
+    amount: Number,
+    note: String,
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: Date,
+    reversalTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    }
+  },
+  sla: {
+    merchantResponseDueAt: {
+      type: Date,
+      required: true
+    },
+    resolutionDueAt: {
+      type: Date,
+      required: true
+    },
+    merchantResponseBreached: {
+      type: Boolean,
+      default: false
+    },
+    resolutionBreached: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Merchant settlement that withheld the disputed amount, and the one that paid it back out
+  settlementHold: {
+    heldIn: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Settlement'
+    },
+    amount: Number,
+    releasedIn: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Settlement'
+    }
+  },
+  timeline: [timelineSchema],
+  resolvedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+disputeSchema.index({ status: 1, createdAt: -1 });
+disputeSchema.index({ merchantId: 1, status: 1, createdAt: -1 });
+disputeSchema.index({ userId: 1, createdAt: -1 });
+disputeSchema.index({ status: 1, 'sla.merchantResponseDueAt': 1 });
+disputeSchema.index({ status: 1, 'sla.resolutionDueAt': 1 });
+
+// Virtual for whether the case is past any SLA deadline right now
+disputeSchema.virtual('isOverdue').get(function() {
+  const now = Date.now();
+  if (this.status === 'RESOLVED') return false;
+  if (this.status === 'AWAITING_MERCHANT' && this.sla.merchantResponseDueAt < now) return true;
+  return this.sla.resolutionDueAt < now;
+});
+
+// Instance method to append to the case timeline
+disputeSchema.methods.addTimeline = function(action, actorRole, actor, note) {
+  this.timeline.push({ action, actorRole, actor, note });
+};
+
+disputeSchema.statics.DISPUTE_REASONS = DISPUTE_REASONS;
+
+module.exports = mongoose.model('Dispute', disputeSchema);
@@ -114,6 +114,7 @@ const eventSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Current participants cannot be negative']
   },
+  // 0 leaves the waitlist uncapped
   waitlistLimit: {
     type: Number,
     default: 0,
@@ -140,11 +141,55 @@ const eventSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Transaction'
     },
+    // Registrations on events without autoApprove wait for the organizer;
+    // paid ones reserve the fee with a wallet hold until then
+    approvalStatus: {
+      type: String,
+      enum: ['approved', 'pending', 'rejected'],
+      default: 'approved'
+    },
+    holdId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WalletHold'
+    },
     attendanceStatus: {
       type: String,
       enum: ['registered', 'attended', 'absent', 'cancelled'],
       default: 'registered'
     },
+    // Ticket QR issued once the registration is approved; code is the
+    // short form door staff type when a QR will not scan
+    ticket: {
+      qrId: String,
+      code: String,
+      url: String,
+      issuedAt: Date
+    },
+    checkedInAt: Date,
+    checkedInBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    checkInMethod: {
+      type: String,
+      enum: ['qr', 'code', 'walk_in']
+    },
+    // Scanned on a device with no connection and uploaded later
+    checkedInOffline: Boolean,
+    // Outcome for this registrant when the event was cancelled
+    cancellationOutcome: {
+      status: {
+        type: String,
+        enum: ['REFUNDED', 'HOLD_RELEASED', 'NOT_REFUNDABLE', 'NO_PAYMENT', 'FAILED']
+      },
+      amount: Number,
+      refundTransactionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction'
+      },
+      error: String,
+      processedAt: Date
+    },
     certificateIssued: {
       type: Boolean,
       default: false
@@ -156,11 +201,56 @@ const eventSchema = new mongoose.Schema({
         max: 5
       },
       comment: String,
+      // Answers to the organizer's feedbackForm questions
+      answers: [{
+        _id: false,
+        question: mongoose.Schema.Types.ObjectId,
+        rating: Number,
+        choices: [String],
+        text: String
+      }],
       submittedAt: Date
     }
   }],
   
-  // Waitlist
+  // Questions asked after the event on top of the overall rating. Locked
+  // once the first response is in so answers always match their question.
+  feedbackForm: {
+    questions: [{
+      type: {
+        type: String,
+        enum: ['rating', 'choice', 'text'],
+        required: true
+      },
+      prompt: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [200, 'Question cannot exceed 200 characters']
+      },
+      options: [{
+        type: String,
+        trim: true,
+        maxlength: [100, 'Option cannot exceed 100 characters']
+      }],
+      // Choice questions only: allow picking more than one option
+      multiple: {
+        type: Boolean,
+        default: false
+      },
+      required: {
+        type: Boolean,
+        default: false
+      }
+    }],
+    // Defaults to FEEDBACK_WINDOW_DAYS after the event ends
+    closesAt: Date,
+    updatedAt: Date
+  },
+  
+  // Waitlist, in queue order. A freed spot is offered to the first waiting
+  // entry, which holds the spot (and the fee, on paid events) until the
+  // offer is accepted or lapses.
   waitlist: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -171,7 +261,18 @@ const eventSchema = new mongoose.Schema({
       type: Date,
       default: Date.now
     },
-    position: Number
+    position: Number,
+    status: {
+      type: String,
+      enum: ['waiting', 'offered'],
+      default: 'waiting'
+    },
+    offeredAt: Date,
+    offerExpiresAt: Date,
+    holdId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WalletHold'
+    }
   }],
   
   // Organization details
@@ -184,7 +285,12 @@ const eventSchema = new mongoose.Schema({
     name: String,
     email: String,
     phone: String,
-    organization: String
+    organization: String,
+    // Club running the event; its ratings roll up into the club's
+    clubId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Club'
+    }
   },
   coOrganizers: [{
     userId: {
@@ -315,7 +421,40 @@ const eventSchema = new mongoose.Schema({
       type: String,
       enum: ['full', 'partial', 'none'],
       default: 'partial'
-    }
+    },
+    // Tiers by notice given, e.g. 100% from 168h before the start, 50%
+    // from 24h, nothing after. Without tiers refundPolicy applies up to
+    // the start.
+    refundSchedule: [{
+      _id: false,
+      hoursBefore: {
+        type: Number,
+        required: true,
+        min: [0, 'Refund tier hours cannot be negative']
+      },
+      percent: {
+        type: Number,
+        required: true,
+        min: [0, 'Refund percent cannot be negative'],
+        max: [100, 'Refund percent cannot exceed 100']
+      }
+    }]
+  },
+  
+  // Set when the organizer or an admin calls the event off
+  cancellation: {
+    reason: String,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // full refunds everyone in full; schedule applies the refund tiers as
+    // of the cancellation
+    refundMode: {
+      type: String,
+      enum: ['full', 'schedule']
+    },
+    completedAt: Date
   },
   
   // Analytics
@@ -336,6 +475,14 @@ const eventSchema = new mongoose.Schema({
     totalRatings: {
       type: Number,
       default: 0
+    },
+    attendedCount: {
+      type: Number,
+      default: 0
+    },
+    absentCount: {
+      type: Number,
+      default: 0
     }
   },
   
@@ -353,10 +500,13 @@ const eventSchema = new mongoose.Schema({
 eventSchema.index({ status: 1, isActive: 1 });
 eventSchema.index({ category: 1, startDate: 1 });
 eventSchema.index({ 'organizer.userId': 1 });
+eventSchema.index({ 'organizer.clubId': 1 });
 eventSchema.index({ startDate: 1, endDate: 1 });
 eventSchema.index({ slug: 1 });
 eventSchema.index({ tags: 1 });
 eventSchema.index({ isFeatured: 1, startDate: 1 });
+eventSchema.index({ 'registeredUsers.ticket.qrId': 1 });
+eventSchema.index({ 'waitlist.status': 1, 'waitlist.offerExpiresAt': 1 });
 
 // Virtual for available spots
 eventSchema.virtual('availableSpots').get(function() {
@@ -422,30 +572,50 @@ eventSchema.pre('save', function(next) {
   next();
 });
 
-// Instance method to register user
-eventSchema.methods.registerUser = async function(userId, transactionId) {
-  if (this.currentParticipants >= this.maxParticipants) {
-    throw new Error('Event is full');
-  }
-  
-  const existingRegistration = this.registeredUsers.find(
-    reg => reg.user.toString() === userId.toString()
+// Instance method to register user; pass { pending: true, holdId } for a
+// registration awaiting organizer approval. The spot is claimed with one
+// guarded update so concurrent registrations cannot overfill the event;
+// pass { session } to register in the same transaction as the payment.
+// Resolves to the updated event.
+eventSchema.methods.registerUser = async function(userId, transactionId, options = {}) {
+  const { session = null } = options;
+  const revenue = options.pending ? 0 : this.currentPrice;
+  
+  const updated = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      $expr: { $lt: ['$currentParticipants', '$maxParticipants'] },
+      'registeredUsers.user': { $ne: userId }
+    },
+    {
+      $push: {
+        registeredUsers: {
+          user: userId,
+          transactionId,
+          paymentStatus: options.pending ? 'pending' : 'completed',
+          approvalStatus: options.pending ? 'pending' : 'approved',
+          holdId: options.holdId
+        }
+      },
+      // Pending registrations keep their spot; revenue counts once approved
+      $inc: {
+        currentParticipants: 1,
+        'financials.totalRevenue': revenue,
+        'financials.profit': revenue
+      }
+    },
+    { new: true, session }
   );
   
-  if (existingRegistration) {
-    throw new Error('User already registered');
+  if (!updated) {
+    const current = await this.constructor.findById(this._id).select('registeredUsers.user').session(session);
+    const registered = current && current.registeredUsers.some(
+      reg => reg.user.toString() === userId.toString()
+    );
+    throw new Error(registered ? 'User already registered' : 'Event is full');
   }
   
-  this.registeredUsers.push({
-    user: userId,
-    transactionId,
-    paymentStatus: 'completed'
-  });
-  
-  this.currentParticipants += 1;
-  this.financials.totalRevenue += this.currentPrice;
-  
-  return this.save();
+  return updated;
 };
 
 // Instance method to add to waitlist
@@ -458,7 +628,7 @@ eventSchema.methods.addToWaitlist = function(userId) {
     throw new Error('User already in waitlist');
   }
   
-  if (this.waitlist.length >= this.waitlistLimit) {
+  if (this.waitlistLimit > 0 && this.waitlist.length >= this.waitlistLimit) {
     throw new Error('Waitlist is full');
   }
   
@@ -470,6 +640,34 @@ eventSchema.methods.addToWaitlist = function(userId) {
   return this.save();
 };
 
+// Refund tiers, most notice first. refundPolicy stands in for an empty
+// schedule: full or half back until the start, or nothing.
+eventSchema.methods.getRefundTiers = function() {
+  if (this.settings.refundSchedule && this.settings.refundSchedule.length > 0) {
+    return [...this.settings.refundSchedule]
+      .map(tier => ({ hoursBefore: tier.hoursBefore, percent: tier.percent }))
+      .sort((a, b) => b.hoursBefore - a.hoursBefore);
+  }
+  
+  const policyTiers = {
+    full: [{ hoursBefore: 0, percent: 100 }],
+    partial: [{ hoursBefore: 0, percent: 50 }],
+    none: []
+  };
+  return policyTiers[this.settings.refundPolicy] || [];
+};
+
+// Share of the fee (0 to 1) refunded for a cancellation at the given time
+eventSchema.methods.refundRatioAt = function(at = new Date()) {
+  const hoursBefore = (new Date(this.startDate).getTime() - new Date(at).getTime()) / (60 * 60 * 1000);
+  if (hoursBefore < 0) {
+    return 0;
+  }
+  
+  const tier = this.getRefundTiers().find(candidate => hoursBefore >= candidate.hoursBefore);
+  return tier ? tier.percent / 100 : 0;
+};
+
 // Instance method to cancel registration
 eventSchema.methods.cancelRegistration = async function(userId) {
   const registrationIndex = this.registeredUsers.findIndex(
@@ -494,28 +692,15 @@ eventSchema.methods.cancelRegistration = async function(userId) {
   this.registeredUsers.splice(registrationIndex, 1);
   this.currentParticipants -= 1;
   
-  // Handle refund based on policy
-  let refundAmount = 0;
-  if (this.settings.refundPolicy === 'full') {
-    refundAmount = this.currentPrice;
-  } else if (this.settings.refundPolicy === 'partial') {
-    refundAmount = this.currentPrice * 0.5; // 50% refund
-  }
-  
-  if (refundAmount > 0) {
-    this.financials.refundedAmount += refundAmount;
-  }
+  // Handle refund based on policy; only a paid registration gets one. The
+  // caller refunds that share of what was actually paid and adds it to
+  // financials.refundedAmount
+  const refundRatio = registration.transactionId ? this.refundRatioAt(new Date()) : 0;
   
-  // Move first person from waitlist to registered
-  if (this.waitlist.length > 0) {
-    const firstInWaitlist = this.waitlist.shift();
-    // Update positions for remaining waitlist
-    this.waitlist.forEach((item, index) => {
-      item.position = index + 1;
-    });
-  }
+  // The freed spot is offered to the waitlist by waitlistService.promote
+  // once this is saved
   
-  return { refundAmount, registration };
+  return { refundRatio, registration };
 };
 
 // Static method to get upcoming events
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const QR_TYPES = [
+  'payment_request',
+  'merchant_payment',
+  'invoice_payment',
+  'wallet_transfer',
+  'wallet_receive',
+  'event_registration',
+  'event_checkin',
+  'mobile_login'
+];
+
+// Registry entry for a signed QR payload; scans are checked against it so a
+// payload cannot be used more often than it was issued for
+const issuedQRSchema = new mongoose.Schema({
+  qrId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: QR_TYPES,
+    required: true
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'ownerType'
+  },
+  ownerType: {
+    type: String,
+    enum: ['User', 'Merchant', 'Event']
+  },
+  // Caller's own reference, e.g. an order number or payment request ID
+  reference: String,
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'USED', 'REVOKED'],
+    default: 'ACTIVE'
+  },
+  // Unset for reusable codes such as a merchant's counter QR
+  maxUses: {
+    type: Number,
+    min: 1
+  },
+  useCount: {
+    type: Number,
+    default: 0
+  },
+  scanCount: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: Date,
+  lastScannedAt: Date,
+  lastUsedAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+issuedQRSchema.index({ ownerId: 1, type: 1, createdAt: -1 });
+issuedQRSchema.index({ status: 1, expiresAt: 1 });
+
+// Virtual for codes past their expiry
+issuedQRSchema.virtual('isExpired').get(function() {
+  return Boolean(this.expiresAt) && this.expiresAt <= new Date();
+});
+
+issuedQRSchema.statics.QR_TYPES = QR_TYPES;
+
+module.exports = mongoose.model('IssuedQR', issuedQRSchema);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const ledgerEntrySchema = new mongoose.Schema({
+  // All entries posted together share a journal id; their debits and credits
+  // always sum to the same amount.
+  journalId: {
+    type: String,
+    required: true
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  walletId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+    required: true
+  },
+  accountType: {
+    type: String,
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: ['DEBIT', 'CREDIT'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  description: {
+    type: String,
+    maxlength: 500
+  },
+  reversalOf: String,
+  postedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for performance
+ledgerEntrySchema.index({ journalId: 1 });
+ledgerEntrySchema.index({ walletId: 1, postedAt: -1 });
+ledgerEntrySchema.index({ transactionId: 1 });
+ledgerEntrySchema.index({ accountType: 1, direction: 1 });
+
+// Entries are append-only; corrections are posted as reversing journals
+const rejectMutation = function(next) {
+  next(new Error('Ledger entries are immutable; post a reversing journal instead'));
+};
+
+ledgerEntrySchema.pre('updateOne', rejectMutation);
+ledgerEntrySchema.pre('updateMany', rejectMutation);
+ledgerEntrySchema.pre('findOneAndUpdate', rejectMutation);
+ledgerEntrySchema.pre('deleteOne', rejectMutation);
+ledgerEntrySchema.pre('deleteMany', rejectMutation);
+ledgerEntrySchema.pre('findOneAndDelete', rejectMutation);
+
+// Static method to total a wallet's debits and credits
+ledgerEntrySchema.statics.getWalletTotals = async function(walletId) {
+  const totals = await this.aggregate([
+    { $match: { walletId: new mongoose.Types.ObjectId(walletId) } },
+    {
+      $group: {
+        _id: '$direction',
+        total: { $sum: '$amount' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const debit = totals.find(t => t._id === 'DEBIT');
+  const credit = totals.find(t => t._id === 'CREDIT');
+
+  return {
+    totalDebits: debit ? debit.total : 0,
+    totalCredits: credit ? credit.total : 0,
+    entryCount: (debit ? debit.count : 0) + (credit ? credit.count : 0)
+  };
+};
+
+// Static method to get all entries posted in a journal
+ledgerEntrySchema.statics.getJournal = function(journalId) {
+  return this.find({ journalId }).sort({ direction: 1, amount: -1 });
+};
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
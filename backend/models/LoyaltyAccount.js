@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A student's points or stamps with one merchant
+const loyaltyAccountSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  merchantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant',
+    required: true
+  },
+  points: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Stamps on the current card
+  stamps: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Full cards not yet redeemed
+  rewardsAvailable: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lifetime: {
+    pointsEarned: { type: Number, default: 0 },
+    pointsRedeemed: { type: Number, default: 0 },
+    stampsEarned: { type: Number, default: 0 },
+    rewardsEarned: { type: Number, default: 0 },
+    rewardsRedeemed: { type: Number, default: 0 },
+    discountReceived: { type: Number, default: 0 }
+  },
+  lastEarnedAt: Date,
+  lastRedeemedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+loyaltyAccountSchema.index({ userId: 1, merchantId: 1 }, { unique: true });
+loyaltyAccountSchema.index({ merchantId: 1, lastEarnedAt: -1 });
+
+module.exports = mongoose.model('LoyaltyAccount', loyaltyAccountSchema);
@@ -161,6 +161,16 @@ const merchantSchema = new mongoose.Schema({
       type: Number,
       default: 0,
       min: [0, 'Total ratings cannot be negative']
+    },
+    totalRefunds: {
+      type: Number,
+      default: 0,
+      min: [0, 'Total refunds cannot be negative']
+    },
+    refundCount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Refund count cannot be negative']
     }
   },
   
@@ -205,11 +215,79 @@ const merchantSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    // Payments and pre-orders take stock for catalog items with trackStock on
     hasInventory: {
       type: Boolean,
       default: false
     }
   },
+
+  // Loyalty program, active while features.supportsLoyalty is on
+  loyaltyProgram: {
+    type: {
+      type: String,
+      enum: ['STAMPS', 'POINTS']
+    },
+    // Stamp card: one stamp per qualifying payment, a full card is worth stampRewardValue
+    stampsRequired: {
+      type: Number,
+      min: [2, 'A stamp card needs at least 2 stamps'],
+      max: [50, 'A stamp card cannot need more than 50 stamps']
+    },
+    minPurchaseForStamp: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    stampRewardValue: {
+      type: Number,
+      min: 0
+    },
+    // Points: earned per currency unit spent, each worth pointValue at checkout
+    pointsPerUnit: {
+      type: Number,
+      min: 0
+    },
+    pointValue: {
+      type: Number,
+      min: 0
+    },
+    minRedeemPoints: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    maxRedeemPercent: {
+      type: Number,
+      default: 50,
+      min: 1,
+      max: 100
+    },
+    updatedAt: Date
+  },
+
+  // Pickup slots for canteen pre-orders, used while features.acceptsPreOrders is on
+  preOrderSettings: {
+    slotMinutes: {
+      type: Number,
+      default: 15,
+      min: [5, 'Pickup slots must be at least 5 minutes'],
+      max: [120, 'Pickup slots cannot exceed 120 minutes']
+    },
+    ordersPerSlot: {
+      type: Number,
+      default: 10,
+      min: [1, 'At least one order per slot is required'],
+      max: [200, 'Orders per slot cannot exceed 200']
+    },
+    // Earliest pickup is this many minutes after the order is placed
+    minLeadMinutes: {
+      type: Number,
+      default: 15,
+      min: 0,
+      max: 240
+    }
+  },
   
   // Media
   images: {
@@ -335,6 +413,20 @@ merchantSchema.methods.updateMetrics = async function(transactionAmount, isNewCu
   return this.save();
 };
 
+// Instance method to record a refund against earnings
+merchantSchema.methods.recordRefund = async function(refundAmount) {
+  this.metrics.totalEarnings = Math.max(0, this.metrics.totalEarnings - refundAmount);
+  this.metrics.totalRefunds += refundAmount;
+  this.metrics.refundCount += 1;
+  
+  // Recalculate average transaction amount
+  this.metrics.averageTransactionAmount = this.metrics.totalTransactions > 0
+    ? this.metrics.totalEarnings / this.metrics.totalTransactions
+    : 0;
+  
+  return this.save();
+};
+
 // Instance method to add rating
 merchantSchema.methods.addRating = function(rating) {
   if (rating < 1 || rating > 5) {
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const ITEM_STATUSES = ['SETTLED', 'DUPLICATE', 'FLAGGED'];
+
+const syncItemSchema = new mongoose.Schema({
+  tokenId: String,
+  amount: Number,
+  acceptedAt: Date,
+  reference: String,
+  status: {
+    type: String,
+    enum: ITEM_STATUSES,
+    required: true
+  },
+  // Why an item was flagged, e.g. DOUBLE_SPEND or INVALID_SIGNATURE
+  reason: String,
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  review: {
+    status: {
+      type: String,
+      enum: ['OPEN', 'RESOLVED'],
+      default: undefined
+    },
+    note: String,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date
+  }
+});
+
+// One upload of queued offline payments from a merchant device
+const offlineSyncBatchSchema = new mongoose.Schema({
+  batchId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  merchantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant',
+    required: true
+  },
+  deviceId: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  items: [syncItemSchema],
+  counts: {
+    settled: { type: Number, default: 0 },
+    duplicate: { type: Number, default: 0 },
+    flagged: { type: Number, default: 0 }
+  },
+  settledAmount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+offlineSyncBatchSchema.index({ merchantId: 1, createdAt: -1 });
+offlineSyncBatchSchema.index({ 'items.review.status': 1, createdAt: -1 });
+
+offlineSyncBatchSchema.statics.ITEM_STATUSES = ITEM_STATUSES;
+
+module.exports = mongoose.model('OfflineSyncBatch', offlineSyncBatchSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const TOKEN_STATUSES = ['ISSUED', 'REDEEMED', 'CANCELLED', 'EXPIRED'];
+
+// A signed, amount-capped token a student hands to a merchant device that
+// cannot reach the server. The cap is held on the wallet until it is synced.
+const offlineTokenSchema = new mongoose.Schema({
+  tokenId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  walletId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+    required: true
+  },
+  holdId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WalletHold',
+    required: true
+  },
+  cap: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Cap must be positive']
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true
+  },
+  status: {
+    type: String,
+    enum: TOKEN_STATUSES,
+    default: 'ISSUED'
+  },
+  // Last moment a merchant device may accept the token
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  merchantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant'
+  },
+  amount: Number,
+  // When the merchant device took the token, by its own clock
+  acceptedAt: Date,
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  syncedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+offlineTokenSchema.index({ userId: 1, status: 1, createdAt: -1 });
+offlineTokenSchema.index({ holdId: 1 });
+
+offlineTokenSchema.statics.TOKEN_STATUSES = TOKEN_STATUSES;
+
+module.exports = mongoose.model('OfflineToken', offlineTokenSchema);
@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+
+const ORDER_STATUSES = ['PLACED', 'ACCEPTED', 'PREPARING', 'READY', 'COLLECTED', 'REJECTED', 'CANCELLED'];
+
+// Moves a merchant may make from each status. PLACED orders are only held;
+// acceptance captures the payment.
+const ORDER_TRANSITIONS = {
+  PLACED: ['ACCEPTED', 'REJECTED'],
+  ACCEPTED: ['PREPARING', 'CANCELLED'],
+  PREPARING: ['READY', 'CANCELLED'],
+  READY: ['COLLECTED'],
+  COLLECTED: [],
+  REJECTED: [],
+  CANCELLED: []
+};
+
+const ACTIVE_STATUSES = ['PLACED', 'ACCEPTED', 'PREPARING', 'READY'];
+
+const orderItemSchema = new mongoose.Schema({
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CatalogItem',
+    required: true
+  },
+  variantId: mongoose.Schema.Types.ObjectId,
+  // Name and price as they were when ordered
+  name: {
+    type: String,
+    required: true
+  },
+  variantName: String,
+  sku: String,
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 20
+  },
+  lineTotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  notes: {
+    type: String,
+    maxlength: 200
+  }
+}, { _id: false });
+
+// A canteen pre-order: paid by wallet hold, collected at a pickup slot
+const orderSchema = new mongoose.Schema({
+  orderId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  merchantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant',
+    required: true
+  },
+  items: {
+    type: [orderItemSchema],
+    validate: [items => items.length > 0, 'An order needs at least one item']
+  },
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  // Amount held and charged, after currency conversion
+  total: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true
+  },
+  pickupSlot: {
+    start: { type: Date, required: true },
+    end: { type: Date, required: true }
+  },
+  // Shown to the counter at pickup
+  pickupCode: {
+    type: String,
+    required: true
+  },
+  notes: {
+    type: String,
+    maxlength: 300
+  },
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    default: 'PLACED'
+  },
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: ORDER_STATUSES
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String
+  }],
+  holdId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WalletHold'
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  refundTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  cancelReason: String
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+orderSchema.index({ merchantId: 1, status: 1, 'pickupSlot.start': 1 });
+orderSchema.index({ userId: 1, createdAt: -1 });
+orderSchema.index({ holdId: 1 });
+
+// Virtual for orders still on the kitchen queue
+orderSchema.virtual('isActive').get(function() {
+  return ACTIVE_STATUSES.includes(this.status);
+});
+
+// Instance method to check a merchant status change
+orderSchema.methods.canMoveTo = function(status) {
+  return (ORDER_TRANSITIONS[this.status] || []).includes(status);
+};
+
+orderSchema.statics.ORDER_STATUSES = ORDER_STATUSES;
+orderSchema.statics.ORDER_TRANSITIONS = ORDER_TRANSITIONS;
+orderSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+module.exports = mongoose.model('Order', orderSchema);
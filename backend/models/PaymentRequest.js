@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const REQUEST_STATUSES = ['PENDING', 'PAID', 'CANCELLED', 'EXPIRED'];
+
+// A fixed-amount payment a merchant's till asks for through a short-lived QR
+const paymentRequestSchema = new mongoose.Schema({
+  requestId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  merchantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Bill amount before conversion, as a student would type it at /pay
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Amount must be positive']
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true
+  },
+  // The till's order or bill number, shown to the student and on the payment
+  reference: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [50, 'Reference cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  // Registry entry of the QR; it enforces the single use
+  qrId: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: REQUEST_STATUSES,
+    default: 'PENDING'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  paidAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+paymentRequestSchema.index({ merchantId: 1, status: 1, createdAt: -1 });
+paymentRequestSchema.index({ status: 1, expiresAt: 1 });
+
+// Virtual for a pending request past its expiry that nobody has swept yet
+paymentRequestSchema.virtual('isExpired').get(function() {
+  return this.status === 'EXPIRED' || (this.status === 'PENDING' && this.expiresAt <= new Date());
+});
+
+paymentRequestSchema.statics.REQUEST_STATUSES = REQUEST_STATUSES;
+
+module.exports = mongoose.model('PaymentRequest', paymentRequestSchema);
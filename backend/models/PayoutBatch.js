@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+const payoutEntrySchema = new mongoose.Schema({
+  settlementId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Settlement',
+    required: true
+  },
+  // Settlement number; sent to the bank as the customer reference
+  reference: {
+    type: String,
+    required: true
+  },
+  merchantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant'
+  },
+  beneficiaryName: String,
+  accountLast4: String,
+  ifscCode: String,
+  paymentMode: {
+    type: String,
+    enum: ['NEFT', 'RTGS']
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['EXPORTED', 'PAID', 'FAILED'],
+    default: 'EXPORTED'
+  },
+  bankReference: String,
+  failureReason: String,
+  resolvedAt: Date
+}, { _id: false });
+
+const returnFileSchema = new mongoose.Schema({
+  fileName: String,
+  checksum: {
+    type: String,
+    required: true
+  },
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  importedAt: {
+    type: Date,
+    default: Date.now
+  },
+  paid: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  skipped: { type: Number, default: 0 },
+  unmatched: [String]
+}, { _id: false });
+
+const payoutBatchSchema = new mongoose.Schema({
+  batchId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  format: {
+    type: String,
+    enum: ['NEFT_RTGS_CSV', 'FIXED_WIDTH'],
+    required: true
+  },
+  entries: [payoutEntrySchema],
+  entryCount: {
+    type: Number,
+    required: true
+  },
+  totalAmount: {
+    type: Number,
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the exact bytes handed to the bank
+  checksum: {
+    type: String,
+    required: true
+  },
+  // Kept for re-download; holds full account numbers
+  content: {
+    type: String,
+    required: true,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: ['EXPORTED', 'PARTIALLY_RECONCILED', 'RECONCILED'],
+    default: 'EXPORTED'
+  },
+  exportedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  returnFiles: [returnFileSchema]
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+payoutBatchSchema.index({ status: 1, createdAt: -1 });
+payoutBatchSchema.index({ 'entries.settlementId': 1 });
+
+// Instance method to recompute batch status from its entries
+payoutBatchSchema.methods.refreshStatus = function() {
+  const open = this.entries.filter(entry => entry.status === 'EXPORTED').length;
+  if (open === 0) {
+    this.status = 'RECONCILED';
+  } else if (open < this.entries.length) {
+    this.status = 'PARTIALLY_RECONCILED';
+  } else {
+    this.status = 'EXPORTED';
+  }
+  return this.status;
+};
+
+module.exports = mongoose.model('PayoutBatch', payoutBatchSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const SCAN_ACTIONS = ['SCAN', 'REDEEM', 'REJECTED'];
+
+// One scan or redemption of an issued QR, kept for analytics
+const qrScanSchema = new mongoose.Schema({
+  qrId: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: SCAN_ACTIONS,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Why a scan was turned away, e.g. QR_ALREADY_USED
+  reason: String,
+  metadata: {
+    ip: String,
+    userAgent: String,
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    }
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for performance
+qrScanSchema.index({ qrId: 1, createdAt: -1 });
+qrScanSchema.index({ qrId: 1, action: 1, userId: 1 });
+
+qrScanSchema.statics.SCAN_ACTIONS = SCAN_ACTIONS;
+
+module.exports = mongoose.model('QRScan', qrScanSchema);
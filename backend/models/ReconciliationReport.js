@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const DISCREPANCY_TYPES = ['MISSING', 'ORPHANED', 'AMOUNT_MISMATCH', 'STATUS_MISMATCH'];
+
+const discrepancySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: DISCREPANCY_TYPES,
+    required: true
+  },
+  // Which Square object the record is about
+  kind: {
+    type: String,
+    enum: ['PAYMENT', 'REFUND'],
+    required: true
+  },
+  squareId: String,
+  squareStatus: String,
+  squareAmount: Number,
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  transactionRef: String,
+  transactionStatus: String,
+  transactionAmount: Number,
+  message: {
+    type: String,
+    required: true
+  },
+  resolved: {
+    type: Boolean,
+    default: false
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date,
+  resolutionNote: String
+});
+
+const reconciliationReportSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['SQUARE'],
+    default: 'SQUARE'
+  },
+  locationId: String,
+  window: {
+    beginTime: {
+      type: Date,
+      required: true
+    },
+    endTime: {
+      type: Date,
+      required: true
+    }
+  },
+  trigger: {
+    type: String,
+    enum: ['SCHEDULED', 'MANUAL'],
+    default: 'SCHEDULED'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['RUNNING', 'COMPLETED', 'FAILED'],
+    default: 'RUNNING'
+  },
+  summary: {
+    squarePayments: { type: Number, default: 0 },
+    squareRefunds: { type: Number, default: 0 },
+    transactionsChecked: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 },
+    discrepancies: { type: Number, default: 0 },
+    missing: { type: Number, default: 0 },
+    orphaned: { type: Number, default: 0 },
+    amountMismatch: { type: Number, default: 0 },
+    statusMismatch: { type: Number, default: 0 }
+  },
+  discrepancies: [discrepancySchema],
+  error: String,
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+reconciliationReportSchema.index({ 'window.beginTime': -1 });
+reconciliationReportSchema.index({ status: 1, createdAt: -1 });
+reconciliationReportSchema.index({ 'summary.discrepancies': 1, createdAt: -1 });
+
+// Static method to get the latest completed report
+reconciliationReportSchema.statics.getLatest = function() {
+  return this.findOne({ status: 'COMPLETED' }).sort({ 'window.endTime': -1 });
+};
+
+reconciliationReportSchema.statics.DISCREPANCY_TYPES = DISCREPANCY_TYPES;
+
+module.exports = mongoose.model('ReconciliationReport', reconciliationReportSchema);
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+
+const REWARD_TRIGGERS = ['PAYMENT', 'TOP_UP'];
+const CAP_PERIODS = ['DAY', 'WEEK', 'MONTH', 'CAMPAIGN'];
+
+// A cashback or bonus campaign, e.g. "5% back at canteens, up to 50 a week"
+const rewardSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Code must be 3-30 letters, digits, _ or -']
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  trigger: {
+    type: String,
+    enum: REWARD_TRIGGERS,
+    required: true
+  },
+  calculation: {
+    type: {
+      type: String,
+      enum: ['PERCENTAGE', 'FLAT'],
+      required: true
+    },
+    // Percent of the amount for PERCENTAGE, currency units for FLAT
+    value: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    maxPerTransaction: {
+      type: Number,
+      min: 0
+    }
+  },
+  minAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Only the user's first completed payment or top-up qualifies
+  firstTransactionOnly: {
+    type: Boolean,
+    default: false
+  },
+  // Empty lists mean every merchant; ignored for top-ups
+  targeting: {
+    merchantIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Merchant'
+    }],
+    merchantCategories: [{
+      type: String,
+      enum: ['canteen', 'shop', 'stationery', 'event_organizer', 'club', 'transport', 'library', 'sports', 'medical']
+    }]
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: Date,
+  budget: {
+    total: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    spent: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  perUserCap: {
+    amount: {
+      type: Number,
+      min: 0
+    },
+    count: {
+      type: Number,
+      min: 1
+    },
+    period: {
+      type: String,
+      enum: CAP_PERIODS,
+      default: 'CAMPAIGN'
+    }
+  },
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'PAUSED', 'EXHAUSTED', 'ENDED'],
+    default: 'ACTIVE'
+  },
+  grantCount: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+rewardSchema.index({ trigger: 1, status: 1, startsAt: 1 });
+rewardSchema.index({ status: 1, createdAt: -1 });
+
+// Virtual for budget left to give away
+rewardSchema.virtual('budgetRemaining').get(function() {
+  if (!this.budget) return 0;
+  return Math.max(0, Math.round((this.budget.total - this.budget.spent) * 100) / 100);
+});
+
+// Static method to find campaigns running for a trigger at a point in time
+rewardSchema.statics.findRunning = function(trigger, at = new Date()) {
+  return this.find({
+    trigger,
+    status: 'ACTIVE',
+    startsAt: { $lte: at },
+    $or: [{ endsAt: null }, { endsAt: { $gt: at } }]
+  });
+};
+
+// Instance method to check whether a transaction is in scope for the campaign
+rewardSchema.methods.appliesTo = function({ amount, merchant }) {
+  if (amount < (this.minAmount || 0)) return false;
+  if (this.trigger !== 'PAYMENT') return true;
+
+  const { merchantIds = [], merchantCategories = [] } = this.targeting || {};
+  if (merchantIds.length && !merchantIds.some(id => merchant && id.equals(merchant._id))) {
+    return false;
+  }
+  if (merchantCategories.length && !(merchant && merchantCategories.includes(merchant.category))) {
+    return false;
+  }
+  return true;
+};
+
+// Instance method to work out the reward on an amount, before caps
+rewardSchema.methods.calculate = function(amount) {
+  const { type, value, maxPerTransaction } = this.calculation;
+  let reward = type === 'PERCENTAGE' ? amount * value / 100 : value;
+  if (maxPerTransaction) reward = Math.min(reward, maxPerTransaction);
+  return Math.floor(reward * 100) / 100;
+};
+
+rewardSchema.statics.REWARD_TRIGGERS = REWARD_TRIGGERS;
+rewardSchema.statics.CAP_PERIODS = CAP_PERIODS;
+
+module.exports = mongoose.model('Reward', rewardSchema);
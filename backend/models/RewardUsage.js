@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const rewardUsageSchema = new mongoose.Schema({
+  rewardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reward',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Start of the perUserCap period; null when the cap spans the campaign
+  periodStart: {
+    type: Date,
+    default: null
+  },
+  amount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// One counter per user and cap period; grants reserve against it with a
+// guarded $inc so concurrent payments cannot pass the cap together
+rewardUsageSchema.index({ rewardId: 1, userId: 1, periodStart: 1 }, { unique: true });
+
+module.exports = mongoose.model('RewardUsage', rewardUsageSchema);
@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+
+const lineItemSchema = new mongoose.Schema({
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  transactionRef: String,
+  category: {
+    type: String,
+    enum: ['PAYMENT', 'REFUND', 'REVERSAL'],
+    required: true
+  },
+  occurredAt: Date,
+  // Refunds and reversals carry negative amounts
+  grossAmount: {
+    type: Number,
+    required: true
+  },
+  commission: {
+    type: Number,
+    default: 0
+  },
+  netAmount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const holdSchema = new mongoose.Schema({
+  disputeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dispute',
+    required: true
+  },
+  disputeRef: String,
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const settlementSchema = new mongoose.Schema({
+  settlementId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  merchantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant',
+    required: true
+  },
+  cycle: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly'],
+    required: true
+  },
+  // Start is the oldest unsettled line, so carried-over amounts show up here
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  lineItems: [lineItemSchema],
+  // Open disputes withheld from this payout, and earlier holds paid out now
+  holds: [holdSchema],
+  releasedHolds: [holdSchema],
+  totals: {
+    grossSales: { type: Number, default: 0 },
+    refunds: { type: Number, default: 0 },
+    commission: { type: Number, default: 0 },
+    net: { type: Number, default: 0 },
+    disputeHolds: { type: Number, default: 0 },
+    holdReleases: { type: Number, default: 0 },
+    payable: { type: Number, default: 0 }
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'APPROVED', 'PAID', 'CANCELLED'],
+    default: 'PENDING'
+  },
+  // Snapshot of where the money goes, taken when the batch is created
+  bankDetails: {
+    accountHolderName: String,
+    accountNumber: {
+      type: String,
+      select: false
+    },
+    accountLast4: String,
+    ifscCode: String,
+    bankName: String
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  paidAt: Date,
+  payoutReference: String,
+  // Bank file the settlement is currently exported in
+  payoutBatchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutBatch'
+  },
+  payoutFailures: [{
+    _id: false,
+    batchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PayoutBatch'
+    },
+    reason: String,
+    failedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  payoutTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date,
+  cancelReason: String
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+settlementSchema.index({ merchantId: 1, periodEnd: -1 });
+settlementSchema.index({ status: 1, periodEnd: -1 });
+// One live settlement per merchant and cycle; cancelled ones carry a
+// cancelledAt and so do not collide with the batch that replaces them
+settlementSchema.index({ merchantId: 1, periodEnd: 1, cancelledAt: 1 }, { unique: true });
+
+module.exports = mongoose.model('Settlement', settlementSchema);
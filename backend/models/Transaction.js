@@ -33,7 +33,7 @@ const transactionSchema = new mongoose.Schema({
   },
   category: {
     type: String,
-    enum: ['TRANSFER', 'TOP_UP', 'WITHDRAWAL', 'PAYMENT', 'REFUND', 'REVERSAL'],
+    enum: ['TRANSFER', 'TOP_UP', 'WITHDRAWAL', 'PAYMENT', 'EVENT_PAYMENT', 'REFUND', 'REVERSAL', 'CASHBACK', 'VOUCHER'],
     required: true
   },
   status: {
@@ -63,8 +63,10 @@ const transactionSchema = new mongoose.Schema({
     type: String,
     sparse: true
   },
+  // Unique so webhook deliveries of one refund share a single row
   squareRefundId: {
     type: String,
+    unique: true,
     sparse: true
   },
   squareOrderId: {
@@ -72,6 +74,40 @@ const transactionSchema = new mongoose.Schema({
     sparse: true
   },
   metadata: {
+    merchantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Merchant'
+    },
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event'
+    },
+    // Campaign that paid a CASHBACK credit
+    rewardId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Reward'
+    },
+    // Authorization hold a captured payment came from
+    holdId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WalletHold'
+    },
+    // Gift voucher redeemed by a VOUCHER credit
+    voucherId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Voucher'
+    },
+    // Till payment request a QR payment settled, with the till's reference
+    paymentRequestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PaymentRequest'
+    },
+    orderReference: String,
+    qrCode: String,
+    location: {
+      latitude: Number,
+      longitude: Number
+    },
     squarePayment: {
       paymentId: String,
       status: String,
@@ -119,6 +155,112 @@ const transactionSchema = new mongoose.Schema({
     },
     description: String
   },
+  // Price before checkout discounts; amount is what was actually charged
+  grossAmount: Number,
+  discounts: [{
+    _id: false,
+    source: {
+      type: String,
+      enum: ['LOYALTY', 'COUPON'],
+      required: true
+    },
+    description: String,
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    // PLATFORM discounts are paid to the payee from promotions
+    fundedBy: {
+      type: String,
+      enum: ['PLATFORM', 'MERCHANT'],
+      default: 'MERCHANT'
+    },
+    reference: String
+  }],
+  // Catalog items an itemized payment was for, priced before discounts
+  lineItems: [{
+    _id: false,
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CatalogItem',
+      required: true
+    },
+    variantId: mongoose.Schema.Types.ObjectId,
+    name: {
+      type: String,
+      required: true
+    },
+    variantName: String,
+    sku: String,
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    lineTotal: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  // Loyalty points and stamps moved by a merchant payment
+  loyalty: {
+    pointsEarned: Number,
+    stampsEarned: Number,
+    // Taken back as the payment was refunded or disputed
+    pointsReversed: Number,
+    stampsReversed: Number,
+    pointsRedeemed: Number,
+    stampRewardsRedeemed: Number
+  },
+  // Other leg of a two-sided transaction (e.g. sender/receiver of a transfer)
+  relatedTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  // Journal posted to the double-entry ledger for this transaction
+  ledger: {
+    journalId: String,
+    postedAt: Date
+  },
+  // Merchant settlement batch this transaction was paid out in
+  settlementId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Settlement'
+  },
+  // Total refunded against a payment, including refunds awaiting approval
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Merchant-initiated refund details (category REFUND)
+  refund: {
+    reason: String,
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    commissionReversed: Number,
+    // Platform-funded discount on the payment taken back from the merchant
+    subsidyReversed: Number,
+    approvalStatus: {
+      type: String,
+      enum: ['NOT_REQUIRED', 'PENDING_APPROVAL', 'APPROVED', 'REJECTED']
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    reviewNote: String
+  },
   processedAt: Date,
   completedAt: Date,
   failedAt: Date,
@@ -137,10 +279,20 @@ transactionSchema.index({ status: 1 });
 transactionSchema.index({ category: 1 });
 transactionSchema.index({ type: 1 });
 transactionSchema.index({ squarePaymentId: 1 }, { sparse: true });
+transactionSchema.index({ 'refund.approvalStatus': 1, createdAt: -1 }, { sparse: true });
+transactionSchema.index({ 'metadata.merchantId': 1, createdAt: -1 });
+transactionSchema.index({ 'metadata.merchantId': 1, settlementId: 1, status: 1, completedAt: 1 });
+transactionSchema.index({ 'ledger.journalId': 1 }, { sparse: true });
+// One grant per campaign per qualifying transaction
+transactionSchema.index(
+  { 'metadata.rewardId': 1, relatedTransactionId: 1 },
+  { unique: true, partialFilterExpression: { category: 'CASHBACK' } }
+);
+transactionSchema.index({ 'metadata.rewardId': 1, userId: 1, createdAt: -1 }, { sparse: true });
 transactionSchema.index({ createdAt: -1 });
 
 // Virtual for net amount
-walletSchema.virtual('netAmount').get(function() {
+transactionSchema.virtual('netAmount').get(function() {
   return this.amount + (this.fees?.amount || 0);
 });
 
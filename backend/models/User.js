@@ -95,6 +95,12 @@ const userSchema = new mongoose.Schema({
   emailVerificationExpires: Date,
   
   // Spending tracking
+  // Mirror of the wallet's open authorization holds
+  heldBalance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Held balance cannot be negative']
+  },
   dailySpentAmount: {
     type: Number,
     default: 0,
@@ -209,14 +215,15 @@ userSchema.methods.canSpend = function(amount) {
   this.resetDailySpentIfNeeded();
   
   const dailyLimit = parseFloat(process.env.DAILY_TRANSACTION_LIMIT) || 5000;
-  const hasBalance = this.walletBalance >= amount;
+  const availableBalance = Math.round((this.walletBalance - (this.heldBalance || 0)) * 100) / 100;
+  const hasBalance = availableBalance >= amount;
   const withinDailyLimit = (this.dailySpentAmount + amount) <= dailyLimit;
   
   return {
     canSpend: hasBalance && withinDailyLimit,
     hasBalance,
     withinDailyLimit,
-    availableBalance: this.walletBalance,
+    availableBalance,
     dailySpent: this.dailySpentAmount,
     dailyLimit
   };
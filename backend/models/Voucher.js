@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+const VOUCHER_USAGES = ['SINGLE_USE', 'PARTIAL'];
+
+// A redeemable gift voucher or prepaid campus card, e.g. freshers' welcome
+// credit or hackathon prize money
+const voucherSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  // Vouchers generated together share a batch for export and reporting
+  batchId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // SINGLE_USE pays out the whole value at once; PARTIAL can be drawn down
+  // in parts by whoever redeems it first
+  usage: {
+    type: String,
+    enum: VOUCHER_USAGES,
+    default: 'SINGLE_USE'
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Value must be positive']
+  },
+  balance: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'REDEEMED', 'VOID'],
+    default: 'ACTIVE'
+  },
+  // Only this student may redeem it, e.g. a named prize winner
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set on first redemption; partial vouchers stay with this student
+  holderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  redemptions: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    amount: Number,
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    },
+    redeemedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  lastRedeemedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  voided: {
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: Date,
+    reason: String
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+voucherSchema.index({ status: 1, expiresAt: 1 });
+voucherSchema.index({ holderId: 1, createdAt: -1 });
+voucherSchema.index({ assignedTo: 1, status: 1 });
+
+// Virtual for vouchers past their expiry that still hold value
+voucherSchema.virtual('isExpired').get(function() {
+  return this.status === 'ACTIVE' && this.expiresAt <= new Date();
+});
+
+// Virtual for what has been paid out so far
+voucherSchema.virtual('redeemedAmount').get(function() {
+  return Math.round((this.value - this.balance) * 100) / 100;
+});
+
+voucherSchema.statics.VOUCHER_USAGES = VOUCHER_USAGES;
+
+module.exports = mongoose.model('Voucher', voucherSchema);
@@ -0,0 +1,222 @@
+const mongoose = require('mongoose');
+const { generateWalletId } = require('../utils/helpers');
+
+// Platform-owned ledger accounts. Every unit of value held in a user or
+// merchant wallet is matched by a unit in the float (money received from
+// Square that has not been paid out yet).
+const SYSTEM_ACCOUNTS = {
+  PLATFORM_FLOAT: {
+    name: 'Platform float',
+    normalBalance: 'DEBIT'
+  },
+  PLATFORM_REVENUE: {
+    name: 'Platform commission revenue',
+    normalBalance: 'CREDIT'
+  },
+  PLATFORM_PROMOTIONS: {
+    name: 'Platform promotions expense',
+    normalBalance: 'DEBIT'
+  },
+  EVENT_COLLECTIONS: {
+    name: 'Event registration collections',
+    normalBalance: 'CREDIT'
+  }
+};
+
+const walletSchema = new mongoose.Schema({
+  walletId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  accountType: {
+    type: String,
+    enum: ['USER', 'MERCHANT', ...Object.keys(SYSTEM_ACCOUNTS)],
+    default: 'USER'
+  },
+  // Side on which the account grows. Wallets owed to users and merchants are
+  // liabilities of the platform (credit normal); the float is an asset.
+  normalBalance: {
+    type: String,
+    enum: ['DEBIT', 'CREDIT'],
+    default: 'CREDIT'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  merchantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant'
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Wallet name cannot exceed 100 characters']
+  },
+  // Cached balance. The ledger entries are the source of truth; this value is
+  // only ever changed by ledgerService.postJournal in the same session as the
+  // entries it summarises.
+  balance: {
+    type: Number,
+    default: 0
+  },
+  // Funds reserved by open authorization holds. They stay in balance until
+  // captured but cannot be spent elsewhere.
+  heldAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'SUSPENDED', 'CLOSED'],
+    default: 'ACTIVE'
+  },
+  pin: {
+    isSet: {
+      type: Boolean,
+      default: false
+    },
+    hash: {
+      type: String,
+      select: false
+    },
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: Date
+  },
+  // Secret behind the rotating pay code the student shows at a counter; the
+  // app keeps a copy so it can show codes while offline
+  payCode: {
+    secret: {
+      type: String,
+      select: false
+    },
+    enabledAt: Date,
+    // Last time step charged, so a code is never accepted twice
+    lastCounter: {
+      type: Number,
+      default: 0
+    }
+  },
+  ledger: {
+    entryCount: {
+      type: Number,
+      default: 0
+    },
+    totalDebits: {
+      type: Number,
+      default: 0
+    },
+    totalCredits: {
+      type: Number,
+      default: 0
+    },
+    lastEntryAt: Date,
+    lastVerifiedAt: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+walletSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { accountType: 'USER' } }
+);
+walletSchema.index(
+  { merchantId: 1 },
+  { unique: true, partialFilterExpression: { accountType: 'MERCHANT' } }
+);
+walletSchema.index({ accountType: 1, status: 1 });
+
+// Virtual for spendable balance
+walletSchema.virtual('availableBalance').get(function() {
+  return Math.round(((this.balance || 0) - (this.heldAmount || 0)) * 100) / 100;
+});
+
+// Instance method to check if the wallet can be debited
+walletSchema.methods.canTransact = function() {
+  return this.isActive && this.status === 'ACTIVE';
+};
+
+// Static method to create a wallet for a user
+walletSchema.statics.createWallet = async function(userId, options = {}) {
+  const existing = await this.findOne({ userId, accountType: 'USER' }).session(options.session || null);
+  if (existing) {
+    return existing;
+  }
+
+  const wallet = new this({
+    walletId: generateWalletId(userId),
+    accountType: 'USER',
+    normalBalance: 'CREDIT',
+    userId,
+    currency: options.currency || 'USD'
+  });
+
+  return wallet.save({ session: options.session });
+};
+
+// Static method to find a user's wallet
+walletSchema.statics.findByUserId = function(userId) {
+  return this.findOne({ userId, accountType: 'USER' });
+};
+
+// Static method to get (or lazily open) a merchant's settlement account
+walletSchema.statics.getMerchantWallet = async function(merchantId, options = {}) {
+  const existing = await this.findOne({ merchantId, accountType: 'MERCHANT' }).session(options.session || null);
+  if (existing) {
+    return existing;
+  }
+
+  const wallet = new this({
+    walletId: generateWalletId(merchantId).replace('WALLET_', 'MERCHANT_'),
+    accountType: 'MERCHANT',
+    normalBalance: 'CREDIT',
+    merchantId,
+    currency: options.currency || 'USD'
+  });
+
+  return wallet.save({ session: options.session });
+};
+
+// Static method to get (or lazily open) a platform account
+walletSchema.statics.getSystemWallet = async function(accountType, options = {}) {
+  const definition = SYSTEM_ACCOUNTS[accountType];
+  if (!definition) {
+    throw new Error(`Unknown system account: ${accountType}`);
+  }
+
+  return this.findOneAndUpdate(
+    { accountType },
+    {
+      $setOnInsert: {
+        walletId: accountType,
+        accountType,
+        normalBalance: definition.normalBalance,
+        name: definition.name,
+        currency: options.currency || 'USD'
+      }
+    },
+    { new: true, upsert: true, session: options.session }
+  );
+};
+
+walletSchema.statics.SYSTEM_ACCOUNTS = SYSTEM_ACCOUNTS;
+
+module.exports = mongoose.model('Wallet', walletSchema);
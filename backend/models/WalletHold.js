@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const HOLD_PURPOSES = ['PRE_ORDER', 'EVENT_REGISTRATION', 'WAITLIST_OFFER', 'OFFLINE_PAYMENT'];
+
+// Funds reserved on a student's wallet until they are captured, voided or
+// the hold expires
+const walletHoldSchema = new mongoose.Schema({
+  holdId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  walletId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Hold amount must be positive']
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true
+  },
+  purpose: {
+    type: String,
+    enum: HOLD_PURPOSES,
+    required: true
+  },
+  merchantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant'
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Caller's own reference, e.g. an order number
+  reference: String,
+  status: {
+    type: String,
+    enum: ['HELD', 'CAPTURED', 'VOIDED', 'EXPIRED'],
+    default: 'HELD'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  capturedAmount: {
+    type: Number,
+    default: 0
+  },
+  captureTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  capturedAt: Date,
+  releasedAt: Date,
+  voidReason: String,
+  metadata: {
+    couponCode: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+walletHoldSchema.index({ status: 1, expiresAt: 1 });
+walletHoldSchema.index({ userId: 1, createdAt: -1 });
+walletHoldSchema.index({ merchantId: 1, status: 1, createdAt: -1 });
+walletHoldSchema.index({ eventId: 1, userId: 1 });
+
+walletHoldSchema.statics.HOLD_PURPOSES = HOLD_PURPOSES;
+
+module.exports = mongoose.model('WalletHold', walletHoldSchema);
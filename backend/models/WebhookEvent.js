@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Inbox of webhook deliveries. Every event is stored before it is processed,
+// so duplicates can be dropped by event id and failures replayed later.
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['SQUARE'],
+    default: 'SQUARE'
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  // Id of the Square object the event is about (payment or refund id)
+  objectId: String,
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['RECEIVED', 'PROCESSING', 'PROCESSED', 'IGNORED', 'FAILED'],
+    default: 'RECEIVED'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  result: mongoose.Schema.Types.Mixed,
+  lastError: String,
+  duplicateDeliveries: {
+    type: Number,
+    default: 0
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ status: 1, receivedAt: -1 });
+webhookEventSchema.index({ objectId: 1 });
+webhookEventSchema.index({ type: 1, receivedAt: -1 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -1,9 +1,31 @@
 const express = require('express');
-const { query, body, validationResult } = require('express-validator');
+const { query, body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
 const Merchant = require('../models/Merchant');
 const Event = require('../models/Event');
+const Wallet = require('../models/Wallet');
+const AuditLog = require('../models/AuditLog');
+const WebhookEvent = require('../models/WebhookEvent');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const Dispute = require('../models/Dispute');
+const Settlement = require('../models/Settlement');
+const PayoutBatch = require('../models/PayoutBatch');
+const Reward = require('../models/Reward');
+const Coupon = require('../models/Coupon');
+const Voucher = require('../models/Voucher');
+const OfflineSyncBatch = require('../models/OfflineSyncBatch');
+const ledgerService = require('../services/ledgerService');
+const squareWebhookService = require('../services/squareWebhookService');
+const reconciliationService = require('../services/reconciliationService');
+const refundService = require('../services/refundService');
+const disputeService = require('../services/disputeService');
+const settlementService = require('../services/settlementService');
+const payoutFileService = require('../services/payoutFileService');
+const rewardService = require('../services/rewardService');
+const couponService = require('../services/couponService');
+const voucherService = require('../services/voucherService');
+const { socketEmitters } = require('../config/socket');
 const { auth, adminAuth } = require('../middleware/auth');
 
 const router = express.Router();
@@ -652,4 +674,2558 @@ router.get('/analytics/revenue', [
   }
 });
 
+// @route   GET /api/admin/ledger/trial-balance
+// @desc    Prove that ledger debits equal credits and wallets match their entries
+// @access  Private (Admin)
+router.get('/ledger/trial-balance', async (req, res) => {
+  try {
+    const trialBalance = await ledgerService.getTrialBalance();
+
+    if (!trialBalance.balanced) {
+      await AuditLog.logSystem({
+        action: 'LEDGER_OUT_OF_BALANCE',
+        status: 'WARNING',
+        severity: 'CRITICAL',
+        details: {
+          totals: trialBalance.totals,
+          equation: trialBalance.equation,
+          driftedWallets: trialBalance.driftedWallets.length
+        }
+      });
+    }
+
+    res.json({
+      message: 'Trial balance generated successfully',
+      trialBalance
+    });
+
+  } catch (error) {
+    console.error('Trial balance error:', error);
+    res.status(500).json({ 
+      message: 'Failed to generate trial balance',
+      code: 'TRIAL_BALANCE_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/admin/ledger/wallets/:id/verify
+// @desc    Compare a wallet's cached balance with its ledger entries
+// @access  Private (Admin)
+router.post('/ledger/wallets/:id/verify', [
+  param('id').isMongoId().withMessage('Valid wallet ID is required'),
+  body('repair').optional().isBoolean().withMessage('Repair must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const wallet = await Wallet.findById(req.params.id);
+    if (!wallet) {
+      return res.status(404).json({ 
+        message: 'Wallet not found',
+        code: 'WALLET_NOT_FOUND'
+      });
+    }
+
+    const repair = req.body.repair === true || req.body.repair === 'true';
+    const result = await ledgerService.verifyWallet(wallet._id, { repair });
+
+    if (result.repaired) {
+      await AuditLog.logAdmin({
+        adminId: req.userId,
+        action: 'WALLET_BALANCE_REPAIRED',
+        resourceType: 'WALLET',
+        resourceId: wallet._id,
+        status: 'SUCCESS',
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        changes: {
+          before: { balance: result.cachedBalance },
+          after: { balance: result.derivedBalance }
+        }
+      });
+    }
+
+    res.json({
+      message: result.inSync ? 'Wallet matches its ledger' : 'Wallet balance differs from its ledger',
+      verification: result
+    });
+
+  } catch (error) {
+    console.error('Wallet verification error:', error);
+    res.status(500).json({ 
+      message: 'Failed to verify wallet',
+      code: 'WALLET_VERIFICATION_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/admin/webhooks
+// @desc    List stored Square webhook deliveries
+// @access  Private (Admin)
+router.get('/webhooks', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(['RECEIVED', 'PROCESSING', 'PROCESSED', 'IGNORED', 'FAILED']),
+  query('type').optional().isString().trim(),
+  query('objectId').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const filter = { provider: 'SQUARE' };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.objectId) filter.objectId = req.query.objectId;
+
+    const [events, totalCount] = await Promise.all([
+      WebhookEvent.find(filter)
+        .select('-payload')
+        .sort({ receivedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      WebhookEvent.countDocuments(filter)
+    ]);
+
+    res.json({
+      message: 'Webhook events fetched successfully',
+      events,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalEvents: totalCount,
+        eventsPerPage: limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Webhook events fetch error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch webhook events',
+      code: 'WEBHOOK_EVENTS_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/admin/webhooks/replay-failed
+// @desc    Re-process every failed Square webhook delivery
+// @access  Private (Admin)
+router.post('/webhooks/replay-failed', [
+  body('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const results = await squareWebhookService.replayFailed({
+      limit: parseInt(req.body.limit) || 100
+    });
+
+    await AuditLog.logAdmin({
+      adminId: req.userId,
+      action: 'WEBHOOKS_REPLAYED',
+      resourceType: 'PAYMENT',
+      status: 'SUCCESS',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      details: { replayed: results.length, results }
+    });
+
+    res.json({
+      message: `${results.length} webhook events replayed`,
+      results
+    });
+
+  } catch (error) {
+    console.error('Webhook replay error:', error);
+    res.status(500).json({ 
+      message: 'Failed to replay webhook events',
+      code: 'WEBHOOK_REPLAY_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/admin/webhooks/:eventId/replay
+// @desc    Re-process a single stored Square webhook delivery
+// @access  Private (Admin)
+router.post('/webhooks/:eventId/replay', [
+  param('eventId').isString().trim().notEmpty().withMessage('Event ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const webhookEvent = await squareWebhookService.replay(req.params.eventId);
+    if (!webhookEvent) {
+      return res.status(404).json({ 
+        message: 'Webhook event not found',
+        code: 'WEBHOOK_EVENT_NOT_FOUND'
+      });
+    }
+
+    await AuditLog.logAdmin({
+      adminId: req.userId,
+      action: 'WEBHOOK_REPLAYED',
+      resourceType: 'PAYMENT',
+      status: webhookEvent.status === 'FAILED' ? 'FAILURE' : 'SUCCESS',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      details: {
+        eventId: webhookEvent.eventId,
+        type: webhookEvent.type,
+        attempts: webhookEvent.attempts,
+        lastError: webhookEvent.lastError
+      }
+    });
+
+    res.json({
+      message: webhookEvent.status === 'FAILED' ? 'Webhook event failed again' : 'Webhook event replayed',
+      event: {
+        eventId: webhookEvent.eventId,
+        type: webhookEvent.type,
+        status: webhookEvent.status,
+        attempts: webhookEvent.attempts,
+        result: webhookEvent.result,
+        lastError: webhookEvent.lastError
+      }
+    });
+
+  } catch (error) {
+    console.error('Webhook replay error:', error);
+    res.status(500).json({ 
+      message: 'Failed to replay webhook event',
+      code: 'WEBHOOK_REPLAY_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/admin/reconciliation/reports
+// @desc    List Square reconciliation reports
+// @access  Private (Admin)
+router.get('/reconciliation/reports', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(['RUNNING', 'COMPLETED', 'FAILED']),
+  query('withDiscrepancies').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 30;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.withDiscrepancies === 'true') filter['summary.discrepancies'] = { $gt: 0 };
+
+    const [reports, totalCount] = await Promise.all([
+      ReconciliationReport.find(filter)
+        .select('-discrepancies')
+        .populate('triggeredBy', 'name email')
+        .sort({ 'window.beginTime': -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      ReconciliationReport.countDocuments(filter)
+    ]);
+
+    res.json({
+      message: 'Reconciliation reports fetched successfully',
+      reports,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalReports: totalCount,
+        reportsPerPage: limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Reconciliation reports fetch error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch reconciliation reports',
+      code: 'RECONCILIATION_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/admin/reconciliation/reports/:id
+// @desc    Get a reconciliation report with its discrepancies
+// @access  Private (Admin)
+router.get('/reconciliation/reports/:id', [
+  param('id').isMongoId().withMessage('Valid report ID is required'),
+  query('type').optional().isIn(ReconciliationReport.DISCREPANCY_TYPES),
+  query('resolved').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const report = await ReconciliationReport.findById(req.params.id)
+      .populate('triggeredBy', 'name email')
+      .lean();
+
+    if (!report) {
+      return res.status(404).json({ 
+        message: 'Reconciliation report not found',
+        code: 'REPORT_NOT_FOUND'
+      });
+    }
+
+    let discrepancies = report.discrepancies;
+    if (req.query.type) {
+      discrepancies = discrepancies.filter(d => d.type === req.query.type);
+    }
+    if (req.query.resolved !== undefined) {
+      const resolved = req.query.resolved === 'true';
+      discrepancies = discrepancies.filter(d => d.resolved === resolved);
+    }
+
+    res.json({
+      message: 'Reconciliation report fetched successfully',
+      report: { ...report, discrepancies }
+    });
+
+  } catch (error) {
+    console.error('Reconciliation report fetch error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch reconciliation report',
+      code: 'RECONCILIATION_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/admin/reconciliation/run
+// @desc    Reconcile a window against Square now (defaults to yesterday UTC)
+// @access  Private (Admin)
+router.post('/reconciliation/run', [
+  body('beginTime').optional().isISO8601().withMessage('Begin time must be an ISO 8601 date'),
+  body('endTime').optional().isISO8601().withMessage('End time must be an ISO 8601 date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { beginTime, endTime } = req.body;
+    if (beginTime && endTime && new Date(beginTime) >= new Date(endTime)) {
+      return res.status(400).json({ 
+        message: 'Begin time must be before end time',
+        code: 'INVALID_WINDOW'
+      });
+    }
+
+    const report = await reconciliationService.run({
+      beginTime,
+      endTime,
+      trigger: 'MANUAL',
+      triggeredBy: req.userId
+    });
+
+    await AuditLog.logAdmin({
+      adminId: req.userId,
+      action: 'RECONCILIATION_RUN',
+      resourceType: 'PAYMENT',
+      status: report.status === 'FAILED' ? 'FAILURE' : 'SUCCESS',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      details: {
+        reportId: report._id,
+        window: report.window,
+        summary: report.summary
+      }
+    });
+
+    res.status(report.status === 'FAILED' ? 502 : 201).json({
+      message: report.status === 'FAILED'
+        ? 'Reconciliation failed'
+        : `Reconciliation found ${report.summary.discrepancies} discrepancies`,
+      report
+    });
+
+  } catch (error) {
+    console.error('Reconciliation run error:', error);
+    res.status(500).json({ 
+      message: 'Failed to run reconciliation',
+      code: 'RECONCILIATION_RUN_ERROR'
+    });
+  }
+});
+
+// @route   PUT /api/admin/reconciliation/reports/:id/discrepancies/:discrepancyId/resolve
+// @desc    Mark a discrepancy as investigated
+// @access  Private (Admin)
+router.put('/reconciliation/reports/:id/discrepancies/:discrepancyId/resolve', [
+  param('id').isMongoId().withMessage('Valid report ID is required'),
+  param('discrepancyId').isMongoId().withMessage('Valid discrepancy ID is required'),
+  body('note').trim().isLength({ min: 3, max: 500 }).withMessage('Resolution note must be 3-500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const report = await ReconciliationReport.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        discrepancies: { $elemMatch: { _id: req.params.discrepancyId, resolved: false } }
+      },
+      {
+        $set: {
+          'discrepancies.$.resolved': true,
+          'discrepancies.$.resolvedBy': req.userId,
+          'discrepancies.$.resolvedAt': new Date(),
+          'discrepancies.$.resolutionNote': req.body.note
+        }
+      },
+      { new: true }
+    );
+
+    if (!report) {
+      return res.status(404).json({ 
+        message: 'Unresolved discrepancy not found',
+        code: 'DISCREPANCY_NOT_FOUND'
+      });
+    }
+
+    const discrepancy = report.discrepancies.id(req.params.discrepancyId);
+
+    await AuditLog.logAdmin({
+      adminId: req.userId,
+      action: 'RECONCILIATION_DISCREPANCY_RESOLVED',
+      resourceType: 'PAYMENT',
+      resourceId: discrepancy.transactionId,
+      status: 'SUCCESS',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      details: {
+        reportId: report._id,
+        discrepancyId: discrepancy._id,
+        type: discrepancy.type,
+        squareId: discrepancy.squareId,
+        note: req.body.note
+      }
+    });
+
+    res.json({
+      message: 'Discrepancy resolved',
+      discrepancy
+    });
+
+  } catch (error) {
+    console.error('Discrepancy resolve error:', error);
+    res.status(500).json({ 
+      message: 'Failed to resolve discrepancy',
+      code: 'DISCREPANCY_RESOLVE_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/admin/refunds/pending
+// @desc    List merchant refunds awaiting approval
+// @access  Private (Admin)
+router.get('/refunds/pending', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { category: 'REFUND', 'refund.approvalStatus': 'PENDING_APPROVAL' };
+
+    const [refunds, totalCount] = await Promise.all([
+      Transaction.find(filter)
+        .populate('userId', 'name email universityId')
+        .populate('metadata.merchantId', 'name category')
+        .populate('refund.requestedBy', 'name email')
+        .populate('relatedTransactionId', 'transactionId amount refundedAmount createdAt')
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Transaction.countDocuments(filter)
+    ]);
+
+    res.json({
+      message: 'Pending refunds fetched successfully',
+      refunds,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalRefunds: totalCount,
+        refundsPerPage: limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Pending refunds fetch error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch pending refunds',
+      code: 'REFUNDS_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   PUT /api/admin/refunds/:id/review
+// @desc    Approve or reject a merchant refund above the approval threshold
+// @access  Private (Admin)
+router.put('/refunds/:id/review', [
+  param('id').isMongoId().withMessage('Valid refund ID is required'),
+  body('action').isIn(['approve', 'reject']).withMessage('Action must be approve or reject'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const approve = req.body.action === 'approve';
+    const refund = approve
+      ? await refundService.approve(req.params.id, req.userId, req.body.note)
+      : await refundService.reject(req.params.id, req.userId, req.body.note);
+
+    await AuditLog.logAdmin({
+      adminId: req.userId,
+      action: approve ? 'REFUND_APPROVED' : 'REFUND_REJECTED',
+      resourceType: 'TRANSACTION',
+      resourceId: refund._id,
+      status: 'SUCCESS',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      details: {
+        transactionId: refund.transactionId,
+        paymentId: refund.relatedTransactionId,
+        merchantId: refund.metadata.merchantId,
+        amount: refund.amount,
+        note: req.body.note
+      }
+    });
+
+    const io = req.app.get('io');
+    if (io && approve) {
+      socketEmitters.emitBalanceUpdate(io, refund.userId, {
+        balance: refund.balanceAfter,
+        change: refund.amount,
+        transactionId: refund.transactionId,
+        type: 'refund'
+      });
+    }
+
+    res.json({
+      message: approve ? 'Refund approved and posted' : 'Refund rejected',
+      refund: {
+        id: refund._id,
+        transactionId: refund.transactionId,
+        amount: refund.amount,
+        status: refund.status,
+        approvalStatus: refund.refund.approvalStatus,
+        commissionReversed: refund.refund.commissionReversed || 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Refund review error:', error);
+
+    if (error.errorCode === 'INSUFFICIENT_FUNDS') {
+      return res.status(400).json({
+        message: 'Merchant balance is too low to cover this refund',
+        code: 'MERCHANT_INSUFFICIENT_BALANCE',
+        available: error.availableBalance,
+        required: error.requiredAmount
+      });
+    }
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to review refund',
+      code: 'REFUND_REVIEW_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/admin/disputes
+// @desc    List dispute cases, oldest deadline first
+// @access  Private (Admin)
+router.get('/disputes', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(['AWAITING_MERCHANT', 'UNDER_REVIEW', 'RESOLVED']),
+  query('overdue').optional().isBoolean(),
+  query('merchantId').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.merchantId) filter.merchantId = req.query.merchantId;
+    if (req.query.overdue === 'true') {
+      filter.status = { $ne: 'RESOLVED' };
+      filter['sla.resolutionDueAt'] = { $lte: new Date() };
+    }
+
+    const [disputes, totalCount, statusCounts] = await Promise.all([
+      Dispute.find(filter)
+        .select('-timeline')
+        .populate('userId', 'name email universityId')
+        .populate('merchantId', 'name category')
+        .sort({ 'sla.resolutionDueAt': 1 })
+        .skip(skip)
+        .limit(limit),
+      Dispute.countDocuments(filter),
+      Dispute.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    res.json({
+      message: 'Disputes fetched successfully',
+      disputes,
+      counts: statusCounts.reduce((acc, item) => ({ ...acc, [item._id]: item.count }), {}),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalDisputes: totalCount,
+        disputesPerPage: limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin disputes fetch error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch disputes',
+      code: 'DISPUTE_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/admin/disputes/sla/check
+// @desc    Apply dispute SLA deadlines now
+// @access  Private (Admin)
+router.post('/disputes/sla/check', async (req, res) => {
+  try {
+    const result = await disputeService.enforceSlas({ io: req.app.get('io') });
+
+    res.json({
+      message: 'Dispute SLAs checked',
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Dispute SLA check error:', error);
+    res.status(500).json({ 
+      message: 'Failed to check dispute SLAs',
+      code: 'DISPUTE_SLA_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/admin/disputes/:id
+// @desc    Get a dispute case with evidence and timeline
+// @access  Private (Admin)
+router.get('/disputes/:id', [
+  param('id').isMongoId().withMessage('Valid dispute ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const dispute = await Dispute.findById(req.params.id)
+      .populate('userId', 'name email universityId')
+      .populate('merchantId', 'name category contact ownerId')
+      .populate('transactionId', 'transactionId amount refundedAmount fees createdAt description ledger')
+      .populate('evidence.submittedBy', 'name email role')
+      .populate('timeline.actor', 'name email role')
+      .populate('decision.reversalTransactionId', 'transactionId amount status completedAt');
+
+    if (!dispute) {
+      return res.status(404).json({ 
+        message: 'Dispute not found',
+        code: 'DISPUTE_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      message: 'Dispute fetched successfully',
+      dispute
+    });
+
+  } catch (error) {
+    console.error('Admin dispute fetch error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch dispute',
+      code: 'DISPUTE_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/admin/disputes/:id/evidence
+// @desc    Attach admin findings to a dispute case
+// @access  Private (Admin)
+router.post('/disputes/:id/evidence', [
+  param('id').isMongoId().withMessage('Valid dispute ID is required'),
+  body('evidence').isArray({ min: 1, max: 10 }).withMessage('Evidence must be an array of 1-10 items'),
+  body('evidence.*.url').isURL().withMessage('Each evidence item needs a valid URL'),
+  body('evidence.*.description').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const dispute = await disputeService.findForParty(req.params.id, {});
+    await disputeService.addEvidence({
+      dispute,
+      party: 'ADMIN',
+      userId: req.userId,
+      items: req.body.evidence,
+      io: req.app.get('io'),
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      message: 'Evidence added successfully',
+      evidence: dispute.evidence
+    });
+
+  } catch (error) {
+    console.error('Admin dispute evidence error:', error);
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to add evidence',
+      code: 'DISPUTE_EVIDENCE_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/admin/disputes/:id/resolve
+// @desc    Decide a dispute: full refund, partial refund or rejection
+// @access  Private (Admin)
+router.post('/disputes/:id/resolve', [
+  param('id').isMongoId().withMessage('Valid dispute ID is required'),
+  body('outcome').isIn(['FULL_REFUND', 'PARTIAL_REFUND', 'REJECTED']).withMessage('Invalid outcome'),
+  body('amount')
+    .if(body('outcome').equals('PARTIAL_REFUND'))
+    .isFloat({ min: 0.01 })
+    .withMessage('A partial refund needs an amount greater than 0'),
+  body('note').trim().isLength({ min: 3, max: 1000 }).withMessage('Decision note must be 3-1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { outcome, amount, note } = req.body;
+
+    const { dispute, reversal } = await disputeService.resolve({
+      disputeId: req.params.id,
+      adminId: req.userId,
+      outcome,
+      amount: amount !== undefined ? parseFloat(amount) : undefined,
+      note,
+      io: req.app.get('io'),
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      message: 'Dispute resolved',
+      dispute: {
+        id: dispute._id,
+        disputeId: dispute.disputeId,
+        status: dispute.status,
+        decision: dispute.decision,
+        sla: dispute.sla
+      },
+      reversal: reversal ? {
+        id: reversal._id,
+        transactionId: reversal.transactionId,
+        amount: reversal.amount,
+        commissionReversed: reversal.refund.commissionReversed
+      } : null
+    });
+
+  } catch (error) {
+    console.error('Dispute resolve error:', error);
+
+    if (error.errorCode === 'INSUFFICIENT_FUNDS') {
+      return res.status(400).json({
+        message: 'Merchant balance is too low to cover this reversal',
+        code: 'MERCHANT_INSUFFICIENT_BALANCE',
+        available: error.availableBalance,
+        required: error.requiredAmount
+      });
+    }
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to resolve dispute',
+      code: 'DISPUTE_RESOLVE_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/admin/settlements
+// @desc    List merchant settlements
+// @access  Private (Admin)
+router.get('/settlements', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(['PENDING', 'APPROVED', 'PAID', 'CANCELLED']),
+  query('merchantId').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.merchantId) filter.merchantId = req.query.merchantId;
+
+    const [settlements, totalCount, totals] = await Promise.all([
+      Settlement.find(filter)
+        .select('-lineItems')
+        .populate('merchantId', 'name category')
+        .sort({ periodEnd: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Settlement.countDocuments(filter),
+      Settlement.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 }, payable: { $sum: '$totals.payable' } } }
+      ])
+    ]);
+
+    res.json({
+      message: 'Settlements fetched successfully',
+      settlements,
+      byStatus: totals.reduce((acc, item) => ({
+        ...acc,
+        [item._id]: { count: item.count, payable: Math.round(item.payable * 100) / 100 }
+      }), {}),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalSettlements: totalCount,
+        settlementsPerPage: limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Settlements fetch error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch settlements',
+      code: 'SETTLEMENT_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/admin/settlements/run
+// @desc    Create settlements for every closed merchant cycle now
+// @access  Private (Admin)
+router.post('/settlements/run', [
+  body('merchantId').optional().isMongoId().withMessage('Valid merchant ID is required'),
+  body('asOf').optional().isISO8601().withMessage('asOf must be an ISO 8601 date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const summary = await settlementService.run({
+      merchantId: req.body.merchantId,
+      asOf: req.body.asOf ? new Date(req.body.asOf) : new Date()
+    });
+
+    await AuditLog.logAdmin({
+      adminId: req.userId,
+      action: 'SETTLEMENT_RUN',
+      resourceType: 'MERCHANT',
+      resourceId: req.body.merchantId,
+      status: summary.failed > 0 ? 'WARNING' : 'SUCCESS',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      details: {
+        asOf: summary.asOf,
+        created: summary.created,
+        carriedOver: summary.carriedOver,
+        failed: summary.failed
+      }
+    });
+
+    res.json({
+      message: `${summary.created} settlements created`,
+      ...summary
+    });
+
+  } catch (error) {
+    console.error('Settlement run error:', error);
+    res.status(500).json({ 
+      message: 'Failed to run settlements',
+      code: 'SETTLEMENT_RUN_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/admin/settlements/:id
+// @desc    Get a settlement with its line items
+// @access  Private (Admin)
+router.get('/settlements/:id', [
+  param('id').isMongoId().withMessage('Valid settlement ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const settlement = await Settlement.findById(req.params.id)
+      .populate('merchantId', 'name category contact settlementPeriod minimumSettlementAmount')
+      .populate('approvedBy', 'name email')
+      .populate('paidBy', 'name email')
+      .populate('cancelledBy', 'name email')
+      .lean();
+
+    if (!settlement) {
+      return res.status(404).json({ 
+        message: 'Settlement not found',
+        code: 'SETTLEMENT_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      message: 'Settlement fetched successfully',
+      settlement
+    });
+
+  } catch (error) {
+    console.error('Settlement fetch error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch settlement',
+      code: 'SETTLEMENT_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   PUT /api/admin/settlements/:id/status
+// @desc    Approve, mark paid or cancel a settlement
+// @access  Private (Admin)
+router.put('/settlements/:id/status', [
+  param('id').isMongoId().withMessage('Valid settlement ID is required'),
+  body('status').isIn(['APPROVED', 'PAID', 'CANCELLED']).withMessage('Status must be APPROVED, PAID or CANCELLED'),
+  body('payoutReference')
+    .if(body('status').equals('PAID'))
+    .trim()
+    .isLength({ min: 4, max: 64 })
+    .withMessage('Bank payout reference is required to mark a settlement paid'),
+  body('reason')
+    .if(body('status').equals('CANCELLED'))
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Cancellation reason must be 3-500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, payoutReference, reason } = req.body;
+    const before = await Settlement.findById(req.params.id).select('status settlementId totals.payable').lean();
+
+    let settlement;
+    if (status === 'APPROVED') {
+      settlement = await settlementService.approve(req.params.id, req.userId);
+    } else if (status === 'PAID') {
+      settlement = await settlementService.markPaid(req.params.id, req.userId, payoutReference);
+    } else {
+      settlement = await settlementService.cancel(req.params.id, req.userId, reason);
+    }
+
+    await AuditLog.logAdmin({
+      adminId: req.userId,
+      action: `SETTLEMENT_${status}`,
+      resourceType: 'MERCHANT',
+      resourceId: settlement.merchantId,
+      status: 'SUCCESS',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      changes: {
+        before: { status: before?.status },
+        after: { status: settlement.status }
+      },
+      details: {
+        settlementId: settlement.settlementId,
+        payable: settlement.totals.payable,
+        payoutReference,
+        reason
+      }
+    });
+
+    res.json({
+      message: `Settlement ${settlement.status.toLowerCase()}`,
+      settlement: {
+        id: settlement._id,
+        settlementId: settlement.settlementId,
+        status: settlement.status,
+        payable: settlement.totals.payable,
+        approvedAt: settlement.approvedAt,
+        paidAt: settlement.paidAt,
+        payoutReference: settlement.payoutReference,
+        cancelledAt: settlement.cancelledAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Settlement status error:', error);
+
+    if (error.errorCode === 'INSUFFICIENT_FUNDS') {
+      return res.status(400).json({
+        message: 'Merchant wallet balance is below the settlement amount',
+        code: 'MERCHANT_INSUFFICIENT_BALANCE',
+        available: error.availableBalance,
+        required: error.requiredAmount
+      });
+    }
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to update settlement',
+      code: 'SETTLEMENT_UPDATE_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/admin/payouts/batches
+// @desc    Export approved settlements as a bank bulk-payment file
+// @access  Private (Admin)
+router.post('/payouts/batches', [
+  body('format').optional().isIn(['NEFT_RTGS_CSV', 'FIXED_WIDTH']).withMessage('Format must be NEFT_RTGS_CSV or FIXED_WIDTH'),
+  body('settlementIds').optional().isArray({ min: 1, max: 500 }).withMessage('settlementIds must be a non-empty array'),
+  body('settlementIds.*').isMongoId().withMessage('Valid settlement IDs are required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const batch = await payoutFileService.exportBatch({
+      format: req.body.format,
+      settlementIds: req.body.settlementIds,
+      adminId: req.userId
+    });
+
+    await AuditLog.logAdmin({
+      adminId: req.userId,
+      action: 'PAYOUT_FILE_EXPORTED',
+      resourceType: 'PAYMENT',
+      resourceId: batch._id,
+      status: 'SUCCESS',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      details: {
+        batchId: batch.batchId,
+        format: batch.format,
+        fileName: batch.fileName,
+        checksum: batch.checksum,
+        entryCount: batch.entryCount,
+        totalAmount: batch.totalAmount
+      }
+    });
+
+    res.status(201).json({
+      message: 'Payout file exported successfully',
+      batch: {
+        id: batch._id,
+        batchId: batch.batchId,
+        format: batch.format,
+        fileName: batch.fileName,
+        checksum: batch.checksum,
+        entryCount: batch.entryCount,
+        totalAmount: batch.totalAmount,
+        status: batch.status
+      }
+    });
+
+  } catch (error) {
+    console.error('Payout export error:', error);
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to export payout file',
+      code: 'PAYOUT_EXPORT_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/admin/payouts/batches
+// @desc    List exported payout files
+// @access  Private (Admin)
+router.get('/payouts/batches', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(['EXPORTED', 'PARTIALLY_RECONCILED', 'RECONCILED'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+
+    const [batches, totalCount] = await Promise.all([
+      PayoutBatch.find(filter)
+        .select('-entries -returnFiles')
+        .populate('exportedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      PayoutBatch.countDocuments(filter)
+    ]);
+
+    res.json({
+      message: 'Payout batches fetched successfully',
+      batches,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalBatches: totalCount,
+        batchesPerPage: limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Payout batches fetch error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch payout batches',
+      code: 'PAYOUT_BATCH_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/admin/payouts/batches/:id
+// @desc    Get a payout batch with its entries and imported return files
+// @access  Private (Admin)
+router.get('/payouts/batches/:id', [
+  param('id').isMongoId().withMessage('Valid batch ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const batch = await PayoutBatch.findById(req.params.id)
+      .populate('exportedBy', 'name email')
+      .populate('entries.merchantId', 'name')
+      .populate('returnFiles.importedBy', 'name email')
+      .lean();
+
+    if (!batch) {
+      return res.status(404).json({ 
+        message: 'Payout batch not found',
+        code: 'PAYOUT_BATCH_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      message: 'Payout batch fetched successfully',
+      batch
+    });
+
+  } catch (error) {
+    console.error('Payout batch fetch error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch payout batch',
+      code: 'PAYOUT_BATCH_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/admin/payouts/batches/:id/file
+// @desc    Download the bank file exactly as exported
+// @access  Private (Admin)
+router.get('/payouts/batches/:id/file', [
+  param('id').isMongoId().withMessage('Valid batch ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const batch = await PayoutBatch.findById(req.params.id).select('+content batchId fileName format checksum');
+    if (!batch) {
+      return res.status(404).json({ 
+        message: 'Payout batch not found',
+        code: 'PAYOUT_BATCH_NOT_FOUND'
+      });
+    }
+
+    await AuditLog.logAdmin({
+      adminId: req.userId,
+      action: 'PAYOUT_FILE_DOWNLOADED',
+      resourceType: 'PAYMENT',
+      resourceId: batch._id,
+      status: 'SUCCESS',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      details: {
+        batchId: batch.batchId,
+        fileName: batch.fileName,
+        checksum: batch.checksum
+      }
+    });
+
+    res.set({
+      'Content-Type': batch.format === 'FIXED_WIDTH' ? 'text/plain; charset=utf-8' : 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${batch.fileName}"`,
+      'X-Checksum-SHA256': batch.checksum
+    });
+    res.send(batch.content);
+
+  } catch (error) {
+    console.error('Payout file download error:', error);
+    res.status(500).json({ 
+      message: 'Failed to download payout file',
+      code: 'PAYOUT_FILE_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/admin/payouts/batches/:id/returns
+// @desc    Import the bank's return file and mark payouts paid or failed
+// @access  Private (Admin)
+router.post('/payouts/batches/:id/returns', [
+  param('id').isMongoId().withMessage('Valid batch ID is required'),
+  body('fileName').optional().trim().isLength({ max: 200 }),
+  body('content').isString().isLength({ min: 1, max: 5000000 }).withMessage('Return file content is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { batch, summary } = await payoutFileService.importReturnFile({
+      batchId: req.params.id,
+      fileName: req.body.fileName,
+      content: req.body.content,
+      adminId: req.userId
+    });
+
+    await AuditLog.logAdmin({
+      adminId: req.userId,
+      action: 'PAYOUT_RETURN_IMPORTED',
+      resourceType: 'PAYMENT',
+      resourceId: batch._id,
+      status: summary.errors.length || summary.unmatched.length ? 'WARNING' : 'SUCCESS',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      details: {
+        batchId: batch.batchId,
+        fileName: req.body.fileName,
+        checksum: summary.checksum,
+        paid: summary.paid,
+        failed: summary.failed,
+        skipped: summary.skipped,
+        unmatched: summary.unmatched.length
+      }
+    });
+
+    res.json({
+      message: `${summary.paid} payouts paid, ${summary.failed} failed`,
+      batch: {
+        id: batch._id,
+        batchId: batch.batchId,
+        status: batch.status
+      },
+      summary
+    });
+
+  } catch (error) {
+    console.error('Payout return import error:', error);
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to import return file',
+      code: 'PAYOUT_RETURN_ERROR'
+    });
+  }
+});
+
+const rewardValidators = [
+  body('name').optional().trim().isLength({ min: 3, max: 100 }).withMessage('Name must be 3-100 characters'),
+  body('description').optional().trim().isLength({ max: 500 }),
+  body('calculation.type').optional().isIn(['PERCENTAGE', 'FLAT']).withMessage('Calculation type must be PERCENTAGE or FLAT'),
+  body('calculation.value').optional().isFloat({ min: 0.01 }).withMessage('Reward value must be positive'),
+  body('calculation.maxPerTransaction').optional({ nullable: true }).isFloat({ min: 0.01 }),
+  body('minAmount').optional().isFloat({ min: 0 }),
+  body('targeting.merchantIds').optional().isArray(),
+  body('targeting.merchantIds.*').isMongoId().withMessage('Valid merchant IDs are required'),
+  body('targeting.merchantCategories').optional().isArray(),
+  body('endsAt').optional({ nullable: true }).isISO8601().withMessage('endsAt must be an ISO 8601 date'),
+  body('budget.total').optional().isFloat({ min: 0.01 }).withMessage('Budget must be positive'),
+  body('perUserCap.amount').optional({ nullable: true }).isFloat({ min: 0.01 }),
+  body('perUserCap.count').optional({ nullable: true }).isInt({ min: 1 }),
+  body('perUserCap.period').optional().isIn(['DAY', 'WEEK', 'MONTH', 'CAMPAIGN'])
+];
+
+// @route   GET /api/admin/rewards
+// @desc    List cashback and reward campaigns
+// @access  Private (Admin)
+router.get('/rewards', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(['ACTIVE', 'PAUSED', 'EXHAUSTED', 'ENDED']),
+  query('trigger').optional().isIn(['PAYMENT', 'TOP_UP'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.trigger) filter.trigger = req.query.trigger;
+
+    const [rewards, totalCount] = await Promise.all([
+      Reward.find(filter)
+        .populate('createdBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Reward.countDocuments(filter)
+    ]);
+
+    res.json({
+      message: 'Rewards fetched successfully',
+      rewards,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalRewards: totalCount,
+        rewardsPerPage: limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Rewards fetch error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch rewards',
+      code: 'REWARD_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/admin/rewards
+// @desc    Create a cashback or bonus campaign
+// @access  Private (Admin)
+router.post('/rewards', [
+  body('code').trim().matches(/^[A-Za-z0-9_-]{3,30}$/).withMessage('Code must be 3-30 letters, digits, _ or -'),
+  body('name').exists().withMessage('Name is required'),
+  body('trigger').isIn(['PAYMENT', 'TOP_UP']).withMessage('Trigger must be PAYMENT or TOP_UP'),
+  body('calculation.type').exists().withMessage('Calculation type is required'),
+  body('calculation.value').exists().withMessage('Reward value is required'),
+  body('budget.total').exists().withMessage('Budget is required'),
+  body('startsAt').optional().isISO8601().withMessage('startsAt must be an ISO 8601 date'),
+  body('firstTransactionOnly').optional().isBoolean(),
+  ...rewardValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      code, name, description, trigger, calculation, minAmount, firstTransactionOnly,
+      targeting, startsAt, endsAt, budget, perUserCap
+    } = req.body;
+
+    if (calculation.type === 'PERCENTAGE' && calculation.value > 100) {
+      return res.status(400).json({ 
+        message: 'Percentage rewards cannot exceed 100%',
+        code: 'INVALID_REWARD_VALUE'
+      });
+    }
+
+    if (endsAt && new Date(endsAt) <= new Date(startsAt || Date.now())) {
+      return res.status(400).json({ 
+        message: 'Campaign must end after it starts',
+        code: 'INVALID_REWARD_WINDOW'
+      });
+    }
+
+    const reward = await Reward.create({
+      code,
+      name,
+      description,
+      trigger,
+      calculation,
+      minAmount,
+      firstTransactionOnly,
+      targeting,
+      startsAt: startsAt ? new Date(startsAt) : new Date(),
+      endsAt: endsAt ? new Date(endsAt) : undefined,
+      budget: { total: budget.total },
+      perUserCap,
+      createdBy: req.userId
+    });
+
+    await AuditLog.logAdmin({
+      adminId: req.userId,
+      action: 'REWARD_CREATED',
+      resourceType: 'REWARD',
+      resourceId: reward._id,
+      status: 'SUCCESS',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      details: {
+        code: reward.code,
+        trigger: reward.trigger,
+        budget: reward.budget.total
+      }
+    });
+
+    res.status(201).json({
+      message: 'Reward campaign created successfully',
+      reward
+    });
+
+  } catch (error) {
+    console.error('Reward create error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        message: 'A campaign with this code already exists',
+        code: 'REWARD_CODE_EXISTS'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: error.message,
+        code: 'INVALID_REWARD'
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to create reward campaign',
+      code: 'REWARD_CREATE_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/admin/rewards/:id
+// @desc    Get a campaign with its spend report
+// @access  Private (Admin)
+router.get('/rewards/:id', [
+  param('id').isMongoId().withMessage('Valid reward ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const reward = await Reward.findById(req.params.id)
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email')
+      .populate('targeting.merchantIds', 'name category');
+
+    if (!reward) {
+      return res.status(404).json({ 
+        message: 'Reward campaign not found',
+        code: 'REWARD_NOT_FOUND'
+      });
+    }
+
+    const report = await rewardService.getCampaignReport(reward._id);
+
+    res.json({
+      message: 'Reward campaign fetched successfully',
+      reward,
+      report
+    });
+
+  } catch (error) {
+    console.error('Reward fetch error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch reward campaign',
+      code: 'REWARD_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   PUT /api/admin/rewards/:id
+// @desc    Update, pause, resume or end a campaign
+// @access  Private (Admin)
+router.put('/rewards/:id', [
+  param('id').isMongoId().withMessage('Valid reward ID is required'),
+  body('status').optional().isIn(['ACTIVE', 'PAUSED', 'ENDED']).withMessage('Status must be ACTIVE, PAUSED or ENDED'),
+  ...rewardValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const reward = await Reward.findById(req.params.id);
+    if (!reward) {
+      return res.status(404).json({ 
+        message: 'Reward campaign not found',
+        code: 'REWARD_NOT_FOUND'
+      });
+    }
+
+    if (reward.status === 'ENDED') {
+      return res.status(409).json({ 
+        message: 'Ended campaigns cannot be changed',
+        code: 'REWARD_ENDED'
+      });
+    }
+
+    const before = { status: reward.status, budget: reward.budget.total };
+    const current = reward.toObject();
+    const { name, description, calculation, minAmount, targeting, endsAt, budget, perUserCap, status } = req.body;
+
+    if (name !== undefined) reward.name = name;
+    if (description !== undefined) reward.description = description;
+    if (minAmount !== undefined) reward.minAmount = minAmount;
+    if (endsAt !== undefined) reward.endsAt = endsAt ? new Date(endsAt) : undefined;
+    if (calculation) reward.calculation = { ...current.calculation, ...calculation };
+    if (targeting) reward.targeting = { ...current.targeting, ...targeting };
+    if (perUserCap) reward.perUserCap = { ...current.perUserCap, ...perUserCap };
+
+    if (reward.calculation.type === 'PERCENTAGE' && reward.calculation.value > 100) {
+      return res.status(400).json({ 
+        message: 'Percentage rewards cannot exceed 100%',
+        code: 'INVALID_REWARD_VALUE'
+      });
+    }
+
+    if (budget?.total !== undefined) {
+      if (budget.total < reward.budget.spent) {
+        return res.status(400).json({ 
+          message: `Budget cannot be lower than the ${reward.budget.spent} already spent`,
+          code: 'BUDGET_BELOW_SPENT'
+        });
+      }
+      reward.budget.total = budget.total;
+      // A top-up of the budget puts an exhausted campaign back on
+      if (reward.status === 'EXHAUSTED' && reward.budgetRemaining >= 0.01) {
+        reward.status = 'ACTIVE';
+      }
+    }
+
+    if (status) {
+      if (status === 'ACTIVE' && reward.budgetRemaining < 0.01) {
+        return res.status(400).json({ 
+          message: 'Raise the budget before resuming this campaign',
+          code: 'BUDGET_EXHAUSTED'
+        });
+      }
+      reward.status = status;
+    }
+
+    reward.updatedBy = req.userId;
+    await reward.save();
+
+    await AuditLog.logAdmin({
+      adminId: req.userId,
+      action: 'REWARD_UPDATED',
+      resourceType: 'REWARD',
+      resourceId: reward._id,
+      status: 'SUCCESS',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      changes: {
+        before,
+        after: { status: reward.status, budget: reward.budget.total }
+      },
+      details: {
+        code: reward.code,
+        fields: Object.keys(req.body)
+      }
+    });
+
+    res.json({
+      message: 'Reward campaign updated successfully',
+      reward
+    });
+
+  } catch (error) {
+    console.error('Reward update error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: error.message,
+        code: 'INVALID_REWARD'
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to update reward campaign',
+      code: 'REWARD_UPDATE_ERROR'
+    });
+  }
+});
+
+const couponValidators = [
+  body('description').optional().trim().isLength({ max: 300 }),
+  body('discountType').optional().isIn(['PERCENTAGE', 'FLAT']).withMessage('Discount type must be PERCENTAGE or FLAT'),
+  body('value').optional().isFloat({ min: 0.01 }).withMessage('Discount value must be positive'),
+  body('maxDiscount').optional({ nullable: true }).isFloat({ min: 0.01 }),
+  body('minSpend').optional().isFloat({ min: 0 }),
+  body('appliesTo').optional().isIn(['PAYMENT', 'EVENT', 'ANY']),
+  body('scope.merchantIds').optional().isArray(),
+  body('scope.merchantIds.*').isMongoId().withMessage('Valid merchant IDs are required'),
+  body('scope.merchantCategories').optional().isArray(),
+  body('scope.eventIds').optional().isArray(),
+  body('scope.eventIds.*').isMongoId().withMessage('Valid event IDs are required'),
+  body('scope.eventCategories').optional().isArray(),
+  body('validFrom').optional().isISO8601().withMessage('validFrom must be an ISO 8601 date'),
+  body('expiresAt').optional().isISO8601().withMessage('expiresAt must be an ISO 8601 date'),
+  body('limits.total').optional({ nullable: true }).isInt({ min: 1 }),
+  body('limits.perUser').optional().isInt({ min: 1 })
+];
+
+// @route   GET /api/admin/coupons
+// @desc    List coupons and promo codes
+// @access  Private (Admin)
+router.get('/coupons', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(['ACTIVE', 'PAUSED', 'ARCHIVED']),
+  query('fundedBy').optional().isIn(['PLATFORM', 'MERCHANT']),
+  query('merchantId').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.fundedBy) filter.fundedBy = req.query.fundedBy;
+    if (req.query.merchantId) filter.merchantId = req.query.merchantId;
+
+    const [coupons, totalCount] = await Promise.all([
+      Coupon.find(filter)
+        .populate('merchantId', 'name category')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Coupon.countDocuments(filter)
+    ]);
+
+    res.json({
+      message: 'Coupons fetched successfully',
+      coupons,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalCoupons: totalCount,
+        couponsPerPage: limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Coupons fetch error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch coupons',
+      code: 'COUPON_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/admin/coupons
+// @desc    Create a coupon, funded by the platform or by the merchant
+// @access  Private (Admin)
+router.post('/coupons', [
+  body('code').trim().matches(/^[A-Za-z0-9_-]{3,30}$/).withMessage('Code must be 3-30 letters, digits, _ or -'),
+  body('discountType').exists().withMessage('Discount type is required'),
+  body('value').exists().withMessage('Discount value is required'),
+  body('fundedBy').isIn(['PLATFORM', 'MERCHANT']).withMessage('fundedBy must be PLATFORM or MERCHANT'),
+  body('expiresAt').exists().withMessage('Expiry date is required'),
+  body('merchantId').optional().isMongoId(),
+  ...couponValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      code, description, discountType, value, maxDiscount, minSpend, appliesTo,
+      scope, fundedBy, merchantId, validFrom, expiresAt, limits
+    } = req.body;
+
+    if (discountType === 'PERCENTAGE' && value > 100) {
+      return res.status(400).json({ 
+        message: 'Percentage discounts cannot exceed 100%',
+        code: 'INVALID_COUPON_VALUE'
+      });
+    }
+
+    if (new Date(expiresAt) <= new Date(validFrom || Date.now())) {
+      return res.status(400).json({ 
+        message: 'Coupon must expire after it starts',
+        code: 'INVALID_COUPON_WINDOW'
+      });
+    }
+
+    // Merchant-funded coupons need a merchant to charge them to
+    if (fundedBy === 'MERCHANT' && !merchantId && !scope?.merchantIds?.length && appliesTo !== 'EVENT') {
+      return res.status(400).json({ 
+        message: 'Merchant-funded coupons must be scoped to merchants',
+        code: 'COUPON_SCOPE_REQUIRED'
+      });
+    }
+
+    const coupon = await Coupon.create({
+      code,
+      description,
+      discountType,
+      value,
+      maxDiscount,
+      minSpend,
+      appliesTo,
+      scope: merchantId
+        ? { ...scope, merchantIds: scope?.merchantIds?.length ? scope.merchantIds : [merchantId] }
+        : scope,
+      fundedBy,
+      merchantId,
+      validFrom: validFrom ? new Date(validFrom) : new Date(),
+      expiresAt: new Date(expiresAt),
+      limits,
+      createdBy: req.userId
+    });
+
+    await AuditLog.logAdmin({
+      adminId: req.userId,
+      action: 'COUPON_CREATED',
+      resourceType: 'COUPON',
+      resourceId: coupon._id,
+      status: 'SUCCESS',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      details: {
+        code: coupon.code,
+        fundedBy: coupon.fundedBy,
+        discountType: coupon.discountType,
+        value: coupon.value
+      }
+    });
+
+    res.status(201).json({
+      message: 'Coupon created successfully',
+      coupon
+    });
+
+  } catch (error) {
+    console.error('Coupon create error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        message: 'A coupon with this code already exists',
+        code: 'COUPON_CODE_EXISTS'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: error.message,
+        code: 'INVALID_COUPON'
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to create coupon',
+      code: 'COUPON_CREATE_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/admin/coupons/:id
+// @desc    Get a coupon with its redemption totals
+// @access  Private (Admin)
+router.get('/coupons/:id', [
+  param('id').isMongoId().withMessage('Valid coupon ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const coupon = await Coupon.findById(req.params.id)
+      .populate('createdBy', 'name email')
+      .populate('merchantId', 'name category')
+      .populate('scope.merchantIds', 'name category')
+      .populate('scope.eventIds', 'title startDate');
+
+    if (!coupon) {
+      return res.status(404).json({ 
+        message: 'Coupon not found',
+        code: 'COUPON_NOT_FOUND'
+      });
+    }
+
+    const usage = await couponService.getUsage(coupon._id);
+
+    res.json({
+      message: 'Coupon fetched successfully',
+      coupon,
+      usage
+    });
+
+  } catch (error) {
+    console.error('Coupon fetch error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch coupon',
+      code: 'COUPON_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   PUT /api/admin/coupons/:id
+// @desc    Update, pause, resume or archive a coupon
+// @access  Private (Admin)
+router.put('/coupons/:id', [
+  param('id').isMongoId().withMessage('Valid coupon ID is required'),
+  body('status').optional().isIn(['ACTIVE', 'PAUSED', 'ARCHIVED']).withMessage('Status must be ACTIVE, PAUSED or ARCHIVED'),
+  ...couponValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ 
+        message: 'Coupon not found',
+        code: 'COUPON_NOT_FOUND'
+      });
+    }
+
+    if (coupon.status === 'ARCHIVED') {
+      return res.status(409).json({ 
+        message: 'Archived coupons cannot be changed',
+        code: 'COUPON_ARCHIVED'
+      });
+    }
+
+    const before = { status: coupon.status, value: coupon.value, expiresAt: coupon.expiresAt };
+    const current = coupon.toObject();
+    const {
+      description, discountType, value, maxDiscount, minSpend, appliesTo,
+      scope, validFrom, expiresAt, limits, status
+    } = req.body;
+
+    if (description !== undefined) coupon.description = description;
+    if (discountType !== undefined) coupon.discountType = discountType;
+    if (value !== undefined) coupon.value = value;
+    if (maxDiscount !== undefined) coupon.maxDiscount = maxDiscount || undefined;
+    if (minSpend !== undefined) coupon.minSpend = minSpend;
+    if (appliesTo !== undefined) coupon.appliesTo = appliesTo;
+    if (validFrom !== undefined) coupon.validFrom = new Date(validFrom);
+    if (expiresAt !== undefined) coupon.expiresAt = new Date(expiresAt);
+    if (scope) coupon.scope = { ...current.scope, ...scope };
+    if (limits) coupon.limits = { ...current.limits, ...limits };
+    if (status) coupon.status = status;
+
+    if (coupon.discountType === 'PERCENTAGE' && coupon.value > 100) {
+      return res.status(400).json({ 
+        message: 'Percentage discounts cannot exceed 100%',
+        code: 'INVALID_COUPON_VALUE'
+      });
+    }
+
+    if (coupon.expiresAt <= coupon.validFrom) {
+      return res.status(400).json({ 
+        message: 'Coupon must expire after it starts',
+        code: 'INVALID_COUPON_WINDOW'
+      });
+    }
+
+    if (coupon.limits?.total && coupon.limits.total < coupon.redemptionCount) {
+      return res.status(400).json({ 
+        message: `Limit cannot be lower than the ${coupon.redemptionCount} redemptions already made`,
+        code: 'LIMIT_BELOW_REDEEMED'
+      });
+    }
+
+    await coupon.save();
+
+    await AuditLog.logAdmin({
+      adminId: req.userId,
+      action: 'COUPON_UPDATED',
+      resourceType: 'COUPON',
+      resourceId: coupon._id,
+      status: 'SUCCESS',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      changes: {
+        before,
+        after: { status: coupon.status, value: coupon.value, expiresAt: coupon.expiresAt }
+      },
+      details: {
+        code: coupon.code,
+        fields: Object.keys(req.body)
+      }
+    });
+
+    res.json({
+      message: 'Coupon updated successfully',
+      coupon
+    });
+
+  } catch (error) {
+    console.error('Coupon update error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: error.message,
+        code: 'INVALID_COUPON'
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to update coupon',
+      code: 'COUPON_UPDATE_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/admin/vouchers/batches
+// @desc    Generate a batch of gift vouchers or prepaid cards
+// @access  Private (Admin)
+router.post('/vouchers/batches', [
+  body('name').trim().isLength({ min: 3, max: 100 }).withMessage('Name must be 3-100 characters'),
+  body('usage').optional().isIn(['SINGLE_USE', 'PARTIAL']).withMessage('Usage must be SINGLE_USE or PARTIAL'),
+  body('value').isFloat({ min: 0.01, max: 100000 }).withMessage('Value must be between 0.01 and 100,000'),
+  body('count').optional().isInt({ min: 1 }).withMessage('Count must be a positive integer'),
+  body('expiresAt').isISO8601().withMessage('expiresAt must be an ISO 8601 date'),
+  body('prefix').optional().trim().matches(/^[A-Za-z0-9]{2,8}$/).withMessage('Prefix must be 2-8 letters or digits'),
+  body('currency').optional().isLength({ min: 3, max: 3 }),
+  body('assignedTo').optional().isArray(),
+  body('assignedTo.*').isMongoId().withMessage('Valid user IDs are required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, usage, value, count, expiresAt, prefix, currency, assignedTo = [] } = req.body;
+
+    if (!assignedTo.length && !count) {
+      return res.status(400).json({ 
+        message: 'Provide a count or the students to assign vouchers to',
+        code: 'INVALID_BATCH_SIZE'
+      });
+    }
+
+    if (assignedTo.length) {
+      const found = await User.countDocuments({ _id: { $in: assignedTo }, isActive: true });
+      if (found !== new Set(assignedTo).size) {
+        return res.status(400).json({ 
+          message: 'Some assigned users do not exist or are inactive',
+          code: 'INVALID_ASSIGNEES'
+        });
+      }
+    }
+
+    const { batchId, vouchers } = await voucherService.issueBatch({
+      name,
+      usage,
+      value,
+      count: parseInt(count),
+      currency,
+      expiresAt,
+      prefix,
+      assignedTo,
+      adminId: req.userId
+    });
+
+    const totalValue = ledgerService.roundAmount(vouchers.reduce((sum, voucher) => sum + voucher.value, 0));
+
+    await AuditLog.logAdmin({
+      adminId: req.userId,
+      action: 'VOUCHER_BATCH_ISSUED',
+      resourceType: 'VOUCHER',
+      status: 'SUCCESS',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      details: {
+        batchId,
+        name,
+        count: vouchers.length,
+        value: vouchers[0].value,
+        totalValue,
+        usage: vouchers[0].usage
+      }
+    });
+
+    res.status(201).json({
+      message: `${vouchers.length} vouchers issued successfully`,
+      batch: {
+        batchId,
+        name,
+        count: vouchers.length,
+        totalValue,
+        expiresAt: vouchers[0].expiresAt
+      },
+      vouchers
+    });
+
+  } catch (error) {
+    console.error('Voucher batch error:', error);
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: error.message,
+        code: 'INVALID_VOUCHER'
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to issue vouchers',
+      code: 'VOUCHER_ISSUE_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/admin/vouchers
+// @desc    List vouchers by batch, status or code
+// @access  Private (Admin)
+router.get('/vouchers', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(['ACTIVE', 'REDEEMED', 'VOID', 'EXPIRED']),
+  query('batchId').optional().trim(),
+  query('code').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.batchId) filter.batchId = req.query.batchId;
+    if (req.query.code) filter.code = voucherService.normalizeCode(req.query.code);
+    if (req.query.status === 'EXPIRED') {
+      filter.status = 'ACTIVE';
+      filter.expiresAt = { $lte: new Date() };
+    } else if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const [vouchers, totalCount] = await Promise.all([
+      Voucher.find(filter)
+        .populate('assignedTo', 'name email studentId')
+        .populate('holderId', 'name email studentId')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Voucher.countDocuments(filter)
+    ]);
+
+    res.json({
+      message: 'Vouchers fetched successfully',
+      vouchers,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalVouchers: totalCount,
+        vouchersPerPage: limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Vouchers fetch error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch vouchers',
+      code: 'VOUCHER_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/admin/vouchers/report
+// @desc    Voucher liability: issued vs. redeemed vs. expired vs. outstanding
+// @access  Private (Admin)
+router.get('/vouchers/report', [
+  query('batchId').optional().trim()
+], async (req, res) => {
+  try {
+    const report = await voucherService.getLiabilityReport({ batchId: req.query.batchId });
+
+    res.json({
+      message: 'Voucher liability report generated successfully',
+      report
+    });
+
+  } catch (error) {
+    console.error('Voucher report error:', error);
+    res.status(500).json({ 
+      message: 'Failed to generate voucher report',
+      code: 'VOUCHER_REPORT_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/admin/vouchers/batches/:batchId/export
+// @desc    Download a batch as CSV or a printable PDF with QR codes
+// @access  Private (Admin)
+router.get('/vouchers/batches/:batchId/export', [
+  param('batchId').trim().notEmpty().withMessage('Batch ID is required'),
+  query('format').optional().isIn(['csv', 'pdf']).withMessage('Format must be csv or pdf')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const format = req.query.format || 'csv';
+    const vouchers = await Voucher.find({ batchId: req.params.batchId }).sort({ createdAt: 1, code: 1 });
+
+    if (vouchers.length === 0) {
+      return res.status(404).json({ 
+        message: 'Voucher batch not found',
+        code: 'VOUCHER_BATCH_NOT_FOUND'
+      });
+    }
+
+    const content = format === 'pdf'
+      ? await voucherService.buildPdf(vouchers)
+      : voucherService.buildCsv(vouchers);
+
+    // The export carries live codes, so every download is on record
+    await AuditLog.logAdmin({
+      adminId: req.userId,
+      action: 'VOUCHER_BATCH_EXPORTED',
+      resourceType: 'VOUCHER',
+      status: 'SUCCESS',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      details: {
+        batchId: req.params.batchId,
+        format,
+        count: vouchers.length
+      }
+    });
+
+    res.set({
+      'Content-Type': format === 'pdf' ? 'application/pdf' : 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${req.params.batchId}.${format}"`
+    });
+    res.send(content);
+
+  } catch (error) {
+    console.error('Voucher export error:', error);
+    res.status(500).json({ 
+      message: 'Failed to export vouchers',
+      code: 'VOUCHER_EXPORT_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/admin/vouchers/:id/void
+// @desc    Cancel a voucher, e.g. a lost prepaid card
+// @access  Private (Admin)
+router.post('/vouchers/:id/void', [
+  param('id').isMongoId().withMessage('Valid voucher ID is required'),
+  body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Reason must be 3-500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const voucher = await voucherService.voidVoucher(req.params.id, {
+      adminId: req.userId,
+      reason: req.body.reason
+    });
+
+    await AuditLog.logAdmin({
+      adminId: req.userId,
+      action: 'VOUCHER_VOIDED',
+      resourceType: 'VOUCHER',
+      resourceId: voucher._id,
+      status: 'SUCCESS',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      details: {
+        code: voucher.code,
+        balanceVoided: voucher.balance,
+        reason: req.body.reason
+      }
+    });
+
+    res.json({
+      message: 'Voucher cancelled successfully',
+      voucher
+    });
+
+  } catch (error) {
+    console.error('Voucher void error:', error);
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to cancel voucher',
+      code: 'VOUCHER_VOID_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/admin/offline-sync/flagged
+// @desc    Get offline payments flagged at sync that are awaiting review
+// @access  Private (Admin)
+router.get('/offline-sync/flagged', [
+  query('status').optional().isIn(['OPEN', 'RESOLVED']).withMessage('Status must be OPEN or RESOLVED')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const reviewStatus = req.query.status || 'OPEN';
+    const batches = await OfflineSyncBatch.find({ 'items.review.status': reviewStatus })
+      .populate('merchantId', 'name category')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    const items = batches.flatMap(batch => batch.items
+      .filter(item => item.review?.status === reviewStatus)
+      .map(item => ({
+        batchId: batch.batchId,
+        merchant: batch.merchantId,
+        deviceId: batch.deviceId,
+        syncedAt: batch.createdAt,
+        item
+      })));
+
+    res.json({
+      message: 'Flagged offline payments fetched successfully',
+      items
+    });
+
+  } catch (error) {
+    console.error('Flagged offline payments error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch flagged offline payments',
+      code: 'OFFLINE_SYNC_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/admin/offline-sync/:batchId/items/:itemId/resolve
+// @desc    Close the review of a flagged offline payment
+// @access  Private (Admin)
+router.post('/offline-sync/:batchId/items/:itemId/resolve', [
+  param('itemId').isMongoId().withMessage('Valid item ID is required'),
+  body('note').trim().isLength({ min: 3, max: 500 }).withMessage('Note must be 3-500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const batch = await OfflineSyncBatch.findOneAndUpdate(
+      {
+        batchId: req.params.batchId,
+        items: { $elemMatch: { _id: req.params.itemId, 'review.status': 'OPEN' } }
+      },
+      {
+        $set: {
+          'items.$.review.status': 'RESOLVED',
+          'items.$.review.note': req.body.note,
+          'items.$.review.reviewedBy': req.userId,
+          'items.$.review.reviewedAt': new Date()
+        }
+      },
+      { new: true }
+    );
+
+    if (!batch) {
+      return res.status(404).json({ 
+        message: 'No open review for that item',
+        code: 'OFFLINE_REVIEW_NOT_FOUND'
+      });
+    }
+
+    const item = batch.items.id(req.params.itemId);
+
+    await AuditLog.logAdmin({
+      adminId: req.userId,
+      action: 'OFFLINE_PAYMENT_REVIEWED',
+      resourceType: 'OFFLINE_SYNC_BATCH',
+      resourceId: batch._id,
+      status: 'SUCCESS',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      details: {
+        batchId: batch.batchId,
+        tokenId: item.tokenId,
+        reason: item.reason,
+        amount: item.amount,
+        note: req.body.note
+      }
+    });
+
+    res.json({
+      message: 'Review closed',
+      item
+    });
+
+  } catch (error) {
+    console.error('Offline review error:', error);
+    res.status(500).json({ 
+      message: 'Failed to close review',
+      code: 'OFFLINE_REVIEW_ERROR'
+    });
+  }
+});
+
 module.exports = router;
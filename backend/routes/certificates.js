@@ -0,0 +1,115 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const certificateService = require('../services/certificateService');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/certificates/my
+// @desc    Get the current user's certificates for the dashboard
+// @access  Private
+router.get('/my', auth, async (req, res) => {
+  try {
+    const certificates = await certificateService.getUserCertificates(req.userId);
+
+    res.json({
+      message: 'Certificates fetched successfully',
+      certificates
+    });
+
+  } catch (error) {
+    console.error('My certificates error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch certificates',
+      code: 'CERTIFICATE_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/certificates/:id/download
+// @desc    Download a certificate as PDF
+// @access  Private (Recipient/Admin)
+router.get('/:id/download', auth, [
+  param('id')
+    .isLength({ min: 5, max: 30 })
+    .withMessage('Valid certificate ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { certificate, pdf } = await certificateService.download(req.params.id, req.user);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${certificate.certificateId}.pdf"`
+    });
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('Certificate download error:', error);
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({
+      message: 'Failed to download certificate',
+      code: 'CERTIFICATE_DOWNLOAD_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/certificates/:id/verify
+// @desc    Check a certificate's verification ID; the certificate QR links here
+// @access  Public
+router.get('/:id/verify', [
+  param('id')
+    .isLength({ min: 5, max: 30 })
+    .withMessage('Valid certificate ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let result = null;
+    try {
+      result = await certificateService.verify(req.params.id);
+    } catch (error) {
+      if (error.errorCode !== 'CERTIFICATE_NOT_FOUND') throw error;
+    }
+
+    // Phone cameras open the QR in a browser; apps ask for JSON
+    const json = () => res.json(result
+      ? { message: result.valid ? 'Certificate is valid' : 'Certificate has been revoked', certificate: result }
+      : { message: 'No certificate with this ID', code: 'CERTIFICATE_NOT_FOUND' });
+
+    res.status(result ? 200 : 404).format({
+      json,
+      html: () => res.send(certificateService.verificationPage(result)),
+      default: json
+    });
+
+  } catch (error) {
+    console.error('Certificate verification error:', error);
+    res.status(500).json({
+      message: 'Failed to verify certificate',
+      code: 'CERTIFICATE_VERIFY_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,71 @@
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
+const multer = require('multer');
+const { body, query, param, validationResult } = require('express-validator');
 const Event = require('../models/Event');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
+const Wallet = require('../models/Wallet');
+const WalletHold = require('../models/WalletHold');
+const Club = require('../models/Club');
+const ledgerService = require('../services/ledgerService');
+const couponService = require('../services/couponService');
+const holdService = require('../services/holdService');
+const checkInService = require('../services/checkInService');
+const waitlistService = require('../services/waitlistService');
+const eventRefundService = require('../services/eventRefundService');
+const qrService = require('../services/qrService');
+const certificateService = require('../services/certificateService');
+const feedbackService = require('../services/feedbackService');
 const { auth, adminAuth } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const { generateTransactionId, generateSlug } = require('../utils/helpers');
+const { AppError } = require('../middleware/errorHandler');
+const { socketEmitters } = require('../config/socket');
 
 const router = express.Router();
 
+// Hours a paid registration awaiting approval may hold the fee; never past the start
+const APPROVAL_HOLD_HOURS = parseFloat(process.env.EVENT_APPROVAL_HOLD_HOURS) || 72;
+
+const canManageEvent = (event, user) =>
+  ['admin', 'super_admin'].includes(user.role) ||
+  (event.organizer.userId._id || event.organizer.userId).toString() === user._id.toString();
+
+// Refund tiers as sent on create or on the refund policy update
+const refundScheduleValidation = (path) => [
+  body(path)
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Refund schedule can have at most 10 tiers'),
+  body(`${path}.*.hoursBefore`)
+    .isFloat({ min: 0, max: 8760 })
+    .withMessage('Each refund tier needs hoursBefore between 0 and 8760'),
+  body(`${path}.*.percent`)
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Each refund tier needs a percent between 0 and 100')
+];
+
+// Certificate backgrounds are kept in memory and stored with the template
+const templateUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => (['image/png', 'image/jpeg'].includes(file.mimetype)
+    ? cb(null, true)
+    : cb(new AppError('Background must be a PNG or JPEG image', 400, 'INVALID_FILE_TYPE')))
+});
+
+const uploadTemplateBackground = (req, res, next) => {
+  templateUpload.single('background')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        message: error.code === 'LIMIT_FILE_SIZE' ? 'Background image is too large' : error.message,
+        code: error.errorCode || 'INVALID_UPLOAD'
+      });
+    }
+    next();
+  });
+};
+
 // @route   GET /api/events
 // @desc    Get list of events with filters
 // @access  Public
@@ -278,7 +336,14 @@ router.post('/', auth, [
     .notEmpty()
     .withMessage('Category is required')
     .isIn(['workshop', 'seminar', 'competition', 'cultural', 'sports', 'technical', 'career', 'social', 'other'])
-    .withMessage('Invalid category')
+    .withMessage('Invalid category'),
+
+  body('clubId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid club ID'),
+
+  ...refundScheduleValidation('settings.refundSchedule')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -307,9 +372,27 @@ router.post('/', auth, [
       tags,
       requirements,
       media,
-      settings
+      settings,
+      clubId
     } = req.body;
 
+    // Events run for a club count towards its ratings, so only its
+    // managers or members allowed to create events may name it
+    let club = null;
+    if (clubId) {
+      club = await Club.findOne({ _id: clubId, status: 'active' });
+      const member = club?.members.find(item => item.userId.toString() === req.userId.toString());
+      const canCreate = club && (club.canUserManage(req.userId) ||
+        (member?.status === 'active' && member.permissions?.canCreateEvents));
+
+      if (!canCreate || club.settings?.content?.allowEvents === false) {
+        return res.status(403).json({ 
+          message: 'You cannot create events for this club',
+          code: 'CLUB_ACCESS_DENIED'
+        });
+      }
+    }
+
     // Generate slug
     const slug = generateSlug(title);
 
@@ -352,7 +435,9 @@ router.post('/', auth, [
         userId: req.userId,
         name: req.user.name,
         email: req.user.email,
-        phone: req.user.phone
+        phone: req.user.phone,
+        organization: club?.name,
+        clubId: club?._id
       },
       status: 'draft'
     };
@@ -407,9 +492,24 @@ router.post('/', auth, [
 // @route   POST /api/events/:id/register
 // @desc    Register for an event
 // @access  Private
-router.post('/:id/register', auth, async (req, res) => {
+router.post('/:id/register', auth, idempotency, [
+  body('couponCode')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Invalid coupon code')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { id } = req.params;
+    const { couponCode } = req.body;
 
     const event = await Event.findOne({
       _id: id,
@@ -431,18 +531,17 @@ router.post('/:id/register', auth, async (req, res) => {
           message: 'Registration is closed for this event',
           code: 'REGISTRATION_CLOSED'
         });
-      } else if (event.registrationStatus === 'full') {
-        if (event.settings.allowWaitlist) {
-          return res.status(400).json({ 
-            message: 'Event is full. Would you like to join the waitlist?',
-            code: 'EVENT_FULL_WAITLIST_AVAILABLE'
-          });
-        } else {
-          return res.status(400).json({ 
-            message: 'Event is full and waitlist is not available',
-            code: 'EVENT_FULL'
-          });
-        }
+      } else if (event.settings.allowWaitlist) {
+        // Freed spots go to the waitlist first
+        return res.status(400).json({ 
+          message: 'Event is full. Would you like to join the waitlist?',
+          code: 'EVENT_FULL_WAITLIST_AVAILABLE'
+        });
+      } else {
+        return res.status(400).json({ 
+          message: 'Event is full and waitlist is not available',
+          code: 'EVENT_FULL'
+        });
       }
     }
 
@@ -462,10 +561,34 @@ router.post('/:id/register', auth, async (req, res) => {
     // Check user wallet balance
     const user = await User.findById(req.userId);
     const conversionRate = parseFloat(process.env.COLLEX_CONVERSION_RATE || 1);
-    const eventCostInCollex = event.currentPrice * conversionRate;
+    const priceInCollex = ledgerService.roundAmount(event.currentPrice * conversionRate);
+
+    let couponQuote = null;
+    if (couponCode) {
+      if (!(event.currentPrice > 0)) {
+        return res.status(400).json({ 
+          message: 'Coupons only apply to paid events',
+          code: 'COUPON_NOT_APPLICABLE'
+        });
+      }
+      couponQuote = await couponService.quote({
+        code: couponCode,
+        userId: req.userId,
+        amount: priceInCollex,
+        event
+      });
+    }
+
+    const eventCostInCollex = ledgerService.roundAmount(priceInCollex - (couponQuote ? couponQuote.discount : 0));
+    const platformSubsidy = couponQuote && couponQuote.fundedBy === 'PLATFORM' ? couponQuote.discount : 0;
+
+    // Without autoApprove nothing is charged until the organizer approves; a
+    // paid registration holds the full price and the coupon is applied on capture
+    const needsApproval = event.settings.autoApprove === false;
+    const amountDue = needsApproval ? priceInCollex : eventCostInCollex;
 
     if (event.currentPrice > 0) {
-      const spendingCheck = user.canSpend(eventCostInCollex);
+      const spendingCheck = user.canSpend(amountDue);
       
       if (!spendingCheck.canSpend) {
         return res.status(400).json({ 
@@ -473,47 +596,118 @@ router.post('/:id/register', auth, async (req, res) => {
             'Daily transaction limit exceeded' : 
             'Insufficient wallet balance',
           code: spendingCheck.hasBalance ? 'DAILY_LIMIT_EXCEEDED' : 'INSUFFICIENT_BALANCE',
-          required: eventCostInCollex,
-          available: user.walletBalance
+          required: amountDue,
+          available: spendingCheck.availableBalance
         });
       }
     }
 
     // Process payment if event has a cost
     let transaction = null;
+    let hold = null;
+    let registered = null;
     
-    if (event.currentPrice > 0) {
-      // Create transaction
+    if (event.currentPrice > 0 && !needsApproval) {
+      const wallet = await Wallet.createWallet(req.userId);
+
       transaction = new Transaction({
         transactionId: generateTransactionId(),
-        fromUser: req.userId,
+        userId: req.userId,
+        walletId: wallet._id,
         amount: eventCostInCollex,
-        type: 'payment',
-        category: 'event',
+        currency: wallet.currency,
+        type: 'DEBIT',
+        category: 'EVENT_PAYMENT',
+        paymentMethod: 'WALLET',
         description: `Event registration: ${event.title}`,
-        status: 'completed',
-        balanceBeforeTransaction: user.walletBalance,
-        balanceAfterTransaction: user.walletBalance - eventCostInCollex,
+        status: 'COMPLETED',
+        balanceBefore: wallet.balance,
+        balanceAfter: wallet.balance,
+        grossAmount: priceInCollex,
+        discounts: couponQuote ? [couponService.discountLine(couponQuote)] : [],
         metadata: {
           eventId: event._id,
-          eventTitle: event.title,
-          eventDate: event.startDate
+          ip: req.ip,
+          userAgent: req.get('User-Agent')
         }
       });
+    }
+
+    // The hold or charge and the registration share one transaction, so a
+    // registration that fails (the last spot went, a repeated submit) also
+    // rolls back the hold, the charge and any coupon redemption
+    if (event.currentPrice > 0) {
+      await ledgerService.runInTransaction(async (session) => {
+        if (needsApproval) {
+          hold = await holdService.place({
+            userId: req.userId,
+            amount: priceInCollex,
+            purpose: 'EVENT_REGISTRATION',
+            eventId: event._id,
+            description: `Event registration: ${event.title}`,
+            expiresAt: new Date(Math.min(
+              new Date(event.startDate).getTime(),
+              Date.now() + APPROVAL_HOLD_HOURS * 60 * 60 * 1000
+            )),
+            metadata: { couponCode: couponQuote ? couponQuote.coupon.code : undefined },
+            session
+          });
+
+          registered = await event.registerUser(req.userId, null, { pending: true, holdId: hold._id, session });
+          return;
+        }
+
+        // Dr user wallet, Cr event collections; a platform-funded coupon tops
+        // the collections up from promotions
+        const [payerWallet, collectionsWallet, promotionsWallet] = await Promise.all([
+          Wallet.findById(transaction.walletId).session(session),
+          Wallet.getSystemWallet('EVENT_COLLECTIONS', { session }),
+          Wallet.getSystemWallet('PLATFORM_PROMOTIONS', { session })
+        ]);
 
-      // Update user balance
-      user.resetDailySpentIfNeeded();
-      user.walletBalance -= eventCostInCollex;
-      user.dailySpentAmount += eventCostInCollex;
+        if (couponQuote) {
+          await couponService.redeem({
+            quote: couponQuote,
+            userId: req.userId,
+            transaction,
+            eventId: event._id,
+            amountBefore: priceInCollex,
+            session
+          });
+        }
+
+        const lines = ledgerService.transferLines(payerWallet, collectionsWallet, eventCostInCollex, transaction.description);
+        if (platformSubsidy > 0) {
+          lines.push(...ledgerService.rewardLines(promotionsWallet, collectionsWallet, platformSubsidy, transaction.description));
+        }
 
-      await Promise.all([
-        transaction.save(),
-        user.save()
-      ]);
+        await ledgerService.postJournal({
+          lines,
+          transactions: [transaction],
+          description: transaction.description,
+          session
+        });
+
+        user.resetDailySpentIfNeeded();
+        user.dailySpentAmount += eventCostInCollex;
+        await user.save({ session });
+
+        registered = await event.registerUser(req.userId, transaction._id, { session });
+      });
+    } else {
+      registered = await event.registerUser(req.userId, null);
     }
 
-    // Register user for event
-    await event.registerUser(req.userId, transaction?._id);
+    // A missing ticket is issued when the student opens it, so this never
+    // fails the registration
+    let ticket = null;
+    if (!needsApproval) {
+      try {
+        ticket = await checkInService.issueTicket(event, req.userId);
+      } catch (error) {
+        console.error('Event ticket issue error:', error);
+      }
+    }
 
     // Real-time notification
     const io = req.app.get('io');
@@ -527,7 +721,7 @@ router.post('/:id/register', auth, async (req, res) => {
             type: 'payment',
             description: transaction.description
           },
-          newBalance: user.walletBalance
+          newBalance: transaction.balanceAfter
         });
       }
 
@@ -541,31 +735,68 @@ router.post('/:id/register', auth, async (req, res) => {
           name: user.name,
           email: user.email
         },
-        newParticipantCount: event.currentParticipants + 1
+        awaitingApproval: needsApproval,
+        newParticipantCount: registered.currentParticipants
       });
     }
 
     console.log(`🎫 User registered for event: ${user.email} → ${event.title}`);
 
     res.json({
-      message: 'Successfully registered for event',
+      message: needsApproval
+        ? 'Registration received and awaiting organizer approval'
+        : 'Successfully registered for event',
       registration: {
         eventId: event._id,
         eventTitle: event.title,
         registrationDate: new Date(),
+        status: needsApproval ? 'pending' : 'approved',
         amount: event.currentPrice,
-        transactionId: transaction?.transactionId
+        amountPaid: transaction ? transaction.amount : 0,
+        discounts: transaction ? transaction.discounts : [],
+        transactionId: transaction?.transactionId,
+        hold: hold ? {
+          holdId: hold.holdId,
+          amount: hold.amount,
+          expiresAt: hold.expiresAt
+        } : null,
+        ticket
       },
       event: {
         title: event.title,
         startDate: event.startDate,
         venue: event.venue.name,
-        remainingSpots: event.availableSpots - 1
+        remainingSpots: registered.availableSpots
       }
     });
 
   } catch (error) {
     console.error('Event registration error:', error);
+
+    // Lost a race for the last spot, or a repeated submit
+    if (error.message === 'Event is full' || error.message === 'User already registered') {
+      return res.status(409).json({
+        message: error.message,
+        code: error.message === 'Event is full' ? 'EVENT_FULL' : 'ALREADY_REGISTERED'
+      });
+    }
+
+    if (error.errorCode === 'INSUFFICIENT_FUNDS') {
+      return res.status(400).json({
+        message: 'Insufficient wallet balance',
+        code: 'INSUFFICIENT_BALANCE',
+        required: error.requiredAmount,
+        available: error.availableBalance
+      });
+    }
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
     res.status(500).json({ 
       message: 'Failed to register for event',
       code: 'EVENT_REGISTRATION_ERROR'
@@ -573,6 +804,1721 @@ router.post('/:id/register', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/events/:id/registrations
+// @desc    List registrations, e.g. those awaiting approval
+// @access  Private (Organizer/Admin)
+router.get('/:id/registrations', auth, [
+  param('id').isMongoId().withMessage('Valid event ID is required'),
+  query('approvalStatus').optional().isIn(['approved', 'pending', 'rejected'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await Event.findById(req.params.id)
+      .select('title organizer registeredUsers settings.autoApprove')
+      .populate('registeredUsers.user', 'name email studentId')
+      .populate('registeredUsers.holdId', 'holdId amount status expiresAt');
+
+    if (!event) {
+      return res.status(404).json({ 
+        message: 'Event not found',
+        code: 'EVENT_NOT_FOUND'
+      });
+    }
+
+    if (!canManageEvent(event, req.user)) {
+      return res.status(403).json({ 
+        message: 'Only the organizer can view registrations',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    const registrations = req.query.approvalStatus
+      ? event.registeredUsers.filter(reg => reg.approvalStatus === req.query.approvalStatus)
+      : event.registeredUsers;
+
+    res.json({
+      message: 'Registrations fetched successfully',
+      autoApprove: event.settings.autoApprove,
+      registrations,
+      count: registrations.length
+    });
+
+  } catch (error) {
+    console.error('Event registrations error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch registrations',
+      code: 'EVENT_REGISTRATIONS_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/events/:id/registrations/:userId/approve
+// @desc    Approve a pending registration and capture its held fee
+// @access  Private (Organizer/Admin)
+router.post('/:id/registrations/:userId/approve', auth, idempotency, [
+  param('id').isMongoId().withMessage('Valid event ID is required'),
+  param('userId').isMongoId().withMessage('Valid user ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ 
+        message: 'Event not found',
+        code: 'EVENT_NOT_FOUND'
+      });
+    }
+
+    if (!canManageEvent(event, req.user)) {
+      return res.status(403).json({ 
+        message: 'Only the organizer can approve registrations',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    const registration = event.registeredUsers.find(
+      reg => reg.user.toString() === req.params.userId && reg.approvalStatus === 'pending'
+    );
+    if (!registration) {
+      return res.status(404).json({ 
+        message: 'No pending registration for this user',
+        code: 'REGISTRATION_NOT_PENDING'
+      });
+    }
+
+    // The coupon given at registration is re-checked now; if it no longer
+    // applies the full held price is captured
+    let transaction = null;
+    let couponNote = null;
+
+    await ledgerService.runInTransaction(async (session) => {
+      if (registration.holdId) {
+        const hold = await WalletHold.findById(registration.holdId).session(session);
+
+        let couponQuote = null;
+        if (hold?.metadata?.couponCode) {
+          try {
+            couponQuote = await couponService.quote({
+              code: hold.metadata.couponCode,
+              userId: registration.user,
+              amount: hold.amount,
+              event
+            });
+          } catch (error) {
+            if (!error.isOperational) throw error;
+            couponNote = `Coupon ${hold.metadata.couponCode} not applied: ${error.message}`;
+          }
+        }
+
+        const discount = couponQuote ? couponQuote.discount : 0;
+        const subsidy = couponQuote && couponQuote.fundedBy === 'PLATFORM' ? discount : 0;
+
+        ({ transaction } = await holdService.capture(registration.holdId, {
+          amount: ledgerService.roundAmount(hold.amount - discount),
+          session,
+          post: async (activeSession, claimed, amount) => {
+            const [payerWallet, collectionsWallet, promotionsWallet] = await Promise.all([
+              Wallet.findById(claimed.walletId).session(activeSession),
+              Wallet.getSystemWallet('EVENT_COLLECTIONS', { session: activeSession }),
+              Wallet.getSystemWallet('PLATFORM_PROMOTIONS', { session: activeSession })
+            ]);
+
+            const payment = new Transaction({
+              transactionId: generateTransactionId(),
+              userId: claimed.userId,
+              walletId: payerWallet._id,
+              amount,
+              currency: payerWallet.currency,
+              type: 'DEBIT',
+              category: 'EVENT_PAYMENT',
+              paymentMethod: 'WALLET',
+              description: `Event registration: ${event.title}`,
+              status: 'COMPLETED',
+              balanceBefore: payerWallet.balance,
+              balanceAfter: payerWallet.balance,
+              grossAmount: claimed.amount,
+              discounts: couponQuote ? [couponService.discountLine(couponQuote)] : [],
+              metadata: {
+                eventId: event._id,
+                holdId: claimed._id
+              }
+            });
+
+            if (couponQuote) {
+              await couponService.redeem({
+                quote: couponQuote,
+                userId: claimed.userId,
+                transaction: payment,
+                eventId: event._id,
+                amountBefore: claimed.amount,
+                session: activeSession
+              });
+            }
+
+            const lines = ledgerService.transferLines(payerWallet, collectionsWallet, amount, payment.description);
+            if (subsidy > 0) {
+              lines.push(...ledgerService.rewardLines(promotionsWallet, collectionsWallet, subsidy, payment.description));
+            }
+
+            await ledgerService.postJournal({
+              lines,
+              transactions: [payment],
+              description: payment.description,
+              session: activeSession
+            });
+
+            return payment;
+          }
+        }));
+      }
+
+      const approved = await Event.updateOne(
+        { _id: event._id, registeredUsers: { $elemMatch: { user: registration.user, approvalStatus: 'pending' } } },
+        {
+          $set: {
+            'registeredUsers.$.approvalStatus': 'approved',
+            'registeredUsers.$.paymentStatus': 'completed',
+            'registeredUsers.$.transactionId': transaction?._id
+          },
+          $inc: { 'financials.totalRevenue': registration.holdId ? event.currentPrice : 0 }
+        },
+        { session }
+      );
+      if (approved.modifiedCount !== 1) {
+        throw new AppError('Registration changed, please reload', 409, 'REGISTRATION_CHANGED');
+      }
+    });
+
+    let ticket = null;
+    try {
+      ticket = await checkInService.issueTicket(event, registration.user);
+    } catch (error) {
+      console.error('Event ticket issue error:', error);
+    }
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`user_${registration.user}`).emit('event_registration_updated', {
+        event: {
+          id: event._id,
+          title: event.title
+        },
+        status: 'approved',
+        amountCharged: transaction ? transaction.amount : 0,
+        newBalance: transaction ? transaction.balanceAfter : undefined,
+        ticketCode: ticket?.code
+      });
+    }
+
+    console.log(`✅ Registration approved: ${registration.user} → ${event.title}`);
+
+    res.json({
+      message: 'Registration approved',
+      registration: {
+        userId: registration.user,
+        status: 'approved',
+        amountCharged: transaction ? transaction.amount : 0,
+        discounts: transaction ? transaction.discounts : [],
+        transactionId: transaction?.transactionId,
+        couponNote
+      }
+    });
+
+  } catch (error) {
+    console.error('Registration approval error:', error);
+
+    if (error.errorCode === 'INSUFFICIENT_FUNDS') {
+      return res.status(400).json({
+        message: 'Insufficient wallet balance',
+        code: 'INSUFFICIENT_BALANCE',
+        required: error.requiredAmount,
+        available: error.availableBalance
+      });
+    }
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to approve registration',
+      code: 'REGISTRATION_APPROVAL_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/events/:id/registrations/:userId/reject
+// @desc    Reject a pending registration and release its hold
+// @access  Private (Organizer/Admin)
+router.post('/:id/registrations/:userId/reject', auth, [
+  param('id').isMongoId().withMessage('Valid event ID is required'),
+  param('userId').isMongoId().withMessage('Valid user ID is required'),
+  body('reason').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ 
+        message: 'Event not found',
+        code: 'EVENT_NOT_FOUND'
+      });
+    }
+
+    if (!canManageEvent(event, req.user)) {
+      return res.status(403).json({ 
+        message: 'Only the organizer can reject registrations',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    const registration = event.registeredUsers.find(
+      reg => reg.user.toString() === req.params.userId && reg.approvalStatus === 'pending'
+    );
+    if (!registration) {
+      return res.status(404).json({ 
+        message: 'No pending registration for this user',
+        code: 'REGISTRATION_NOT_PENDING'
+      });
+    }
+
+    const reason = req.body.reason || 'Registration not approved';
+
+    // The student was never charged; releasing the hold is the whole refund
+    await ledgerService.runInTransaction(async (session) => {
+      if (registration.holdId) {
+        await holdService.void(registration.holdId, { reason, session });
+      }
+
+      const rejected = await Event.updateOne(
+        { _id: event._id, registeredUsers: { $elemMatch: { user: registration.user, approvalStatus: 'pending' } } },
+        { $pull: { registeredUsers: { user: registration.user } }, $inc: { currentParticipants: -1 } },
+        { session }
+      );
+      if (rejected.modifiedCount !== 1) {
+        throw new AppError('Registration changed, please reload', 409, 'REGISTRATION_CHANGED');
+      }
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`user_${registration.user}`).emit('event_registration_updated', {
+        event: {
+          id: event._id,
+          title: event.title
+        },
+        status: 'rejected',
+        reason
+      });
+    }
+
+    console.log(`🚫 Registration rejected: ${registration.user} → ${event.title}`);
+
+    res.json({
+      message: 'Registration rejected and any held funds released',
+      registration: {
+        userId: registration.user,
+        status: 'rejected',
+        reason
+      }
+    });
+
+  } catch (error) {
+    console.error('Registration rejection error:', error);
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to reject registration',
+      code: 'REGISTRATION_REJECTION_ERROR'
+    });
+  }
+});
+
+// @route   DELETE /api/events/:id/register
+// @desc    Cancel own registration; the spot is offered to the waitlist
+// @access  Private
+router.delete('/:id/register', auth, [
+  param('id').isMongoId().withMessage('Valid event ID is required'),
+  body('reason').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await Event.findOne({ _id: req.params.id, isActive: true });
+    if (!event) {
+      return res.status(404).json({ 
+        message: 'Event not found',
+        code: 'EVENT_NOT_FOUND'
+      });
+    }
+
+    const registration = event.registeredUsers.find(
+      reg => reg.user.toString() === req.userId.toString()
+    );
+    if (!registration) {
+      return res.status(404).json({ 
+        message: 'You are not registered for this event',
+        code: 'REGISTRATION_NOT_FOUND'
+      });
+    }
+
+    if (new Date(event.startDate) <= new Date() || registration.attendanceStatus === 'attended') {
+      return res.status(400).json({ 
+        message: 'Registrations cannot be cancelled once the event has started',
+        code: 'EVENT_STARTED'
+      });
+    }
+
+    let cancellation;
+    try {
+      cancellation = await event.cancelRegistration(req.userId);
+    } catch (error) {
+      return res.status(400).json({ 
+        message: error.message,
+        code: 'CANCELLATION_NOT_ALLOWED'
+      });
+    }
+
+    const reason = req.body.reason || 'Cancelled by attendee';
+    let refund = null;
+
+    // The registration only goes if its hold or refund went through
+    await ledgerService.runInTransaction(async (session) => {
+      if (registration.holdId && registration.approvalStatus === 'pending') {
+        await holdService.void(registration.holdId, { reason, session });
+      }
+      if (cancellation.refundRatio > 0) {
+        refund = await eventRefundService.refundRegistration(event, registration, {
+          ratio: cancellation.refundRatio,
+          reason,
+          requestedBy: req.userId,
+          session
+        });
+        if (refund) {
+          event.financials.refundedAmount = ledgerService.roundAmount(event.financials.refundedAmount + refund.amount);
+        }
+      }
+      await event.save({ session });
+    });
+
+    if (registration.ticket?.qrId) {
+      await qrService.revoke(registration.ticket.qrId);
+    }
+
+    const io = req.app.get('io');
+    const offers = await waitlistService.promote(event._id, { io });
+
+    if (io) {
+      if (refund) {
+        socketEmitters.emitBalanceUpdate(io, req.userId, {
+          balance: refund.balanceAfter,
+          change: refund.amount,
+          transactionId: refund.transactionId,
+          type: 'refund',
+          event: event.title
+        });
+      }
+
+      io.to(`user_${event.organizer.userId}`).emit('event_registration_cancelled', {
+        event: {
+          id: event._id,
+          title: event.title
+        },
+        userId: req.userId,
+        waitlistOffers: offers.length
+      });
+    }
+
+    console.log(`↩️ Registration cancelled: ${req.userId} → ${event.title}`);
+
+    res.json({
+      message: 'Registration cancelled',
+      refund: refund ? {
+        transactionId: refund.transactionId,
+        amount: refund.amount,
+        percent: Math.round(cancellation.refundRatio * 100)
+      } : null,
+      spotOfferedToWaitlist: offers.length > 0
+    });
+
+  } catch (error) {
+    console.error('Registration cancellation error:', error);
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to cancel registration',
+      code: 'REGISTRATION_CANCELLATION_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/events/:id/refund-quote
+// @desc    What cancelling own registration now would refund
+// @access  Private
+router.get('/:id/refund-quote', auth, [
+  param('id').isMongoId().withMessage('Valid event ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await Event.findOne({ _id: req.params.id, isActive: true });
+    if (!event) {
+      return res.status(404).json({ 
+        message: 'Event not found',
+        code: 'EVENT_NOT_FOUND'
+      });
+    }
+
+    const registration = event.registeredUsers.find(
+      reg => reg.user.toString() === req.userId.toString()
+    );
+    if (!registration) {
+      return res.status(404).json({ 
+        message: 'You are not registered for this event',
+        code: 'REGISTRATION_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      message: 'Refund quote calculated',
+      quote: await eventRefundService.quote(event, registration)
+    });
+
+  } catch (error) {
+    console.error('Refund quote error:', error);
+    res.status(500).json({ 
+      message: 'Failed to calculate refund',
+      code: 'REFUND_QUOTE_ERROR'
+    });
+  }
+});
+
+// @route   PUT /api/events/:id/refund-policy
+// @desc    Set cancellation rules and the refund schedule
+// @access  Private (Organizer/Admin)
+router.put('/:id/refund-policy', auth, [
+  param('id').isMongoId().withMessage('Valid event ID is required'),
+  body('allowCancellation').optional().isBoolean(),
+  body('cancellationDeadline')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Invalid cancellation deadline'),
+  body('refundPolicy')
+    .optional()
+    .isIn(['full', 'partial', 'none'])
+    .withMessage('Refund policy must be full, partial or none'),
+  ...refundScheduleValidation('refundSchedule')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await Event.findOne({ _id: req.params.id, isActive: true });
+    if (!event) {
+      return res.status(404).json({ 
+        message: 'Event not found',
+        code: 'EVENT_NOT_FOUND'
+      });
+    }
+
+    if (!canManageEvent(event, req.user)) {
+      return res.status(403).json({ 
+        message: 'Only the organizer can change the refund policy',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    const { allowCancellation, cancellationDeadline, refundPolicy, refundSchedule } = req.body;
+    if (allowCancellation !== undefined) event.settings.allowCancellation = allowCancellation;
+    if (cancellationDeadline !== undefined) {
+      event.settings.cancellationDeadline = cancellationDeadline ? new Date(cancellationDeadline) : undefined;
+    }
+    if (refundPolicy !== undefined) event.settings.refundPolicy = refundPolicy;
+    if (refundSchedule !== undefined) {
+      event.settings.refundSchedule = refundSchedule.map(tier => ({
+        hoursBefore: parseFloat(tier.hoursBefore),
+        percent: parseFloat(tier.percent)
+      }));
+    }
+    await event.save();
+
+    res.json({
+      message: 'Refund policy updated',
+      refundPolicy: {
+        allowCancellation: event.settings.allowCancellation,
+        cancellationDeadline: event.settings.cancellationDeadline,
+        refundPolicy: event.settings.refundPolicy,
+        tiers: event.getRefundTiers()
+      }
+    });
+
+  } catch (error) {
+    console.error('Refund policy update error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ field: err.path, message: err.message }))
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to update refund policy',
+      code: 'REFUND_POLICY_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/events/:id/cancel
+// @desc    Cancel an event and refund every registrant; re-run to retry failures
+// @access  Private (Organizer/Admin)
+router.post('/:id/cancel', auth, idempotency, [
+  param('id').isMongoId().withMessage('Valid event ID is required'),
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('A reason of 3-500 characters is required'),
+  body('refundMode')
+    .optional()
+    .isIn(['full', 'schedule'])
+    .withMessage('Refund mode must be full or schedule')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await Event.findById(req.params.id).select('title organizer status');
+    if (!event) {
+      return res.status(404).json({ 
+        message: 'Event not found',
+        code: 'EVENT_NOT_FOUND'
+      });
+    }
+
+    if (!canManageEvent(event, req.user)) {
+      return res.status(403).json({ 
+        message: 'Only the organizer can cancel this event',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    const report = await eventRefundService.cancelEvent(event._id, {
+      reason: req.body.reason,
+      cancelledBy: req.userId,
+      refundMode: req.body.refundMode,
+      io: req.app.get('io')
+    });
+
+    res.json({
+      message: report.summary.failed > 0
+        ? `Event cancelled; ${report.summary.failed} refunds failed and can be retried`
+        : 'Event cancelled and all registrants settled',
+      report
+    });
+
+  } catch (error) {
+    console.error('Event cancellation error:', error);
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to cancel event',
+      code: 'EVENT_CANCELLATION_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/events/:id/cancellation-report
+// @desc    Per-registrant refund outcome of a cancelled event
+// @access  Private (Organizer/Admin)
+router.get('/:id/cancellation-report', auth, [
+  param('id').isMongoId().withMessage('Valid event ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await Event.findById(req.params.id).select('organizer status');
+    if (!event) {
+      return res.status(404).json({ 
+        message: 'Event not found',
+        code: 'EVENT_NOT_FOUND'
+      });
+    }
+
+    if (!canManageEvent(event, req.user)) {
+      return res.status(403).json({ 
+        message: 'Only the organizer can view the cancellation report',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    if (event.status !== 'cancelled') {
+      return res.status(400).json({ 
+        message: 'This event has not been cancelled',
+        code: 'EVENT_NOT_CANCELLED'
+      });
+    }
+
+    res.json({
+      message: 'Cancellation report fetched successfully',
+      report: await eventRefundService.getCancellationReport(event._id)
+    });
+
+  } catch (error) {
+    console.error('Cancellation report error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch cancellation report',
+      code: 'CANCELLATION_REPORT_ERROR'
+    });
+  }
+});
+
+// @route   PATCH /api/events/:id/capacity
+// @desc    Change the participant limit; new spots go to the waitlist
+// @access  Private (Organizer/Admin)
+router.patch('/:id/capacity', auth, [
+  param('id').isMongoId().withMessage('Valid event ID is required'),
+  body('maxParticipants')
+    .isInt({ min: 1, max: 10000 })
+    .withMessage('Maximum participants must be between 1 and 10000')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await Event.findOne({ _id: req.params.id, isActive: true });
+    if (!event) {
+      return res.status(404).json({ 
+        message: 'Event not found',
+        code: 'EVENT_NOT_FOUND'
+      });
+    }
+
+    if (!canManageEvent(event, req.user)) {
+      return res.status(403).json({ 
+        message: 'Only the organizer can change capacity',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    const maxParticipants = parseInt(req.body.maxParticipants);
+    const updated = await Event.findOneAndUpdate(
+      { _id: event._id, currentParticipants: { $lte: maxParticipants } },
+      { $set: { maxParticipants } },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(400).json({ 
+        message: `Capacity cannot go below the ${event.currentParticipants} spots already taken`,
+        code: 'CAPACITY_BELOW_REGISTERED'
+      });
+    }
+
+    const offers = await waitlistService.promote(event._id, { io: req.app.get('io') });
+
+    res.json({
+      message: 'Capacity updated',
+      maxParticipants,
+      waitlistOffers: offers.length
+    });
+
+  } catch (error) {
+    console.error('Event capacity error:', error);
+    res.status(500).json({ 
+      message: 'Failed to update capacity',
+      code: 'EVENT_CAPACITY_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/events/:id/waitlist
+// @desc    Join the waitlist of a full event
+// @access  Private
+router.post('/:id/waitlist', auth, [
+  param('id').isMongoId().withMessage('Valid event ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const waitlist = await waitlistService.join(req.params.id, req.userId, { io: req.app.get('io') });
+
+    res.status(201).json({
+      message: waitlist.status === 'offered'
+        ? 'A spot opened up and is on offer to you'
+        : `You are number ${waitlist.position} on the waitlist`,
+      waitlist
+    });
+
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to join waitlist',
+      code: 'WAITLIST_JOIN_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/events/:id/waitlist
+// @desc    Own waitlist position and any open offer
+// @access  Private
+router.get('/:id/waitlist', auth, [
+  param('id').isMongoId().withMessage('Valid event ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Settle lapsed offers first so the position shown is current
+    await waitlistService.expireOffers(new Date(), { eventId: req.params.id, io: req.app.get('io') });
+
+    const waitlist = await waitlistService.getEntry(req.params.id, req.userId);
+    if (!waitlist) {
+      return res.status(404).json({ 
+        message: 'You are not on the waitlist',
+        code: 'NOT_WAITLISTED'
+      });
+    }
+
+    res.json({
+      message: 'Waitlist entry fetched successfully',
+      waitlist
+    });
+
+  } catch (error) {
+    console.error('Waitlist entry error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch waitlist entry',
+      code: 'WAITLIST_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/events/:id/waitlist/accept
+// @desc    Accept an offered spot; a held fee is charged
+// @access  Private
+router.post('/:id/waitlist/accept', auth, idempotency, [
+  param('id').isMongoId().withMessage('Valid event ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const io = req.app.get('io');
+    const { event, transaction, ticket } = await waitlistService.accept(req.params.id, req.userId, { io });
+
+    if (io) {
+      io.to(`user_${event.organizer.userId}`).emit('event_registration', {
+        event: {
+          id: event._id,
+          title: event.title
+        },
+        participant: {
+          userId: req.userId
+        },
+        fromWaitlist: true,
+        awaitingApproval: false
+      });
+    }
+
+    console.log(`🎫 Waitlist offer accepted: ${req.userId} → ${event.title}`);
+
+    res.json({
+      message: 'Successfully registered for event',
+      registration: {
+        eventId: event._id,
+        eventTitle: event.title,
+        status: 'approved',
+        amountPaid: transaction ? transaction.amount : 0,
+        transactionId: transaction?.transactionId,
+        ticket
+      }
+    });
+
+  } catch (error) {
+    console.error('Waitlist accept error:', error);
+
+    if (error.errorCode === 'INSUFFICIENT_FUNDS') {
+      return res.status(400).json({
+        message: 'Insufficient wallet balance',
+        code: 'INSUFFICIENT_BALANCE',
+        required: error.requiredAmount,
+        available: error.availableBalance
+      });
+    }
+
+    if (error.errorCode === 'HOLD_EXPIRED' || error.errorCode === 'HOLD_NOT_OPEN') {
+      return res.status(409).json({
+        message: 'This offer has expired',
+        code: 'WAITLIST_OFFER_EXPIRED'
+      });
+    }
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to accept waitlist offer',
+      code: 'WAITLIST_ACCEPT_ERROR'
+    });
+  }
+});
+
+// @route   DELETE /api/events/:id/waitlist
+// @desc    Leave the waitlist or decline an offered spot
+// @access  Private
+router.delete('/:id/waitlist', auth, [
+  param('id').isMongoId().withMessage('Valid event ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await waitlistService.leave(req.params.id, req.userId, { io: req.app.get('io') });
+
+    res.json({
+      message: 'You have left the waitlist'
+    });
+
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to leave waitlist',
+      code: 'WAITLIST_LEAVE_ERROR'
+    });
+  }
+});
+
+// @route   PUT /api/events/:id/certificate-template
+// @desc    Upload the certificate background and set the text laid over it
+// @access  Private (Organizer/Admin)
+router.put('/:id/certificate-template', auth, uploadTemplateBackground, [
+  param('id').isMongoId().withMessage('Valid event ID is required'),
+  body('title').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Title must be 1-100 characters'),
+  body('body').optional().trim().isLength({ min: 1, max: 500 }).withMessage('Body must be 1-500 characters'),
+  body('signatoryName').optional().trim().isLength({ max: 100 }),
+  body('signatoryTitle').optional().trim().isLength({ max: 100 }),
+  body('textColor').optional().matches(/^#[0-9A-Fa-f]{6}$/).withMessage('Text color must be a hex color like #111827'),
+  body('nameY').optional().isFloat({ min: 10, max: 80 }).withMessage('Name position must be between 10 and 80').toFloat()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await Event.findOne({ _id: req.params.id, isActive: true });
+    if (!event) {
+      return res.status(404).json({ 
+        message: 'Event not found',
+        code: 'EVENT_NOT_FOUND'
+      });
+    }
+
+    if (!canManageEvent(event, req.user)) {
+      return res.status(403).json({ 
+        message: 'Only the organizer can set the certificate template',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    const template = await certificateService.saveTemplate(event, {
+      file: req.file,
+      fields: req.body,
+      updatedBy: req.userId
+    });
+
+    res.json({
+      message: 'Certificate template saved',
+      template
+    });
+
+  } catch (error) {
+    console.error('Certificate template error:', error);
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to save certificate template',
+      code: 'CERTIFICATE_TEMPLATE_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/events/:id/certificate-template/preview
+// @desc    Render a sample certificate with the current template
+// @access  Private (Organizer/Admin)
+router.get('/:id/certificate-template/preview', auth, [
+  param('id').isMongoId().withMessage('Valid event ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await Event.findOne({ _id: req.params.id, isActive: true });
+    if (!event) {
+      return res.status(404).json({ 
+        message: 'Event not found',
+        code: 'EVENT_NOT_FOUND'
+      });
+    }
+
+    if (!canManageEvent(event, req.user)) {
+      return res.status(403).json({ 
+        message: 'Only the organizer can preview certificates',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    const template = await certificateService.getTemplate(event._id, { withBackground: true });
+    if (!template) {
+      return res.status(404).json({ 
+        message: 'Upload a certificate template first',
+        code: 'CERTIFICATE_TEMPLATE_MISSING'
+      });
+    }
+
+    const pdf = await certificateService.render({
+      certificateId: 'CERT-SAMPLE',
+      recipientName: req.user.name,
+      eventTitle: event.title,
+      eventDate: event.startDate,
+      organizerName: event.organizer.organization || event.organizer.name
+    }, template);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': 'inline; filename="certificate-preview.pdf"'
+    });
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('Certificate preview error:', error);
+    res.status(500).json({ 
+      message: 'Failed to render certificate preview',
+      code: 'CERTIFICATE_PREVIEW_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/events/:id/certificates/issue
+// @desc    Issue certificates to attendees; re-run after corrections
+// @access  Private (Organizer/Admin)
+router.post('/:id/certificates/issue', auth, [
+  param('id').isMongoId().withMessage('Valid event ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await Event.findById(req.params.id).select('organizer');
+    if (!event) {
+      return res.status(404).json({ 
+        message: 'Event not found',
+        code: 'EVENT_NOT_FOUND'
+      });
+    }
+
+    if (!canManageEvent(event, req.user)) {
+      return res.status(403).json({ 
+        message: 'Only the organizer can issue certificates',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    const summary = await certificateService.issueForEvent(event._id, {
+      issuedBy: req.userId,
+      io: req.app.get('io')
+    });
+
+    res.json({
+      message: 'Certificates issued',
+      summary
+    });
+
+  } catch (error) {
+    console.error('Certificate issue error:', error);
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to issue certificates',
+      code: 'CERTIFICATE_ISSUE_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/events/:id/certificates
+// @desc    List the certificates issued for an event
+// @access  Private (Organizer/Admin)
+router.get('/:id/certificates', auth, [
+  param('id').isMongoId().withMessage('Valid event ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await Event.findById(req.params.id).select('organizer');
+    if (!event) {
+      return res.status(404).json({ 
+        message: 'Event not found',
+        code: 'EVENT_NOT_FOUND'
+      });
+    }
+
+    if (!canManageEvent(event, req.user)) {
+      return res.status(403).json({ 
+        message: 'Only the organizer can view certificates',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    const certificates = await certificateService.getEventCertificates(event._id);
+
+    res.json({
+      message: 'Certificates fetched successfully',
+      certificates
+    });
+
+  } catch (error) {
+    console.error('Event certificates error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch certificates',
+      code: 'CERTIFICATE_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   PUT /api/events/:id/feedback-form
+// @desc    Design the post-event feedback form
+// @access  Private (Organizer/Admin)
+router.put('/:id/feedback-form', auth, [
+  param('id').isMongoId().withMessage('Valid event ID is required'),
+  body('questions')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('A form can have at most 20 questions'),
+  body('questions.*.type')
+    .isIn(['rating', 'choice', 'text'])
+    .withMessage('Question type must be rating, choice or text'),
+  body('questions.*.prompt')
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('Each question needs a prompt of 3-200 characters'),
+  body('questions.*.options')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('A question can have at most 10 options'),
+  body('questions.*.options.*')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Options must be 1-100 characters'),
+  body('questions.*.multiple').optional().isBoolean(),
+  body('questions.*.required').optional().isBoolean(),
+  body('closesAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Invalid closing date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await Event.findOne({ _id: req.params.id, isActive: true });
+    if (!event) {
+      return res.status(404).json({ 
+        message: 'Event not found',
+        code: 'EVENT_NOT_FOUND'
+      });
+    }
+
+    if (!canManageEvent(event, req.user)) {
+      return res.status(403).json({ 
+        message: 'Only the organizer can design the feedback form',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    const form = await feedbackService.saveForm(event, {
+      questions: req.body.questions,
+      closesAt: req.body.closesAt
+    });
+
+    res.json({
+      message: 'Feedback form saved',
+      form,
+      window: feedbackService.getWindow({ endDate: event.endDate, feedbackForm: form })
+    });
+
+  } catch (error) {
+    console.error('Feedback form error:', error);
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to save feedback form',
+      code: 'FEEDBACK_FORM_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/events/:id/feedback-form
+// @desc    Get the feedback form and whether the user can answer it
+// @access  Private
+router.get('/:id/feedback-form', auth, [
+  param('id').isMongoId().withMessage('Valid event ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await Event.findOne({ _id: req.params.id, isActive: true });
+    if (!event) {
+      return res.status(404).json({ 
+        message: 'Event not found',
+        code: 'EVENT_NOT_FOUND'
+      });
+    }
+
+    const registration = event.registeredUsers.find(
+      reg => reg.user.toString() === req.userId.toString()
+    );
+    const reason = feedbackService.ineligibility(event, registration);
+
+    res.json({
+      message: 'Feedback form fetched successfully',
+      form: {
+        questions: event.feedbackForm?.questions || [],
+        ...feedbackService.getWindow(event)
+      },
+      canSubmit: !reason,
+      reason: reason ? { message: reason.message, code: reason.errorCode } : null,
+      submitted: registration?.feedback?.submittedAt ? registration.feedback : null
+    });
+
+  } catch (error) {
+    console.error('Feedback form fetch error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch feedback form',
+      code: 'FEEDBACK_FORM_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/events/:id/feedback
+// @desc    Submit feedback as a checked-in attendee after the event
+// @access  Private
+router.post('/:id/feedback', auth, [
+  param('id').isMongoId().withMessage('Valid event ID is required'),
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be 1-5')
+    .toInt(),
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Comment cannot exceed 1000 characters'),
+  body('answers')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Answers must be an array'),
+  body('answers.*.questionId')
+    .isMongoId()
+    .withMessage('Each answer needs a valid question ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { feedback, analytics } = await feedbackService.submit(req.params.id, req.userId, {
+      rating: req.body.rating,
+      comment: req.body.comment,
+      answers: req.body.answers
+    });
+
+    res.status(201).json({
+      message: 'Thanks for your feedback',
+      feedback,
+      eventRating: analytics
+    });
+
+  } catch (error) {
+    console.error('Feedback submission error:', error);
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to submit feedback',
+      code: 'FEEDBACK_SUBMIT_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/events/:id/feedback/report
+// @desc    Feedback summary, or every response as CSV with format=csv
+// @access  Private (Organizer/Admin)
+router.get('/:id/feedback/report', auth, [
+  param('id').isMongoId().withMessage('Valid event ID is required'),
+  query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await Event.findById(req.params.id)
+      .select('title organizer endDate status settings feedbackForm registeredUsers analytics');
+    if (!event) {
+      return res.status(404).json({ 
+        message: 'Event not found',
+        code: 'EVENT_NOT_FOUND'
+      });
+    }
+
+    if (!canManageEvent(event, req.user)) {
+      return res.status(403).json({ 
+        message: 'Only the organizer can view the feedback report',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    if (req.query.format === 'csv') {
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="feedback-${event._id}.csv"`
+      });
+      return res.send(feedbackService.buildCsv(event));
+    }
+
+    res.json({
+      message: 'Feedback report fetched successfully',
+      report: feedbackService.buildReport(event)
+    });
+
+  } catch (error) {
+    console.error('Feedback report error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch feedback report',
+      code: 'FEEDBACK_REPORT_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/events/:id/ticket
+// @desc    Get the ticket QR for an approved registration
+// @access  Private
+router.get('/:id/ticket', auth, [
+  param('id').isMongoId().withMessage('Valid event ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await Event.findOne({ _id: req.params.id, isActive: true });
+    if (!event) {
+      return res.status(404).json({ 
+        message: 'Event not found',
+        code: 'EVENT_NOT_FOUND'
+      });
+    }
+
+    const ticket = await checkInService.getTicket(event, req.userId);
+
+    res.json({
+      message: 'Ticket fetched successfully',
+      event: {
+        id: event._id,
+        title: event.title,
+        startDate: event.startDate,
+        venue: event.venue.name
+      },
+      ticket
+    });
+
+  } catch (error) {
+    console.error('Event ticket error:', error);
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to fetch ticket',
+      code: 'EVENT_TICKET_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/events/:id/check-in
+// @desc    Check in a ticket QR or code, a walk-in, or a batch of offline scans
+// @access  Private (Organizer/Co-organizer/Admin)
+router.post('/:id/check-in', auth, idempotency, [
+  param('id').isMongoId().withMessage('Valid event ID is required'),
+  body('ticket')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 4096 })
+    .withMessage('Invalid ticket'),
+  body('code')
+    .optional()
+    .trim()
+    .isLength({ min: 4, max: 16 })
+    .withMessage('Invalid ticket code'),
+  body('walkIn')
+    .optional()
+    .isObject()
+    .withMessage('Walk-in must give a userId, studentId or email'),
+  body('walkIn.userId').optional().isMongoId(),
+  body('walkIn.studentId').optional().trim().isLength({ min: 1, max: 50 }),
+  body('walkIn.email').optional().isEmail().normalizeEmail(),
+  body('scans')
+    .optional()
+    .isArray({ min: 1, max: 500 })
+    .withMessage('Scans must be a list of 1 to 500 entries'),
+  body('scans.*.ticket').optional().isString().isLength({ min: 1, max: 4096 }),
+  body('scans.*.code').optional().trim().isLength({ min: 4, max: 16 }),
+  body('scans.*.scannedAt')
+    .isISO8601()
+    .withMessage('Each scan needs the time it was made')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { ticket, code, walkIn, scans } = req.body;
+    const given = [ticket, code, walkIn, scans].filter(value => value !== undefined).length;
+    const walkInIdentified = !walkIn || walkIn.userId || walkIn.studentId || walkIn.email;
+    const scansIdentified = !scans || scans.every(scan => scan.ticket || scan.code);
+    if (given !== 1 || !walkInIdentified || !scansIdentified) {
+      return res.status(400).json({ 
+        message: 'Send one of ticket, code, walkIn or scans',
+        code: 'CHECK_IN_INPUT_REQUIRED'
+      });
+    }
+
+    const event = await Event.findOne({ _id: req.params.id, isActive: true });
+    if (!event) {
+      return res.status(404).json({ 
+        message: 'Event not found',
+        code: 'EVENT_NOT_FOUND'
+      });
+    }
+
+    if (!checkInService.canCheckIn(event, req.user)) {
+      return res.status(403).json({ 
+        message: 'Only the organizers can check attendees in',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    let checkedIn = null;
+    let batch = null;
+    if (scans) {
+      batch = await checkInService.syncScans(event, scans, req.userId);
+    } else if (walkIn) {
+      checkedIn = await checkInService.walkIn(event, walkIn, req.userId);
+    } else {
+      checkedIn = await checkInService.checkIn(event, { ticket, code, actorId: req.userId });
+    }
+
+    const attendee = checkedIn
+      ? checkedIn.user || await User.findById(checkedIn.userId).select('name email studentId')
+      : null;
+    const attendance = await checkInService.getAttendance(event._id);
+
+    const io = req.app.get('io');
+    if (io && (checkedIn || batch.counts.checkedIn > 0)) {
+      socketEmitters.emitAttendanceUpdate(io, checkInService.staffIds(event), {
+        event: {
+          id: event._id,
+          title: event.title
+        },
+        ...attendance,
+        lastCheckIn: attendee ? { name: attendee.name, method: checkedIn.method } : undefined,
+        offlineCheckIns: batch ? batch.counts.checkedIn : undefined
+      });
+    }
+
+    if (batch) {
+      return res.json({
+        message: 'Offline scans processed',
+        results: batch.results,
+        counts: batch.counts,
+        attendance
+      });
+    }
+
+    console.log(`🎟️ Checked in: ${attendee?.email} → ${event.title} (${checkedIn.method})`);
+
+    res.json({
+      message: checkedIn.registered ? 'Walk-in registered and checked in' : 'Checked in',
+      attendee: {
+        userId: checkedIn.userId,
+        name: attendee?.name,
+        studentId: attendee?.studentId
+      },
+      checkedInAt: checkedIn.checkedInAt,
+      method: checkedIn.method,
+      attendance
+    });
+
+  } catch (error) {
+    console.error('Event check-in error:', error);
+
+    if (error.errorCode === 'ALREADY_CHECKED_IN') {
+      const attendee = error.userId ? await User.findById(error.userId).select('name studentId') : null;
+      return res.status(409).json({
+        message: error.message,
+        code: error.errorCode,
+        checkedInAt: error.checkedInAt,
+        attendee: attendee ? { userId: attendee._id, name: attendee.name, studentId: attendee.studentId } : undefined
+      });
+    }
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to check in',
+      code: 'EVENT_CHECK_IN_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/events/:id/attendance
+// @desc    Door counts for the check-in screen
+// @access  Private (Organizer/Co-organizer/Admin)
+router.get('/:id/attendance', auth, [
+  param('id').isMongoId().withMessage('Valid event ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await Event.findById(req.params.id).select('title organizer coOrganizers');
+    if (!event) {
+      return res.status(404).json({ 
+        message: 'Event not found',
+        code: 'EVENT_NOT_FOUND'
+      });
+    }
+
+    if (!checkInService.canCheckIn(event, req.user)) {
+      return res.status(403).json({ 
+        message: 'Only the organizers can view attendance',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    res.json({
+      message: 'Attendance fetched successfully',
+      attendance: await checkInService.getAttendance(event._id)
+    });
+
+  } catch (error) {
+    console.error('Event attendance error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch attendance',
+      code: 'EVENT_ATTENDANCE_ERROR'
+    });
+  }
+});
+
 // @route   GET /api/events/my/registered
 // @desc    Get user's registered events
 // @access  Private
@@ -606,6 +2552,8 @@ router.get('/my/registered', auth, async (req, res) => {
             registeredAt: registration.registeredAt,
             paymentStatus: registration.paymentStatus,
             attendanceStatus: registration.attendanceStatus,
+            checkedInAt: registration.checkedInAt,
+            ticketCode: registration.ticket?.code,
             certificateIssued: registration.certificateIssued
           },
           availableSpots: eventObj.availableSpots,
@@ -13,6 +13,8 @@ const walletRoutes = require('./wallet');
 const transactionRoutes = require('./transactions');
 const merchantRoutes = require('./merchants');
 const eventRoutes = require('./events');
+const orderRoutes = require('./orders');
+const certificateRoutes = require('./certificates');
 const analyticsRoutes = require('./analytics');
 const clubRoutes = require('./clubs');
 const adminRoutes = require('./admin');
@@ -109,6 +111,8 @@ router.get('/', (req, res) => {
         transactions: '/api/transactions',
         merchants: '/api/merchants',
         events: '/api/events',
+        orders: '/api/orders',
+        certificates: '/api/certificates',
         clubs: '/api/clubs',
         analytics: '/api/analytics',
         webhooks: '/api/webhooks',
@@ -308,6 +312,12 @@ router.get('/api/docs', (req, res) => {
         '/events': {
           description: 'Event management endpoints for creation and registration'
         },
+        '/orders': {
+          description: 'Canteen pre-order endpoints for menus, pickup slots and order tracking'
+        },
+        '/certificates': {
+          description: 'Event certificate downloads and public verification'
+        },
         '/clubs': {
           description: 'Club management endpoints for community features'
         },
@@ -370,12 +380,16 @@ router.use(`${API_PREFIX}/public`, publicRoutes);
 // Authentication routes
 router.use(`${API_PREFIX}/auth`, authRoutes);
 
+// Certificate verification is public; the other certificate routes check auth themselves
+router.use(`${API_PREFIX}/certificates`, certificateRoutes);
+
 // Protected routes (authentication required)
 router.use(`${API_PREFIX}/users`, authMiddleware, userRoutes);
 router.use(`${API_PREFIX}/wallet`, authMiddleware, walletRoutes);
 router.use(`${API_PREFIX}/transactions`, authMiddleware, transactionRoutes);
 router.use(`${API_PREFIX}/merchants`, authMiddleware, merchantRoutes);
 router.use(`${API_PREFIX}/events`, authMiddleware, eventRoutes);
+router.use(`${API_PREFIX}/orders`, authMiddleware, orderRoutes);
 router.use(`${API_PREFIX}/clubs`, authMiddleware, clubRoutes);
 router.use(`${API_PREFIX}/analytics`, authMiddleware, analyticsRoutes);
 
@@ -1,9 +1,30 @@
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
+const { body, query, param, validationResult } = require('express-validator');
 const Merchant = require('../models/Merchant');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
+const Dispute = require('../models/Dispute');
+const Settlement = require('../models/Settlement');
+const Coupon = require('../models/Coupon');
+const WalletHold = require('../models/WalletHold');
+const CatalogItem = require('../models/CatalogItem');
+const Order = require('../models/Order');
+const PaymentRequest = require('../models/PaymentRequest');
+const IssuedQR = require('../models/IssuedQR');
 const { auth, adminAuth, merchantAuth } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { socketEmitters } = require('../config/socket');
+const refundService = require('../services/refundService');
+const disputeService = require('../services/disputeService');
+const settlementService = require('../services/settlementService');
+const loyaltyService = require('../services/loyaltyService');
+const holdService = require('../services/holdService');
+const orderService = require('../services/orderService');
+const catalogService = require('../services/catalogService');
+const paymentRequestService = require('../services/paymentRequestService');
+const qrService = require('../services/qrService');
+const payCodeService = require('../services/payCodeService');
+const ledgerService = require('../services/ledgerService');
 const { generateQrCode } = require('../utils/helpers');
 
 const router = express.Router();
@@ -518,6 +539,2210 @@ router.put('/my/profile', auth, [
   }
 });
 
+// @route   POST /api/merchants/my/transactions/:id/refund
+// @desc    Refund all or part of a wallet payment made to own merchant
+// @access  Private (Merchant)
+router.post('/my/transactions/:id/refund', auth, idempotency, [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid transaction ID is required'),
+  
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be greater than 0'),
+  
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('Reason must be 3-200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const merchant = await Merchant.findOne({ 
+      ownerId: req.userId,
+      isActive: true 
+    });
+
+    if (!merchant) {
+      return res.status(404).json({ 
+        message: 'Merchant profile not found',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    const { refund, payment, pendingApproval } = await refundService.requestRefund({
+      merchant,
+      paymentId: req.params.id,
+      amount: req.body.amount !== undefined ? parseFloat(req.body.amount) : undefined,
+      reason: req.body.reason,
+      requestedBy: req.userId
+    });
+
+    if (!pendingApproval) {
+      const io = req.app.get('io');
+      if (io) {
+        socketEmitters.emitBalanceUpdate(io, refund.userId, {
+          balance: refund.balanceAfter,
+          change: refund.amount,
+          transactionId: refund.transactionId,
+          type: 'refund',
+          merchant: merchant.name
+        });
+      }
+    }
+
+    console.log(`↩️ Refund ${pendingApproval ? 'requested' : 'completed'}: ${merchant.name} → ${payment.transactionId} - ${refund.amount}`);
+
+    res.status(pendingApproval ? 202 : 201).json({
+      message: pendingApproval
+        ? 'Refund is above the approval threshold and is awaiting admin approval'
+        : 'Refund completed successfully',
+      refund: {
+        id: refund._id,
+        transactionId: refund.transactionId,
+        amount: refund.amount,
+        status: refund.status,
+        approvalStatus: refund.refund.approvalStatus,
+        commissionReversed: refund.refund.commissionReversed || 0,
+        reason: refund.refund.reason,
+        createdAt: refund.createdAt
+      },
+      payment: {
+        id: payment._id,
+        transactionId: payment.transactionId,
+        amount: payment.amount,
+        refundedAmount: payment.refundedAmount,
+        refundable: refundService.remainingRefundable(payment)
+      }
+    });
+
+  } catch (error) {
+    console.error('Merchant refund error:', error);
+
+    if (error.errorCode === 'INSUFFICIENT_FUNDS') {
+      return res.status(400).json({
+        message: 'Merchant balance is too low to cover this refund',
+        code: 'MERCHANT_INSUFFICIENT_BALANCE',
+        available: error.availableBalance,
+        required: error.requiredAmount
+      });
+    }
+
+    if (error.errorCode === 'WALLET_ERROR') {
+      return res.status(400).json({
+        message: error.message,
+        code: 'WALLET_UNAVAILABLE'
+      });
+    }
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode,
+        ...error.details
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to process refund',
+      code: 'REFUND_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/merchants/my/disputes
+// @desc    Get dispute cases against own merchant
+// @access  Private (Merchant)
+router.get('/my/disputes', auth, [
+  query('status')
+    .optional()
+    .isIn(['AWAITING_MERCHANT', 'UNDER_REVIEW', 'RESOLVED'])
+    .withMessage('Invalid dispute status'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const merchant = await Merchant.findOne({ ownerId: req.userId, isActive: true }).select('_id');
+    if (!merchant) {
+      return res.status(404).json({ 
+        message: 'Merchant profile not found',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = 20;
+    const filter = { merchantId: merchant._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const [disputes, totalCount] = await Promise.all([
+      Dispute.find(filter)
+        .select('-timeline')
+        .populate('userId', 'name universityId')
+        .sort({ 'sla.merchantResponseDueAt': 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Dispute.countDocuments(filter)
+    ]);
+
+    res.json({
+      message: 'Disputes fetched successfully',
+      disputes,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalDisputes: totalCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Merchant disputes error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch disputes',
+      code: 'DISPUTE_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/merchants/my/disputes/:disputeId
+// @desc    Get a dispute case against own merchant
+// @access  Private (Merchant)
+router.get('/my/disputes/:disputeId', auth, [
+  param('disputeId')
+    .isMongoId()
+    .withMessage('Valid dispute ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const merchant = await Merchant.findOne({ ownerId: req.userId, isActive: true }).select('_id');
+    if (!merchant) {
+      return res.status(404).json({ 
+        message: 'Merchant profile not found',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    const dispute = await Dispute.findOne({ _id: req.params.disputeId, merchantId: merchant._id })
+      .populate('userId', 'name universityId')
+      .populate('transactionId', 'transactionId amount refundedAmount createdAt description');
+
+    if (!dispute) {
+      return res.status(404).json({ 
+        message: 'Dispute not found',
+        code: 'DISPUTE_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      message: 'Dispute fetched successfully',
+      dispute
+    });
+
+  } catch (error) {
+    console.error('Merchant dispute error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch dispute',
+      code: 'DISPUTE_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/merchants/my/disputes/:disputeId/respond
+// @desc    Respond to a dispute within the response window
+// @access  Private (Merchant)
+router.post('/my/disputes/:disputeId/respond', auth, [
+  param('disputeId')
+    .isMongoId()
+    .withMessage('Valid dispute ID is required'),
+  
+  body('message')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Response must be 10-1000 characters'),
+  
+  body('acceptsLiability')
+    .optional()
+    .isBoolean()
+    .withMessage('acceptsLiability must be a boolean'),
+  
+  body('evidence')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Evidence must be an array of up to 10 items'),
+  
+  body('evidence.*.url')
+    .isURL()
+    .withMessage('Each evidence item needs a valid URL')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const merchant = await Merchant.findOne({ ownerId: req.userId, isActive: true });
+    if (!merchant) {
+      return res.status(404).json({ 
+        message: 'Merchant profile not found',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    const dispute = await disputeService.respond({
+      disputeId: req.params.disputeId,
+      merchant,
+      userId: req.userId,
+      message: req.body.message,
+      acceptsLiability: req.body.acceptsLiability === true || req.body.acceptsLiability === 'true',
+      evidence: req.body.evidence || [],
+      io: req.app.get('io'),
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      message: 'Dispute response submitted',
+      dispute: {
+        id: dispute._id,
+        disputeId: dispute.disputeId,
+        status: dispute.status,
+        merchantResponse: dispute.merchantResponse,
+        resolutionDueAt: dispute.sla.resolutionDueAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Dispute response error:', error);
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to respond to dispute',
+      code: 'DISPUTE_RESPONSE_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/merchants/my/disputes/:disputeId/evidence
+// @desc    Add evidence to a dispute against own merchant
+// @access  Private (Merchant)
+router.post('/my/disputes/:disputeId/evidence', auth, [
+  param('disputeId')
+    .isMongoId()
+    .withMessage('Valid dispute ID is required'),
+  
+  body('evidence')
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Evidence must be an array of 1-10 items'),
+  
+  body('evidence.*.url')
+    .isURL()
+    .withMessage('Each evidence item needs a valid URL'),
+  
+  body('evidence.*.description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Evidence description cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const merchant = await Merchant.findOne({ ownerId: req.userId, isActive: true }).select('_id');
+    if (!merchant) {
+      return res.status(404).json({ 
+        message: 'Merchant profile not found',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    const dispute = await disputeService.findForParty(req.params.disputeId, { merchantId: merchant._id });
+    await disputeService.addEvidence({
+      dispute,
+      party: 'MERCHANT',
+      userId: req.userId,
+      items: req.body.evidence,
+      io: req.app.get('io'),
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      message: 'Evidence added successfully',
+      evidence: dispute.evidence.filter(item => item.party === 'MERCHANT')
+    });
+
+  } catch (error) {
+    console.error('Dispute evidence error:', error);
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to add evidence',
+      code: 'DISPUTE_EVIDENCE_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/merchants/my/settlements
+// @desc    Get own settlements and the amount waiting for the next cycle
+// @access  Private (Merchant)
+router.get('/my/settlements', auth, [
+  query('status')
+    .optional()
+    .isIn(['PENDING', 'APPROVED', 'PAID', 'CANCELLED'])
+    .withMessage('Invalid settlement status'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const merchant = await Merchant.findOne({ ownerId: req.userId, isActive: true })
+      .select('_id settlementPeriod minimumSettlementAmount lastSettlementAt');
+    if (!merchant) {
+      return res.status(404).json({ 
+        message: 'Merchant profile not found',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = 20;
+    const filter = { merchantId: merchant._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const [settlements, totalCount, unsettled] = await Promise.all([
+      Settlement.find(filter)
+        .select('-lineItems')
+        .sort({ periodEnd: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Settlement.countDocuments(filter),
+      Transaction.find({
+        'metadata.merchantId': merchant._id,
+        category: { $in: ['PAYMENT', 'REFUND', 'REVERSAL'] },
+        status: 'COMPLETED',
+        settlementId: null
+      }).select('category amount fees refund.commissionReversed').lean()
+    ]);
+
+    const unsettledNet = unsettled.reduce((sum, transaction) => {
+      const line = settlementService.lineItem(transaction);
+      return sum + line.netAmount;
+    }, 0);
+
+    res.json({
+      message: 'Settlements fetched successfully',
+      settlements,
+      upcoming: {
+        cycle: merchant.settlementPeriod,
+        minimumSettlementAmount: merchant.minimumSettlementAmount,
+        unsettledNet: Math.round(unsettledNet * 100) / 100,
+        lastSettlementAt: merchant.lastSettlementAt
+      },
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalSettlements: totalCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Merchant settlements error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch settlements',
+      code: 'SETTLEMENT_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/merchants/my/settlements/:settlementId
+// @desc    Get an own settlement with its line items
+// @access  Private (Merchant)
+router.get('/my/settlements/:settlementId', auth, [
+  param('settlementId')
+    .isMongoId()
+    .withMessage('Valid settlement ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const merchant = await Merchant.findOne({ ownerId: req.userId, isActive: true }).select('_id');
+    if (!merchant) {
+      return res.status(404).json({ 
+        message: 'Merchant profile not found',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    const settlement = await Settlement.findOne({ _id: req.params.settlementId, merchantId: merchant._id }).lean();
+    if (!settlement) {
+      return res.status(404).json({ 
+        message: 'Settlement not found',
+        code: 'SETTLEMENT_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      message: 'Settlement fetched successfully',
+      settlement
+    });
+
+  } catch (error) {
+    console.error('Merchant settlement error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch settlement',
+      code: 'SETTLEMENT_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/merchants/my/loyalty
+// @desc    Get own loyalty program with member and balance totals
+// @access  Private (Merchant)
+router.get('/my/loyalty', auth, async (req, res) => {
+  try {
+    const merchant = await Merchant.findOne({ ownerId: req.userId, isActive: true });
+    if (!merchant) {
+      return res.status(404).json({ 
+        message: 'Merchant profile not found',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    const summary = await loyaltyService.getMerchantSummary(merchant);
+
+    res.json({
+      message: 'Loyalty program fetched successfully',
+      enabled: Boolean(loyaltyService.getProgram(merchant)),
+      program: merchant.loyaltyProgram?.type ? merchant.loyaltyProgram : null,
+      summary
+    });
+
+  } catch (error) {
+    console.error('Merchant loyalty error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch loyalty program',
+      code: 'LOYALTY_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   PUT /api/merchants/my/loyalty
+// @desc    Configure, enable or disable own loyalty program
+// @access  Private (Merchant)
+router.put('/my/loyalty', auth, [
+  body('enabled')
+    .isBoolean()
+    .withMessage('enabled must be true or false'),
+
+  body('type')
+    .if(body('enabled').equals('true'))
+    .isIn(['STAMPS', 'POINTS'])
+    .withMessage('Program type must be STAMPS or POINTS'),
+
+  body('stampsRequired').optional().isInt({ min: 2, max: 50 }).withMessage('Stamp cards need 2-50 stamps'),
+  body('minPurchaseForStamp').optional().isFloat({ min: 0 }),
+  body('stampRewardValue').optional().isFloat({ min: 0.01 }).withMessage('Reward value must be positive'),
+  body('pointsPerUnit').optional().isFloat({ min: 0.01, max: 100 }).withMessage('Points per unit must be 0.01-100'),
+  body('pointValue').optional().isFloat({ min: 0.001 }).withMessage('Point value must be positive'),
+  body('minRedeemPoints').optional().isInt({ min: 0 }),
+  body('maxRedeemPercent').optional().isFloat({ min: 1, max: 100 }).withMessage('Max redeem percent must be 1-100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const merchant = await Merchant.findOne({ ownerId: req.userId, isActive: true });
+    if (!merchant) {
+      return res.status(404).json({ 
+        message: 'Merchant profile not found',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    const enabled = req.body.enabled === true || req.body.enabled === 'true';
+    const update = { 'features.supportsLoyalty': enabled };
+
+    if (enabled) {
+      const fields = [
+        'type', 'stampsRequired', 'minPurchaseForStamp', 'stampRewardValue',
+        'pointsPerUnit', 'pointValue', 'minRedeemPoints', 'maxRedeemPercent'
+      ];
+      const current = merchant.loyaltyProgram?.type === req.body.type
+        ? merchant.toObject().loyaltyProgram
+        : {};
+      const program = { ...current };
+      fields.forEach(field => {
+        if (req.body[field] !== undefined) program[field] = req.body[field];
+      });
+
+      loyaltyService.validateProgram(program);
+      update.loyaltyProgram = { ...program, updatedAt: new Date() };
+    }
+
+    const updated = await Merchant.findOneAndUpdate(
+      { _id: merchant._id },
+      { $set: update },
+      { new: true, runValidators: true }
+    ).select('name features loyaltyProgram');
+
+    console.log(`✅ Loyalty program ${enabled ? 'updated' : 'disabled'}: ${updated.name}`);
+
+    res.json({
+      message: enabled ? 'Loyalty program saved successfully' : 'Loyalty program disabled',
+      enabled,
+      program: updated.loyaltyProgram?.type ? updated.loyaltyProgram : null
+    });
+
+  } catch (error) {
+    console.error('Merchant loyalty update error:', error);
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: error.message,
+        code: 'INVALID_LOYALTY_PROGRAM'
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to update loyalty program',
+      code: 'LOYALTY_UPDATE_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/merchants/my/coupons
+// @desc    List own coupons with redemption counts
+// @access  Private (Merchant)
+router.get('/my/coupons', auth, async (req, res) => {
+  try {
+    const merchant = await Merchant.findOne({ ownerId: req.userId, isActive: true });
+    if (!merchant) {
+      return res.status(404).json({ 
+        message: 'Merchant profile not found',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    const coupons = await Coupon.find({ merchantId: merchant._id, status: { $ne: 'ARCHIVED' } })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      message: 'Coupons fetched successfully',
+      coupons
+    });
+
+  } catch (error) {
+    console.error('Merchant coupons error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch coupons',
+      code: 'COUPON_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/merchants/my/coupons
+// @desc    Create a coupon for own shop; the merchant funds the discount
+// @access  Private (Merchant)
+router.post('/my/coupons', auth, [
+  body('code').trim().matches(/^[A-Za-z0-9_-]{3,30}$/).withMessage('Code must be 3-30 letters, digits, _ or -'),
+  body('description').optional().trim().isLength({ max: 300 }),
+  body('discountType').isIn(['PERCENTAGE', 'FLAT']).withMessage('Discount type must be PERCENTAGE or FLAT'),
+  body('value').isFloat({ min: 0.01 }).withMessage('Discount value must be positive'),
+  body('maxDiscount').optional({ nullable: true }).isFloat({ min: 0.01 }),
+  body('minSpend').optional().isFloat({ min: 0 }),
+  body('validFrom').optional().isISO8601().withMessage('validFrom must be an ISO 8601 date'),
+  body('expiresAt').isISO8601().withMessage('expiresAt must be an ISO 8601 date'),
+  body('limits.total').optional({ nullable: true }).isInt({ min: 1 }),
+  body('limits.perUser').optional().isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const merchant = await Merchant.findOne({ ownerId: req.userId, isActive: true });
+    if (!merchant) {
+      return res.status(404).json({ 
+        message: 'Merchant profile not found',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    const { code, description, discountType, value, maxDiscount, minSpend, validFrom, expiresAt, limits } = req.body;
+
+    if (discountType === 'PERCENTAGE' && value > 100) {
+      return res.status(400).json({ 
+        message: 'Percentage discounts cannot exceed 100%',
+        code: 'INVALID_COUPON_VALUE'
+      });
+    }
+
+    if (new Date(expiresAt) <= new Date(validFrom || Date.now())) {
+      return res.status(400).json({ 
+        message: 'Coupon must expire after it starts',
+        code: 'INVALID_COUPON_WINDOW'
+      });
+    }
+
+    // Merchant coupons only ever discount payments at the merchant's own shop
+    const coupon = await Coupon.create({
+      code,
+      description,
+      discountType,
+      value,
+      maxDiscount,
+      minSpend,
+      appliesTo: 'PAYMENT',
+      scope: { merchantIds: [merchant._id] },
+      fundedBy: 'MERCHANT',
+      merchantId: merchant._id,
+      validFrom: validFrom ? new Date(validFrom) : new Date(),
+      expiresAt: new Date(expiresAt),
+      limits,
+      createdBy: req.userId
+    });
+
+    console.log(`✅ Coupon created: ${coupon.code} for ${merchant.name}`);
+
+    res.status(201).json({
+      message: 'Coupon created successfully',
+      coupon
+    });
+
+  } catch (error) {
+    console.error('Merchant coupon create error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        message: 'A coupon with this code already exists',
+        code: 'COUPON_CODE_EXISTS'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: error.message,
+        code: 'INVALID_COUPON'
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to create coupon',
+      code: 'COUPON_CREATE_ERROR'
+    });
+  }
+});
+
+// @route   PUT /api/merchants/my/coupons/:couponId
+// @desc    Pause, resume, archive or extend own coupon
+// @access  Private (Merchant)
+router.put('/my/coupons/:couponId', auth, [
+  param('couponId').isMongoId().withMessage('Valid coupon ID is required'),
+  body('status').optional().isIn(['ACTIVE', 'PAUSED', 'ARCHIVED']).withMessage('Status must be ACTIVE, PAUSED or ARCHIVED'),
+  body('description').optional().trim().isLength({ max: 300 }),
+  body('expiresAt').optional().isISO8601().withMessage('expiresAt must be an ISO 8601 date'),
+  body('limits.total').optional({ nullable: true }).isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const merchant = await Merchant.findOne({ ownerId: req.userId, isActive: true });
+    if (!merchant) {
+      return res.status(404).json({ 
+        message: 'Merchant profile not found',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    const coupon = await Coupon.findOne({ _id: req.params.couponId, merchantId: merchant._id });
+    if (!coupon) {
+      return res.status(404).json({ 
+        message: 'Coupon not found',
+        code: 'COUPON_NOT_FOUND'
+      });
+    }
+
+    if (coupon.status === 'ARCHIVED') {
+      return res.status(409).json({ 
+        message: 'Archived coupons cannot be changed',
+        code: 'COUPON_ARCHIVED'
+      });
+    }
+
+    const { status, description, expiresAt, limits } = req.body;
+
+    if (status) coupon.status = status;
+    if (description !== undefined) coupon.description = description;
+    if (expiresAt) coupon.expiresAt = new Date(expiresAt);
+    if (limits?.total !== undefined) {
+      if (limits.total && limits.total < coupon.redemptionCount) {
+        return res.status(400).json({ 
+          message: `Limit cannot be lower than the ${coupon.redemptionCount} redemptions already made`,
+          code: 'LIMIT_BELOW_REDEEMED'
+        });
+      }
+      coupon.limits.total = limits.total || undefined;
+    }
+
+    if (coupon.expiresAt <= coupon.validFrom) {
+      return res.status(400).json({ 
+        message: 'Coupon must expire after it starts',
+        code: 'INVALID_COUPON_WINDOW'
+      });
+    }
+
+    await coupon.save();
+
+    res.json({
+      message: 'Coupon updated successfully',
+      coupon
+    });
+
+  } catch (error) {
+    console.error('Merchant coupon update error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: error.message,
+        code: 'INVALID_COUPON'
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to update coupon',
+      code: 'COUPON_UPDATE_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/merchants/my/holds
+// @desc    Get pre-order holds placed with own merchant
+// @access  Private (Merchant)
+router.get('/my/holds', auth, [
+  query('status')
+    .optional()
+    .isIn(['HELD', 'CAPTURED', 'VOIDED', 'EXPIRED'])
+    .withMessage('Invalid hold status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const merchant = await Merchant.findOne({ 
+      ownerId: req.userId,
+      isActive: true 
+    });
+
+    if (!merchant) {
+      return res.status(404).json({ 
+        message: 'Merchant profile not found',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    const holds = await WalletHold.find({
+      merchantId: merchant._id,
+      status: req.query.status || 'HELD'
+    })
+      .populate('userId', 'name studentId')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json({
+      message: 'Holds fetched successfully',
+      holds
+    });
+
+  } catch (error) {
+    console.error('Merchant holds error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch holds',
+      code: 'HOLD_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/merchants/my/holds/:holdId/capture
+// @desc    Capture a pre-order hold, in full or for a smaller final amount
+// @access  Private (Merchant)
+router.post('/my/holds/:holdId/capture', auth, idempotency, [
+  param('holdId')
+    .isMongoId()
+    .withMessage('Valid hold ID is required'),
+
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be greater than 0'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const merchant = await Merchant.findOne({ 
+      ownerId: req.userId,
+      isActive: true 
+    });
+
+    if (!merchant) {
+      return res.status(404).json({ 
+        message: 'Merchant profile not found',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    // Holds behind a canteen order move with the order, not on their own
+    if (await Order.exists({ holdId: req.params.holdId })) {
+      return res.status(409).json({ 
+        message: 'This hold belongs to a pre-order; accept the order instead',
+        code: 'HOLD_BELONGS_TO_ORDER'
+      });
+    }
+
+    const io = req.app.get('io');
+    const { hold, transaction, loyalty, rewards } = await holdService.captureForMerchant(req.params.holdId, merchant, {
+      amount: req.body.amount !== undefined ? parseFloat(req.body.amount) : undefined,
+      description: req.body.description,
+      io
+    });
+
+    if (io) {
+      socketEmitters.emitBalanceUpdate(io, transaction.userId, {
+        balance: transaction.balanceAfter,
+        change: -transaction.amount,
+        transactionId: transaction.transactionId,
+        type: 'payment',
+        merchant: merchant.name
+      });
+    }
+
+    console.log(`📌 Hold captured: ${merchant.name} ← ${hold.holdId} - ${transaction.amount}/${hold.amount}`);
+
+    res.json({
+      message: 'Hold captured successfully',
+      hold: {
+        id: hold._id,
+        holdId: hold.holdId,
+        amount: hold.amount,
+        capturedAmount: hold.capturedAmount,
+        released: ledgerService.roundAmount(hold.amount - hold.capturedAmount),
+        status: hold.status
+      },
+      transaction: {
+        id: transaction._id,
+        transactionId: transaction.transactionId,
+        amount: transaction.amount,
+        commission: transaction.fees.amount,
+        status: transaction.status
+      },
+      loyalty: loyalty ? { pointsEarned: loyalty.points, stampsEarned: loyalty.stamps } : null,
+      rewards: rewards.map(reward => ({
+        code: reward.code,
+        name: reward.name,
+        amount: reward.amount
+      }))
+    });
+
+  } catch (error) {
+    console.error('Capture hold error:', error);
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to capture hold',
+      code: 'HOLD_CAPTURE_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/merchants/my/holds/:holdId/void
+// @desc    Void a pre-order hold that will not be fulfilled
+// @access  Private (Merchant)
+router.post('/my/holds/:holdId/void', auth, [
+  param('holdId')
+    .isMongoId()
+    .withMessage('Valid hold ID is required'),
+
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('Reason must be 3-200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const merchant = await Merchant.findOne({ 
+      ownerId: req.userId,
+      isActive: true 
+    });
+
+    if (!merchant) {
+      return res.status(404).json({ 
+        message: 'Merchant profile not found',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    const hold = await WalletHold.findOne({ _id: req.params.holdId, merchantId: merchant._id });
+    if (!hold) {
+      return res.status(404).json({ 
+        message: 'Hold not found',
+        code: 'HOLD_NOT_FOUND'
+      });
+    }
+
+    // Holds behind a canteen order move with the order, not on their own
+    if (await Order.exists({ holdId: req.params.holdId })) {
+      return res.status(409).json({ 
+        message: 'This hold belongs to a pre-order; reject the order instead',
+        code: 'HOLD_BELONGS_TO_ORDER'
+      });
+    }
+
+    const released = await holdService.void(hold._id, { reason: req.body.reason });
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`user_${released.userId}`).emit('hold_released', {
+        holdId: released.holdId,
+        amount: released.amount,
+        status: released.status,
+        reason: released.voidReason,
+        merchant: merchant.name
+      });
+    }
+
+    res.json({
+      message: 'Hold voided and funds released',
+      hold: released
+    });
+
+  } catch (error) {
+    console.error('Void hold error:', error);
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to void hold',
+      code: 'HOLD_VOID_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/merchants/my/catalog
+// @desc    Get own catalog, including unavailable items
+// @access  Private (Merchant)
+router.get('/my/catalog', auth, [
+  query('category').optional().trim(),
+  query('lowStock').optional().isBoolean().withMessage('lowStock must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const merchant = await Merchant.findOne({ ownerId: req.userId, isActive: true });
+    if (!merchant) {
+      return res.status(404).json({ 
+        message: 'Merchant profile not found',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    let items;
+    if (req.query.lowStock === 'true') {
+      items = await catalogService.getLowStock(merchant._id);
+    } else {
+      const filter = { merchantId: merchant._id };
+      if (req.query.category) filter.category = req.query.category;
+      items = await CatalogItem.find(filter).sort({ category: 1, sortOrder: 1, name: 1 });
+    }
+
+    res.json({
+      message: 'Catalog fetched successfully',
+      hasInventory: merchant.features.hasInventory,
+      acceptsPreOrders: merchant.features.acceptsPreOrders,
+      preOrderSettings: orderService.getSettings(merchant),
+      items,
+      lowStockCount: items.filter(item => item.isLowStock).length
+    });
+
+  } catch (error) {
+    console.error('Merchant catalog error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch catalog',
+      code: 'CATALOG_FETCH_ERROR'
+    });
+  }
+});
+
+const catalogItemValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 1, max: 100 }).withMessage('Item name must be 1-100 characters'),
+    field('price').isFloat({ min: 0.01, max: 10000 }).withMessage('Price must be between 0.01 and 10,000'),
+    body('description').optional().trim().isLength({ max: 300 }).withMessage('Description cannot exceed 300 characters'),
+    body('category').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Category must be 1-50 characters'),
+    body('sku').optional().trim().matches(/^[A-Za-z0-9_-]{1,40}$/).withMessage('SKU must be 1-40 letters, digits, _ or -'),
+    body('variants').optional().isArray({ max: 20 }).withMessage('An item can have up to 20 variants'),
+    body('variants.*.name').trim().isLength({ min: 1, max: 50 }).withMessage('Variant name must be 1-50 characters'),
+    body('variants.*.price').isFloat({ min: 0.01, max: 10000 }).withMessage('Variant price must be between 0.01 and 10,000'),
+    body('variants.*.sku').optional().trim().matches(/^[A-Za-z0-9_-]{1,40}$/).withMessage('SKU must be 1-40 letters, digits, _ or -'),
+    body('variants.*.stock').optional().isInt({ min: 0 }).withMessage('Stock cannot be negative'),
+    body('variants.*.isAvailable').optional().isBoolean(),
+    body('availability').optional().isArray({ max: 14 }).withMessage('Up to 14 availability windows'),
+    body('availability.*.days').optional().isArray(),
+    body('availability.*.days.*').isIn(CatalogItem.DAYS).withMessage('Invalid day'),
+    body('availability.*.from').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Times must be HH:MM'),
+    body('availability.*.to').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Times must be HH:MM'),
+    body('trackStock').optional().isBoolean(),
+    body('stock').optional().isInt({ min: 0 }).withMessage('Stock cannot be negative'),
+    body('lowStockThreshold').optional().isInt({ min: 0 }).withMessage('Low-stock threshold cannot be negative'),
+    body('isVegetarian').optional().isBoolean(),
+    body('imageUrl').optional().isURL().withMessage('Image URL must be a valid URL'),
+    body('isAvailable').optional().isBoolean(),
+    body('prepMinutes').optional().isInt({ min: 0, max: 180 }).withMessage('Prep time must be 0-180 minutes'),
+    body('sortOrder').optional().isInt()
+  ];
+};
+
+const CATALOG_ITEM_FIELDS = [
+  'name', 'price', 'description', 'category', 'sku', 'variants', 'availability', 'trackStock', 'stock',
+  'lowStockThreshold', 'isVegetarian', 'imageUrl', 'isAvailable', 'prepMinutes', 'sortOrder'
+];
+
+// @route   POST /api/merchants/my/catalog
+// @desc    Add an item to own catalog
+// @access  Private (Merchant)
+router.post('/my/catalog', auth, catalogItemValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const merchant = await Merchant.findOne({ ownerId: req.userId, isActive: true });
+    if (!merchant) {
+      return res.status(404).json({ 
+        message: 'Merchant profile not found',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    const fields = { merchantId: merchant._id };
+    CATALOG_ITEM_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+
+    catalogService.validateItem(fields);
+    const item = await CatalogItem.create(fields);
+
+    res.status(201).json({
+      message: 'Catalog item added successfully',
+      item
+    });
+
+  } catch (error) {
+    console.error('Catalog item create error:', error);
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        message: 'Another item already uses this SKU',
+        code: 'DUPLICATE_SKU'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: error.message,
+        code: 'INVALID_CATALOG_ITEM'
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to add catalog item',
+      code: 'CATALOG_ITEM_CREATE_ERROR'
+    });
+  }
+});
+
+// @route   PUT /api/merchants/my/catalog/:itemId
+// @desc    Update an item in own catalog, e.g. mark it sold out
+// @access  Private (Merchant)
+router.put('/my/catalog/:itemId', auth, [
+  param('itemId')
+    .isMongoId()
+    .withMessage('Valid item ID is required'),
+  ...catalogItemValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const merchant = await Merchant.findOne({ ownerId: req.userId, isActive: true });
+    if (!merchant) {
+      return res.status(404).json({ 
+        message: 'Merchant profile not found',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    // The item stock count changes through the stock endpoint so sales in flight are not overwritten
+    const update = {};
+    CATALOG_ITEM_FIELDS.filter(field => field !== 'stock').forEach(field => {
+      if (req.body[field] !== undefined) update[field] = req.body[field];
+    });
+
+    catalogService.validateItem(update);
+    const item = await CatalogItem.findOneAndUpdate(
+      { _id: req.params.itemId, merchantId: merchant._id },
+      { $set: update },
+      { new: true, runValidators: true }
+    );
+
+    if (!item) {
+      return res.status(404).json({ 
+        message: 'Catalog item not found',
+        code: 'CATALOG_ITEM_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      message: 'Catalog item updated successfully',
+      item
+    });
+
+  } catch (error) {
+    console.error('Catalog item update error:', error);
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        message: 'Another item already uses this SKU',
+        code: 'DUPLICATE_SKU'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: error.message,
+        code: 'INVALID_CATALOG_ITEM'
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to update catalog item',
+      code: 'CATALOG_ITEM_UPDATE_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/merchants/my/catalog/:itemId/stock
+// @desc    Restock or correct an item's stock count
+// @access  Private (Merchant)
+router.post('/my/catalog/:itemId/stock', auth, [
+  param('itemId')
+    .isMongoId()
+    .withMessage('Valid item ID is required'),
+
+  body('variantId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant ID'),
+
+  body('adjustment')
+    .optional()
+    .isInt({ min: -100000, max: 100000 })
+    .withMessage('Adjustment must be a whole number'),
+
+  body('count')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Count cannot be negative'),
+
+  body()
+    .custom(value => (value.adjustment === undefined) !== (value.count === undefined))
+    .withMessage('Send either adjustment or count')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const merchant = await Merchant.findOne({ ownerId: req.userId, isActive: true });
+    if (!merchant) {
+      return res.status(404).json({ 
+        message: 'Merchant profile not found',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    const { variantId } = req.body;
+    const path = variantId ? 'variants.$.stock' : 'stock';
+    const filter = { _id: req.params.itemId, merchantId: merchant._id };
+    if (variantId) filter['variants._id'] = variantId;
+
+    let update;
+    if (req.body.count !== undefined) {
+      update = { $set: { [path]: parseInt(req.body.count) } };
+    } else {
+      // A stock-take correction can take stock down, but never below zero
+      const adjustment = parseInt(req.body.adjustment);
+      update = { $inc: { [path]: adjustment } };
+      if (adjustment < 0) {
+        if (variantId) {
+          delete filter['variants._id'];
+          filter.variants = { $elemMatch: { _id: variantId, stock: { $gte: -adjustment } } };
+        } else {
+          filter.stock = { $gte: -adjustment };
+        }
+      }
+    }
+
+    const item = await CatalogItem.findOneAndUpdate(filter, update, { new: true });
+    if (!item) {
+      return res.status(404).json({ 
+        message: 'Catalog item not found, or not enough stock to take off',
+        code: 'CATALOG_ITEM_NOT_FOUND'
+      });
+    }
+
+    console.log(`📦 Stock updated: ${merchant.name} → ${item.name}`);
+
+    res.json({
+      message: 'Stock updated successfully',
+      item,
+      isLowStock: item.isLowStock
+    });
+
+  } catch (error) {
+    console.error('Stock update error:', error);
+    res.status(500).json({ 
+      message: 'Failed to update stock',
+      code: 'STOCK_UPDATE_ERROR'
+    });
+  }
+});
+
+// @route   DELETE /api/merchants/my/catalog/:itemId
+// @desc    Remove an item from own catalog; past orders and receipts keep their own copy
+// @access  Private (Merchant)
+router.delete('/my/catalog/:itemId', auth, [
+  param('itemId')
+    .isMongoId()
+    .withMessage('Valid item ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const merchant = await Merchant.findOne({ ownerId: req.userId, isActive: true });
+    if (!merchant) {
+      return res.status(404).json({ 
+        message: 'Merchant profile not found',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    const removed = await CatalogItem.deleteOne({ _id: req.params.itemId, merchantId: merchant._id });
+    if (removed.deletedCount === 0) {
+      return res.status(404).json({ 
+        message: 'Catalog item not found',
+        code: 'CATALOG_ITEM_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      message: 'Catalog item removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Catalog item delete error:', error);
+    res.status(500).json({ 
+      message: 'Failed to remove catalog item',
+      code: 'CATALOG_ITEM_DELETE_ERROR'
+    });
+  }
+});
+
+// @route   PUT /api/merchants/my/inventory
+// @desc    Turn stock tracking on or off for own catalog
+// @access  Private (Merchant)
+router.put('/my/inventory', auth, [
+  body('enabled')
+    .isBoolean()
+    .withMessage('enabled must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const enabled = req.body.enabled === true || req.body.enabled === 'true';
+    const updated = await Merchant.findOneAndUpdate(
+      { ownerId: req.userId, isActive: true },
+      { $set: { 'features.hasInventory': enabled } },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(404).json({ 
+        message: 'Merchant profile not found',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    console.log(`✅ Inventory tracking ${enabled ? 'enabled' : 'disabled'}: ${updated.name}`);
+
+    res.json({
+      message: enabled ? 'Inventory tracking enabled' : 'Inventory tracking disabled',
+      enabled
+    });
+
+  } catch (error) {
+    console.error('Inventory settings error:', error);
+    res.status(500).json({ 
+      message: 'Failed to update inventory settings',
+      code: 'INVENTORY_SETTINGS_ERROR'
+    });
+  }
+});
+
+// @route   PUT /api/merchants/my/preorders
+// @desc    Turn pre-orders on or off and set pickup slot capacity
+// @access  Private (Merchant)
+router.put('/my/preorders', auth, [
+  body('enabled')
+    .isBoolean()
+    .withMessage('enabled must be true or false'),
+
+  body('slotMinutes').optional().isInt({ min: 5, max: 120 }).withMessage('Pickup slots must be 5-120 minutes'),
+  body('ordersPerSlot').optional().isInt({ min: 1, max: 200 }).withMessage('Orders per slot must be 1-200'),
+  body('minLeadMinutes').optional().isInt({ min: 0, max: 240 }).withMessage('Lead time must be 0-240 minutes')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const merchant = await Merchant.findOne({ ownerId: req.userId, isActive: true });
+    if (!merchant) {
+      return res.status(404).json({ 
+        message: 'Merchant profile not found',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    const enabled = req.body.enabled === true || req.body.enabled === 'true';
+    const update = { 'features.acceptsPreOrders': enabled };
+    ['slotMinutes', 'ordersPerSlot', 'minLeadMinutes'].forEach(field => {
+      if (req.body[field] !== undefined) update[`preOrderSettings.${field}`] = parseInt(req.body[field]);
+    });
+
+    const updated = await Merchant.findOneAndUpdate(
+      { _id: merchant._id },
+      { $set: update },
+      { new: true, runValidators: true }
+    );
+
+    console.log(`✅ Pre-orders ${enabled ? 'enabled' : 'disabled'}: ${updated.name}`);
+
+    res.json({
+      message: enabled ? 'Pre-order settings saved successfully' : 'Pre-orders disabled',
+      enabled,
+      preOrderSettings: orderService.getSettings(updated)
+    });
+
+  } catch (error) {
+    console.error('Pre-order settings error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: error.message,
+        code: 'INVALID_PREORDER_SETTINGS'
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to update pre-order settings',
+      code: 'PREORDER_SETTINGS_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/merchants/my/orders/queue
+// @desc    Active pre-orders for the kitchen display, by status and pickup time
+// @access  Private (Merchant)
+router.get('/my/orders/queue', auth, async (req, res) => {
+  try {
+    const merchant = await Merchant.findOne({ ownerId: req.userId, isActive: true });
+    if (!merchant) {
+      return res.status(404).json({ 
+        message: 'Merchant profile not found',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    const { queue, counts } = await orderService.getQueue(merchant);
+
+    res.json({
+      message: 'Order queue fetched successfully',
+      queue,
+      counts,
+      generatedAt: new Date()
+    });
+
+  } catch (error) {
+    console.error('Order queue error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch order queue',
+      code: 'ORDER_QUEUE_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/merchants/my/orders
+// @desc    Get own pre-orders, e.g. for a day's pickup slots
+// @access  Private (Merchant)
+router.get('/my/orders', auth, [
+  query('status')
+    .optional()
+    .isIn(Order.ORDER_STATUSES)
+    .withMessage('Invalid order status'),
+
+  query('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be YYYY-MM-DD'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const merchant = await Merchant.findOne({ ownerId: req.userId, isActive: true });
+    if (!merchant) {
+      return res.status(404).json({ 
+        message: 'Merchant profile not found',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const filter = { merchantId: merchant._id };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.date) {
+      const start = new Date(`${req.query.date}T00:00:00`);
+      const end = new Date(start);
+      end.setDate(end.getDate() + 1);
+      filter['pickupSlot.start'] = { $gte: start, $lt: end };
+    }
+
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .populate('userId', 'name studentId')
+        .sort({ 'pickupSlot.start': -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Order.countDocuments(filter)
+    ]);
+
+    res.json({
+      message: 'Orders fetched successfully',
+      orders,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalOrders: total
+      }
+    });
+
+  } catch (error) {
+    console.error('Merchant orders error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch orders',
+      code: 'ORDER_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/merchants/my/orders/:id/status
+// @desc    Accept, reject, progress or cancel a pre-order
+// @access  Private (Merchant)
+router.post('/my/orders/:id/status', auth, idempotency, [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid order ID is required'),
+
+  body('status')
+    .isIn(['ACCEPTED', 'REJECTED', 'PREPARING', 'READY', 'COLLECTED', 'CANCELLED'])
+    .withMessage('Invalid order status'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note cannot exceed 200 characters'),
+
+  body('pickupCode')
+    .optional()
+    .isString()
+    .trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const merchant = await Merchant.findOne({ ownerId: req.userId, isActive: true });
+    if (!merchant) {
+      return res.status(404).json({ 
+        message: 'Merchant profile not found',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    const io = req.app.get('io');
+    const { order, transaction, refund, pendingApproval } = await orderService.updateStatus(req.params.id, merchant, {
+      status: req.body.status,
+      note: req.body.note,
+      pickupCode: req.body.pickupCode,
+      actorId: req.userId,
+      io
+    });
+
+    if (io) {
+      socketEmitters.emitOrderUpdate(io, order.userId, orderService.summarize(order));
+      socketEmitters.emitOrderQueueUpdate(io, merchant.ownerId, {
+        order: orderService.summarize(order),
+        event: order.status.toLowerCase()
+      });
+
+      if (transaction) {
+        socketEmitters.emitBalanceUpdate(io, order.userId, {
+          balance: transaction.balanceAfter,
+          change: -transaction.amount,
+          transactionId: transaction.transactionId,
+          type: 'payment',
+          merchant: merchant.name
+        });
+      }
+      if (refund && !pendingApproval) {
+        socketEmitters.emitBalanceUpdate(io, order.userId, {
+          balance: refund.balanceAfter,
+          change: refund.amount,
+          transactionId: refund.transactionId,
+          type: 'refund',
+          merchant: merchant.name
+        });
+      }
+    }
+
+    console.log(`🍽️ Pre-order ${order.orderId} → ${order.status} (${merchant.name})`);
+
+    res.json({
+      message: `Order marked ${order.status.toLowerCase()}`,
+      order,
+      payment: transaction ? {
+        transactionId: transaction.transactionId,
+        amount: transaction.amount
+      } : undefined,
+      refund: refund ? {
+        transactionId: refund.transactionId,
+        amount: refund.amount,
+        status: refund.status,
+        pendingApproval
+      } : undefined
+    });
+
+  } catch (error) {
+    console.error('Order status error:', error);
+
+    if (error.errorCode === 'INSUFFICIENT_FUNDS' && req.body.status === 'CANCELLED') {
+      return res.status(400).json({
+        message: 'Merchant balance is too low to cover this refund',
+        code: 'MERCHANT_INSUFFICIENT_BALANCE',
+        available: error.availableBalance,
+        required: error.requiredAmount
+      });
+    }
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to update order',
+      code: 'ORDER_STATUS_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/merchants/my/payment-requests
+// @desc    Create a fixed-amount payment QR for the till
+// @access  Private (Merchant)
+router.post('/my/payment-requests', auth, [
+  body('amount')
+    .isFloat({ min: 0.01, max: 10000 })
+    .withMessage('Amount must be between 0.01 and 10,000'),
+
+  body('reference')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Order reference must be 1-50 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+
+  body('expiresInMinutes')
+    .optional()
+    .isInt({ min: 1, max: 30 })
+    .withMessage('Expiry must be 1-30 minutes')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const merchant = await Merchant.findOne({ 
+      ownerId: req.userId,
+      isActive: true 
+    });
+
+    if (!merchant) {
+      return res.status(404).json({ 
+        message: 'Merchant profile not found',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    if (!merchant.isVerified) {
+      return res.status(403).json({ 
+        message: 'Payments can be taken once the merchant account is verified',
+        code: 'MERCHANT_NOT_VERIFIED'
+      });
+    }
+
+    const { request, qrCode, paymentUrl } = await paymentRequestService.create(merchant, {
+      amount: parseFloat(req.body.amount),
+      reference: req.body.reference,
+      description: req.body.description,
+      expiresInMinutes: req.body.expiresInMinutes ? parseInt(req.body.expiresInMinutes) : undefined,
+      createdBy: req.userId
+    });
+
+    res.status(201).json({
+      message: 'Payment request created',
+      paymentRequest: request,
+      qrCode,
+      paymentUrl
+    });
+
+  } catch (error) {
+    console.error('Create payment request error:', error);
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to create payment request',
+      code: 'PAYMENT_REQUEST_CREATE_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/merchants/my/payment-requests
+// @desc    Get own till payment requests
+// @access  Private (Merchant)
+router.get('/my/payment-requests', auth, [
+  query('status')
+    .optional()
+    .isIn(PaymentRequest.REQUEST_STATUSES)
+    .withMessage('Invalid payment request status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const merchant = await Merchant.findOne({ 
+      ownerId: req.userId,
+      isActive: true 
+    });
+
+    if (!merchant) {
+      return res.status(404).json({ 
+        message: 'Merchant profile not found',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    await paymentRequestService.expireStale(merchant._id);
+
+    const filter = { merchantId: merchant._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const paymentRequests = await PaymentRequest.find(filter)
+      .populate('paidBy', 'name studentId')
+      .populate('transactionId', 'transactionId amount status')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json({
+      message: 'Payment requests fetched successfully',
+      paymentRequests
+    });
+
+  } catch (error) {
+    console.error('Merchant payment requests error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch payment requests',
+      code: 'PAYMENT_REQUEST_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/merchants/my/payment-requests/:id/cancel
+// @desc    Cancel a till payment request that has not been paid
+// @access  Private (Merchant)
+router.post('/my/payment-requests/:id/cancel', auth, [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid payment request ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const merchant = await Merchant.findOne({ 
+      ownerId: req.userId,
+      isActive: true 
+    });
+
+    if (!merchant) {
+      return res.status(404).json({ 
+        message: 'Merchant profile not found',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    const request = await paymentRequestService.cancel(req.params.id, merchant);
+
+    // Other till screens signed in to the same merchant drop the QR
+    const io = req.app.get('io');
+    if (io) {
+      socketEmitters.emitPaymentRequestUpdate(io, merchant.ownerId, paymentRequestService.summarize(request));
+    }
+
+    res.json({
+      message: 'Payment request cancelled',
+      paymentRequest: request
+    });
+
+  } catch (error) {
+    console.error('Cancel payment request error:', error);
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to cancel payment request',
+      code: 'PAYMENT_REQUEST_CANCEL_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/merchants/my/charge-code
+// @desc    Charge the rotating pay code a student shows at the counter
+// @access  Private (Merchant)
+router.post('/my/charge-code', auth, idempotency, [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Scanned pay code is required')
+    .isLength({ max: 100 })
+    .withMessage('Invalid pay code'),
+
+  body('amount')
+    .isFloat({ min: 0.01, max: 10000 })
+    .withMessage('Amount must be between 0.01 and 10,000'),
+
+  body('pin')
+    .optional()
+    .matches(/^\d{4,6}$/)
+    .withMessage('PIN must be 4-6 digits'),
+
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Reference cannot exceed 50 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const merchant = await Merchant.findOne({ 
+      ownerId: req.userId,
+      isActive: true 
+    });
+
+    if (!merchant) {
+      return res.status(404).json({ 
+        message: 'Merchant profile not found',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    if (!merchant.isVerified) {
+      return res.status(403).json({ 
+        message: 'Payments can be taken once the merchant account is verified',
+        code: 'MERCHANT_NOT_VERIFIED'
+      });
+    }
+
+    const io = req.app.get('io');
+    const { transaction, user, loyalty, rewards } = await payCodeService.charge(merchant, {
+      code: req.body.code,
+      amount: parseFloat(req.body.amount),
+      pin: req.body.pin,
+      reference: req.body.reference,
+      description: req.body.description,
+      io
+    });
+
+    if (io) {
+      socketEmitters.emitBalanceUpdate(io, user._id, {
+        balance: transaction.balanceAfter,
+        change: -transaction.amount,
+        transactionId: transaction.transactionId,
+        type: 'payment',
+        merchant: merchant.name
+      });
+    }
+
+    console.log(`📲 Pay code charged: ${merchant.name} ← ${user.email} - ${transaction.amount} Collex`);
+
+    res.status(201).json({
+      message: 'Payment successful',
+      transaction: {
+        id: transaction._id,
+        transactionId: transaction.transactionId,
+        amount: transaction.amount,
+        reference: transaction.metadata.orderReference,
+        customer: user.name,
+        timestamp: transaction.completedAt
+      },
+      loyalty: loyalty ? {
+        pointsEarned: loyalty.points,
+        stampsEarned: loyalty.stamps
+      } : null,
+      rewards: rewards.map(reward => ({
+        name: reward.name,
+        amount: reward.amount
+      }))
+    });
+
+  } catch (error) {
+    console.error('Charge pay code error:', error);
+
+    if (error.errorCode === 'INSUFFICIENT_FUNDS') {
+      return res.status(400).json({
+        message: 'Insufficient wallet balance',
+        code: 'INSUFFICIENT_BALANCE'
+      });
+    }
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to charge pay code',
+      code: 'PAY_CODE_CHARGE_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/merchants/my/qr/:qrId/analytics
+// @desc    Get scans, unique scanners and payments for an own QR code
+// @access  Private (Merchant)
+router.get('/my/qr/:qrId/analytics', auth, [
+  param('qrId')
+    .isUUID()
+    .withMessage('Valid QR ID is required'),
+
+  query('timeframe')
+    .optional()
+    .isIn(['1h', '24h', '7d', '30d', 'all'])
+    .withMessage('Timeframe must be 1h, 24h, 7d, 30d or all')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const merchant = await Merchant.findOne({ 
+      ownerId: req.userId,
+      isActive: true 
+    });
+
+    if (!merchant) {
+      return res.status(404).json({ 
+        message: 'Merchant profile not found',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    const owned = await IssuedQR.exists({ qrId: req.params.qrId, ownerId: merchant._id });
+    if (!owned) {
+      return res.status(404).json({ 
+        message: 'QR code not found',
+        code: 'QR_NOT_FOUND'
+      });
+    }
+
+    const analytics = await qrService.getQRAnalytics(req.params.qrId, req.query.timeframe || '24h');
+
+    res.json({
+      message: 'QR analytics fetched successfully',
+      analytics
+    });
+
+  } catch (error) {
+    console.error('QR analytics error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch QR analytics',
+      code: 'QR_ANALYTICS_ERROR'
+    });
+  }
+});
+
 // @route   GET /api/merchants/categories
 // @desc    Get merchant categories with counts
 // @access  Public
@@ -0,0 +1,402 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const Merchant = require('../models/Merchant');
+const CatalogItem = require('../models/CatalogItem');
+const Order = require('../models/Order');
+const orderService = require('../services/orderService');
+const { auth } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { socketEmitters } = require('../config/socket');
+
+const router = express.Router();
+
+// @route   GET /api/orders/merchants
+// @desc    Get canteens taking pre-orders
+// @access  Private
+router.get('/merchants', auth, async (req, res) => {
+  try {
+    const merchants = await Merchant.find({
+      isActive: true,
+      isVerified: true,
+      'features.acceptsPreOrders': true
+    })
+      .select('name category description images operatingHours location.building')
+      .sort({ name: 1 });
+
+    res.json({
+      message: 'Pre-order merchants fetched successfully',
+      merchants: merchants.map(merchant => ({
+        id: merchant._id,
+        name: merchant.name,
+        category: merchant.category,
+        description: merchant.description,
+        images: merchant.images,
+        building: merchant.location?.building,
+        isOpenNow: merchant.isOpenNow(),
+        operatingHours: merchant.operatingHours
+      }))
+    });
+
+  } catch (error) {
+    console.error('Pre-order merchants error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch merchants',
+      code: 'MERCHANT_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/orders/merchants/:merchantId/menu
+// @desc    Get a canteen's menu and a day's pickup slots
+// @access  Private
+router.get('/merchants/:merchantId/menu', auth, [
+  param('merchantId')
+    .isMongoId()
+    .withMessage('Valid merchant ID is required'),
+
+  query('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be YYYY-MM-DD')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const merchant = await Merchant.findOne({
+      _id: req.params.merchantId,
+      isActive: true,
+      isVerified: true,
+      'features.acceptsPreOrders': true
+    });
+
+    if (!merchant) {
+      return res.status(404).json({
+        message: 'Merchant not found or not taking pre-orders',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    const day = req.query.date ? new Date(`${req.query.date}T00:00:00`) : new Date();
+    const [items, slots] = await Promise.all([
+      CatalogItem.find({ merchantId: merchant._id, isAvailable: true }).sort({ category: 1, sortOrder: 1, name: 1 }),
+      orderService.getPickupSlots(merchant, day)
+    ]);
+
+    const menu = {};
+    items.forEach(item => {
+      if (!menu[item.category]) menu[item.category] = [];
+      menu[item.category].push(item);
+    });
+
+    res.json({
+      message: 'Menu fetched successfully',
+      merchant: {
+        id: merchant._id,
+        name: merchant.name,
+        isOpenNow: merchant.isOpenNow()
+      },
+      menu,
+      slots
+    });
+
+  } catch (error) {
+    console.error('Menu fetch error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch menu',
+      code: 'MENU_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/orders
+// @desc    Place a pre-order for a pickup slot, held on the wallet
+// @access  Private
+router.post('/', auth, idempotency, [
+  body('merchantId')
+    .isMongoId()
+    .withMessage('Valid merchant ID is required'),
+
+  body('items')
+    .isArray({ min: 1, max: 30 })
+    .withMessage('Order 1-30 items'),
+
+  body('items.*.itemId')
+    .isMongoId()
+    .withMessage('Valid item ID is required'),
+
+  body('items.*.variantId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant ID'),
+
+  body('items.*.quantity')
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Quantity must be 1-20'),
+
+  body('items.*.notes')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Item notes cannot exceed 200 characters'),
+
+  body('pickupAt')
+    .isISO8601()
+    .withMessage('Pickup slot start time is required'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Notes cannot exceed 300 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const merchant = await Merchant.findOne({
+      _id: req.body.merchantId,
+      isActive: true,
+      isVerified: true
+    });
+
+    if (!merchant) {
+      return res.status(404).json({
+        message: 'Merchant not found',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    const { order, lowStock } = await orderService.placeOrder({
+      userId: req.userId,
+      merchant,
+      items: req.body.items,
+      pickupAt: req.body.pickupAt,
+      notes: req.body.notes
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      socketEmitters.emitOrderQueueUpdate(io, merchant.ownerId, {
+        order: orderService.summarize(order),
+        event: 'placed'
+      });
+      if (lowStock.length > 0) {
+        socketEmitters.emitLowStock(io, merchant.ownerId, { items: lowStock });
+      }
+    }
+
+    console.log(`🍽️ Pre-order placed: ${order.orderId} at ${merchant.name} - ${order.total}`);
+
+    res.status(201).json({
+      message: 'Order placed; funds are held until the canteen accepts it',
+      order
+    });
+
+  } catch (error) {
+    console.error('Place order error:', error);
+
+    if (error.errorCode === 'INSUFFICIENT_FUNDS') {
+      return res.status(400).json({
+        message: 'Insufficient wallet balance',
+        code: 'INSUFFICIENT_BALANCE',
+        required: error.requiredAmount,
+        available: error.availableBalance
+      });
+    }
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({
+      message: 'Failed to place order',
+      code: 'ORDER_PLACE_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/orders
+// @desc    Get own pre-orders
+// @access  Private
+router.get('/', auth, [
+  query('status')
+    .optional()
+    .isIn(Order.ORDER_STATUSES)
+    .withMessage('Invalid order status'),
+
+  query('active')
+    .optional()
+    .isBoolean()
+    .withMessage('active must be true or false'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const filter = { userId: req.userId };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    } else if (req.query.active === 'true') {
+      filter.status = { $in: Order.ACTIVE_STATUSES };
+    }
+
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .select('-statusHistory')
+        .populate('merchantId', 'name category')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Order.countDocuments(filter)
+    ]);
+
+    res.json({
+      message: 'Orders fetched successfully',
+      orders,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalOrders: total
+      }
+    });
+
+  } catch (error) {
+    console.error('Order list error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch orders',
+      code: 'ORDER_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/orders/:id
+// @desc    Get an own pre-order with its status history
+// @access  Private
+router.get('/:id', auth, [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid order ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findOne({ _id: req.params.id, userId: req.userId })
+      .populate('merchantId', 'name category location.building')
+      .populate('transactionId', 'transactionId amount status');
+
+    if (!order) {
+      return res.status(404).json({
+        message: 'Order not found',
+        code: 'ORDER_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      message: 'Order fetched successfully',
+      order
+    });
+
+  } catch (error) {
+    console.error('Order fetch error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch order',
+      code: 'ORDER_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/orders/:id/cancel
+// @desc    Cancel an own pre-order the canteen has not accepted yet
+// @access  Private
+router.post('/:id/cancel', auth, [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid order ID is required'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await orderService.cancelByStudent(req.params.id, req.userId, req.body.reason);
+
+    const io = req.app.get('io');
+    const merchant = await Merchant.findById(order.merchantId).select('ownerId');
+    if (io && merchant) {
+      socketEmitters.emitOrderQueueUpdate(io, merchant.ownerId, {
+        order: orderService.summarize(order),
+        event: 'cancelled'
+      });
+    }
+
+    res.json({
+      message: 'Order cancelled and funds released',
+      order
+    });
+
+  } catch (error) {
+    console.error('Cancel order error:', error);
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({
+      message: 'Failed to cancel order',
+      code: 'ORDER_CANCEL_ERROR'
+    });
+  }
+});
+
+module.exports = router;
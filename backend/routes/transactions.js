@@ -1,24 +1,76 @@
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
+const { body, query, param, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
 const Merchant = require('../models/Merchant');
+const Wallet = require('../models/Wallet');
+const Dispute = require('../models/Dispute');
+const LoyaltyAccount = require('../models/LoyaltyAccount');
+const WalletHold = require('../models/WalletHold');
+const Order = require('../models/Order');
+const OfflineToken = require('../models/OfflineToken');
+const ledgerService = require('../services/ledgerService');
+const disputeService = require('../services/disputeService');
+const rewardService = require('../services/rewardService');
+const loyaltyService = require('../services/loyaltyService');
+const couponService = require('../services/couponService');
+const holdService = require('../services/holdService');
+const catalogService = require('../services/catalogService');
+const paymentRequestService = require('../services/paymentRequestService');
+const offlinePaymentService = require('../services/offlinePaymentService');
 const { auth } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const { generateTransactionId } = require('../utils/helpers');
+const { socketEmitters } = require('../config/socket');
+const { AppError } = require('../middleware/errorHandler');
 
 const router = express.Router();
 
+const PREORDER_HOLD_MINUTES = parseInt(process.env.PREORDER_HOLD_MINUTES) || 120;
+
+// Error body for a failed User#canSpend check, or null if spending is allowed
+const spendingLimitResponse = (spendingCheck, amount) => {
+  if (spendingCheck.canSpend) {
+    return null;
+  }
+
+  if (!spendingCheck.hasBalance) {
+    return {
+      message: 'Insufficient wallet balance',
+      code: 'INSUFFICIENT_BALANCE',
+      available: spendingCheck.availableBalance,
+      required: amount
+    };
+  }
+
+  return {
+    message: `Daily transaction limit exceeded. Remaining: ${spendingCheck.dailyLimit - spendingCheck.dailySpent} Collex`,
+    code: 'DAILY_LIMIT_EXCEEDED',
+    dailySpent: spendingCheck.dailySpent,
+    dailyLimit: spendingCheck.dailyLimit
+  };
+};
+
 // @route   POST /api/transactions/pay
-// @desc    Make a payment via QR code
+// @desc    Make a payment via a merchant's QR code or a till payment request
 // @access  Private
-router.post('/pay', auth, [
+router.post('/pay', auth, idempotency, [
   body('merchantQrCode')
+    .if(body('paymentRequest').not().exists())
     .notEmpty()
     .withMessage('Merchant QR code is required')
     .isLength({ min: 10, max: 50 })
     .withMessage('Invalid QR code format'),
   
+  body('paymentRequest')
+    .optional()
+    .isString()
+    .isLength({ min: 10, max: 4096 })
+    .withMessage('Invalid payment request QR'),
+
   body('amount')
+    .if(body('items').not().exists())
+    .if(body('paymentRequest').not().exists())
     .isFloat({ min: 0.01 })
     .withMessage('Amount must be greater than 0')
     .custom(value => {
@@ -27,6 +79,24 @@ router.post('/pay', auth, [
       }
       return true;
     }),
+
+  body('items')
+    .optional()
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Items must be a list of 1-50 lines'),
+
+  body('items.*.itemId')
+    .isMongoId()
+    .withMessage('Valid item ID is required'),
+
+  body('items.*.variantId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant ID'),
+
+  body('items.*.quantity')
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Quantity must be 1-100'),
   
   body('description')
     .optional()
@@ -47,7 +117,28 @@ router.post('/pay', auth, [
   body('location.longitude')
     .optional()
     .isFloat({ min: -180, max: 180 })
-    .withMessage('Invalid longitude')
+    .withMessage('Invalid longitude'),
+
+  body('couponCode')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Invalid coupon code'),
+
+  body('redeemLoyalty')
+    .optional()
+    .isObject()
+    .withMessage('redeemLoyalty must be an object'),
+
+  body('redeemLoyalty.points')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Points to redeem must be a positive whole number'),
+
+  body('redeemLoyalty.stampReward')
+    .optional()
+    .isBoolean()
+    .withMessage('stampReward must be true or false')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -58,11 +149,29 @@ router.post('/pay', auth, [
       });
     }
 
-    const { merchantQrCode, amount, description, location } = req.body;
+    const { merchantQrCode, description, location, couponCode, redeemLoyalty, items, paymentRequest } = req.body;
+
+    // A till's payment request fixes the merchant and the amount
+    let request = null;
+    if (paymentRequest) {
+      if (items) {
+        return res.status(400).json({ 
+          message: 'A payment request already carries its amount',
+          code: 'ITEMS_NOT_ALLOWED'
+        });
+      }
+      // The preview already counted this scan
+      request = await paymentRequestService.resolve(paymentRequest, {
+        userId: req.userId,
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        track: false
+      });
+    }
 
     // Find merchant by QR code
     const merchant = await Merchant.findOne({ 
-      qrCode: merchantQrCode.toUpperCase(), 
+      ...(request ? { _id: request.merchantId } : { qrCode: merchantQrCode.toUpperCase() }),
       isActive: true,
       isVerified: true
     }).populate('ownerId', 'name email');
@@ -93,109 +202,220 @@ router.post('/pay', auth, [
       });
     }
 
-    const conversionRate = parseFloat(process.env.COLLEX_CONVERSION_RATE || 1);
-    const collexAmount = amount * conversionRate;
-
-    // Check if user can spend this amount
-    const spendingCheck = user.canSpend(collexAmount);
-    
-    if (!spendingCheck.canSpend) {
-      if (!spendingCheck.hasBalance) {
+    // An itemized payment is priced from the merchant's catalog; a typed
+    // amount, if also sent, has to agree with it
+    let amount = req.body.amount;
+    let priced = null;
+    if (request) {
+      if (amount !== undefined && ledgerService.roundAmount(amount) !== request.amount) {
+        return res.status(400).json({ 
+          message: `Amount does not match the merchant's request (${request.amount})`,
+          code: 'AMOUNT_MISMATCH',
+          requestedAmount: request.amount
+        });
+      }
+      amount = request.amount;
+    }
+    if (items) {
+      priced = await catalogService.priceLines(merchant, items);
+      if (amount !== undefined && ledgerService.roundAmount(amount) !== priced.subtotal) {
         return res.status(400).json({ 
-          message: 'Insufficient wallet balance',
-          code: 'INSUFFICIENT_BALANCE',
-          available: spendingCheck.availableBalance,
-          required: collexAmount
+          message: `Amount does not match the items (${priced.subtotal})`,
+          code: 'AMOUNT_MISMATCH',
+          itemsTotal: priced.subtotal
         });
       }
-      
-      if (!spendingCheck.withinDailyLimit) {
+      if (priced.subtotal > 10000) {
         return res.status(400).json({ 
-          message: `Daily transaction limit exceeded. Remaining: ${spendingCheck.dailyLimit - spendingCheck.dailySpent} Collex`,
-          code: 'DAILY_LIMIT_EXCEEDED',
-          dailySpent: spendingCheck.dailySpent,
-          dailyLimit: spendingCheck.dailyLimit
+          message: 'Amount cannot exceed ₹10,000 per transaction',
+          code: 'AMOUNT_TOO_LARGE'
         });
       }
+      amount = priced.subtotal;
+    }
+
+    const conversionRate = parseFloat(process.env.COLLEX_CONVERSION_RATE || 1);
+    const billAmount = ledgerService.roundAmount(amount * conversionRate);
+
+    // Discounts come off the bill before anything is charged: the coupon
+    // first, then any loyalty redemption on what is left
+    const discounts = [];
+    let couponQuote = null;
+    if (couponCode) {
+      couponQuote = await couponService.quote({
+        code: couponCode,
+        userId: req.userId,
+        amount: billAmount,
+        merchant
+      });
+      discounts.push(couponService.discountLine(couponQuote));
     }
 
-    // Calculate fees
-    const merchantFee = collexAmount * merchant.commissionRate;
+    let loyaltyQuote = null;
+    if (redeemLoyalty) {
+      const loyaltyAccount = await LoyaltyAccount.findOne({ userId: req.userId, merchantId: merchant._id });
+      loyaltyQuote = loyaltyService.quoteRedemption(
+        loyaltyService.getProgram(merchant),
+        loyaltyAccount,
+        ledgerService.roundAmount(billAmount - (couponQuote ? couponQuote.discount : 0)),
+        redeemLoyalty
+      );
+      discounts.push({
+        source: 'LOYALTY',
+        description: loyaltyQuote.points ? `${loyaltyQuote.points} loyalty points` : 'Stamp card reward',
+        amount: loyaltyQuote.discount,
+        fundedBy: 'MERCHANT'
+      });
+    }
+
+    const totalDiscount = discounts.reduce((sum, discount) => sum + discount.amount, 0);
+    const platformSubsidy = ledgerService.roundAmount(
+      discounts.filter(discount => discount.fundedBy === 'PLATFORM').reduce((sum, discount) => sum + discount.amount, 0)
+    );
+    const collexAmount = ledgerService.roundAmount(billAmount - totalDiscount);
+
+    // Early check so the common failures don't open a session
+    const spendingCheck = user.canSpend(collexAmount);
+    const limitResponse = spendingLimitResponse(spendingCheck, collexAmount);
+    if (limitResponse) {
+      return res.status(400).json(limitResponse);
+    }
+
+    // Calculate fees; commission is on what the merchant is paid, including
+    // any discount the platform funds
+    const merchantFee = ledgerService.roundAmount((collexAmount + platformSubsidy) * merchant.commissionRate);
     const platformFee = 0; // No platform fee for now
     const totalFees = merchantFee + platformFee;
-    const merchantEarning = collexAmount - totalFees;
+    const merchantEarning = ledgerService.roundAmount(collexAmount + platformSubsidy - totalFees);
 
-    // Create transaction
+    const wallet = await Wallet.createWallet(req.userId);
+
+    // Create transaction; balances are filled in by the ledger posting
     const transaction = new Transaction({
       transactionId: generateTransactionId(),
-      fromUser: req.userId,
-      toMerchant: merchant._id,
+      userId: req.userId,
+      walletId: wallet._id,
       amount: collexAmount,
-      type: 'payment',
-      category: merchant.category,
-      description: description || `Payment to ${merchant.name}`,
-      status: 'processing',
-      balanceBeforeTransaction: user.walletBalance,
-      balanceAfterTransaction: user.walletBalance - collexAmount,
+      currency: wallet.currency,
+      type: 'DEBIT',
+      category: 'PAYMENT',
+      paymentMethod: 'WALLET',
+      description: description || (request ? request.description : `Payment to ${merchant.name}`),
+      status: 'COMPLETED',
+      balanceBefore: wallet.balance,
+      balanceAfter: wallet.balance,
+      grossAmount: billAmount,
+      discounts,
+      lineItems: priced ? priced.lineItems : [],
+      loyalty: loyaltyQuote ? {
+        pointsRedeemed: loyaltyQuote.points,
+        stampRewardsRedeemed: loyaltyQuote.stampRewards
+      } : undefined,
       fees: {
-        platformFee,
-        merchantFee,
-        totalFees
+        amount: totalFees,
+        type: 'PERCENTAGE',
+        description: 'Merchant commission'
       },
       metadata: {
+        merchantId: merchant._id,
         qrCode: merchantQrCode,
+        paymentRequestId: request ? request._id : undefined,
+        orderReference: request ? request.reference : undefined,
         location,
-        deviceInfo: {
-          userAgent: req.get('User-Agent'),
-          ip: req.ip
-        },
-        merchantInfo: {
-          merchantName: merchant.name,
-          merchantCategory: merchant.category
-        }
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
       }
     });
 
-    // Start database transaction
-    const session = await Transaction.startSession();
-    
-    try {
-      await session.withTransaction(async () => {
-        // Update user balance and daily spending
-        user.resetDailySpentIfNeeded();
-        user.walletBalance -= collexAmount;
-        user.dailySpentAmount += collexAmount;
-        user.totalSpent += collexAmount;
+    // Post Dr user wallet (plus promotions for platform-funded discounts),
+    // Cr merchant account (net), Cr platform revenue
+    let lowStock = [];
+    let payer;
+    await ledgerService.runInTransaction(async (session) => {
+      // Re-check on a copy read in the session so concurrent payments
+      // cannot both squeeze under the daily limit
+      payer = await User.findById(req.userId).session(session);
+      const response = spendingLimitResponse(payer.canSpend(collexAmount), collexAmount);
+      if (response) {
+        throw Object.assign(
+          new AppError(response.message, 400, response.code),
+          { details: response }
+        );
+      }
+
+      if (request) {
+        request = await paymentRequestService.markPaid(request, { userId: req.userId, transaction, session });
+      }
 
-        // Update merchant metrics
-        await merchant.updateMetrics(collexAmount);
+      if (priced && merchant.features.hasInventory) {
+        lowStock = await catalogService.reserveStock(priced.lineItems, session);
+      }
+
+      const [payerWallet, merchantWallet, revenueWallet, promotionsWallet] = await Promise.all([
+        Wallet.findById(wallet._id).session(session),
+        Wallet.getMerchantWallet(merchant._id, { session }),
+        Wallet.getSystemWallet('PLATFORM_REVENUE', { session }),
+        Wallet.getSystemWallet('PLATFORM_PROMOTIONS', { session })
+      ]);
+
+      if (couponQuote) {
+        await couponService.redeem({
+          quote: couponQuote,
+          userId: req.userId,
+          transaction,
+          merchantId: merchant._id,
+          amountBefore: billAmount,
+          session
+        });
+      }
 
-        // Save transaction and user
-        await Promise.all([
-          transaction.save({ session }),
-          user.save({ session })
-        ]);
+      if (loyaltyQuote) {
+        await loyaltyService.redeem({
+          userId: req.userId,
+          merchantId: merchant._id,
+          quote: loyaltyQuote,
+          session
+        });
+      }
 
-        // Mark transaction as completed
-        transaction.status = 'completed';
-        transaction.completedAt = new Date();
-        await transaction.save({ session });
+      await ledgerService.postJournal({
+        lines: ledgerService.paymentLines({
+          payerWallet,
+          payeeWallet: merchantWallet,
+          revenueWallet,
+          promotionsWallet,
+          amount: collexAmount,
+          commission: merchantFee,
+          subsidy: platformSubsidy,
+          description: transaction.description
+        }),
+        transactions: [transaction],
+        description: transaction.description,
+        session
       });
 
-      await session.commitTransaction();
+      // Update daily spending
+      payer.dailySpentAmount += collexAmount;
+      payer.totalSpent += collexAmount;
+      await payer.save({ session });
+    });
 
-    } catch (sessionError) {
-      await session.abortTransaction();
-      throw sessionError;
-    } finally {
-      await session.endSession();
+    // The payment has committed; metrics are best effort from here
+    try {
+      await merchant.updateMetrics(collexAmount);
+    } catch (error) {
+      console.error(`Merchant metrics error for ${transaction.transactionId}:`, error);
     }
 
-    // Populate transaction for response
-    await transaction.populate('toMerchant', 'name category location');
+    const loyalty = await loyaltyService.accrue(transaction, merchant);
+
+    const newBalance = transaction.balanceAfter;
 
     // Real-time updates
     const io = req.app.get('io');
+
+    // Cashback is credited after the payment, as separate CASHBACK transactions
+    const rewards = await rewardService.applyFor(transaction, { merchant, io });
     if (io) {
       // Update user's wallet
       io.to(`wallet_${req.userId}`).emit('transaction_completed', {
@@ -210,12 +430,23 @@ router.post('/pay', auth, [
           },
           timestamp: transaction.completedAt
         },
-        newBalance: user.walletBalance,
-        dailySpent: user.dailySpentAmount
+        newBalance,
+        dailySpent: payer.dailySpentAmount
       });
 
       // Notify merchant
       if (merchant.ownerId) {
+        if (lowStock.length > 0) {
+          socketEmitters.emitLowStock(io, merchant.ownerId._id, { items: lowStock });
+        }
+
+        if (request) {
+          socketEmitters.emitPaymentRequestUpdate(io, merchant.ownerId._id, paymentRequestService.summarize(request, {
+            customer: user.name,
+            collexAmount
+          }));
+        }
+
         io.to(`merchant_${merchant.ownerId._id}`).emit('payment_received', {
           transaction: {
             id: transaction._id,
@@ -248,37 +479,68 @@ router.post('/pay', auth, [
         fees: {
           merchantFee: (merchantFee / conversionRate).toFixed(2),
           totalFees: (totalFees / conversionRate).toFixed(2)
-        }
+        },
+        grossAmount: billAmount,
+        discounts,
+        lineItems: transaction.lineItems,
+        paymentRequest: request ? {
+          requestId: request.requestId,
+          reference: request.reference
+        } : undefined
       },
       wallet: {
-        newBalance: user.walletBalance,
-        newBalanceInRupees: (user.walletBalance / conversionRate).toFixed(2),
-        dailySpent: user.dailySpentAmount,
-        dailyRemaining: Math.max(0, spendingCheck.dailyLimit - user.dailySpentAmount)
-      }
+        newBalance,
+        newBalanceInRupees: (newBalance / conversionRate).toFixed(2),
+        dailySpent: payer.dailySpentAmount,
+        dailyRemaining: Math.max(0, spendingCheck.dailyLimit - payer.dailySpentAmount)
+      },
+      rewards: rewards.map(reward => ({
+        code: reward.code,
+        name: reward.name,
+        amount: reward.amount,
+        transactionId: reward.transaction.transactionId
+      })),
+      loyalty: loyalty ? {
+        pointsEarned: loyalty.points,
+        stampsEarned: loyalty.stamps,
+        rewardEarned: loyalty.rewardEarned,
+        points: loyalty.account.points,
+        stamps: loyalty.account.stamps,
+        rewardsAvailable: loyalty.account.rewardsAvailable
+      } : null
     });
 
   } catch (error) {
     console.error('Payment error:', error);
-    
-    // Mark transaction as failed if it was created
-    if (req.body.merchantQrCode) {
-      await Transaction.findOneAndUpdate(
-        { 
-          fromUser: req.userId,
-          'metadata.qrCode': req.body.merchantQrCode,
-          status: 'processing',
-          createdAt: { $gte: new Date(Date.now() - 60000) } // Within last minute
-        },
-        {
-          status: 'failed',
-          errorCode: 'PROCESSING_ERROR',
-          errorMessage: error.message,
-          failedAt: new Date()
-        }
-      );
+
+    // The in-session spending re-check carries the same body as the early one
+    if (['INSUFFICIENT_BALANCE', 'DAILY_LIMIT_EXCEEDED'].includes(error.errorCode) && error.details) {
+      return res.status(400).json(error.details);
     }
-    
+
+    if (error.errorCode === 'INSUFFICIENT_FUNDS') {
+      return res.status(400).json({
+        message: 'Insufficient wallet balance',
+        code: 'INSUFFICIENT_BALANCE',
+        available: error.availableBalance,
+        required: error.requiredAmount
+      });
+    }
+
+    if (error.errorCode === 'WALLET_ERROR') {
+      return res.status(400).json({
+        message: error.message,
+        code: 'WALLET_UNAVAILABLE'
+      });
+    }
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
     res.status(500).json({ 
       message: 'Payment processing failed',
       code: 'PAYMENT_ERROR'
@@ -452,127 +714,960 @@ router.get('/history', auth, [
   }
 });
 
-// @route   GET /api/transactions/:id
-// @desc    Get specific transaction details
+// @route   GET /api/transactions/loyalty
+// @desc    Get own loyalty points and stamps per merchant
 // @access  Private
-router.get('/:id', auth, async (req, res) => {
+router.get('/loyalty', auth, async (req, res) => {
   try {
-    const { id } = req.params;
+    const accounts = await loyaltyService.getUserAccounts(req.userId);
 
-    // Validate ObjectId format
-    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    res.json({
+      message: 'Loyalty balances fetched successfully',
+      accounts
+    });
+
+  } catch (error) {
+    console.error('Loyalty balances error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch loyalty balances',
+      code: 'LOYALTY_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/transactions/disputes
+// @desc    Get own dispute cases
+// @access  Private
+router.get('/disputes', auth, [
+  query('status')
+    .optional()
+    .isIn(['AWAITING_MERCHANT', 'UNDER_REVIEW', 'RESOLVED'])
+    .withMessage('Invalid dispute status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({ 
-        message: 'Invalid transaction ID format',
-        code: 'INVALID_TRANSACTION_ID'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    const transaction = await Transaction.findOne({
-      _id: id,
-      fromUser: req.userId
-    })
-    .populate('toMerchant', 'name category location contact operatingHours')
-    .populate('toUser', 'name universityId email')
-    .populate('fromUser', 'name universityId email')
-    .lean();
+    const filter = { userId: req.userId };
+    if (req.query.status) filter.status = req.query.status;
 
-    if (!transaction) {
-      return res.status(404).json({ 
-        message: 'Transaction not found',
-        code: 'TRANSACTION_NOT_FOUND'
+    const disputes = await Dispute.find(filter)
+      .select('-timeline')
+      .populate('merchantId', 'name category')
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({
+      message: 'Disputes fetched successfully',
+      disputes
+    });
+
+  } catch (error) {
+    console.error('Dispute list error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch disputes',
+      code: 'DISPUTE_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/transactions/disputes/:disputeId
+// @desc    Get an own dispute case with evidence and timeline
+// @access  Private
+router.get('/disputes/:disputeId', auth, [
+  param('disputeId')
+    .isMongoId()
+    .withMessage('Valid dispute ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Format transaction details
-    const conversionRate = parseFloat(process.env.COLLEX_CONVERSION_RATE || 1);
-    const formattedTransaction = {
-      ...transaction,
-      amountInRupees: (transaction.amount / conversionRate).toFixed(2),
-      formattedAmount: `${transaction.amount} Collex (₹${(transaction.amount / conversionRate).toFixed(2)})`,
-      fees: transaction.fees ? {
-        ...transaction.fees,
-        platformFeeInRupees: (transaction.fees.platformFee / conversionRate).toFixed(2),
-        merchantFeeInRupees: (transaction.fees.merchantFee / conversionRate).toFixed(2),
-        totalFeesInRupees: (transaction.fees.totalFees / conversionRate).toFixed(2)
-      } : null,
-      processingTime: transaction.processingTime,
-      formattedTransactionId: transaction.transactionId.replace(/(.{4})/g, '$1-').slice(0, -1)
-    };
+    const dispute = await Dispute.findOne({ _id: req.params.disputeId, userId: req.userId })
+      .populate('merchantId', 'name category contact')
+      .populate('decision.reversalTransactionId', 'transactionId amount status completedAt');
+
+    if (!dispute) {
+      return res.status(404).json({ 
+        message: 'Dispute not found',
+        code: 'DISPUTE_NOT_FOUND'
+      });
+    }
 
     res.json({
-      message: 'Transaction details fetched successfully',
-      transaction: formattedTransaction
+      message: 'Dispute fetched successfully',
+      dispute
     });
 
   } catch (error) {
-    console.error('Transaction details error:', error);
+    console.error('Dispute fetch error:', error);
     res.status(500).json({ 
-      message: 'Failed to fetch transaction details',
-      code: 'TRANSACTION_DETAILS_ERROR'
+      message: 'Failed to fetch dispute',
+      code: 'DISPUTE_FETCH_ERROR'
     });
   }
 });
 
-// @route   GET /api/transactions/stats/summary
-// @desc    Get transaction statistics summary
+// @route   POST /api/transactions/disputes/:disputeId/evidence
+// @desc    Add evidence to an own dispute case
 // @access  Private
-router.get('/stats/summary', auth, async (req, res) => {
+router.post('/disputes/:disputeId/evidence', auth, [
+  param('disputeId')
+    .isMongoId()
+    .withMessage('Valid dispute ID is required'),
+  
+  body('evidence')
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Evidence must be an array of 1-10 items'),
+  
+  body('evidence.*.url')
+    .isURL()
+    .withMessage('Each evidence item needs a valid URL'),
+  
+  body('evidence.*.description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Evidence description cannot exceed 500 characters')
+], async (req, res) => {
   try {
-    const userId = req.userId;
-    const now = new Date();
-    
-    // Date ranges
-    const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    const startOfWeek = new Date(now.setDate(now.getDate() - now.getDay()));
-    const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-    const startOfYear = new Date(now.getFullYear(), 0, 1);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
-    // Aggregate queries
-    const [todayStats, weekStats, monthStats, yearStats, categoryStats] = await Promise.all([
-      // Today's stats
-      Transaction.aggregate([
-        {
-          $match: {
-            fromUser: userId,
-            status: 'completed',
-            createdAt: { $gte: startOfToday }
-          }
-        },
-        {
-          $group: {
-            _id: '$type',
-            totalAmount: { $sum: '$amount' },
-            count: { $sum: 1 }
-          }
-        }
-      ]),
+    const dispute = await disputeService.findForParty(req.params.disputeId, { userId: req.userId });
+    await disputeService.addEvidence({
+      dispute,
+      party: 'CUSTOMER',
+      userId: req.userId,
+      items: req.body.evidence,
+      io: req.app.get('io'),
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
 
-      // This week's stats
-      Transaction.aggregate([
-        {
-          $match: {
-            fromUser: userId,
-            status: 'completed',
-            createdAt: { $gte: startOfWeek }
-          }
-        },
-        {
-          $group: {
-            _id: '$type',
-            totalAmount: { $sum: '$amount' },
-            count: { $sum: 1 }
-          }
-        }
-      ]),
+    res.json({
+      message: 'Evidence added successfully',
+      evidence: dispute.evidence.filter(item => item.party === 'CUSTOMER')
+    });
 
-      // This month's stats
-      Transaction.aggregate([
-        {
-          $match: {
-            fromUser: userId,
-            status: 'completed',
-            createdAt: { $gte: startOfMonth }
-          }
+  } catch (error) {
+    console.error('Dispute evidence error:', error);
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to add evidence',
+      code: 'DISPUTE_EVIDENCE_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/transactions/holds
+// @desc    Reserve funds for a pre-order; the merchant captures on fulfilment
+// @access  Private
+router.post('/holds', auth, idempotency, [
+  body('merchantQrCode')
+    .notEmpty()
+    .withMessage('Merchant QR code is required')
+    .isLength({ min: 10, max: 50 })
+    .withMessage('Invalid QR code format'),
+
+  body('amount')
+    .isFloat({ min: 0.01, max: 10000 })
+    .withMessage('Amount must be between 0.01 and 10,000'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Reference cannot exceed 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { merchantQrCode, amount, description, reference } = req.body;
+
+    const merchant = await Merchant.findOne({ 
+      qrCode: merchantQrCode.toUpperCase(), 
+      isActive: true,
+      isVerified: true
+    });
+
+    if (!merchant) {
+      return res.status(404).json({ 
+        message: 'Invalid QR code or merchant not found',
+        code: 'INVALID_MERCHANT_QR'
+      });
+    }
+
+    if (!merchant.features.acceptsPreOrders) {
+      return res.status(400).json({ 
+        message: `${merchant.name} does not take pre-orders`,
+        code: 'PREORDERS_NOT_SUPPORTED'
+      });
+    }
+
+    const user = await User.findById(req.userId);
+    const conversionRate = parseFloat(process.env.COLLEX_CONVERSION_RATE || 1);
+    const holdAmount = ledgerService.roundAmount(amount * conversionRate);
+
+    // A hold counts towards the daily limit only once it is captured, but it
+    // must fit today's remaining allowance to be worth placing
+    const spendingCheck = user.canSpend(holdAmount);
+    if (!spendingCheck.canSpend) {
+      return res.status(400).json({ 
+        message: spendingCheck.hasBalance ? 
+          'Daily transaction limit exceeded' : 
+          'Insufficient wallet balance',
+        code: spendingCheck.hasBalance ? 'DAILY_LIMIT_EXCEEDED' : 'INSUFFICIENT_BALANCE',
+        required: holdAmount,
+        available: spendingCheck.availableBalance
+      });
+    }
+
+    const hold = await holdService.place({
+      userId: req.userId,
+      amount: holdAmount,
+      purpose: 'PRE_ORDER',
+      merchantId: merchant._id,
+      description: description || `Pre-order at ${merchant.name}`,
+      reference,
+      expiresAt: new Date(Date.now() + PREORDER_HOLD_MINUTES * 60 * 1000)
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`merchant_${merchant.ownerId}`).emit('hold_placed', {
+        hold: {
+          id: hold._id,
+          holdId: hold.holdId,
+          amount: hold.amount,
+          description: hold.description,
+          reference: hold.reference,
+          expiresAt: hold.expiresAt
+        },
+        customer: {
+          name: user.name
+        }
+      });
+    }
+
+    res.status(201).json({
+      message: 'Funds held for your pre-order',
+      hold: {
+        id: hold._id,
+        holdId: hold.holdId,
+        amount: hold.amount,
+        status: hold.status,
+        expiresAt: hold.expiresAt,
+        merchant: {
+          id: merchant._id,
+          name: merchant.name
+        }
+      },
+      availableBalance: ledgerService.roundAmount(spendingCheck.availableBalance - hold.amount)
+    });
+
+  } catch (error) {
+    console.error('Place hold error:', error);
+
+    if (error.errorCode === 'INSUFFICIENT_FUNDS') {
+      return res.status(400).json({
+        message: 'Insufficient wallet balance',
+        code: 'INSUFFICIENT_BALANCE',
+        required: error.requiredAmount,
+        available: error.availableBalance
+      });
+    }
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to place hold',
+      code: 'HOLD_PLACE_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/transactions/holds
+// @desc    Get own authorization holds
+// @access  Private
+router.get('/holds', auth, [
+  query('status')
+    .optional()
+    .isIn(['HELD', 'CAPTURED', 'VOIDED', 'EXPIRED'])
+    .withMessage('Invalid hold status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const holds = await holdService.getUserHolds(req.userId, { status: req.query.status });
+
+    res.json({
+      message: 'Holds fetched successfully',
+      holds,
+      totalHeld: ledgerService.roundAmount(
+        holds.filter(hold => hold.status === 'HELD').reduce((sum, hold) => sum + hold.amount, 0)
+      )
+    });
+
+  } catch (error) {
+    console.error('Hold list error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch holds',
+      code: 'HOLD_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/transactions/holds/:holdId/cancel
+// @desc    Cancel an own pre-order hold and release the funds
+// @access  Private
+router.post('/holds/:holdId/cancel', auth, [
+  param('holdId')
+    .isMongoId()
+    .withMessage('Invalid hold ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Event holds are released by the organizer's decision, not by the student
+    const hold = await WalletHold.findOne({
+      _id: req.params.holdId,
+      userId: req.userId,
+      purpose: 'PRE_ORDER'
+    });
+
+    if (!hold) {
+      return res.status(404).json({ 
+        message: 'Hold not found',
+        code: 'HOLD_NOT_FOUND'
+      });
+    }
+
+    // Holds behind a canteen order move with the order, not on their own
+    if (await Order.exists({ holdId: req.params.holdId })) {
+      return res.status(409).json({ 
+        message: 'This hold belongs to a pre-order; cancel the order instead',
+        code: 'HOLD_BELONGS_TO_ORDER'
+      });
+    }
+
+    const released = await holdService.void(hold._id, { reason: 'Cancelled by customer' });
+
+    const io = req.app.get('io');
+    const merchant = await Merchant.findById(released.merchantId).select('ownerId');
+    if (io && merchant) {
+      io.to(`merchant_${merchant.ownerId}`).emit('hold_released', {
+        holdId: released.holdId,
+        status: released.status,
+        reason: released.voidReason
+      });
+    }
+
+    res.json({
+      message: 'Pre-order cancelled and funds released',
+      hold: released
+    });
+
+  } catch (error) {
+    console.error('Cancel hold error:', error);
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to cancel hold',
+      code: 'HOLD_CANCEL_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/transactions/payment-requests/resolve
+// @desc    Show what a scanned till QR asks for before the student confirms
+// @access  Private
+router.post('/payment-requests/resolve', auth, [
+  body('paymentRequest')
+    .isString()
+    .isLength({ min: 10, max: 4096 })
+    .withMessage('Invalid payment request QR')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const request = await paymentRequestService.resolve(req.body.paymentRequest, {
+      userId: req.userId,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    const merchant = await Merchant.findOne({ _id: request.merchantId, isActive: true, isVerified: true })
+      .select('name category location');
+
+    if (!merchant) {
+      return res.status(404).json({
+        message: 'Merchant not found',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    const conversionRate = parseFloat(process.env.COLLEX_CONVERSION_RATE || 1);
+
+    res.json({
+      message: 'Payment request fetched successfully',
+      paymentRequest: {
+        requestId: request.requestId,
+        reference: request.reference,
+        description: request.description,
+        amount: request.amount,
+        collexAmount: ledgerService.roundAmount(request.amount * conversionRate),
+        expiresAt: request.expiresAt,
+        merchant: {
+          id: merchant._id,
+          name: merchant.name,
+          category: merchant.category,
+          location: merchant.fullAddress
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Resolve payment request error:', error);
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({
+      message: 'Failed to read payment request',
+      code: 'PAYMENT_REQUEST_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/transactions/offline-key
+// @desc    Get the public key merchant devices check offline tokens with
+// @access  Private
+router.get('/offline-key', auth, async (req, res) => {
+  const { publicKey, maxCap } = offlinePaymentService.getLimits();
+
+  if (!publicKey) {
+    return res.status(503).json({
+      message: 'Offline payments are not set up',
+      code: 'OFFLINE_NOT_CONFIGURED'
+    });
+  }
+
+  res.json({
+    message: 'Offline signing key fetched successfully',
+    algorithm: 'Ed25519',
+    format: 'spki-der-base64',
+    publicKey,
+    maxCap
+  });
+});
+
+// @route   POST /api/transactions/offline-tokens
+// @desc    Get signed offline payment tokens, each holding its cap
+// @access  Private
+router.post('/offline-tokens', auth, idempotency, [
+  body('count')
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Count must be 1-10'),
+
+  body('cap')
+    .isFloat({ min: 1 })
+    .withMessage('Cap must be at least 1')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const issued = await offlinePaymentService.issueTokens(req.userId, {
+      count: parseInt(req.body.count),
+      cap: parseFloat(req.body.cap)
+    });
+
+    res.status(201).json({
+      message: 'Offline tokens issued; each cap is held until it is spent or expires',
+      tokens: issued.map(({ token, encoded }) => ({
+        tokenId: token.tokenId,
+        cap: token.cap,
+        expiresAt: token.expiresAt,
+        token: encoded
+      }))
+    });
+
+  } catch (error) {
+    console.error('Offline token error:', error);
+
+    if (error.errorCode === 'INSUFFICIENT_FUNDS') {
+      return res.status(400).json({
+        message: 'Insufficient wallet balance',
+        code: 'INSUFFICIENT_BALANCE',
+        required: error.requiredAmount,
+        available: error.availableBalance
+      });
+    }
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({
+      message: 'Failed to issue offline tokens',
+      code: 'OFFLINE_TOKEN_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/transactions/offline-tokens
+// @desc    Get own offline tokens and the issuing limits
+// @access  Private
+router.get('/offline-tokens', auth, [
+  query('status')
+    .optional()
+    .isIn(OfflineToken.TOKEN_STATUSES)
+    .withMessage('Invalid token status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = { userId: req.userId };
+    if (req.query.status) filter.status = req.query.status;
+
+    const tokens = await OfflineToken.find(filter)
+      .populate('merchantId', 'name category')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    // Devices fetch the signing key from /offline-key
+    const limits = offlinePaymentService.getLimits();
+    delete limits.publicKey;
+
+    res.json({
+      message: 'Offline tokens fetched successfully',
+      tokens,
+      limits
+    });
+
+  } catch (error) {
+    console.error('Offline token list error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch offline tokens',
+      code: 'OFFLINE_TOKEN_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/transactions/offline-tokens/:tokenId/cancel
+// @desc    Cancel an unused offline token and release its hold
+// @access  Private
+router.post('/offline-tokens/:tokenId/cancel', auth, [
+  param('tokenId')
+    .notEmpty()
+    .withMessage('Token ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const token = await offlinePaymentService.cancelToken(req.params.tokenId, req.userId);
+
+    res.json({
+      message: 'Offline token cancelled and funds released',
+      token
+    });
+
+  } catch (error) {
+    console.error('Offline token cancel error:', error);
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
+    res.status(500).json({
+      message: 'Failed to cancel offline token',
+      code: 'OFFLINE_TOKEN_CANCEL_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/transactions/offline-sync
+// @desc    Upload offline payments a merchant device queued while disconnected
+// @access  Private (Merchant)
+router.post('/offline-sync', auth, idempotency, [
+  body('deviceId')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Device ID cannot exceed 100 characters'),
+
+  body('items')
+    .isArray({ min: 1, max: 200 })
+    .withMessage('Sync 1-200 payments at a time'),
+
+  body('items.*.token')
+    .isString()
+    .isLength({ min: 20, max: 2048 })
+    .withMessage('Token is required'),
+
+  body('items.*.amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be greater than 0'),
+
+  body('items.*.acceptedAt')
+    .isISO8601()
+    .withMessage('Accepted time is required'),
+
+  body('items.*.reference')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Reference cannot exceed 50 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const merchant = await Merchant.findOne({
+      ownerId: req.userId,
+      isActive: true,
+      isVerified: true
+    });
+
+    if (!merchant) {
+      return res.status(404).json({
+        message: 'Merchant profile not found',
+        code: 'MERCHANT_NOT_FOUND'
+      });
+    }
+
+    const io = req.app.get('io');
+    const { batch, transactions } = await offlinePaymentService.syncBatch(merchant, {
+      items: req.body.items,
+      deviceId: req.body.deviceId,
+      submittedBy: req.userId,
+      io
+    });
+
+    if (io) {
+      transactions.forEach(transaction => {
+        socketEmitters.emitBalanceUpdate(io, transaction.userId, {
+          balance: transaction.balanceAfter,
+          change: -transaction.amount,
+          transactionId: transaction.transactionId,
+          type: 'payment',
+          merchant: merchant.name
+        });
+      });
+    }
+
+    if (batch.counts.flagged > 0) {
+      console.warn(`⚠️ Offline sync ${batch.batchId}: ${batch.counts.flagged} payments flagged for review`);
+    }
+    console.log(`📶 Offline sync: ${merchant.name} - ${batch.counts.settled} settled, ${batch.settledAmount} Collex`);
+
+    res.json({
+      message: 'Offline payments synced',
+      batch: {
+        batchId: batch.batchId,
+        counts: batch.counts,
+        settledAmount: batch.settledAmount,
+        items: batch.items.map(item => ({
+          tokenId: item.tokenId,
+          amount: item.amount,
+          reference: item.reference,
+          status: item.status,
+          reason: item.reason,
+          transactionId: item.transactionId
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Offline sync error:', error);
+    res.status(500).json({
+      message: 'Failed to sync offline payments',
+      code: 'OFFLINE_SYNC_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/transactions/:id/receipt
+// @desc    Get an itemized receipt for an own payment
+// @access  Private
+router.get('/:id/receipt', auth, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid transaction ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const transaction = await Transaction.findOne({
+      _id: req.params.id,
+      userId: req.userId,
+      type: 'DEBIT'
+    }).populate('metadata.merchantId', 'name businessName category location contact.phone');
+
+    if (!transaction) {
+      return res.status(404).json({ 
+        message: 'Transaction not found',
+        code: 'TRANSACTION_NOT_FOUND'
+      });
+    }
+
+    const merchant = transaction.metadata?.merchantId;
+    const grossAmount = transaction.grossAmount || transaction.amount;
+
+    res.json({
+      message: 'Receipt fetched successfully',
+      receipt: {
+        transactionId: transaction.transactionId,
+        status: transaction.status,
+        date: transaction.completedAt || transaction.createdAt,
+        merchant: merchant ? {
+          name: merchant.businessName || merchant.name,
+          category: merchant.category,
+          location: merchant.fullAddress,
+          phone: merchant.contact?.phone
+        } : null,
+        description: transaction.description,
+        lineItems: transaction.lineItems,
+        subtotal: grossAmount,
+        discounts: transaction.discounts,
+        total: transaction.amount,
+        refundedAmount: transaction.refundedAmount || 0,
+        currency: transaction.currency,
+        paymentMethod: transaction.paymentMethod
+      }
+    });
+
+  } catch (error) {
+    console.error('Receipt error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch receipt',
+      code: 'RECEIPT_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/transactions/:id
+// @desc    Get specific transaction details
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        message: 'Invalid transaction ID format',
+        code: 'INVALID_TRANSACTION_ID'
+      });
+    }
+
+    const transaction = await Transaction.findOne({
+      _id: id,
+      fromUser: req.userId
+    })
+    .populate('toMerchant', 'name category location contact operatingHours')
+    .populate('toUser', 'name universityId email')
+    .populate('fromUser', 'name universityId email')
+    .lean();
+
+    if (!transaction) {
+      return res.status(404).json({ 
+        message: 'Transaction not found',
+        code: 'TRANSACTION_NOT_FOUND'
+      });
+    }
+
+    // Format transaction details
+    const conversionRate = parseFloat(process.env.COLLEX_CONVERSION_RATE || 1);
+    const formattedTransaction = {
+      ...transaction,
+      amountInRupees: (transaction.amount / conversionRate).toFixed(2),
+      formattedAmount: `${transaction.amount} Collex (₹${(transaction.amount / conversionRate).toFixed(2)})`,
+      fees: transaction.fees ? {
+        ...transaction.fees,
+        platformFeeInRupees: (transaction.fees.platformFee / conversionRate).toFixed(2),
+        merchantFeeInRupees: (transaction.fees.merchantFee / conversionRate).toFixed(2),
+        totalFeesInRupees: (transaction.fees.totalFees / conversionRate).toFixed(2)
+      } : null,
+      processingTime: transaction.processingTime,
+      formattedTransactionId: transaction.transactionId.replace(/(.{4})/g, '$1-').slice(0, -1)
+    };
+
+    res.json({
+      message: 'Transaction details fetched successfully',
+      transaction: formattedTransaction
+    });
+
+  } catch (error) {
+    console.error('Transaction details error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch transaction details',
+      code: 'TRANSACTION_DETAILS_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/transactions/stats/summary
+// @desc    Get transaction statistics summary
+// @access  Private
+router.get('/stats/summary', auth, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const now = new Date();
+    
+    // Date ranges
+    const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const startOfWeek = new Date(now.setDate(now.getDate() - now.getDay()));
+    const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+    const startOfYear = new Date(now.getFullYear(), 0, 1);
+
+    // Aggregate queries
+    const [todayStats, weekStats, monthStats, yearStats, categoryStats] = await Promise.all([
+      // Today's stats
+      Transaction.aggregate([
+        {
+          $match: {
+            fromUser: userId,
+            status: 'completed',
+            createdAt: { $gte: startOfToday }
+          }
+        },
+        {
+          $group: {
+            _id: '$type',
+            totalAmount: { $sum: '$amount' },
+            count: { $sum: 1 }
+          }
+        }
+      ]),
+
+      // This week's stats
+      Transaction.aggregate([
+        {
+          $match: {
+            fromUser: userId,
+            status: 'completed',
+            createdAt: { $gte: startOfWeek }
+          }
+        },
+        {
+          $group: {
+            _id: '$type',
+            totalAmount: { $sum: '$amount' },
+            count: { $sum: 1 }
+          }
+        }
+      ]),
+
+      // This month's stats
+      Transaction.aggregate([
+        {
+          $match: {
+            fromUser: userId,
+            status: 'completed',
+            createdAt: { $gte: startOfMonth }
+          }
         },
         {
           $group: {
@@ -673,10 +1768,14 @@ router.get('/stats/summary', auth, async (req, res) => {
 // @desc    Report a transaction dispute
 // @access  Private
 router.post('/:id/dispute', auth, [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid transaction ID is required'),
+  
   body('reason')
     .notEmpty()
     .withMessage('Dispute reason is required')
-    .isIn(['unauthorized', 'incorrect_amount', 'service_not_received', 'duplicate_charge', 'other'])
+    .isIn(Dispute.DISPUTE_REASONS)
     .withMessage('Invalid dispute reason'),
   
   body('description')
@@ -687,8 +1786,17 @@ router.post('/:id/dispute', auth, [
   
   body('evidence')
     .optional()
-    .isArray()
-    .withMessage('Evidence must be an array of URLs')
+    .isArray({ max: 10 })
+    .withMessage('Evidence must be an array of up to 10 URLs'),
+  
+  body('evidence.*')
+    .custom(item => {
+      const url = typeof item === 'string' ? item : item?.url;
+      if (typeof url !== 'string' || !/^https?:\/\/\S+$/.test(url)) {
+        throw new Error('Each evidence item needs a valid URL');
+      }
+      return true;
+    })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -699,56 +1807,40 @@ router.post('/:id/dispute', auth, [
       });
     }
 
-    const { id } = req.params;
     const { reason, description, evidence } = req.body;
 
-    // Find transaction
-    const transaction = await Transaction.findOne({
-      _id: id,
-      fromUser: req.userId,
-      status: 'completed'
-    });
-
-    if (!transaction) {
-      return res.status(404).json({ 
-        message: 'Transaction not found or cannot be disputed',
-        code: 'TRANSACTION_NOT_FOUND'
-      });
-    }
-
-    // Check if dispute window is still open (e.g., 7 days)
-    const disputeWindow = 7 * 24 * 60 * 60 * 1000; // 7 days in milliseconds
-    if (Date.now() - transaction.completedAt.getTime() > disputeWindow) {
-      return res.status(400).json({ 
-        message: 'Dispute window has expired. Disputes must be filed within 7 days.',
-        code: 'DISPUTE_WINDOW_EXPIRED'
-      });
-    }
-
-    // Add dispute information to transaction
-    transaction.status = 'disputed';
-    transaction.disputeInfo = {
+    const dispute = await disputeService.open({
+      paymentId: req.params.id,
+      user: req.user,
       reason,
       description,
       evidence: evidence || [],
-      reportedAt: new Date(),
-      reportedBy: req.userId,
-      status: 'pending'
-    };
-
-    await transaction.save();
+      io: req.app.get('io'),
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
 
-    console.log(`⚠️ Transaction disputed: ${transaction.transactionId} by ${req.user.email}`);
+    console.log(`⚠️ Transaction disputed: ${dispute.transactionRef} by ${req.user.email}`);
 
-    res.json({
+    res.status(201).json({
       message: 'Dispute reported successfully',
-      disputeId: transaction._id,
-      status: 'pending',
-      expectedResolution: '3-5 business days'
+      disputeId: dispute._id,
+      caseNumber: dispute.disputeId,
+      status: dispute.status,
+      merchantResponseDueAt: dispute.sla.merchantResponseDueAt,
+      expectedResolutionBy: dispute.sla.resolutionDueAt
     });
 
   } catch (error) {
     console.error('Transaction dispute error:', error);
+
+    if (error.isOperational && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.errorCode
+      });
+    }
+
     res.status(500).json({ 
       message: 'Failed to report transaction dispute',
       code: 'DISPUTE_ERROR'
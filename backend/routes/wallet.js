@@ -1,7 +1,8 @@
 const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
 const walletController = require('../controllers/walletController');
-const authMiddleware = require('../middleware/auth');
+const { auth } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const rateLimiter = require('../middleware/rateLimiter');
 
 const router = express.Router();
@@ -63,6 +64,27 @@ const transferValidation = [
     .withMessage('Description cannot exceed 500 characters')
 ];
 
+const redeemVoucherValidation = [
+  body('code')
+    .trim()
+    .isLength({ min: 6, max: 40 })
+    .withMessage('Voucher code is required'),
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be positive')
+];
+
+const setPinValidation = [
+  body('pin')
+    .matches(/^\d{4,6}$/)
+    .withMessage('PIN must be 4-6 digits'),
+  body('currentPin')
+    .optional()
+    .matches(/^\d{4,6}$/)
+    .withMessage('Current PIN must be 4-6 digits')
+];
+
 const userIdValidation = [
   param('userId')
     .isMongoId()
@@ -94,7 +116,7 @@ const paginationValidation = [
     .withMessage('Invalid status'),
   query('category')
     .optional()
-    .isIn(['TRANSFER', 'TOP_UP', 'WITHDRAWAL', 'PAYMENT', 'REFUND', 'REVERSAL'])
+    .isIn(['TRANSFER', 'TOP_UP', 'WITHDRAWAL', 'PAYMENT', 'REFUND', 'REVERSAL', 'VOUCHER'])
     .withMessage('Invalid category')
 ];
 
@@ -102,7 +124,7 @@ const paginationValidation = [
 
 // Create wallet
 router.post('/create', 
-  authMiddleware,
+  auth,
   createWalletValidation,
   handleValidationErrors,
   walletController.createWallet
@@ -110,7 +132,7 @@ router.post('/create',
 
 // Get wallet balance
 router.get('/balance/:userId',
-  authMiddleware,
+  auth,
   userIdValidation,
   handleValidationErrors,
   walletController.getBalance
@@ -118,7 +140,7 @@ router.get('/balance/:userId',
 
 // Create top-up order
 router.post('/topup/create-order',
-  authMiddleware,
+  auth,
   rateLimiter.topup,
   topUpOrderValidation,
   handleValidationErrors,
@@ -127,7 +149,8 @@ router.post('/topup/create-order',
 
 // Process Square payment for top-up
 router.post('/topup/process',
-  authMiddleware,
+  auth,
+  idempotency,
   rateLimiter.topup,
   processTopUpValidation,
   handleValidationErrors,
@@ -136,16 +159,54 @@ router.post('/topup/process',
 
 // Transfer money between wallets
 router.post('/transfer',
-  authMiddleware,
+  auth,
+  idempotency,
   rateLimiter.transfer,
   transferValidation,
   handleValidationErrors,
   walletController.transferMoney
 );
 
+// Redeem a gift voucher or prepaid card
+router.post('/vouchers/redeem',
+  auth,
+  idempotency,
+  rateLimiter.voucher,
+  redeemVoucherValidation,
+  handleValidationErrors,
+  walletController.redeemVoucher
+);
+
+// Get own vouchers
+router.get('/vouchers',
+  auth,
+  walletController.getVouchers
+);
+
+// Issue (or replace) the secret behind the rotating pay code
+router.post('/pay-code',
+  auth,
+  walletController.enablePayCode
+);
+
+// Turn off pay codes for the wallet
+router.delete('/pay-code',
+  auth,
+  walletController.disablePayCode
+);
+
+// Set or change the wallet PIN
+router.put('/pin',
+  auth,
+  rateLimiter.transfer,
+  setPinValidation,
+  handleValidationErrors,
+  walletController.setPin
+);
+
 // Get transaction history
 router.get('/transactions/:userId',
-  authMiddleware,
+  auth,
   userIdValidation,
   paginationValidation,
   handleValidationErrors,
@@ -154,7 +215,7 @@ router.get('/transactions/:userId',
 
 // Get specific transaction details
 router.get('/transaction/:transactionId',
-  authMiddleware,
+  auth,
   transactionIdValidation,
   handleValidationErrors,
   walletController.getTransactionDetails
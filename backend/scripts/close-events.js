@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const checkInService = require('../services/checkInService');
+
+/**
+ * Event Close Script for Hackspree Wallet Application
+ *
+ * Features:
+ * - Completes every published or ongoing event past its end date
+ * - Marks approved registrants who never checked in as absent
+ * - Safe to re-run: an event is only closed once, and offline scans
+ *   uploaded afterwards still turn an absence into attendance
+ *
+ * Example crontab entry (every 15 minutes):
+ *   0,15,30,45 * * * * cd /srv/hackspree/backend && npm run events:close
+ */
+
+class EventCloseJob {
+  constructor() {
+    this.config = {
+      mongodb: {
+        uri: process.env.MONGODB_URI || 'mongodb://localhost:27017/hackspree',
+        options: {
+          maxPoolSize: 5,
+          serverSelectionTimeoutMS: 5000,
+          socketTimeoutMS: 45000
+        }
+      }
+    };
+
+    this.logger = this.createLogger();
+  }
+
+  /**
+   * Create logger instance
+   */
+  createLogger() {
+    return {
+      info: (message, ...args) => {
+        console.log(`[INFO] ${new Date().toISOString()} - ${message}`, ...args);
+      },
+      warn: (message, ...args) => {
+        console.warn(`[WARN] ${new Date().toISOString()} - ${message}`, ...args);
+      },
+      error: (message, ...args) => {
+        console.error(`[ERROR] ${new Date().toISOString()} - ${message}`, ...args);
+      },
+      success: (message, ...args) => {
+        console.log(`[SUCCESS] ${new Date().toISOString()} - ${message}`, ...args);
+      }
+    };
+  }
+
+  /**
+   * Parse --as-of=ISO
+   */
+  parseArgs(argv) {
+    const options = {};
+
+    for (const arg of argv) {
+      const [flag, value] = arg.split('=');
+      switch (flag) {
+        case '--as-of':
+          options.asOf = new Date(value);
+          break;
+        default:
+          throw new Error(`Unknown option: ${arg}`);
+      }
+    }
+
+    return options;
+  }
+
+  /**
+   * Connect, close ended events and disconnect
+   */
+  async run(options = {}) {
+    this.logger.info('Connecting to MongoDB...');
+    await mongoose.connect(this.config.mongodb.uri, this.config.mongodb.options);
+
+    try {
+      const summary = await checkInService.closeEnded(options.asOf);
+
+      if (summary.errors.length > 0) {
+        this.logger.error(`${summary.errors.length} events failed to close`);
+      }
+      this.logger.success(`${summary.eventsClosed} events closed, ${summary.markedAbsent} registrants marked absent`);
+
+      return summary;
+    } finally {
+      await mongoose.disconnect();
+    }
+  }
+}
+
+/**
+ * CLI execution
+ */
+async function main() {
+  const job = new EventCloseJob();
+
+  try {
+    const summary = await job.run(job.parseArgs(process.argv.slice(2)));
+    console.log('\n=== EVENT CLOSE RUN ===');
+    console.log(JSON.stringify(summary, null, 2));
+    process.exit(summary.errors.length > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('Event close run failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Export for programmatic use
+module.exports = EventCloseJob;
+
+// Run if executed directly
+if (require.main === module) {
+  main();
+}
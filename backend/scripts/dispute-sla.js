@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const disputeService = require('../services/disputeService');
+
+/**
+ * Dispute SLA Script for Hackspree Wallet Application
+ *
+ * Features:
+ * - Moves disputes whose merchant missed the response window to review
+ * - Flags disputes past their resolution deadline
+ * - Meant to run from cron every few minutes
+ *
+ * Example crontab entry (every 15 minutes):
+ *   *\/15 * * * * cd /srv/hackspree/backend && npm run disputes:sla
+ */
+
+class DisputeSlaJob {
+  constructor() {
+    this.config = {
+      mongodb: {
+        uri: process.env.MONGODB_URI || 'mongodb://localhost:27017/hackspree',
+        options: {
+          maxPoolSize: 5,
+          serverSelectionTimeoutMS: 5000,
+          socketTimeoutMS: 45000
+        }
+      }
+    };
+
+    this.logger = this.createLogger();
+  }
+
+  /**
+   * Create logger instance
+   */
+  createLogger() {
+    return {
+      info: (message, ...args) => {
+        console.log(`[INFO] ${new Date().toISOString()} - ${message}`, ...args);
+      },
+      warn: (message, ...args) => {
+        console.warn(`[WARN] ${new Date().toISOString()} - ${message}`, ...args);
+      },
+      error: (message, ...args) => {
+        console.error(`[ERROR] ${new Date().toISOString()} - ${message}`, ...args);
+      },
+      success: (message, ...args) => {
+        console.log(`[SUCCESS] ${new Date().toISOString()} - ${message}`, ...args);
+      }
+    };
+  }
+
+  /**
+   * Connect, apply SLA deadlines and disconnect
+   */
+  async run() {
+    this.logger.info('Connecting to MongoDB...');
+    await mongoose.connect(this.config.mongodb.uri, this.config.mongodb.options);
+
+    try {
+      const result = await disputeService.enforceSlas();
+
+      if (result.merchantResponseLapsed.length || result.resolutionOverdue.length) {
+        this.logger.warn(
+          `${result.merchantResponseLapsed.length} disputes moved to review, ` +
+          `${result.resolutionOverdue.length} past their resolution deadline`
+        );
+      } else {
+        this.logger.success('All disputes are within SLA');
+      }
+
+      return result;
+    } finally {
+      await mongoose.disconnect();
+    }
+  }
+}
+
+/**
+ * CLI execution
+ */
+async function main() {
+  const job = new DisputeSlaJob();
+
+  try {
+    const result = await job.run();
+    console.log(JSON.stringify(result, null, 2));
+    process.exit(0);
+  } catch (error) {
+    console.error('Dispute SLA check failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Export for programmatic use
+module.exports = DisputeSlaJob;
+
+// Run if executed directly
+if (require.main === module) {
+  main();
+}
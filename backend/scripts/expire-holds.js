@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const holdService = require('../services/holdService');
+const waitlistService = require('../services/waitlistService');
+
+/**
+ * Hold Expiry Script for Hackspree Wallet Application
+ *
+ * Features:
+ * - Expires every authorization hold past its expiry and frees the funds
+ * - Drops pending event registrations whose hold lapsed, reopening the spot
+ * - Cancels canteen pre-orders the merchant never accepted
+ * - Withdraws lapsed waitlist offers and offers the spots to the next in line
+ * - Safe to re-run: holds captured or voided meanwhile are skipped
+ *
+ * Example crontab entry (every 10 minutes):
+ *   0,10,20,30,40,50 * * * * cd /srv/hackspree/backend && npm run holds:expire
+ */
+
+class HoldExpiryJob {
+  constructor() {
+    this.config = {
+      mongodb: {
+        uri: process.env.MONGODB_URI || 'mongodb://localhost:27017/hackspree',
+        options: {
+          maxPoolSize: 5,
+          serverSelectionTimeoutMS: 5000,
+          socketTimeoutMS: 45000
+        }
+      }
+    };
+
+    this.logger = this.createLogger();
+  }
+
+  /**
+   * Create logger instance
+   */
+  createLogger() {
+    return {
+      info: (message, ...args) => {
+        console.log(`[INFO] ${new Date().toISOString()} - ${message}`, ...args);
+      },
+      warn: (message, ...args) => {
+        console.warn(`[WARN] ${new Date().toISOString()} - ${message}`, ...args);
+      },
+      error: (message, ...args) => {
+        console.error(`[ERROR] ${new Date().toISOString()} - ${message}`, ...args);
+      },
+      success: (message, ...args) => {
+        console.log(`[SUCCESS] ${new Date().toISOString()} - ${message}`, ...args);
+      }
+    };
+  }
+
+  /**
+   * Parse --as-of=ISO
+   */
+  parseArgs(argv) {
+    const options = {};
+
+    for (const arg of argv) {
+      const [flag, value] = arg.split('=');
+      switch (flag) {
+        case '--as-of':
+          options.asOf = new Date(value);
+          break;
+        default:
+          throw new Error(`Unknown option: ${arg}`);
+      }
+    }
+
+    return options;
+  }
+
+  /**
+   * Connect, expire due holds and disconnect
+   */
+  async run(options = {}) {
+    this.logger.info('Connecting to MongoDB...');
+    await mongoose.connect(this.config.mongodb.uri, this.config.mongodb.options);
+
+    try {
+      const summary = await holdService.expireDue(options.asOf);
+      // After the holds, so offers whose hold just lapsed are withdrawn too
+      const waitlist = await waitlistService.expireOffers(options.asOf);
+      summary.waitlistOffersExpired = waitlist.expired;
+      summary.waitlistOffersMade = waitlist.offered;
+      summary.errors.push(...waitlist.errors);
+
+      if (summary.errors.length > 0) {
+        this.logger.error(`${summary.errors.length} holds or waitlist offers failed to expire`);
+      }
+      this.logger.success(
+        `${summary.expired} holds expired, ${summary.registrationsDropped} pending registrations dropped, ` +
+        `${summary.ordersCancelled} pre-orders cancelled, ${summary.offlineTokensExpired} offline tokens expired, ` +
+        `${summary.waitlistOffersExpired} waitlist offers expired, ${summary.waitlistOffersMade} new offers made`
+      );
+
+      return summary;
+    } finally {
+      await mongoose.disconnect();
+    }
+  }
+}
+
+/**
+ * CLI execution
+ */
+async function main() {
+  const job = new HoldExpiryJob();
+
+  try {
+    const summary = await job.run(job.parseArgs(process.argv.slice(2)));
+    console.log('\n=== HOLD EXPIRY RUN ===');
+    console.log(JSON.stringify(summary, null, 2));
+    process.exit(summary.errors.length > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('Hold expiry run failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Export for programmatic use
+module.exports = HoldExpiryJob;
+
+// Run if executed directly
+if (require.main === module) {
+  main();
+}
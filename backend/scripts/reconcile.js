@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const reconciliationService = require('../services/reconciliationService');
+
+/**
+ * Square Reconciliation Script for Hackspree Wallet Application
+ *
+ * Features:
+ * - Reconciles Square payments and refunds against wallet transactions
+ * - Defaults to the previous UTC day, so it can run nightly from cron
+ * - Accepts an explicit window with --from / --to or a single --date
+ * - Stores a ReconciliationReport and exits non-zero on discrepancies
+ *
+ * Example crontab entry (00:30 UTC every night):
+ *   30 0 * * * cd /srv/hackspree/backend && npm run reconcile
+ */
+
+class ReconciliationJob {
+  constructor() {
+    this.config = {
+      mongodb: {
+        uri: process.env.MONGODB_URI || 'mongodb://localhost:27017/hackspree',
+        options: {
+          maxPoolSize: 5,
+          serverSelectionTimeoutMS: 5000,
+          socketTimeoutMS: 45000
+        }
+      }
+    };
+
+    this.logger = this.createLogger();
+  }
+
+  /**
+   * Create logger instance
+   */
+  createLogger() {
+    return {
+      info: (message, ...args) => {
+        console.log(`[INFO] ${new Date().toISOString()} - ${message}`, ...args);
+      },
+      warn: (message, ...args) => {
+        console.warn(`[WARN] ${new Date().toISOString()} - ${message}`, ...args);
+      },
+      error: (message, ...args) => {
+        console.error(`[ERROR] ${new Date().toISOString()} - ${message}`, ...args);
+      },
+      success: (message, ...args) => {
+        console.log(`[SUCCESS] ${new Date().toISOString()} - ${message}`, ...args);
+      }
+    };
+  }
+
+  /**
+   * Parse --date=YYYY-MM-DD or --from=ISO --to=ISO
+   */
+  parseArgs(argv) {
+    const options = {};
+
+    for (const arg of argv) {
+      const [flag, value] = arg.split('=');
+      switch (flag) {
+        case '--date': {
+          const begin = new Date(`${value}T00:00:00.000Z`);
+          options.beginTime = begin;
+          options.endTime = new Date(begin.getTime() + 24 * 60 * 60 * 1000);
+          break;
+        }
+        case '--from':
+          options.beginTime = new Date(value);
+          break;
+        case '--to':
+          options.endTime = new Date(value);
+          break;
+        case '--location':
+          options.locationId = value;
+          break;
+        default:
+          throw new Error(`Unknown option: ${arg}`);
+      }
+    }
+
+    return options;
+  }
+
+  /**
+   * Connect, reconcile the window and disconnect
+   */
+  async run(options = {}) {
+    this.logger.info('Connecting to MongoDB...');
+    await mongoose.connect(this.config.mongodb.uri, this.config.mongodb.options);
+
+    try {
+      const report = await reconciliationService.run({ ...options, trigger: 'SCHEDULED' });
+      const { beginTime, endTime } = report.window;
+
+      if (report.status === 'FAILED') {
+        this.logger.error(`Reconciliation ${report._id} failed: ${report.error}`);
+      } else if (report.summary.discrepancies > 0) {
+        this.logger.warn(
+          `Reconciliation ${report._id} for ${beginTime.toISOString()} - ${endTime.toISOString()} ` +
+          `found ${report.summary.discrepancies} discrepancies`
+        );
+      } else {
+        this.logger.success(
+          `Reconciliation ${report._id} for ${beginTime.toISOString()} - ${endTime.toISOString()} is clean`
+        );
+      }
+
+      return report;
+    } finally {
+      await mongoose.disconnect();
+    }
+  }
+}
+
+/**
+ * CLI execution
+ */
+async function main() {
+  const job = new ReconciliationJob();
+
+  try {
+    const report = await job.run(job.parseArgs(process.argv.slice(2)));
+    console.log('\n=== RECONCILIATION REPORT ===');
+    console.log(JSON.stringify({
+      id: report._id,
+      status: report.status,
+      window: report.window,
+      summary: report.summary,
+      error: report.error
+    }, null, 2));
+    process.exit(report.status === 'COMPLETED' && report.summary.discrepancies === 0 ? 0 : 1);
+  } catch (error) {
+    console.error('Reconciliation failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Export for programmatic use
+module.exports = ReconciliationJob;
+
+// Run if executed directly
+if (require.main === module) {
+  main();
+}
@@ -12,6 +12,8 @@ const Event = require('../models/Event');
 const Club = require('../models/Club');
 const AuditLog = require('../models/AuditLog');
 
+const ledgerService = require('../services/ledgerService');
+
 /**
  * Comprehensive Database Seed Script for Hackspree Wallet Application
  * 
@@ -537,6 +539,7 @@ class DatabaseSeeder {
     this.logger.info(`Creating wallets for ${this.seededData.users.length} users...`);
 
     const wallets = [];
+    const floatWallet = await Wallet.getSystemWallet('PLATFORM_FLOAT');
 
     for (let i = 0; i < this.seededData.users.length; i++) {
       try {
@@ -544,7 +547,6 @@ class DatabaseSeeder {
         const wallet = new Wallet({
           userId: user._id,
           walletId: `WALLET_${Date.now()}_${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
-          balance: faker.number.float({ min: 0, max: this.config.seed.maxWalletBalance, precision: 0.01 }),
           currency: user.preferences?.currency || 'USD',
           isActive: true,
           pin: {
@@ -554,6 +556,19 @@ class DatabaseSeeder {
         });
 
         await wallet.save();
+
+        // Opening balances are posted like a top-up so the ledger stays balanced
+        const openingBalance = ledgerService.roundAmount(
+          faker.number.float({ min: 0, max: this.config.seed.maxWalletBalance, precision: 0.01 })
+        );
+        if (openingBalance > 0) {
+          const posting = await ledgerService.postJournal({
+            lines: ledgerService.topUpLines(wallet, floatWallet, openingBalance),
+            description: 'Opening balance'
+          });
+          wallet.balance = posting.balances[wallet._id.toString()].after;
+        }
+
         wallets.push(wallet);
 
         if ((i + 1) % 25 === 0) {
@@ -710,6 +725,7 @@ class DatabaseSeeder {
 
     const transactions = [];
     let transactionCounter = 1;
+    const floatWallet = await Wallet.getSystemWallet('PLATFORM_FLOAT');
 
     for (const wallet of this.seededData.wallets) {
       const transactionsForWallet = this.config.seed.transactionsPerUser;
@@ -770,12 +786,32 @@ class DatabaseSeeder {
           };
 
           const transaction = new Transaction(transactionData);
-          await transaction.save();
-          transactions.push(transaction);
 
-          // Update wallet balance
-          wallet.balance = transactionData.balanceAfter;
-          await wallet.save();
+          // Only completed transactions move money, and only through the ledger
+          const canPost = transactionData.status === 'COMPLETED' &&
+            (transactionType === 'CREDIT' || amount <= wallet.balance);
+
+          if (canPost) {
+            const counterparty = transactionType === 'DEBIT' && transactionData.metadata.merchantId
+              ? await Wallet.getMerchantWallet(transactionData.metadata.merchantId)
+              : floatWallet;
+            const lines = transactionType === 'CREDIT'
+              ? ledgerService.transferLines(counterparty, wallet, amount, transactionData.description)
+              : ledgerService.transferLines(wallet, counterparty, amount, transactionData.description);
+
+            await ledgerService.postJournal({ lines, transactions: [transaction] });
+            wallet.balance = transaction.balanceAfter;
+          } else {
+            if (transactionData.status === 'COMPLETED') {
+              transaction.status = 'FAILED';
+              transaction.failureReason = 'Insufficient balance';
+            }
+            transaction.balanceBefore = wallet.balance;
+            transaction.balanceAfter = wallet.balance;
+            await transaction.save();
+          }
+
+          transactions.push(transaction);
 
           if (transactionCounter % 50 === 0) {
             this.logger.progress(transactionCounter, totalTransactions, 'transactions');
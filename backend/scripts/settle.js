@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const settlementService = require('../services/settlementService');
+
+/**
+ * Merchant Settlement Script for Hackspree Wallet Application
+ *
+ * Features:
+ * - Creates PENDING settlements for every merchant whose cycle has closed
+ * - Daily, weekly (Monday) and monthly (1st) cycles, all in UTC
+ * - Batches below a merchant's minimum are left to carry over
+ * - Safe to re-run: a cycle that already has a settlement is skipped
+ *
+ * Example crontab entry (01:00 UTC every night):
+ *   0 1 * * * cd /srv/hackspree/backend && npm run settle
+ */
+
+class SettlementJob {
+  constructor() {
+    this.config = {
+      mongodb: {
+        uri: process.env.MONGODB_URI || 'mongodb://localhost:27017/hackspree',
+        options: {
+          maxPoolSize: 5,
+          serverSelectionTimeoutMS: 5000,
+          socketTimeoutMS: 45000
+        }
+      }
+    };
+
+    this.logger = this.createLogger();
+  }
+
+  /**
+   * Create logger instance
+   */
+  createLogger() {
+    return {
+      info: (message, ...args) => {
+        console.log(`[INFO] ${new Date().toISOString()} - ${message}`, ...args);
+      },
+      warn: (message, ...args) => {
+        console.warn(`[WARN] ${new Date().toISOString()} - ${message}`, ...args);
+      },
+      error: (message, ...args) => {
+        console.error(`[ERROR] ${new Date().toISOString()} - ${message}`, ...args);
+      },
+      success: (message, ...args) => {
+        console.log(`[SUCCESS] ${new Date().toISOString()} - ${message}`, ...args);
+      }
+    };
+  }
+
+  /**
+   * Parse --as-of=ISO and --merchant=<id>
+   */
+  parseArgs(argv) {
+    const options = {};
+
+    for (const arg of argv) {
+      const [flag, value] = arg.split('=');
+      switch (flag) {
+        case '--as-of':
+          options.asOf = new Date(value);
+          break;
+        case '--merchant':
+          options.merchantId = value;
+          break;
+        default:
+          throw new Error(`Unknown option: ${arg}`);
+      }
+    }
+
+    return options;
+  }
+
+  /**
+   * Connect, create settlements and disconnect
+   */
+  async run(options = {}) {
+    this.logger.info('Connecting to MongoDB...');
+    await mongoose.connect(this.config.mongodb.uri, this.config.mongodb.options);
+
+    try {
+      const summary = await settlementService.run(options);
+
+      if (summary.failed > 0) {
+        this.logger.error(`${summary.failed} merchants failed to settle`);
+      }
+      this.logger.success(
+        `${summary.created} settlements created, ${summary.carriedOver} carried over`
+      );
+
+      return summary;
+    } finally {
+      await mongoose.disconnect();
+    }
+  }
+}
+
+/**
+ * CLI execution
+ */
+async function main() {
+  const job = new SettlementJob();
+
+  try {
+    const summary = await job.run(job.parseArgs(process.argv.slice(2)));
+    console.log('\n=== SETTLEMENT RUN ===');
+    console.log(JSON.stringify(summary, null, 2));
+    process.exit(summary.failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('Settlement run failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Export for programmatic use
+module.exports = SettlementJob;
+
+// Run if executed directly
+if (require.main === module) {
+  main();
+}
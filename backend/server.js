@@ -4,10 +4,15 @@ const crypto = require('crypto');
 const { Client, Environment } = require('squareup');
 const EncryptionManager = require('./utils/encryption');
 require('dotenv').config();
+const connectDB = require('./config/database');
+const paymentService = require('./services/paymentService');
+const squareWebhookService = require('./services/squareWebhookService');
 
 const app = express();
 const encryption = new EncryptionManager();
 
+connectDB();
+
 // Middleware
 app.use(cors({
   origin: process.env.NODE_ENV === 'production' ? 
@@ -16,7 +21,13 @@ app.use(cors({
   credentials: true
 }));
 
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the exact bytes for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(express.static('public'));
 
 // Security headers
@@ -236,10 +247,10 @@ app.get('/payment-config', (req, res) => {
 });
 
 // Secure webhook endpoint with signature verification
-app.post('/webhooks/square', express.raw({ type: 'application/json' }), (req, res) => {
+app.post('/webhooks/square', async (req, res) => {
   try {
     const signature = req.headers['x-square-hmacsha256-signature'];
-    const body = req.body.toString('utf8');
+    const body = req.rawBody || '';
     
     // Verify webhook signature
     const webhookSecret = process.env.SQUARE_WEBHOOK_SIGNATURE_KEY;
@@ -248,11 +259,11 @@ app.post('/webhooks/square', express.raw({ type: 'application/json' }), (req, re
       return res.status(401).json({ error: 'Unauthorized' });
     }
 
-    // Verify HMAC signature
-    const isValidSignature = encryption.verifyHMAC(
-      body, 
-      signature, 
-      webhookSecret
+    // Square signs the notification URL followed by the raw body
+    const isValidSignature = paymentService.verifyWebhookSignature(
+      body,
+      signature,
+      process.env.SQUARE_WEBHOOK_URL
     );
 
     if (!isValidSignature) {
@@ -261,68 +272,22 @@ app.post('/webhooks/square', express.raw({ type: 'application/json' }), (req, re
     }
 
     const event = JSON.parse(body);
-    console.log('Webhook event received:', event.type);
-
-    // Handle different event types securely
-    switch (event.type) {
-      case 'payment.created':
-        handlePaymentCreated(event.data.object.payment);
-        break;
-      case 'payment.updated':
-        handlePaymentUpdated(event.data.object.payment);
-        break;
-      case 'payment.failed':
-        handlePaymentFailed(event.data.object.payment);
-        break;
-      default:
-        console.log('Unhandled event type:', event.type);
-    }
+    console.log('Webhook event received:', event.type, event.event_id);
+
+    // Stored in the inbox first; processing failures are kept there for replay
+    const { duplicate, webhookEvent } = await squareWebhookService.receive(event);
 
-    res.status(200).json({ success: true });
+    res.status(200).json({
+      success: true,
+      duplicate,
+      status: webhookEvent.status
+    });
   } catch (error) {
     console.error('Webhook processing error:', error);
     res.status(500).json({ success: false });
   }
 });
 
-// Webhook event handlers
-function handlePaymentCreated(payment) {
-  const encryptedLog = encryption.encryptData({
-    event: 'payment.created',
-    paymentId: payment.id,
-    amount: payment.totalMoney.amount,
-    status: payment.status,
-    timestamp: new Date().toISOString()
-  });
-  
-  console.log('Payment created event:', encryptedLog);
-  // Add your business logic here
-}
-
-function handlePaymentUpdated(payment) {
-  const encryptedLog = encryption.encryptData({
-    event: 'payment.updated',
-    paymentId: payment.id,
-    status: payment.status,
-    timestamp: new Date().toISOString()
-  });
-  
-  console.log('Payment updated event:', encryptedLog);
-  // Add your business logic here
-}
-
-function handlePaymentFailed(payment) {
-  const encryptedLog = encryption.encryptData({
-    event: 'payment.failed',
-    paymentId: payment.id,
-    status: payment.status,
-    timestamp: new Date().toISOString()
-  });
-  
-  console.log('Payment failed event:', encryptedLog);
-  // Add your business logic here
-}
-
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ 
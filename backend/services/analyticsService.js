@@ -10,6 +10,8 @@ const Merchant = require('../models/Merchant');
 const Event = require('../models/Event');
 const Club = require('../models/Club');
 const AuditLog = require('../models/AuditLog');
+const Reward = require('../models/Reward');
+const LoyaltyAccount = require('../models/LoyaltyAccount');
 
 /**
  * Comprehensive Analytics Service for Hackspree Wallet Application
@@ -19,8 +21,10 @@ const AuditLog = require('../models/AuditLog');
  * - User behavior analysis and segmentation
  * - Financial transaction insights and trends
  * - Merchant performance and customer analytics
+ * - Best-selling catalog items from itemized payments
  * - Event participation and engagement metrics
  * - Club membership and activity tracking
+ * - Cashback campaign spend against budget
  * - Advanced aggregation pipelines with caching
  * - Custom report generation and export
  * - Predictive analytics and forecasting
@@ -917,6 +921,218 @@ class AnalyticsService {
     });
   }
 
+  /**
+   * Get merchant loyalty program analytics
+   */
+  async getMerchantLoyaltyAnalytics(merchantId, params = {}) {
+    const { startDate, endDate } = this.parseDateRange(params.startDate, params.endDate, 30);
+    const cacheKey = this.generateCacheKey('merchant_loyalty', { merchantId, startDate, endDate });
+
+    return await this.getCachedData(cacheKey, async () => {
+      const merchantObjectId = new mongoose.Types.ObjectId(merchantId);
+
+      const [activity] = await Transaction.aggregate([
+        {
+          $match: {
+            'metadata.merchantId': merchantObjectId,
+            category: 'PAYMENT',
+            status: 'COMPLETED',
+            createdAt: { $gte: startDate, $lte: endDate }
+          }
+        },
+        {
+          $addFields: {
+            loyaltyDiscount: {
+              $sum: {
+                $map: {
+                  input: { $filter: { input: { $ifNull: ['$discounts', []] }, cond: { $eq: ['$$this.source', 'LOYALTY'] } } },
+                  in: '$$this.amount'
+                }
+              }
+            }
+          }
+        },
+        {
+          $facet: {
+            // Earning and redemption per day
+            daily: [
+              {
+                $group: {
+                  _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+                  pointsEarned: { $sum: { $ifNull: ['$loyalty.pointsEarned', 0] } },
+                  stampsEarned: { $sum: { $ifNull: ['$loyalty.stampsEarned', 0] } },
+                  pointsRedeemed: { $sum: { $ifNull: ['$loyalty.pointsRedeemed', 0] } },
+                  stampRewardsRedeemed: { $sum: { $ifNull: ['$loyalty.stampRewardsRedeemed', 0] } },
+                  discountGiven: { $sum: '$loyaltyDiscount' }
+                }
+              },
+              { $sort: { _id: 1 } }
+            ],
+
+            // Members (customers who have earned) against everyone else
+            customers: [
+              {
+                $group: {
+                  _id: '$userId',
+                  spent: { $sum: '$amount' },
+                  visits: { $sum: 1 },
+                  redemptions: { $sum: { $cond: [{ $gt: ['$loyaltyDiscount', 0] }, 1, 0] } }
+                }
+              },
+              {
+                $lookup: {
+                  from: 'loyaltyaccounts',
+                  let: { userId: '$_id' },
+                  pipeline: [
+                    { $match: { $expr: { $and: [{ $eq: ['$userId', '$$userId'] }, { $eq: ['$merchantId', merchantObjectId] }] } } },
+                    { $project: { _id: 1 } }
+                  ],
+                  as: 'account'
+                }
+              },
+              {
+                $group: {
+                  _id: { $gt: [{ $size: '$account' }, 0] },
+                  customers: { $sum: 1 },
+                  avgSpend: { $avg: '$spent' },
+                  avgVisits: { $avg: '$visits' },
+                  redeemingCustomers: { $sum: { $cond: [{ $gt: ['$redemptions', 0] }, 1, 0] } }
+                }
+              }
+            ]
+          }
+        }
+      ]);
+
+      const [balances] = await LoyaltyAccount.aggregate([
+        { $match: { merchantId: merchantObjectId } },
+        {
+          $group: {
+            _id: null,
+            members: { $sum: 1 },
+            newMembers: {
+              $sum: { $cond: [{ $and: [{ $gte: ['$createdAt', startDate] }, { $lte: ['$createdAt', endDate] }] }, 1, 0] }
+            },
+            outstandingPoints: { $sum: '$points' },
+            outstandingRewards: { $sum: '$rewardsAvailable' }
+          }
+        }
+      ]);
+
+      const segment = (isMember) => {
+        const row = activity.customers.find(item => item._id === isMember);
+        return {
+          customers: row ? row.customers : 0,
+          avgSpend: row ? Math.round(row.avgSpend * 100) / 100 : 0,
+          avgVisits: row ? Math.round(row.avgVisits * 100) / 100 : 0,
+          redeemingCustomers: row ? row.redeemingCustomers : 0
+        };
+      };
+
+      return {
+        program: balances || { members: 0, newMembers: 0, outstandingPoints: 0, outstandingRewards: 0 },
+        daily: activity.daily,
+        customers: { members: segment(true), nonMembers: segment(false) },
+        dateRange: { startDate, endDate },
+        generatedAt: new Date()
+      };
+    });
+  }
+
+  /**
+   * Get a merchant's best-selling catalog items from itemized payments
+   */
+  async getMerchantBestSellers(merchantId, params = {}) {
+    const { startDate, endDate } = this.parseDateRange(params.startDate, params.endDate, 30);
+    const limit = Math.min(parseInt(params.limit) || 10, 100);
+    const cacheKey = this.generateCacheKey('merchant_best_sellers', { merchantId, startDate, endDate, limit });
+
+    return await this.getCachedData(cacheKey, async () => {
+      const [result] = await Transaction.aggregate([
+        {
+          $match: {
+            'metadata.merchantId': new mongoose.Types.ObjectId(merchantId),
+            category: 'PAYMENT',
+            status: 'COMPLETED',
+            createdAt: { $gte: startDate, $lte: endDate },
+            'lineItems.0': { $exists: true }
+          }
+        },
+        { $unwind: '$lineItems' },
+        {
+          $facet: {
+            // Ranked by units sold, with variants rolled up to their item
+            items: [
+              {
+                $group: {
+                  _id: '$lineItems.itemId',
+                  name: { $last: '$lineItems.name' },
+                  unitsSold: { $sum: '$lineItems.quantity' },
+                  revenue: { $sum: '$lineItems.lineTotal' },
+                  orders: { $addToSet: '$_id' },
+                  customers: { $addToSet: '$userId' }
+                }
+              },
+              {
+                $project: {
+                  name: 1,
+                  unitsSold: 1,
+                  revenue: { $round: ['$revenue', 2] },
+                  orderCount: { $size: '$orders' },
+                  uniqueCustomers: { $size: '$customers' }
+                }
+              },
+              { $sort: { unitsSold: -1, revenue: -1 } },
+              { $limit: limit }
+            ],
+
+            variants: [
+              { $match: { 'lineItems.variantId': { $exists: true } } },
+              {
+                $group: {
+                  _id: { itemId: '$lineItems.itemId', variantId: '$lineItems.variantId' },
+                  name: { $last: '$lineItems.name' },
+                  variantName: { $last: '$lineItems.variantName' },
+                  unitsSold: { $sum: '$lineItems.quantity' },
+                  revenue: { $sum: '$lineItems.lineTotal' }
+                }
+              },
+              { $sort: { unitsSold: -1 } },
+              { $limit: limit }
+            ],
+
+            totals: [
+              {
+                $group: {
+                  _id: null,
+                  unitsSold: { $sum: '$lineItems.quantity' },
+                  itemRevenue: { $sum: '$lineItems.lineTotal' },
+                  itemizedPayments: { $addToSet: '$_id' }
+                }
+              },
+              {
+                $project: {
+                  _id: 0,
+                  unitsSold: 1,
+                  itemRevenue: { $round: ['$itemRevenue', 2] },
+                  itemizedPayments: { $size: '$itemizedPayments' }
+                }
+              }
+            ]
+          }
+        }
+      ]);
+
+      return {
+        items: result.items,
+        variants: result.variants,
+        totals: result.totals[0] || { unitsSold: 0, itemRevenue: 0, itemizedPayments: 0 },
+        dateRange: { startDate, endDate },
+        generatedAt: new Date()
+      };
+    });
+  }
+
   /**
    * EVENT ANALYTICS METHODS
    */
@@ -1162,6 +1378,101 @@ class AnalyticsService {
     });
   }
 
+  /**
+   * REWARD ANALYTICS METHODS
+   */
+
+  /**
+   * Get cashback campaign spend, per campaign and per day
+   */
+  async getRewardAnalytics(params = {}) {
+    const { startDate, endDate } = this.parseDateRange(params.startDate, params.endDate, 30);
+    const { rewardId } = params;
+    const cacheKey = this.generateCacheKey('reward_analytics', { startDate, endDate, rewardId: rewardId || 'all' });
+
+    return await this.getCachedData(cacheKey, async () => {
+      const matchConditions = {
+        category: 'CASHBACK',
+        status: 'COMPLETED',
+        createdAt: { $gte: startDate, $lte: endDate }
+      };
+      if (rewardId) matchConditions['metadata.rewardId'] = new mongoose.Types.ObjectId(rewardId);
+
+      const [spend] = await Transaction.aggregate([
+        { $match: matchConditions },
+        {
+          $facet: {
+            overview: [
+              {
+                $group: {
+                  _id: null,
+                  totalSpent: { $sum: '$amount' },
+                  grantCount: { $sum: 1 },
+                  users: { $addToSet: '$userId' }
+                }
+              },
+              { $project: { _id: 0, totalSpent: 1, grantCount: 1, uniqueUsers: { $size: '$users' } } }
+            ],
+            byCampaign: [
+              {
+                $group: {
+                  _id: '$metadata.rewardId',
+                  spent: { $sum: '$amount' },
+                  grantCount: { $sum: 1 },
+                  users: { $addToSet: '$userId' }
+                }
+              },
+              { $project: { spent: 1, grantCount: 1, uniqueUsers: { $size: '$users' } } },
+              { $sort: { spent: -1 } }
+            ],
+            dailySpend: [
+              {
+                $group: {
+                  _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+                  spent: { $sum: '$amount' },
+                  grantCount: { $sum: 1 }
+                }
+              },
+              { $sort: { _id: 1 } }
+            ]
+          }
+        }
+      ]);
+
+      // Names and budgets of the campaigns that paid out
+      const campaignIds = spend.byCampaign.map(row => row._id);
+      const campaigns = await Reward.find({ _id: { $in: campaignIds } })
+        .select('code name trigger status budget startsAt endsAt')
+        .lean();
+      const campaignsById = new Map(campaigns.map(campaign => [campaign._id.toString(), campaign]));
+
+      return {
+        overview: spend.overview[0] || { totalSpent: 0, grantCount: 0, uniqueUsers: 0 },
+        byCampaign: spend.byCampaign.map(row => {
+          const campaign = campaignsById.get(String(row._id)) || {};
+          return {
+            rewardId: row._id,
+            code: campaign.code,
+            name: campaign.name,
+            trigger: campaign.trigger,
+            status: campaign.status,
+            spent: Math.round(row.spent * 100) / 100,
+            grantCount: row.grantCount,
+            uniqueUsers: row.uniqueUsers,
+            averageGrant: Math.round((row.spent / row.grantCount) * 100) / 100,
+            budget: campaign.budget,
+            budgetUsedPercent: campaign.budget?.total
+              ? Math.round((campaign.budget.spent / campaign.budget.total) * 10000) / 100
+              : null
+          };
+        }),
+        dailySpend: spend.dailySpend,
+        dateRange: { startDate, endDate },
+        generatedAt: new Date()
+      };
+    });
+  }
+
   /**
    * PREDICTIVE ANALYTICS METHODS
    */
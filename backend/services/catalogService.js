@@ -0,0 +1,163 @@
+const CatalogItem = require('../models/CatalogItem');
+const ledgerService = require('./ledgerService');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Merchant catalogs and inventory
+ *
+ * Features:
+ * - Items with optional variants, each with its own price and stock
+ * - Availability windows by weekday and time of day
+ * - Itemized pricing for payments and pre-orders from the live catalog
+ * - Atomic stock decrements inside the payment's Mongo transaction, with
+ *   low-stock alerts once an item reaches its threshold
+ */
+
+class CatalogService {
+  /**
+   * Price the requested lines ({ itemId, variantId, quantity }) against the
+   * merchant's catalog. Stock is checked here for a clear error up front but
+   * only taken by reserveStock.
+   */
+  async priceLines(merchant, lines, at = new Date()) {
+    const ids = [...new Set(lines.map(line => line.itemId.toString()))];
+    const items = await CatalogItem.find({ _id: { $in: ids }, merchantId: merchant._id });
+    const byId = new Map(items.map(item => [item._id.toString(), item]));
+
+    const lineItems = lines.map(line => {
+      const item = byId.get(line.itemId.toString());
+      if (!item || !item.isAvailableAt(at)) {
+        throw new AppError(`${item ? item.name : 'An item'} is not available right now`, 400, 'ITEM_UNAVAILABLE');
+      }
+
+      const quantity = parseInt(line.quantity);
+      let variant = null;
+      if (item.variants.length > 0) {
+        if (!line.variantId) {
+          throw new AppError(`Choose an option for ${item.name}`, 400, 'VARIANT_REQUIRED');
+        }
+        variant = item.variants.id(line.variantId);
+        if (!variant || !variant.isAvailable) {
+          throw new AppError(`That option of ${item.name} is not available`, 400, 'ITEM_UNAVAILABLE');
+        }
+      }
+
+      if (merchant.features?.hasInventory && item.trackStock && (variant ? variant.stock : item.stock) < quantity) {
+        throw new AppError(`${item.name} is out of stock`, 409, 'OUT_OF_STOCK');
+      }
+
+      const unitPrice = variant ? variant.price : item.price;
+      return {
+        itemId: item._id,
+        variantId: variant ? variant._id : undefined,
+        name: item.name,
+        variantName: variant ? variant.name : undefined,
+        sku: (variant && variant.sku) || item.sku,
+        unitPrice,
+        quantity,
+        lineTotal: ledgerService.roundAmount(unitPrice * quantity),
+        notes: line.notes
+      };
+    });
+
+    const subtotal = ledgerService.roundAmount(lineItems.reduce((sum, line) => sum + line.lineTotal, 0));
+    return { lineItems, subtotal };
+  }
+
+  /**
+   * Take stock for every tracked line. Run inside the payment's session so a
+   * failed payment puts it back. Returns what is now at or below threshold.
+   */
+  async reserveStock(lineItems, session = null) {
+    const lowStock = [];
+
+    for (const line of lineItems) {
+      const filter = line.variantId
+        ? { _id: line.itemId, trackStock: true, variants: { $elemMatch: { _id: line.variantId, stock: { $gte: line.quantity } } } }
+        : { _id: line.itemId, trackStock: true, stock: { $gte: line.quantity } };
+      const update = line.variantId
+        ? { $inc: { 'variants.$.stock': -line.quantity } }
+        : { $inc: { stock: -line.quantity } };
+
+      const item = await CatalogItem.findOneAndUpdate(filter, update, { new: true, session });
+      if (!item) {
+        const tracked = await CatalogItem.exists({ _id: line.itemId, trackStock: true }).session(session);
+        if (tracked) {
+          throw new AppError(`${line.name} is out of stock`, 409, 'OUT_OF_STOCK');
+        }
+        continue;
+      }
+
+      const remaining = line.variantId ? item.variants.id(line.variantId).stock : item.stock;
+      if (remaining <= item.lowStockThreshold) {
+        lowStock.push({
+          itemId: item._id,
+          variantId: line.variantId,
+          name: item.name,
+          variantName: line.variantName,
+          stock: remaining,
+          threshold: item.lowStockThreshold
+        });
+      }
+    }
+
+    return lowStock;
+  }
+
+  /**
+   * Put stock back for lines that were never handed over (rejected or
+   * cancelled pre-orders)
+   */
+  async restoreStock(lineItems, session = null) {
+    for (const line of lineItems) {
+      if (line.variantId) {
+        await CatalogItem.updateOne(
+          { _id: line.itemId, trackStock: true, 'variants._id': line.variantId },
+          { $inc: { 'variants.$.stock': line.quantity } },
+          { session }
+        );
+      } else {
+        await CatalogItem.updateOne(
+          { _id: line.itemId, trackStock: true },
+          { $inc: { stock: line.quantity } },
+          { session }
+        );
+      }
+    }
+  }
+
+  /**
+   * Tracked items with the item or any variant at or below threshold
+   */
+  async getLowStock(merchantId) {
+    const items = await CatalogItem.find({ merchantId, trackStock: true }).sort({ category: 1, name: 1 });
+    return items.filter(item => item.isLowStock);
+  }
+
+  /**
+   * Catalog items that a sale can be priced from; sold-out variants stay
+   * listed so the student sees them as unavailable
+   */
+  async getAvailableItems(merchantId, at = new Date()) {
+    const items = await CatalogItem.find({ merchantId, isAvailable: true }).sort({ category: 1, sortOrder: 1, name: 1 });
+    return items.filter(item => item.isAvailableAt(at));
+  }
+
+  /**
+   * Variant and availability-window checks that the schema cannot express
+   */
+  validateItem(fields) {
+    const skus = (fields.variants || []).map(variant => variant.sku).filter(Boolean);
+    if (new Set(skus.map(sku => sku.toUpperCase())).size !== skus.length) {
+      throw new AppError('Variant SKUs must be unique', 400, 'INVALID_CATALOG_ITEM');
+    }
+
+    (fields.availability || []).forEach(window => {
+      if (window.from && window.to && window.from >= window.to) {
+        throw new AppError('Availability windows must end after they start', 400, 'INVALID_CATALOG_ITEM');
+      }
+    });
+  }
+}
+
+module.exports = new CatalogService();
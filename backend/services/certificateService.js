@@ -0,0 +1,371 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const Certificate = require('../models/Certificate');
+const CertificateTemplate = require('../models/CertificateTemplate');
+const Event = require('../models/Event');
+const qrService = require('./qrService');
+const config = require('../config');
+const { AppError } = require('../middleware/errorHandler');
+
+// Same alphabet as voucher codes: IDs get read off paper and typed in
+const ID_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Event participation certificates
+ *
+ * Features:
+ * - Organizer-supplied background artwork with the text laid over it
+ * - One certificate per attendee marked attended, with a public
+ *   verification ID and a QR linking to the verify endpoint
+ * - Re-running the issue picks up name, title and attendance corrections:
+ *   changed certificates are revised under the same ID, new attendees are
+ *   issued and those no longer marked attended are revoked
+ * - PDFs are rendered on download from the issued text, so a template fix
+ *   needs no re-run
+ */
+
+class CertificateService {
+  generateCertificateId() {
+    const groups = [];
+    for (let g = 0; g < 3; g++) {
+      let group = '';
+      for (let i = 0; i < 4; i++) {
+        group += ID_ALPHABET[crypto.randomInt(ID_ALPHABET.length)];
+      }
+      groups.push(group);
+    }
+    return ['CERT', ...groups].join('-');
+  }
+
+  normalizeId(certificateId) {
+    return String(certificateId || '').trim().toUpperCase();
+  }
+
+  verifyUrl(certificateId) {
+    return `${config.app.apiBaseUrl}/api/certificates/${encodeURIComponent(certificateId)}/verify`;
+  }
+
+  /**
+   * Fill {{name}}-style placeholders; unknown ones are left as written
+   */
+  fillPlaceholders(text, values) {
+    return String(text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+      values[key] !== undefined && values[key] !== null ? String(values[key]) : match
+    );
+  }
+
+  /**
+   * Create or update an event's template. The background is required the
+   * first time; later calls may change only the text.
+   */
+  async saveTemplate(event, { file, fields, updatedBy }) {
+    let template = await CertificateTemplate.findOne({ event: event._id });
+
+    if (!template) {
+      if (!file) {
+        throw new AppError('Upload a background image for the certificate', 400, 'CERTIFICATE_BACKGROUND_REQUIRED');
+      }
+      template = new CertificateTemplate({ event: event._id });
+    }
+
+    if (file) {
+      template.background = {
+        data: file.buffer,
+        mimeType: file.mimetype,
+        fileName: file.originalname,
+        size: file.size
+      };
+    }
+
+    for (const field of ['title', 'body', 'signatoryName', 'signatoryTitle', 'textColor', 'nameY']) {
+      if (fields[field] !== undefined) {
+        template[field] = fields[field];
+      }
+    }
+    template.updatedBy = updatedBy;
+
+    await template.save();
+    return template;
+  }
+
+  async getTemplate(eventId, { withBackground = false } = {}) {
+    const query = CertificateTemplate.findOne({ event: eventId });
+    return withBackground ? query.select('+background.data') : query;
+  }
+
+  /**
+   * Issue, revise or revoke certificates to match who is marked attended.
+   * Safe to run as often as needed.
+   */
+  async issueForEvent(eventId, { issuedBy, io = null }) {
+    const event = await Event.findById(eventId).populate('registeredUsers.user', 'name');
+    if (!event) {
+      throw new AppError('Event not found', 404, 'EVENT_NOT_FOUND');
+    }
+    if (!event.settings.issueCertificates) {
+      throw new AppError('Certificates are not enabled for this event', 400, 'CERTIFICATES_DISABLED');
+    }
+    if (event.status === 'cancelled') {
+      throw new AppError('Certificates cannot be issued for a cancelled event', 409, 'EVENT_CANCELLED');
+    }
+    if (new Date(event.endDate) > new Date()) {
+      throw new AppError('Certificates can be issued once the event has ended', 400, 'EVENT_NOT_ENDED');
+    }
+    if (!(await CertificateTemplate.exists({ event: event._id }))) {
+      throw new AppError('Upload a certificate template first', 400, 'CERTIFICATE_TEMPLATE_MISSING');
+    }
+
+    const existing = await Certificate.find({ event: event._id });
+    const byUser = new Map(existing.map(certificate => [certificate.user.toString(), certificate]));
+    const summary = { issued: 0, revised: 0, unchanged: 0, revoked: 0 };
+    const holders = [];
+    const now = new Date();
+
+    const attendees = event.registeredUsers.filter(reg => reg.attendanceStatus === 'attended' && reg.user);
+    for (const registration of attendees) {
+      const userId = registration.user._id;
+      const text = {
+        recipientName: registration.user.name,
+        eventTitle: event.title,
+        eventDate: event.startDate,
+        organizerName: event.organizer.organization || event.organizer.name
+      };
+
+      let certificate = byUser.get(userId.toString());
+      byUser.delete(userId.toString());
+      holders.push(userId);
+
+      if (!certificate) {
+        certificate = await Certificate.create({
+          ...text,
+          certificateId: this.generateCertificateId(),
+          event: event._id,
+          user: userId,
+          issuedBy
+        });
+        summary.issued++;
+      } else if (certificate.status === 'REVOKED' || this.hasChanged(certificate, text)) {
+        Object.assign(certificate, text, { status: 'ISSUED', reissuedAt: now, issuedBy });
+        certificate.revision += 1;
+        certificate.revokedAt = undefined;
+        certificate.revokedReason = undefined;
+        await certificate.save();
+        summary.revised++;
+      } else {
+        summary.unchanged++;
+        continue;
+      }
+
+      if (io) {
+        io.to(`user_${userId}`).emit('certificate_issued', {
+          certificateId: certificate.certificateId,
+          event: { id: event._id, title: event.title },
+          revision: certificate.revision
+        });
+      }
+    }
+
+    // Whoever is left was issued earlier but is no longer marked attended
+    const revokedIds = [...byUser.values()]
+      .filter(certificate => certificate.status === 'ISSUED')
+      .map(certificate => certificate._id);
+    if (revokedIds.length > 0) {
+      await Certificate.updateMany(
+        { _id: { $in: revokedIds } },
+        { $set: { status: 'REVOKED', revokedAt: now, revokedReason: 'No longer marked as attended' } }
+      );
+      summary.revoked = revokedIds.length;
+    }
+
+    await Event.updateOne(
+      { _id: event._id },
+      {
+        $set: {
+          'registeredUsers.$[holder].certificateIssued': true,
+          'registeredUsers.$[other].certificateIssued': false
+        }
+      },
+      { arrayFilters: [{ 'holder.user': { $in: holders } }, { 'other.user': { $nin: holders } }] }
+    );
+
+    console.log(`🎓 Certificates for ${event.title}: ${summary.issued} issued, ${summary.revised} revised, ${summary.revoked} revoked`);
+    return summary;
+  }
+
+  hasChanged(certificate, text) {
+    return certificate.recipientName !== text.recipientName ||
+      certificate.eventTitle !== text.eventTitle ||
+      certificate.organizerName !== text.organizerName ||
+      new Date(certificate.eventDate).getTime() !== new Date(text.eventDate).getTime();
+  }
+
+  async getEventCertificates(eventId) {
+    return Certificate.find({ event: eventId })
+      .populate('user', 'name email studentId')
+      .sort({ recipientName: 1 });
+  }
+
+  /**
+   * A student's certificates for the dashboard, newest first
+   */
+  async getUserCertificates(userId) {
+    const certificates = await Certificate.find({ user: userId, status: 'ISSUED' }).sort({ issuedAt: -1 });
+
+    return certificates.map(certificate => ({
+      certificateId: certificate.certificateId,
+      eventId: certificate.event,
+      eventTitle: certificate.eventTitle,
+      eventDate: certificate.eventDate,
+      issuedAt: certificate.issuedAt,
+      revision: certificate.revision,
+      verifyUrl: this.verifyUrl(certificate.certificateId)
+    }));
+  }
+
+  /**
+   * PDF for a certificate the user may download
+   */
+  async download(certificateId, user) {
+    const certificate = await Certificate.findOne({ certificateId: this.normalizeId(certificateId) });
+    const isAdmin = ['admin', 'super_admin'].includes(user.role);
+
+    if (!certificate || (!isAdmin && !certificate.user.equals(user._id))) {
+      throw new AppError('Certificate not found', 404, 'CERTIFICATE_NOT_FOUND');
+    }
+    if (certificate.status === 'REVOKED') {
+      throw new AppError('This certificate has been revoked', 410, 'CERTIFICATE_REVOKED');
+    }
+
+    const template = await this.getTemplate(certificate.event, { withBackground: true });
+    if (!template) {
+      throw new AppError('The certificate template is no longer available', 409, 'CERTIFICATE_TEMPLATE_MISSING');
+    }
+
+    const pdf = await this.render(certificate, template);
+    if (certificate.user.equals(user._id)) {
+      await Certificate.updateOne({ _id: certificate._id }, { $inc: { downloadCount: 1 } });
+    }
+
+    return { certificate, pdf };
+  }
+
+  /**
+   * Landscape A4 with the background stretched to the page, the text
+   * centred over it and the verification QR in the bottom right corner
+   */
+  async render(certificate, template) {
+    const values = {
+      name: certificate.recipientName,
+      event: certificate.eventTitle,
+      date: new Date(certificate.eventDate).toISOString().slice(0, 10),
+      organizer: certificate.organizerName || ''
+    };
+    const qrCode = await qrService.generateBuffer(this.verifyUrl(certificate.certificateId), { width: 240 });
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 0 });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const { width, height } = doc.page;
+      const textWidth = width - 160;
+      const color = template.textColor || '#111827';
+
+      if (template.background?.data) {
+        doc.image(template.background.data, 0, 0, { width, height });
+      }
+
+      const nameTop = height * (template.nameY || 42) / 100;
+      doc.font('Helvetica-Bold').fontSize(30).fillColor(color)
+        .text(this.fillPlaceholders(template.title, values), 80, nameTop - 110, { width: textWidth, align: 'center' });
+      doc.font('Helvetica').fontSize(14)
+        .text('This is to certify that', 80, nameTop - 40, { width: textWidth, align: 'center' });
+      doc.font('Helvetica-Bold').fontSize(28)
+        .text(certificate.recipientName, 80, nameTop, { width: textWidth, align: 'center' });
+      doc.font('Helvetica').fontSize(14)
+        .text(this.fillPlaceholders(template.body, values), 80, nameTop + 50, { width: textWidth, align: 'center' });
+
+      if (template.signatoryName) {
+        doc.moveTo(80, height - 110).lineTo(280, height - 110).stroke(color);
+        doc.font('Helvetica-Bold').fontSize(12).text(template.signatoryName, 80, height - 100, { width: 200, align: 'center' });
+        if (template.signatoryTitle) {
+          doc.font('Helvetica').fontSize(10).text(template.signatoryTitle, { width: 200, align: 'center' });
+        }
+      }
+
+      doc.image(qrCode, width - 150, height - 170, { fit: [90, 90] });
+      doc.font('Courier').fontSize(8).fillColor(color)
+        .text(certificate.certificateId, width - 190, height - 75, { width: 170, align: 'center' })
+        .font('Helvetica').fontSize(7)
+        .text('Scan to verify', { width: 170, align: 'center' });
+
+      doc.end();
+    });
+  }
+
+  /**
+   * What anyone holding the ID may see. No contact details.
+   */
+  async verify(certificateId) {
+    const certificate = await Certificate.findOne({ certificateId: this.normalizeId(certificateId) });
+    if (!certificate) {
+      throw new AppError('No certificate with this ID', 404, 'CERTIFICATE_NOT_FOUND');
+    }
+
+    return {
+      certificateId: certificate.certificateId,
+      valid: certificate.status === 'ISSUED',
+      status: certificate.status,
+      recipientName: certificate.recipientName,
+      eventTitle: certificate.eventTitle,
+      eventDate: certificate.eventDate,
+      organizerName: certificate.organizerName,
+      issuedAt: certificate.issuedAt,
+      revisedAt: certificate.reissuedAt,
+      revokedAt: certificate.revokedAt
+    };
+  }
+
+  escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+  }
+
+  /**
+   * Plain page for someone who scanned the QR with a phone camera
+   */
+  verificationPage(result) {
+    const rows = result
+      ? [
+        ['Recipient', result.recipientName],
+        ['Event', result.eventTitle],
+        ['Event date', new Date(result.eventDate).toISOString().slice(0, 10)],
+        ['Organizer', result.organizerName],
+        ['Issued', new Date(result.issuedAt).toISOString().slice(0, 10)]
+      ]
+      : [];
+    const heading = !result
+      ? 'Certificate not found'
+      : result.valid ? 'Valid certificate' : 'This certificate has been revoked';
+
+    return [
+      '<!DOCTYPE html>',
+      '<html lang="en"><head><meta charset="utf-8">',
+      '<meta name="viewport" content="width=device-width, initial-scale=1">',
+      `<title>${this.escapeHtml(heading)} - ${this.escapeHtml(config.app.name)}</title></head>`,
+      '<body style="font-family: sans-serif; max-width: 32rem; margin: 2rem auto; padding: 0 1rem;">',
+      `<h1 style="color: ${result?.valid ? '#047857' : '#B91C1C'};">${this.escapeHtml(heading)}</h1>`,
+      result ? `<p><code>${this.escapeHtml(result.certificateId)}</code></p>` : '',
+      rows.length ? '<table>' + rows
+        .filter(([, value]) => value)
+        .map(([label, value]) => `<tr><th align="left">${label}</th><td>${this.escapeHtml(value)}</td></tr>`)
+        .join('') + '</table>' : '',
+      '</body></html>'
+    ].join('\n');
+  }
+}
+
+module.exports = new CertificateService();
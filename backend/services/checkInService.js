@@ -0,0 +1,396 @@
+const Event = require('../models/Event');
+const User = require('../models/User');
+const qrService = require('./qrService');
+const ledgerService = require('./ledgerService');
+const { AppError } = require('../middleware/errorHandler');
+
+// How long before the start the door opens for scanning
+const OPENS_MINUTES = parseFloat(process.env.EVENT_CHECK_IN_OPENS_MINUTES) || 60;
+// Scanner device clocks are not trusted to the second
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+const CHECK_IN_STATUSES = ['published', 'ongoing'];
+
+/**
+ * Event door check-in
+ *
+ * Features:
+ * - Ticket QR per approved registration, registered in the QR registry as
+ *   single use until the event ends, with a short code for manual entry
+ * - Organizers and co-organizers scan tickets; the registration is claimed
+ *   atomically so a second scan is reported as a duplicate, not counted
+ * - Batches of scans made offline are replayed with their scan times
+ * - Walk-ins on free events are registered and checked in in one step
+ * - Registrants who never arrived are marked absent when the event ends
+ */
+
+class CheckInService {
+  /**
+   * Users running the event's door: the organizer and co-organizers
+   */
+  staffIds(event) {
+    return [
+      event.organizer.userId._id || event.organizer.userId,
+      ...(event.coOrganizers || []).map(co => co.userId).filter(Boolean)
+    ].map(id => id.toString());
+  }
+
+  canCheckIn(event, user) {
+    return ['admin', 'super_admin'].includes(user.role) ||
+      this.staffIds(event).includes(user._id.toString());
+  }
+
+  /**
+   * Issue the ticket QR for an approved registration and store it on the
+   * registration
+   */
+  async issueTicket(event, userId) {
+    const qr = await qrService.generateEventCheckInQR(event._id, userId);
+    const ticket = {
+      qrId: qr.checkInData.qrId,
+      code: qr.checkInCode,
+      url: qr.checkInUrl,
+      issuedAt: new Date()
+    };
+
+    const stored = await Event.updateOne(
+      { _id: event._id, registeredUsers: { $elemMatch: { user: userId, approvalStatus: 'approved' } } },
+      { $set: { 'registeredUsers.$.ticket': ticket } }
+    );
+    if (stored.modifiedCount !== 1) {
+      await qrService.revoke(ticket.qrId);
+      throw new AppError('No approved registration for this user', 404, 'REGISTRATION_NOT_FOUND');
+    }
+
+    return { qrCode: qr.qrCode, code: ticket.code, issuedAt: ticket.issuedAt };
+  }
+
+  /**
+   * The student's ticket, issued on first request if registration did not
+   * get one
+   */
+  async getTicket(event, userId) {
+    const registration = event.registeredUsers.find(reg => reg.user.toString() === userId.toString());
+    if (!registration) {
+      throw new AppError('You are not registered for this event', 404, 'REGISTRATION_NOT_FOUND');
+    }
+    if (registration.approvalStatus !== 'approved') {
+      throw new AppError('Your registration is awaiting approval', 409, 'REGISTRATION_NOT_APPROVED');
+    }
+
+    if (!registration.ticket?.qrId) {
+      return this.issueTicket(event, userId);
+    }
+
+    return {
+      qrCode: await qrService.generateBrandedQR(registration.ticket.url, {
+        primaryColor: '#F59E0B',
+        width: 200
+      }),
+      code: registration.ticket.code,
+      issuedAt: registration.ticket.issuedAt
+    };
+  }
+
+  /**
+   * Check in a ticket QR or its code. scannedAt is when the scan happened,
+   * earlier than now for scans uploaded from an offline device.
+   */
+  async checkIn(event, { ticket, code, scannedAt = new Date(), actorId, offline = false }) {
+    const registration = ticket
+      ? await this.findByTicket(event, ticket)
+      : event.registeredUsers.find(reg => reg.ticket?.code && reg.ticket.code === String(code).trim().toUpperCase());
+
+    if (!registration) {
+      throw new AppError('No registration for this ticket', 404, 'TICKET_NOT_FOUND');
+    }
+
+    return this.claim(event, registration, {
+      scannedAt,
+      actorId,
+      offline,
+      method: ticket ? 'qr' : 'code'
+    });
+  }
+
+  async findByTicket(event, payload) {
+    let data;
+    try {
+      data = await qrService.decodeSecurePayload(payload);
+    } catch (error) {
+      throw new AppError('This ticket is not valid', 400, 'INVALID_TICKET');
+    }
+
+    if (data.type !== 'event_checkin' || !data.qrId) {
+      throw new AppError('This ticket is not valid', 400, 'INVALID_TICKET');
+    }
+    if (String(data.eventId) !== event._id.toString()) {
+      throw new AppError(`This ticket is for ${data.eventTitle || 'another event'}`, 400, 'TICKET_WRONG_EVENT');
+    }
+
+    return event.registeredUsers.find(reg => reg.ticket?.qrId === data.qrId);
+  }
+
+  /**
+   * Mark one registration attended and use up its ticket
+   */
+  async claim(event, registration, { scannedAt, actorId, offline, method }) {
+    this.assertOpen(event, scannedAt, offline);
+
+    if (registration.approvalStatus !== 'approved') {
+      throw new AppError('This registration is awaiting approval', 409, 'REGISTRATION_NOT_APPROVED');
+    }
+    if (registration.attendanceStatus === 'attended') {
+      throw this.alreadyCheckedIn(registration);
+    }
+    if (registration.attendanceStatus === 'cancelled') {
+      throw new AppError('This registration was cancelled', 409, 'REGISTRATION_CANCELLED');
+    }
+
+    // Absent only happens once the event closed; an offline scan from
+    // before then still counts
+    const previous = registration.attendanceStatus;
+
+    try {
+      await ledgerService.runInTransaction(async (session) => {
+        const claimed = await Event.updateOne(
+          {
+            _id: event._id,
+            registeredUsers: { $elemMatch: { _id: registration._id, attendanceStatus: previous } }
+          },
+          {
+            $set: {
+              'registeredUsers.$.attendanceStatus': 'attended',
+              'registeredUsers.$.checkedInAt': scannedAt,
+              'registeredUsers.$.checkedInBy': actorId,
+              'registeredUsers.$.checkInMethod': method,
+              'registeredUsers.$.checkedInOffline': offline
+            },
+            $inc: {
+              'analytics.attendedCount': 1,
+              'analytics.absentCount': previous === 'absent' ? -1 : 0
+            }
+          },
+          { session }
+        );
+        if (claimed.modifiedCount !== 1) {
+          throw new AppError('This ticket was scanned at the same moment elsewhere', 409, 'ALREADY_CHECKED_IN');
+        }
+
+        if (registration.ticket?.qrId) {
+          await qrService.redeem(registration.ticket.qrId, { userId: registration.user, session, usedAt: scannedAt });
+        }
+      });
+    } catch (error) {
+      if (error.errorCode === 'ALREADY_CHECKED_IN' || error.errorCode === 'QR_ALREADY_USED') {
+        const current = await Event.findOne(
+          { _id: event._id, 'registeredUsers._id': registration._id },
+          { 'registeredUsers.$': 1 }
+        );
+        throw this.alreadyCheckedIn(current?.registeredUsers[0] || registration);
+      }
+      if (error.errorCode === 'QR_REVOKED') {
+        throw new AppError('This ticket has been withdrawn', 409, 'TICKET_REVOKED');
+      }
+      throw error;
+    }
+
+    return {
+      userId: registration.user,
+      checkedInAt: scannedAt,
+      method
+    };
+  }
+
+  alreadyCheckedIn(registration) {
+    const error = new AppError('This ticket has already been checked in', 409, 'ALREADY_CHECKED_IN');
+    error.checkedInAt = registration.checkedInAt;
+    error.userId = registration.user;
+    return error;
+  }
+
+  assertOpen(event, scannedAt, offline) {
+    if (!CHECK_IN_STATUSES.includes(event.status) && !(offline && event.status === 'completed')) {
+      throw new AppError(`Check-in is not available for a ${event.status} event`, 400, 'CHECK_IN_CLOSED');
+    }
+
+    const at = scannedAt.getTime();
+    if (at > Date.now() + CLOCK_SKEW_MS) {
+      throw new AppError('Scan time is in the future', 400, 'INVALID_SCAN_TIME');
+    }
+    if (at < new Date(event.startDate).getTime() - OPENS_MINUTES * 60 * 1000) {
+      throw new AppError(`Check-in opens ${OPENS_MINUTES} minutes before the start`, 400, 'CHECK_IN_NOT_OPEN');
+    }
+    if (at > new Date(event.endDate).getTime() + (offline ? CLOCK_SKEW_MS : 0)) {
+      throw new AppError('This event has ended', 400, 'CHECK_IN_CLOSED');
+    }
+  }
+
+  /**
+   * Register someone at the door and check them in. Paid events need the
+   * fee, so their walk-ins register in the app and show the ticket.
+   */
+  async walkIn(event, { userId, studentId, email }, actorId) {
+    const filter = userId ? { _id: userId } : studentId ? { studentId } : { email };
+    const user = await User.findOne({ ...filter, isActive: true }).select('name email studentId');
+    if (!user) {
+      throw new AppError('No student found for this walk-in', 404, 'USER_NOT_FOUND');
+    }
+
+    const existing = event.registeredUsers.find(reg => reg.user.toString() === user._id.toString());
+    if (existing) {
+      const checkedIn = await this.claim(event, existing, { scannedAt: new Date(), actorId, offline: false, method: 'walk_in' });
+      return { ...checkedIn, user, registered: false };
+    }
+
+    const now = new Date();
+    this.assertOpen(event, now, false);
+
+    if (event.currentPrice > 0) {
+      throw new AppError('Walk-ins for paid events must register in the app first', 400, 'WALK_IN_PAYMENT_REQUIRED');
+    }
+
+    const registered = await Event.updateOne(
+      {
+        _id: event._id,
+        'registeredUsers.user': { $ne: user._id },
+        $expr: { $lt: ['$currentParticipants', '$maxParticipants'] }
+      },
+      {
+        $push: {
+          registeredUsers: {
+            user: user._id,
+            paymentStatus: 'completed',
+            approvalStatus: 'approved',
+            attendanceStatus: 'attended',
+            checkedInAt: now,
+            checkedInBy: actorId,
+            checkInMethod: 'walk_in',
+            checkedInOffline: false
+          }
+        },
+        $inc: { currentParticipants: 1, 'analytics.attendedCount': 1 }
+      }
+    );
+
+    if (registered.modifiedCount !== 1) {
+      const current = await Event.findOne(
+        { _id: event._id, 'registeredUsers.user': user._id },
+        { 'registeredUsers.$': 1 }
+      );
+      if (current) {
+        throw this.alreadyCheckedIn(current.registeredUsers[0]);
+      }
+      throw new AppError('Event is full', 409, 'EVENT_FULL');
+    }
+
+    return { userId: user._id, checkedInAt: now, method: 'walk_in', user, registered: true };
+  }
+
+  /**
+   * Replay scans made while the scanner was offline. Every scan gets a
+   * result; a duplicate or bad ticket does not stop the rest.
+   */
+  async syncScans(event, scans, actorId) {
+    const results = [];
+
+    for (const [index, scan] of scans.entries()) {
+      try {
+        const checkedIn = await this.checkIn(event, {
+          ticket: scan.ticket,
+          code: scan.code,
+          scannedAt: new Date(scan.scannedAt),
+          actorId,
+          offline: true
+        });
+        results.push({ index, status: 'CHECKED_IN', ...checkedIn });
+        // Later scans in the batch must see this claim
+        event = await Event.findById(event._id);
+      } catch (error) {
+        if (!error.isOperational) throw error;
+        results.push({
+          index,
+          status: error.errorCode === 'ALREADY_CHECKED_IN' ? 'DUPLICATE' : 'REJECTED',
+          code: error.errorCode,
+          message: error.message,
+          userId: error.userId,
+          checkedInAt: error.checkedInAt
+        });
+      }
+    }
+
+    return {
+      results,
+      counts: {
+        checkedIn: results.filter(result => result.status === 'CHECKED_IN').length,
+        duplicate: results.filter(result => result.status === 'DUPLICATE').length,
+        rejected: results.filter(result => result.status === 'REJECTED').length
+      }
+    };
+  }
+
+  /**
+   * Door counts over approved registrations
+   */
+  async getAttendance(eventId) {
+    const event = await Event.findById(eventId).select('registeredUsers.approvalStatus registeredUsers.attendanceStatus maxParticipants');
+    const approved = event.registeredUsers.filter(reg => reg.approvalStatus === 'approved');
+    const count = (status) => approved.filter(reg => reg.attendanceStatus === status).length;
+
+    return {
+      eventId: event._id,
+      registered: approved.filter(reg => reg.attendanceStatus !== 'cancelled').length,
+      attended: count('attended'),
+      absent: count('absent'),
+      notArrived: count('registered'),
+      capacity: event.maxParticipants
+    };
+  }
+
+  /**
+   * Mark approved registrants who never checked in absent on every event
+   * that has ended, and complete the event
+   */
+  async closeEnded(at = new Date()) {
+    const summary = { eventsClosed: 0, markedAbsent: 0, errors: [] };
+    const events = await Event.find({
+      status: { $in: CHECK_IN_STATUSES },
+      isActive: true,
+      endDate: { $lte: at }
+    }).select('title status');
+
+    for (const event of events) {
+      try {
+        // Conditional on status so two runs cannot both close the event
+        const closed = await Event.updateOne(
+          { _id: event._id, status: event.status },
+          {
+            $set: {
+              'registeredUsers.$[reg].attendanceStatus': 'absent',
+              status: 'completed',
+              completedAt: at
+            }
+          },
+          { arrayFilters: [{ 'reg.approvalStatus': 'approved', 'reg.attendanceStatus': 'registered' }] }
+        );
+        if (closed.modifiedCount !== 1) continue;
+
+        const attendance = await this.getAttendance(event._id);
+        await Event.updateOne(
+          { _id: event._id },
+          { $set: { 'analytics.absentCount': attendance.absent, 'analytics.attendedCount': attendance.attended } }
+        );
+
+        summary.eventsClosed += 1;
+        summary.markedAbsent += attendance.absent;
+        console.log(`🏁 Event closed: ${event.title} (${attendance.absent} absent)`);
+      } catch (error) {
+        console.error(`Failed to close event ${event._id}:`, error);
+        summary.errors.push({ eventId: event._id, message: error.message });
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new CheckInService();
@@ -0,0 +1,186 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const ledgerService = require('./ledgerService');
+const { AppError } = require('../middleware/errorHandler');
+
+// Wallet payments always move something; a discount never takes the bill to zero
+const MIN_CHARGE = 0.01;
+
+/**
+ * Coupons and promo codes
+ *
+ * Features:
+ * - Percentage or flat discounts with a cap and a minimum spend
+ * - Merchant, merchant-category, event and event-category scoping
+ * - Global and per-user redemption limits, enforced atomically at checkout
+ * - Funded by the platform (paid from promotions) or by the merchant or
+ *   event organiser (who simply receives less)
+ */
+
+class CouponService {
+  normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  /**
+   * Check a coupon against a checkout and work out the discount. Pass the
+   * merchant for wallet payments or the event for registrations.
+   */
+  async quote({ code, userId, amount, merchant, event, at = new Date() }) {
+    const coupon = await Coupon.findOne({ code: this.normalizeCode(code) });
+    if (!coupon || coupon.status === 'ARCHIVED') {
+      throw new AppError('Coupon code not found', 404, 'COUPON_NOT_FOUND');
+    }
+
+    this.assertUsable(coupon, at);
+
+    if (!coupon.isInScope({ merchant, event })) {
+      throw new AppError('This coupon cannot be used here', 400, 'COUPON_NOT_APPLICABLE');
+    }
+
+    if (amount < (coupon.minSpend || 0)) {
+      throw new AppError(`This coupon needs a minimum spend of ${coupon.minSpend}`, 400, 'COUPON_MIN_SPEND');
+    }
+
+    const used = await CouponRedemption.countDocuments({ couponId: coupon._id, userId });
+    if (used >= coupon.limits.perUser) {
+      throw new AppError('You have already used this coupon', 400, 'COUPON_USER_LIMIT');
+    }
+
+    const discount = this.calculateDiscount(coupon, amount);
+    if (discount <= 0) {
+      throw new AppError('This coupon gives no discount on this amount', 400, 'COUPON_NOT_APPLICABLE');
+    }
+
+    return {
+      coupon,
+      discount,
+      fundedBy: coupon.fundedBy,
+      sequence: used + 1
+    };
+  }
+
+  /**
+   * Status, window and global limit checks
+   */
+  assertUsable(coupon, at = new Date()) {
+    if (coupon.status !== 'ACTIVE') {
+      throw new AppError('This coupon is not active', 400, 'COUPON_INACTIVE');
+    }
+    if (coupon.validFrom && coupon.validFrom > at) {
+      throw new AppError('This coupon is not valid yet', 400, 'COUPON_NOT_STARTED');
+    }
+    if (coupon.expiresAt <= at) {
+      throw new AppError('This coupon has expired', 400, 'COUPON_EXPIRED');
+    }
+    if (coupon.limits?.total && coupon.redemptionCount >= coupon.limits.total) {
+      throw new AppError('This coupon has been fully redeemed', 400, 'COUPON_EXHAUSTED');
+    }
+  }
+
+  /**
+   * Discount on an amount, capped so at least MIN_CHARGE is still paid
+   */
+  calculateDiscount(coupon, amount) {
+    let discount = coupon.discountType === 'PERCENTAGE'
+      ? amount * coupon.value / 100
+      : coupon.value;
+
+    if (coupon.maxDiscount) discount = Math.min(discount, coupon.maxDiscount);
+    discount = Math.min(discount, amount - MIN_CHARGE);
+
+    return Math.max(0, Math.floor(discount * 100) / 100);
+  }
+
+  /**
+   * Discount line recorded on the transaction
+   */
+  discountLine(quote) {
+    return {
+      source: 'COUPON',
+      description: quote.coupon.description || `Coupon ${quote.coupon.code}`,
+      amount: quote.discount,
+      fundedBy: quote.fundedBy,
+      reference: quote.coupon.code
+    };
+  }
+
+  /**
+   * Use up the coupon inside the checkout's Mongo transaction, so a failed
+   * payment gives the redemption back
+   */
+  async redeem({ quote, userId, transaction, merchantId, eventId, amountBefore, session }) {
+    const { coupon } = quote;
+    const filter = { _id: coupon._id, status: 'ACTIVE', expiresAt: { $gt: new Date() } };
+    if (coupon.limits?.total) {
+      filter.redemptionCount = { $lt: coupon.limits.total };
+    }
+
+    const claimed = await Coupon.findOneAndUpdate(
+      filter,
+      { $inc: { redemptionCount: 1, discountGiven: quote.discount } },
+      { new: true, session }
+    );
+    if (!claimed) {
+      throw new AppError('This coupon is no longer available', 409, 'COUPON_EXHAUSTED');
+    }
+
+    try {
+      await CouponRedemption.create([{
+        couponId: coupon._id,
+        code: coupon.code,
+        userId,
+        sequence: quote.sequence,
+        transactionId: transaction._id,
+        merchantId,
+        eventId,
+        amountBefore,
+        discount: quote.discount,
+        fundedBy: quote.fundedBy
+      }], { session });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError('You have already used this coupon', 409, 'COUPON_USER_LIMIT');
+      }
+      throw error;
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Redemption totals for a coupon, split by who paid for them
+   */
+  async getUsage(couponId) {
+    const rows = await CouponRedemption.aggregate([
+      { $match: { couponId } },
+      {
+        $group: {
+          _id: null,
+          redemptions: { $sum: 1 },
+          uniqueUsers: { $addToSet: '$userId' },
+          discountGiven: { $sum: '$discount' },
+          salesBeforeDiscount: { $sum: '$amountBefore' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          redemptions: 1,
+          uniqueUsers: { $size: '$uniqueUsers' },
+          discountGiven: 1,
+          salesBeforeDiscount: 1
+        }
+      }
+    ]);
+
+    const usage = rows[0] || { redemptions: 0, uniqueUsers: 0, discountGiven: 0, salesBeforeDiscount: 0 };
+    return {
+      ...usage,
+      discountGiven: ledgerService.roundAmount(usage.discountGiven),
+      salesBeforeDiscount: ledgerService.roundAmount(usage.salesBeforeDiscount)
+    };
+  }
+}
+
+module.exports = new CouponService();
@@ -0,0 +1,411 @@
+const Dispute = require('../models/Dispute');
+const Transaction = require('../models/Transaction');
+const Merchant = require('../models/Merchant');
+const AuditLog = require('../models/AuditLog');
+const ledgerService = require('./ledgerService');
+const refundService = require('./refundService');
+const { socketEmitters } = require('../config/socket');
+const { generateTransactionId } = require('../utils/helpers');
+const { AppError } = require('../middleware/errorHandler');
+
+const HOUR = 60 * 60 * 1000;
+const FILING_WINDOW_DAYS = parseInt(process.env.DISPUTE_FILING_WINDOW_DAYS) || 7;
+const MERCHANT_RESPONSE_HOURS = parseInt(process.env.DISPUTE_MERCHANT_RESPONSE_HOURS) || 72;
+const RESOLUTION_HOURS = parseInt(process.env.DISPUTE_RESOLUTION_HOURS) || 168;
+const MAX_EVIDENCE_PER_PARTY = 10;
+
+/**
+ * Dispute cases for wallet payments
+ *
+ * Features:
+ * - Customers open one case per payment within the filing window
+ * - Merchants respond within the response window; evidence from all parties
+ * - Admin decides full refund, partial refund or rejection
+ * - Refund decisions post a REVERSAL against the payment journal
+ * - SLA sweep moves silent cases to review and flags overdue ones
+ * - Every step is audited and pushed to both parties over socket
+ */
+
+class DisputeService {
+  /**
+   * Open a case for a completed payment made by the user
+   */
+  async open({ paymentId, user, reason, description, evidence = [], io, ipAddress, userAgent }) {
+    const payment = await Transaction.findOne({
+      _id: paymentId,
+      userId: user._id,
+      category: 'PAYMENT',
+      status: 'COMPLETED'
+    });
+
+    if (!payment || !payment.metadata?.merchantId) {
+      throw new AppError('Transaction not found or cannot be disputed', 404, 'TRANSACTION_NOT_FOUND');
+    }
+
+    const paidAt = payment.completedAt || payment.createdAt;
+    if (Date.now() - paidAt.getTime() > FILING_WINDOW_DAYS * 24 * HOUR) {
+      throw new AppError(
+        `Dispute window has expired. Disputes must be filed within ${FILING_WINDOW_DAYS} days.`,
+        400,
+        'DISPUTE_WINDOW_EXPIRED'
+      );
+    }
+
+    const amount = refundService.remainingRefundable(payment);
+    if (amount <= 0) {
+      throw new AppError('Payment has already been fully refunded', 400, 'ALREADY_REFUNDED');
+    }
+
+    const now = new Date();
+    const dispute = new Dispute({
+      disputeId: generateTransactionId('DSP'),
+      transactionId: payment._id,
+      transactionRef: payment.transactionId,
+      userId: user._id,
+      merchantId: payment.metadata.merchantId,
+      amount,
+      reason,
+      description,
+      evidence: evidence.map(item => ({ ...this.normalizeEvidence(item), party: 'CUSTOMER', submittedBy: user._id })),
+      sla: {
+        merchantResponseDueAt: new Date(now.getTime() + MERCHANT_RESPONSE_HOURS * HOUR),
+        resolutionDueAt: new Date(now.getTime() + RESOLUTION_HOURS * HOUR)
+      }
+    });
+    dispute.addTimeline('OPENED', 'CUSTOMER', user._id, reason);
+
+    try {
+      await dispute.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError('This transaction is already disputed', 409, 'DISPUTE_EXISTS');
+      }
+      throw error;
+    }
+
+    await this.audit(dispute, 'DISPUTE_OPENED', { userId: user._id, ipAddress, userAgent });
+    await this.notify(io, dispute, 'opened');
+
+    return dispute;
+  }
+
+  /**
+   * Record the merchant's answer; the case then waits for an admin decision
+   */
+  async respond({ disputeId, merchant, userId, message, acceptsLiability = false, evidence = [], io, ipAddress, userAgent }) {
+    const dispute = await this.findForParty(disputeId, { merchantId: merchant._id });
+
+    if (dispute.status !== 'AWAITING_MERCHANT') {
+      throw new AppError('This dispute is no longer awaiting a merchant response', 409, 'DISPUTE_RESPONSE_CLOSED');
+    }
+
+    this.assertEvidenceRoom(dispute, 'MERCHANT', evidence.length);
+
+    dispute.merchantResponse = {
+      message,
+      acceptsLiability,
+      respondedBy: userId,
+      respondedAt: new Date()
+    };
+    evidence.forEach(item => {
+      dispute.evidence.push({ ...this.normalizeEvidence(item), party: 'MERCHANT', submittedBy: userId });
+    });
+    dispute.status = 'UNDER_REVIEW';
+    dispute.addTimeline(
+      'MERCHANT_RESPONDED',
+      'MERCHANT',
+      userId,
+      acceptsLiability ? 'Merchant accepts liability' : 'Merchant contests the dispute'
+    );
+    await dispute.save();
+
+    await this.audit(dispute, 'DISPUTE_MERCHANT_RESPONDED', {
+      userId,
+      ipAddress,
+      userAgent,
+      details: { acceptsLiability }
+    });
+    await this.notify(io, dispute, 'merchant_responded');
+
+    return dispute;
+  }
+
+  /**
+   * Attach evidence from the customer, the merchant or an admin
+   */
+  async addEvidence({ dispute, party, userId, items, io, ipAddress, userAgent }) {
+    if (dispute.status === 'RESOLVED') {
+      throw new AppError('Evidence cannot be added to a resolved dispute', 409, 'DISPUTE_RESOLVED');
+    }
+
+    this.assertEvidenceRoom(dispute, party, items.length);
+
+    items.forEach(item => {
+      dispute.evidence.push({ ...this.normalizeEvidence(item), party, submittedBy: userId });
+    });
+    dispute.addTimeline('EVIDENCE_ADDED', party, userId, `${items.length} item(s)`);
+    await dispute.save();
+
+    await this.audit(dispute, 'DISPUTE_EVIDENCE_ADDED', {
+      userId,
+      ipAddress,
+      userAgent,
+      admin: party === 'ADMIN',
+      details: { party, count: items.length }
+    });
+    await this.notify(io, dispute, 'evidence_added');
+
+    return dispute;
+  }
+
+  /**
+   * Admin decision. Refund outcomes post a REVERSAL that credits the
+   * customer and takes the merchant's net and the commission back.
+   */
+  async resolve({ disputeId, adminId, outcome, amount, note, io, ipAddress, userAgent }) {
+    const dispute = await Dispute.findById(disputeId);
+    if (!dispute) {
+      throw new AppError('Dispute not found', 404, 'DISPUTE_NOT_FOUND');
+    }
+
+    if (dispute.status === 'RESOLVED') {
+      throw new AppError('Dispute has already been resolved', 409, 'DISPUTE_RESOLVED');
+    }
+
+    let reversal = null;
+
+    if (outcome === 'REJECTED') {
+      const claimed = await Dispute.updateOne(
+        { _id: dispute._id, status: { $ne: 'RESOLVED' } },
+        { $set: { status: 'RESOLVED' } }
+      );
+      if (claimed.modifiedCount === 0) {
+        throw new AppError('Dispute has already been resolved', 409, 'DISPUTE_RESOLVED');
+      }
+    } else {
+      const payment = await Transaction.findById(dispute.transactionId);
+      const refundable = refundService.remainingRefundable(payment);
+      const reversalAmount = outcome === 'FULL_REFUND' ? refundable : ledgerService.roundAmount(amount);
+
+      if (reversalAmount <= 0) {
+        throw new AppError('Payment has already been fully refunded', 400, 'ALREADY_REFUNDED');
+      }
+      if (reversalAmount > refundable) {
+        throw new AppError(`Refund exceeds the refundable amount of ${refundable}`, 400, 'REFUND_EXCEEDS_REMAINING');
+      }
+
+      reversal = new Transaction({
+        transactionId: generateTransactionId('REV'),
+        userId: payment.userId,
+        walletId: payment.walletId,
+        amount: reversalAmount,
+        currency: payment.currency,
+        type: 'CREDIT',
+        category: 'REVERSAL',
+        paymentMethod: 'WALLET',
+        status: 'COMPLETED',
+        description: `Dispute ${dispute.disputeId} resolved in your favour`,
+        balanceBefore: 0,
+        balanceAfter: 0,
+        relatedTransactionId: payment._id,
+        metadata: {
+          merchantId: dispute.merchantId
+        },
+        refund: {
+          reason: `Dispute ${dispute.disputeId}`,
+          requestedBy: adminId,
+          approvalStatus: 'APPROVED',
+          reviewedBy: adminId,
+          reviewedAt: new Date(),
+          reviewNote: note
+        }
+      });
+
+      await ledgerService.runInTransaction(async (session) => {
+        const claimed = await Dispute.updateOne(
+          { _id: dispute._id, status: { $ne: 'RESOLVED' } },
+          { $set: { status: 'RESOLVED' } },
+          { session }
+        );
+        if (claimed.modifiedCount === 0) {
+          throw new AppError('Dispute has already been resolved', 409, 'DISPUTE_RESOLVED');
+        }
+
+        await refundService.reserve(payment, reversalAmount, session);
+        reversal = await refundService.post(payment, reversal, session);
+      });
+
+      const merchant = await Merchant.findById(dispute.merchantId);
+      if (merchant) {
+        await merchant.recordRefund(reversal.amount);
+      }
+    }
+
+    dispute.status = 'RESOLVED';
+    dispute.resolvedAt = new Date();
+    dispute.decision = {
+      outcome,
+      amount: reversal ? reversal.amount : 0,
+      note,
+      decidedBy: adminId,
+      decidedAt: dispute.resolvedAt,
+      reversalTransactionId: reversal?._id
+    };
+    if (dispute.resolvedAt > dispute.sla.resolutionDueAt) {
+      dispute.sla.resolutionBreached = true;
+    }
+    dispute.addTimeline('RESOLVED', 'ADMIN', adminId, outcome);
+    await dispute.save();
+
+    await this.audit(dispute, 'DISPUTE_RESOLVED', {
+      userId: adminId,
+      ipAddress,
+      userAgent,
+      admin: true,
+      details: { outcome, amount: dispute.decision.amount, reversal: reversal?.transactionId }
+    });
+    await this.notify(io, dispute, 'resolved', reversal ? { balance: reversal.balanceAfter } : {});
+
+    return { dispute, reversal };
+  }
+
+  /**
+   * Move cases whose merchant stayed silent to review and flag cases past
+   * their resolution deadline
+   */
+  async enforceSlas({ now = new Date(), io } = {}) {
+    const lapsed = await Dispute.find({
+      status: 'AWAITING_MERCHANT',
+      'sla.merchantResponseDueAt': { $lte: now }
+    });
+
+    for (const dispute of lapsed) {
+      dispute.status = 'UNDER_REVIEW';
+      dispute.sla.merchantResponseBreached = true;
+      dispute.addTimeline('MERCHANT_RESPONSE_LAPSED', 'SYSTEM', null, 'No merchant response within the window');
+      await dispute.save();
+
+      await this.audit(dispute, 'DISPUTE_MERCHANT_RESPONSE_LAPSED', { system: true, severity: 'MEDIUM' });
+      await this.notify(io, dispute, 'merchant_response_lapsed');
+    }
+
+    const overdue = await Dispute.find({
+      status: { $ne: 'RESOLVED' },
+      'sla.resolutionBreached': false,
+      'sla.resolutionDueAt': { $lte: now }
+    });
+
+    for (const dispute of overdue) {
+      dispute.sla.resolutionBreached = true;
+      dispute.addTimeline('RESOLUTION_OVERDUE', 'SYSTEM', null, 'Resolution deadline passed');
+      await dispute.save();
+
+      await this.audit(dispute, 'DISPUTE_RESOLUTION_OVERDUE', { system: true, severity: 'HIGH' });
+      await this.notify(io, dispute, 'resolution_overdue');
+    }
+
+    return {
+      checkedAt: now,
+      merchantResponseLapsed: lapsed.map(d => d.disputeId),
+      resolutionOverdue: overdue.map(d => d.disputeId)
+    };
+  }
+
+  /**
+   * Load a case visible to a party (customer userId or merchantId filter)
+   */
+  async findForParty(disputeId, partyFilter) {
+    const dispute = await Dispute.findOne({ _id: disputeId, ...partyFilter });
+    if (!dispute) {
+      throw new AppError('Dispute not found', 404, 'DISPUTE_NOT_FOUND');
+    }
+    return dispute;
+  }
+
+  normalizeEvidence(item) {
+    return typeof item === 'string'
+      ? { url: item }
+      : { url: item.url, description: item.description };
+  }
+
+  assertEvidenceRoom(dispute, party, adding) {
+    const existing = dispute.evidence.filter(item => item.party === party).length;
+    if (existing + adding > MAX_EVIDENCE_PER_PARTY) {
+      throw new AppError(
+        `At most ${MAX_EVIDENCE_PER_PARTY} evidence items per party`,
+        400,
+        'EVIDENCE_LIMIT_REACHED'
+      );
+    }
+  }
+
+  /**
+   * Write a case step to the audit log
+   */
+  audit(dispute, action, { userId, ipAddress, userAgent, admin = false, system = false, severity = 'MEDIUM', details = {} }) {
+    const caseDetails = {
+      disputeId: dispute.disputeId,
+      transactionId: dispute.transactionRef,
+      merchantId: dispute.merchantId,
+      status: dispute.status,
+      ...details
+    };
+
+    if (system) {
+      return AuditLog.logSystem({ action, status: 'WARNING', severity, details: caseDetails });
+    }
+
+    if (admin) {
+      return AuditLog.logAdmin({
+        adminId: userId,
+        action,
+        resourceType: 'DISPUTE',
+        resourceId: dispute._id,
+        status: 'SUCCESS',
+        ipAddress,
+        userAgent,
+        details: caseDetails
+      });
+    }
+
+    return AuditLog.logAction({
+      userId,
+      action,
+      resourceType: 'DISPUTE',
+      resourceId: dispute._id,
+      category: 'USER_ACTION',
+      status: 'SUCCESS',
+      ipAddress,
+      userAgent,
+      details: caseDetails,
+      severity
+    });
+  }
+
+  /**
+   * Push the case state to the customer and the merchant owner
+   */
+  async notify(io, dispute, event, extra = {}) {
+    if (!io) {
+      return;
+    }
+
+    const merchant = await Merchant.findById(dispute.merchantId).select('ownerId name').lean();
+    const payload = {
+      event,
+      disputeId: dispute.disputeId,
+      id: dispute._id,
+      status: dispute.status,
+      amount: dispute.amount,
+      decision: dispute.decision?.outcome ? dispute.decision : undefined,
+      sla: dispute.sla
+    };
+
+    socketEmitters.emitDisputeUpdate(io, dispute.userId, { ...payload, ...extra });
+    if (merchant?.ownerId) {
+      socketEmitters.emitDisputeUpdate(io, merchant.ownerId, payload);
+    }
+  }
+}
+
+module.exports = new DisputeService();
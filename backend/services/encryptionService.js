@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Symmetric encryption for short payloads such as QR codes
+ *
+ * Features:
+ * - AES-256-GCM with a random IV per payload
+ * - Any passphrase is accepted; it is stretched to a 256-bit key with SHA-256
+ * - Output is URL-safe so it can be embedded in links
+ */
+
+class EncryptionService {
+  deriveKey(secret) {
+    return crypto.createHash('sha256').update(String(secret)).digest();
+  }
+
+  /**
+   * Encrypt text; returns base64url of iv + auth tag + ciphertext
+   */
+  async encrypt(text, secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.deriveKey(secret), iv);
+    const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+
+    return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64url');
+  }
+
+  /**
+   * Decrypt a payload made by encrypt; throws if it was tampered with
+   */
+  async decrypt(payload, secret) {
+    const data = Buffer.from(payload, 'base64url');
+    const decipher = crypto.createDecipheriv(ALGORITHM, this.deriveKey(secret), data.subarray(0, 12));
+    decipher.setAuthTag(data.subarray(12, 28));
+
+    return Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]).toString('utf8');
+  }
+}
+
+module.exports = new EncryptionService();
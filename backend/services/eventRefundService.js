@@ -0,0 +1,278 @@
+const Event = require('../models/Event');
+const Transaction = require('../models/Transaction');
+const ledgerService = require('./ledgerService');
+const refundService = require('./refundService');
+const holdService = require('./holdService');
+const waitlistService = require('./waitlistService');
+const qrService = require('./qrService');
+const { generateTransactionId } = require('../utils/helpers');
+const { AppError } = require('../middleware/errorHandler');
+
+const CANCELLABLE_STATUSES = ['draft', 'published', 'postponed', 'ongoing'];
+
+/**
+ * Refunds of event registration fees
+ *
+ * Features:
+ * - Refund schedules by notice given (Event.getRefundTiers), falling back
+ *   to the event's flat refundPolicy
+ * - Refunds a share of what the student actually paid, after coupons
+ * - Reverses the registration journal in proportion, so a platform-funded
+ *   coupon goes back to promotions rather than to the student
+ * - Cumulative refunds never exceed the payment, as for merchant refunds
+ * - Organizer cancellations settle every registrant and waitlist offer and
+ *   keep a per-registrant outcome; re-running retries only the failures
+ */
+
+class EventRefundService {
+  /**
+   * Refund ratio (0 to 1) of a registration's payment. Run in the session
+   * that removes the registration so neither happens alone.
+   */
+  async refundRegistration(event, registration, { ratio, reason, requestedBy, session = null }) {
+    const payment = await Transaction.findOne({
+      _id: registration.transactionId,
+      category: 'EVENT_PAYMENT'
+    }).session(session);
+
+    if (!payment || payment.status !== 'COMPLETED' || !payment.ledger?.journalId) {
+      throw new AppError('Registration payment not found', 404, 'PAYMENT_NOT_FOUND');
+    }
+
+    const amount = Math.min(
+      ledgerService.roundAmount(payment.amount * ratio),
+      refundService.remainingRefundable(payment)
+    );
+    if (!(amount > 0)) {
+      return null;
+    }
+
+    const refund = new Transaction({
+      transactionId: generateTransactionId('RFD'),
+      userId: payment.userId,
+      walletId: payment.walletId,
+      amount,
+      currency: payment.currency,
+      type: 'CREDIT',
+      category: 'REFUND',
+      paymentMethod: 'WALLET',
+      status: 'COMPLETED',
+      description: `Refund: ${event.title}${reason ? ` (${reason})` : ''}`.slice(0, 500),
+      balanceBefore: 0,
+      balanceAfter: 0,
+      relatedTransactionId: payment._id,
+      metadata: {
+        eventId: event._id
+      },
+      refund: {
+        reason,
+        requestedBy,
+        approvalStatus: 'NOT_REQUIRED'
+      }
+    });
+
+    return ledgerService.runInTransaction(async (activeSession) => {
+      await refundService.reserve(payment, amount, activeSession);
+      await ledgerService.reverseJournal(payment.ledger.journalId, {
+        ratio: amount / payment.amount,
+        transactions: [refund],
+        description: refund.description,
+        session: activeSession
+      });
+      return refund;
+    }, session);
+  }
+
+  /**
+   * What cancelling at `at` would refund, for the confirmation screen
+   */
+  async quote(event, registration, at = new Date()) {
+    const ratio = registration.transactionId ? event.refundRatioAt(at) : 0;
+
+    let amount = 0;
+    if (ratio > 0) {
+      const payment = await Transaction.findById(registration.transactionId);
+      amount = payment
+        ? Math.min(ledgerService.roundAmount(payment.amount * ratio), refundService.remainingRefundable(payment))
+        : 0;
+    }
+
+    const deadline = event.settings.cancellationDeadline;
+    return {
+      percent: Math.round(ratio * 100),
+      amount,
+      tiers: event.getRefundTiers(),
+      cancellationAllowed: event.settings.allowCancellation && !(deadline && at > deadline) && new Date(event.startDate) > at,
+      cancellationDeadline: deadline
+    };
+  }
+
+  /**
+   * Call an event off: refund every paid registrant, release held fees and
+   * withdraw waitlist offers. refundMode full refunds everything; schedule
+   * applies the refund tiers as of the cancellation.
+   */
+  async cancelEvent(eventId, { reason, cancelledBy, refundMode = 'full', io = null }) {
+    const now = new Date();
+    let event = await Event.findOneAndUpdate(
+      { _id: eventId, status: { $in: CANCELLABLE_STATUSES } },
+      { $set: { status: 'cancelled', cancelledAt: now, cancellation: { reason, cancelledBy, refundMode } } },
+      { new: true }
+    );
+
+    if (!event) {
+      event = await Event.findById(eventId);
+      if (!event) {
+        throw new AppError('Event not found', 404, 'EVENT_NOT_FOUND');
+      }
+      // A retry keeps the original reason, mode and time
+      if (event.status !== 'cancelled') {
+        throw new AppError(`A ${event.status} event cannot be cancelled`, 409, 'EVENT_NOT_CANCELLABLE');
+      }
+    }
+
+    const ratio = event.cancellation?.refundMode === 'schedule' ? event.refundRatioAt(event.cancelledAt) : 1;
+
+    for (const registration of event.registeredUsers) {
+      const settled = registration.cancellationOutcome?.status && registration.cancellationOutcome.status !== 'FAILED';
+      if (!settled) {
+        await this.settleRegistration(event, registration, ratio, io);
+      }
+    }
+
+    for (const entry of event.waitlist) {
+      if (entry.status === 'offered') {
+        await waitlistService.withdraw(event, entry, { status: 'event_cancelled', reason: 'Event cancelled', io });
+      } else if (io) {
+        io.to(`user_${entry.user}`).emit('event_cancelled', {
+          event: { id: event._id, title: event.title },
+          reason: event.cancellation?.reason,
+          waitlisted: true
+        });
+      }
+    }
+    await Event.updateOne({ _id: event._id }, { $set: { waitlist: [] } });
+
+    const report = await this.getCancellationReport(event._id);
+    if (report.summary.failed === 0) {
+      await Event.updateOne({ _id: event._id }, { $set: { 'cancellation.completedAt': new Date() } });
+    }
+
+    console.log(`🛑 Event cancelled: ${event.title} (${report.summary.refunded} refunded, ${report.summary.failed} failed)`);
+    return report;
+  }
+
+  /**
+   * Settle one registrant of a cancelled event. The refund and the outcome
+   * are written together; a failure is recorded for the retry.
+   */
+  async settleRegistration(event, registration, ratio, io) {
+    const outcome = { processedAt: new Date() };
+    const reason = `Event cancelled${event.cancellation?.reason ? `: ${event.cancellation.reason}` : ''}`;
+
+    try {
+      await ledgerService.runInTransaction(async (session) => {
+        if (registration.holdId && registration.approvalStatus === 'pending') {
+          try {
+            await holdService.void(registration.holdId, { reason, session });
+          } catch (error) {
+            // Expired holds have already given the funds back
+            if (error.errorCode !== 'HOLD_NOT_OPEN') throw error;
+          }
+          outcome.status = 'HOLD_RELEASED';
+        } else if (registration.transactionId) {
+          const refund = ratio > 0
+            ? await this.refundRegistration(event, registration, {
+              ratio,
+              reason,
+              requestedBy: event.cancellation?.cancelledBy,
+              session
+            })
+            : null;
+
+          outcome.status = refund ? 'REFUNDED' : 'NOT_REFUNDABLE';
+          outcome.amount = refund ? refund.amount : 0;
+          outcome.refundTransactionId = refund?._id;
+        } else {
+          outcome.status = 'NO_PAYMENT';
+        }
+
+        await Event.updateOne(
+          { _id: event._id, 'registeredUsers._id': registration._id },
+          {
+            $set: {
+              'registeredUsers.$.attendanceStatus': 'cancelled',
+              'registeredUsers.$.paymentStatus': outcome.status === 'REFUNDED' ? 'refunded' : registration.paymentStatus,
+              'registeredUsers.$.cancellationOutcome': outcome
+            },
+            $inc: { 'financials.refundedAmount': outcome.amount || 0 }
+          },
+          { session }
+        );
+      });
+    } catch (error) {
+      console.error(`Cancellation refund failed for ${registration.user} on ${event._id}:`, error);
+      const failed = { status: 'FAILED', error: error.message, processedAt: outcome.processedAt };
+      await Event.updateOne(
+        { _id: event._id, 'registeredUsers._id': registration._id },
+        { $set: { 'registeredUsers.$.cancellationOutcome': failed } }
+      );
+      return failed;
+    }
+
+    if (registration.ticket?.qrId) {
+      await qrService.revoke(registration.ticket.qrId);
+    }
+
+    if (io) {
+      io.to(`user_${registration.user}`).emit('event_cancelled', {
+        event: { id: event._id, title: event.title },
+        reason: event.cancellation?.reason,
+        refund: { status: outcome.status, amount: outcome.amount || 0 }
+      });
+    }
+    return outcome;
+  }
+
+  /**
+   * Per-registrant outcome of a cancellation with totals
+   */
+  async getCancellationReport(eventId) {
+    const event = await Event.findById(eventId)
+      .select('title status cancelledAt cancellation registeredUsers')
+      .populate('registeredUsers.user', 'name email studentId');
+
+    const registrants = event.registeredUsers.map(reg => ({
+      userId: reg.user?._id || reg.user,
+      name: reg.user?.name,
+      email: reg.user?.email,
+      studentId: reg.user?.studentId,
+      status: reg.cancellationOutcome?.status || 'PENDING',
+      amount: reg.cancellationOutcome?.amount || 0,
+      refundTransactionId: reg.cancellationOutcome?.refundTransactionId,
+      error: reg.cancellationOutcome?.error,
+      processedAt: reg.cancellationOutcome?.processedAt
+    }));
+    const count = (status) => registrants.filter(line => line.status === status).length;
+
+    return {
+      eventId: event._id,
+      title: event.title,
+      status: event.status,
+      cancelledAt: event.cancelledAt,
+      cancellation: event.cancellation,
+      registrants,
+      summary: {
+        total: registrants.length,
+        refunded: count('REFUNDED'),
+        holdsReleased: count('HOLD_RELEASED'),
+        notRefundable: count('NOT_REFUNDABLE'),
+        noPayment: count('NO_PAYMENT'),
+        failed: count('FAILED') + count('PENDING'),
+        totalRefunded: ledgerService.roundAmount(registrants.reduce((sum, line) => sum + line.amount, 0))
+      }
+    };
+  }
+}
+
+module.exports = new EventRefundService();
@@ -0,0 +1,324 @@
+const Event = require('../models/Event');
+const Club = require('../models/Club');
+const { AppError } = require('../middleware/errorHandler');
+
+const WINDOW_DAYS = parseFloat(process.env.FEEDBACK_WINDOW_DAYS) || 14;
+const MAX_TEXT = 1000;
+
+/**
+ * Post-event feedback
+ *
+ * Features:
+ * - Organizer-designed forms of rating (1-5), multiple-choice and free-text
+ *   questions, asked alongside an overall 1-5 rating
+ * - Open to checked-in attendees from the end of the event until the form
+ *   closes; one response each
+ * - Overall ratings roll up into Event.analytics and across all of a
+ *   club's events into its statistics
+ * - Report with per-question breakdowns and a CSV export; respondents are
+ *   not named in either
+ */
+
+class FeedbackService {
+  /**
+   * When feedback opens and closes for an event
+   */
+  getWindow(event) {
+    const opensAt = new Date(event.endDate);
+    const closesAt = event.feedbackForm?.closesAt ||
+      new Date(opensAt.getTime() + WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    return { opensAt, closesAt };
+  }
+
+  /**
+   * Why this user may not give feedback now, or null if they may
+   */
+  ineligibility(event, registration, at = new Date()) {
+    const { opensAt, closesAt } = this.getWindow(event);
+
+    if (!event.settings.collectFeedback) {
+      return new AppError('This event is not collecting feedback', 400, 'FEEDBACK_DISABLED');
+    }
+    if (event.status === 'cancelled') {
+      return new AppError('This event was cancelled', 400, 'EVENT_CANCELLED');
+    }
+    if (!registration || registration.attendanceStatus !== 'attended') {
+      return new AppError('Only attendees who checked in can give feedback', 403, 'NOT_AN_ATTENDEE');
+    }
+    if (at < opensAt) {
+      return new AppError('Feedback opens when the event ends', 400, 'FEEDBACK_NOT_OPEN');
+    }
+    if (at > closesAt) {
+      return new AppError('Feedback for this event has closed', 400, 'FEEDBACK_CLOSED');
+    }
+    if (registration.feedback?.submittedAt) {
+      return new AppError('You have already given feedback for this event', 409, 'FEEDBACK_ALREADY_SUBMITTED');
+    }
+    return null;
+  }
+
+  hasResponses(event) {
+    return event.registeredUsers.some(reg => reg.feedback?.submittedAt);
+  }
+
+  /**
+   * Replace the form's questions. Not allowed once anyone has answered.
+   */
+  async saveForm(event, { questions, closesAt }) {
+    if (questions !== undefined && this.hasResponses(event)) {
+      throw new AppError('The form cannot be changed after feedback has come in', 409, 'FEEDBACK_FORM_LOCKED');
+    }
+    if (closesAt && new Date(closesAt) <= new Date(event.endDate)) {
+      throw new AppError('The form must close after the event ends', 400, 'INVALID_CLOSING_DATE');
+    }
+
+    const badChoice = (questions || []).find(question =>
+      question.type === 'choice' && new Set(question.options || []).size < 2
+    );
+    if (badChoice) {
+      throw new AppError(`${badChoice.prompt}: choice questions need at least two different options`, 400, 'INVALID_FEEDBACK_FORM');
+    }
+
+    // Set directly: a full save would re-check a past event's start date
+    const update = { 'feedbackForm.updatedAt': new Date() };
+    if (questions !== undefined) {
+      update['feedbackForm.questions'] = questions.map(question => ({
+        type: question.type,
+        prompt: question.prompt,
+        options: question.type === 'choice' ? [...new Set(question.options)] : [],
+        multiple: question.type === 'choice' && Boolean(question.multiple),
+        required: Boolean(question.required)
+      }));
+    }
+    if (closesAt !== undefined) {
+      update['feedbackForm.closesAt'] = closesAt ? new Date(closesAt) : null;
+    }
+
+    const updated = await Event.findByIdAndUpdate(event._id, { $set: update }, { new: true, runValidators: true })
+      .select('endDate feedbackForm');
+    return updated.feedbackForm;
+  }
+
+  /**
+   * Check answers against the form and return them in stored shape
+   */
+  normalizeAnswers(form, answers = []) {
+    const byQuestion = new Map(answers.map(answer => [String(answer.questionId), answer]));
+    const normalized = [];
+
+    for (const question of form?.questions || []) {
+      const answer = byQuestion.get(question._id.toString());
+      byQuestion.delete(question._id.toString());
+
+      const invalid = (message) => new AppError(`${question.prompt}: ${message}`, 400, 'INVALID_FEEDBACK_ANSWER');
+      const given = answer && (
+        (question.type === 'rating' && answer.rating !== undefined && answer.rating !== null) ||
+        (question.type === 'choice' && Array.isArray(answer.choices) && answer.choices.length > 0) ||
+        (question.type === 'text' && typeof answer.text === 'string' && answer.text.trim())
+      );
+
+      if (!given) {
+        if (question.required) throw invalid('an answer is required');
+        continue;
+      }
+
+      if (question.type === 'rating') {
+        const rating = Number(answer.rating);
+        if (!Number.isInteger(rating) || rating < 1 || rating > 5) throw invalid('rate from 1 to 5');
+        normalized.push({ question: question._id, rating });
+      } else if (question.type === 'choice') {
+        const choices = [...new Set(answer.choices.map(String))];
+        if (!question.multiple && choices.length > 1) throw invalid('pick one option');
+        if (choices.some(choice => !question.options.includes(choice))) throw invalid('pick from the listed options');
+        normalized.push({ question: question._id, choices });
+      } else {
+        const text = answer.text.trim();
+        if (text.length > MAX_TEXT) throw invalid(`keep it under ${MAX_TEXT} characters`);
+        normalized.push({ question: question._id, text });
+      }
+    }
+
+    if (byQuestion.size > 0) {
+      throw new AppError('Some answers are for questions not on this form', 400, 'INVALID_FEEDBACK_ANSWER');
+    }
+    return normalized;
+  }
+
+  /**
+   * Record an attendee's response and refresh the event and club ratings
+   */
+  async submit(eventId, userId, { rating, comment, answers }) {
+    const event = await Event.findById(eventId);
+    if (!event) {
+      throw new AppError('Event not found', 404, 'EVENT_NOT_FOUND');
+    }
+
+    const registration = event.registeredUsers.find(reg => reg.user.toString() === userId.toString());
+    const reason = this.ineligibility(event, registration);
+    if (reason) {
+      throw reason;
+    }
+
+    const feedback = {
+      rating,
+      comment: comment?.trim() || undefined,
+      answers: this.normalizeAnswers(event.feedbackForm, answers),
+      submittedAt: new Date()
+    };
+
+    // Claimed on the unanswered registration so a double submit counts once
+    const result = await Event.updateOne(
+      {
+        _id: event._id,
+        registeredUsers: {
+          $elemMatch: { _id: registration._id, 'feedback.submittedAt': { $exists: false } }
+        }
+      },
+      { $set: { 'registeredUsers.$.feedback': feedback } }
+    );
+    if (result.modifiedCount === 0) {
+      throw new AppError('You have already given feedback for this event', 409, 'FEEDBACK_ALREADY_SUBMITTED');
+    }
+
+    const analytics = await this.refreshEventRating(event._id);
+    if (event.organizer.clubId) {
+      await this.refreshClubRating(event.organizer.clubId);
+    }
+
+    return { feedback, analytics };
+  }
+
+  /**
+   * Recompute the event's rating from the stored responses in one update,
+   * so concurrent submissions cannot overwrite each other's counts
+   */
+  async refreshEventRating(eventId) {
+    await Event.updateOne({ _id: eventId }, [{
+      $set: {
+        'analytics.totalRatings': { $size: '$registeredUsers.feedback.rating' },
+        'analytics.averageRating': { $round: [{ $avg: '$registeredUsers.feedback.rating' }, 2] }
+      }
+    }]);
+
+    const event = await Event.findById(eventId).select('analytics');
+    return { averageRating: event.analytics.averageRating, totalRatings: event.analytics.totalRatings };
+  }
+
+  /**
+   * A club's rating is over every response to any of its events
+   */
+  async refreshClubRating(clubId) {
+    const [totals] = await Event.aggregate([
+      { $match: { 'organizer.clubId': clubId, 'analytics.totalRatings': { $gt: 0 } } },
+      {
+        $group: {
+          _id: null,
+          weighted: { $sum: { $multiply: ['$analytics.averageRating', '$analytics.totalRatings'] } },
+          count: { $sum: '$analytics.totalRatings' }
+        }
+      }
+    ]);
+
+    const totalRatings = totals?.count || 0;
+    const averageRating = totalRatings > 0 ? Math.round((totals.weighted / totalRatings) * 100) / 100 : 0;
+
+    await Club.updateOne(
+      { _id: clubId },
+      { $set: { 'statistics.averageRating': averageRating, 'statistics.totalRatings': totalRatings } }
+    );
+    return { averageRating, totalRatings };
+  }
+
+  /**
+   * Rating spread, per-question breakdowns and free-text answers
+   */
+  buildReport(event) {
+    const responses = event.registeredUsers
+      .filter(reg => reg.feedback?.submittedAt)
+      .map(reg => reg.feedback);
+    const attended = event.registeredUsers.filter(reg => reg.attendanceStatus === 'attended').length;
+
+    const distribution = (ratings) => [1, 2, 3, 4, 5].reduce((counts, value) => {
+      counts[value] = ratings.filter(rating => rating === value).length;
+      return counts;
+    }, {});
+    const average = (ratings) => ratings.length
+      ? Math.round((ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length) * 100) / 100
+      : null;
+
+    const overall = responses.map(response => response.rating);
+    const answersFor = (question) => responses
+      .map(response => (response.answers || []).find(answer => answer.question?.toString() === question._id.toString()))
+      .filter(Boolean);
+
+    const questions = (event.feedbackForm?.questions || []).map(question => {
+      const answers = answersFor(question);
+      const summary = { id: question._id, type: question.type, prompt: question.prompt, answered: answers.length };
+
+      if (question.type === 'rating') {
+        const ratings = answers.map(answer => answer.rating);
+        return { ...summary, averageRating: average(ratings), distribution: distribution(ratings) };
+      }
+      if (question.type === 'choice') {
+        const counts = question.options.reduce((all, option) => ({ ...all, [option]: 0 }), {});
+        answers.forEach(answer => answer.choices.forEach(choice => {
+          counts[choice] = (counts[choice] || 0) + 1;
+        }));
+        return { ...summary, counts };
+      }
+      return { ...summary, responses: answers.map(answer => answer.text) };
+    });
+
+    return {
+      eventId: event._id,
+      title: event.title,
+      window: this.getWindow(event),
+      responses: responses.length,
+      attended,
+      responseRate: attended > 0 ? Math.round((responses.length / attended) * 10000) / 100 : 0,
+      averageRating: average(overall),
+      distribution: distribution(overall),
+      comments: responses.filter(response => response.comment).map(response => response.comment),
+      questions
+    };
+  }
+
+  /**
+   * One row per response, one column per question
+   */
+  buildCsv(event) {
+    const questions = event.feedbackForm?.questions || [];
+    const header = ['Submitted At', 'Overall Rating', 'Comment', ...questions.map(question => question.prompt)];
+    const lines = [header.map(field => this.csvField(field)).join(',')];
+
+    event.registeredUsers
+      .filter(reg => reg.feedback?.submittedAt)
+      .sort((a, b) => a.feedback.submittedAt - b.feedback.submittedAt)
+      .forEach(reg => {
+        const { feedback } = reg;
+        const cells = questions.map(question => {
+          const answer = (feedback.answers || []).find(item => item.question?.toString() === question._id.toString());
+          if (!answer) return '';
+          if (question.type === 'rating') return answer.rating;
+          if (question.type === 'choice') return answer.choices.join('; ');
+          return answer.text;
+        });
+
+        lines.push([
+          new Date(feedback.submittedAt).toISOString(),
+          feedback.rating,
+          feedback.comment,
+          ...cells
+        ].map(field => this.csvField(field)).join(','));
+      });
+
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+module.exports = new FeedbackService();
@@ -0,0 +1,331 @@
+const WalletHold = require('../models/WalletHold');
+const Wallet = require('../models/Wallet');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const Order = require('../models/Order');
+const OfflineToken = require('../models/OfflineToken');
+const Merchant = require('../models/Merchant');
+const Transaction = require('../models/Transaction');
+const ledgerService = require('./ledgerService');
+const rewardService = require('./rewardService');
+const loyaltyService = require('./loyaltyService');
+const catalogService = require('./catalogService');
+const { generateTransactionId } = require('../utils/helpers');
+const { AppError, InsufficientFundsError } = require('../middleware/errorHandler');
+
+const DEFAULT_TTL_HOURS = parseFloat(process.env.HOLD_DEFAULT_TTL_HOURS) || 72;
+
+/**
+ * Authorization holds on student wallets
+ *
+ * Features:
+ * - Reserve funds against the available balance without moving them
+ * - Capture all or part of a hold; the rest is released in the same step
+ * - Void on rejection or cancellation, and expiry for holds nobody acted on
+ * - Pre-order holds capture as merchant payments; event holds capture into
+ *   event collections
+ */
+
+class HoldService {
+  /**
+   * Reserve amount on the user's wallet. The caller checks spending limits;
+   * this only guarantees the funds are there and stay there.
+   */
+  async place({ userId, amount, purpose, merchantId, eventId, description, reference, expiresAt, metadata, session = null }) {
+    const holdAmount = ledgerService.roundAmount(amount);
+    if (!(holdAmount > 0)) {
+      throw new AppError('Hold amount must be positive', 400, 'INVALID_HOLD_AMOUNT');
+    }
+
+    const expiry = expiresAt ? new Date(expiresAt) : new Date(Date.now() + DEFAULT_TTL_HOURS * 60 * 60 * 1000);
+    if (expiry <= new Date()) {
+      throw new AppError('Hold must expire in the future', 400, 'INVALID_HOLD_EXPIRY');
+    }
+
+    return ledgerService.runInTransaction(async (activeSession) => {
+      const wallet = await Wallet.createWallet(userId, { session: activeSession });
+
+      const reserved = await Wallet.findOneAndUpdate(
+        {
+          _id: wallet._id,
+          isActive: true,
+          status: 'ACTIVE',
+          $expr: { $gte: [{ $subtract: ['$balance', { $ifNull: ['$heldAmount', 0] }] }, holdAmount] }
+        },
+        { $inc: { heldAmount: holdAmount } },
+        { new: true, session: activeSession }
+      );
+
+      if (!reserved) {
+        if (!wallet.canTransact()) {
+          throw new AppError('Wallet cannot be used right now', 400, 'WALLET_UNAVAILABLE');
+        }
+        throw new InsufficientFundsError('Insufficient wallet balance', wallet.availableBalance, holdAmount);
+      }
+
+      await User.updateOne({ _id: userId }, { $inc: { heldBalance: holdAmount } }, { session: activeSession });
+
+      const [hold] = await WalletHold.create([{
+        holdId: generateTransactionId('HLD'),
+        userId,
+        walletId: wallet._id,
+        amount: holdAmount,
+        currency: wallet.currency,
+        purpose,
+        merchantId,
+        eventId,
+        description,
+        reference,
+        expiresAt: expiry,
+        metadata
+      }], { session: activeSession });
+
+      return hold;
+    }, session);
+  }
+
+  /**
+   * Capture up to the held amount and release the rest. post(session, hold,
+   * amount) posts the journal and returns the transaction it created.
+   */
+  async capture(holdId, { amount, post, session = null }) {
+    return ledgerService.runInTransaction(async (activeSession) => {
+      const hold = await WalletHold.findById(holdId).session(activeSession);
+      if (!hold) {
+        throw new AppError('Hold not found', 404, 'HOLD_NOT_FOUND');
+      }
+
+      const captureAmount = amount === undefined ? hold.amount : ledgerService.roundAmount(amount);
+      if (!(captureAmount > 0) || captureAmount > hold.amount) {
+        throw new AppError(`Capture amount must be between 0.01 and ${hold.amount}`, 400, 'INVALID_CAPTURE_AMOUNT');
+      }
+
+      const claimed = await WalletHold.findOneAndUpdate(
+        { _id: hold._id, status: 'HELD', expiresAt: { $gt: new Date() } },
+        { $set: { status: 'CAPTURED', capturedAmount: captureAmount, capturedAt: new Date() } },
+        { new: true, session: activeSession }
+      );
+      if (!claimed) {
+        throw this.notOpenError(hold);
+      }
+
+      // Free the reservation first so the capture can debit those funds
+      await this.releaseFunds(claimed, activeSession);
+
+      const transaction = await post(activeSession, claimed, captureAmount);
+
+      claimed.captureTransactionId = transaction._id;
+      await claimed.save({ session: activeSession });
+
+      const user = await User.findById(claimed.userId).session(activeSession);
+      user.resetDailySpentIfNeeded();
+      user.dailySpentAmount += captureAmount;
+      user.totalSpent += captureAmount;
+      await user.save({ session: activeSession });
+
+      return { hold: claimed, transaction };
+    }, session);
+  }
+
+  /**
+   * Capture a pre-order hold as a wallet payment to the merchant, then run
+   * the same post-payment hooks as a checkout (metrics, loyalty, cashback).
+   * Inside a caller's session the hooks are left to the caller, who runs
+   * afterCapture once that session commits.
+   */
+  async captureForMerchant(holdId, merchant, { amount, description, lineItems, io = null, session = null } = {}) {
+    const hold = await WalletHold.findOne({ _id: holdId, merchantId: merchant._id }).session(session);
+    if (!hold) {
+      throw new AppError('Hold not found', 404, 'HOLD_NOT_FOUND');
+    }
+
+    const { hold: captured, transaction } = await this.capture(hold._id, {
+      amount,
+      session,
+      post: async (session, claimed, captureAmount) => {
+        const commission = ledgerService.roundAmount(captureAmount * merchant.commissionRate);
+        const [payerWallet, merchantWallet, revenueWallet] = await Promise.all([
+          Wallet.findById(claimed.walletId).session(session),
+          Wallet.getMerchantWallet(merchant._id, { session }),
+          Wallet.getSystemWallet('PLATFORM_REVENUE', { session })
+        ]);
+
+        const payment = new Transaction({
+          transactionId: generateTransactionId(),
+          userId: claimed.userId,
+          walletId: payerWallet._id,
+          amount: captureAmount,
+          currency: payerWallet.currency,
+          type: 'DEBIT',
+          category: 'PAYMENT',
+          paymentMethod: 'WALLET',
+          description: description || claimed.description || `Pre-order at ${merchant.name}`,
+          status: 'COMPLETED',
+          balanceBefore: payerWallet.balance,
+          balanceAfter: payerWallet.balance,
+          lineItems,
+          fees: {
+            amount: commission,
+            type: 'PERCENTAGE',
+            description: 'Merchant commission'
+          },
+          metadata: {
+            merchantId: merchant._id,
+            holdId: claimed._id
+          }
+        });
+
+        await ledgerService.postJournal({
+          lines: ledgerService.paymentLines({
+            payerWallet,
+            payeeWallet: merchantWallet,
+            revenueWallet,
+            amount: captureAmount,
+            commission,
+            description: payment.description
+          }),
+          transactions: [payment],
+          description: payment.description,
+          session
+        });
+
+        return payment;
+      }
+    });
+
+    if (session) {
+      return { hold: captured, transaction };
+    }
+
+    return {
+      hold: await WalletHold.findById(hold._id),
+      transaction,
+      ...(await this.afterCapture(transaction, merchant, io))
+    };
+  }
+
+  /**
+   * Post-payment hooks for a committed merchant capture
+   */
+  async afterCapture(transaction, merchant, io = null) {
+    // The capture has committed; metrics are best effort from here
+    try {
+      await merchant.updateMetrics(transaction.amount);
+    } catch (error) {
+      console.error(`Merchant metrics error for ${transaction.transactionId}:`, error);
+    }
+    const loyalty = await loyaltyService.accrue(transaction, merchant);
+    const rewards = await rewardService.applyFor(transaction, { merchant, io });
+
+    return { loyalty, rewards };
+  }
+
+  /**
+   * Release a hold without charging anything
+   */
+  async void(holdId, { reason, status = 'VOIDED', session = null } = {}) {
+    return ledgerService.runInTransaction(async (activeSession) => {
+      const released = await WalletHold.findOneAndUpdate(
+        { _id: holdId, status: 'HELD' },
+        { $set: { status, voidReason: reason } },
+        { new: true, session: activeSession }
+      );
+
+      if (!released) {
+        const hold = await WalletHold.findById(holdId).session(activeSession);
+        if (!hold) throw new AppError('Hold not found', 404, 'HOLD_NOT_FOUND');
+        throw this.notOpenError(hold);
+      }
+
+      await this.releaseFunds(released, activeSession);
+      return released;
+    }, session);
+  }
+
+  /**
+   * Expire every hold past its expiry. A pending event registration whose
+   * hold lapsed is dropped so the spot goes back on sale, a canteen order
+   * nobody accepted is cancelled and an unsynced offline token is closed.
+   */
+  async expireDue(at = new Date()) {
+    const due = await WalletHold.find({ status: 'HELD', expiresAt: { $lte: at } }).select('_id');
+    const summary = { expired: 0, registrationsDropped: 0, ordersCancelled: 0, offlineTokensExpired: 0, errors: [] };
+
+    for (const { _id } of due) {
+      try {
+        const hold = await this.void(_id, { reason: 'Hold expired', status: 'EXPIRED' });
+        summary.expired += 1;
+
+        if (hold.purpose === 'EVENT_REGISTRATION' && hold.eventId) {
+          const dropped = await Event.updateOne(
+            { _id: hold.eventId, registeredUsers: { $elemMatch: { holdId: hold._id, approvalStatus: 'pending' } } },
+            { $pull: { registeredUsers: { holdId: hold._id } }, $inc: { currentParticipants: -1 } }
+          );
+          summary.registrationsDropped += dropped.modifiedCount;
+        }
+
+        if (hold.purpose === 'PRE_ORDER') {
+          const note = 'Not accepted before the pickup slot ended';
+          const cancelled = await Order.findOneAndUpdate(
+            { holdId: hold._id, status: 'PLACED' },
+            {
+              $set: { status: 'CANCELLED', cancelReason: note },
+              $push: { statusHistory: { status: 'CANCELLED', at: new Date(), note } }
+            },
+            { new: true }
+          );
+          if (cancelled) {
+            summary.ordersCancelled += 1;
+            const merchant = await Merchant.findById(cancelled.merchantId).select('features');
+            if (merchant?.features?.hasInventory) {
+              await catalogService.restoreStock(cancelled.items);
+            }
+          }
+        }
+
+        if (hold.purpose === 'OFFLINE_PAYMENT') {
+          const closed = await OfflineToken.updateOne({ holdId: hold._id, status: 'ISSUED' }, { $set: { status: 'EXPIRED' } });
+          summary.offlineTokensExpired += closed.modifiedCount;
+        }
+      } catch (error) {
+        // Captured or voided since the query ran
+        if (error.errorCode === 'HOLD_NOT_OPEN') continue;
+        summary.errors.push({ holdId: _id, error: error.message });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Give a hold's reservation back to the wallet and its user mirror
+   */
+  async releaseFunds(hold, session) {
+    await Wallet.updateOne({ _id: hold.walletId }, { $inc: { heldAmount: -hold.amount } }, { session });
+    await User.updateOne({ _id: hold.userId }, { $inc: { heldBalance: -hold.amount } }, { session });
+    await WalletHold.updateOne({ _id: hold._id }, { $set: { releasedAt: new Date() } }, { session });
+  }
+
+  notOpenError(hold) {
+    if (hold.status === 'HELD' && hold.expiresAt <= new Date()) {
+      return new AppError('This hold has expired', 409, 'HOLD_EXPIRED');
+    }
+    return new AppError(`This hold is already ${hold.status.toLowerCase()}`, 409, 'HOLD_NOT_OPEN');
+  }
+
+  /**
+   * Holds visible to a student, newest first
+   */
+  async getUserHolds(userId, { status } = {}) {
+    const filter = { userId };
+    if (status) filter.status = status;
+
+    return WalletHold.find(filter)
+      .populate('merchantId', 'name category')
+      .populate('eventId', 'title startDate')
+      .sort({ createdAt: -1 })
+      .limit(100);
+  }
+}
+
+module.exports = new HoldService();
@@ -0,0 +1,532 @@
+const mongoose = require('mongoose');
+const Wallet = require('../models/Wallet');
+const LedgerEntry = require('../models/LedgerEntry');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const { generateTransactionId } = require('../utils/helpers');
+const { AppError, InsufficientFundsError, WalletError, TransactionError } = require('../middleware/errorHandler');
+
+/**
+ * Double-entry ledger for Hackspree wallets
+ *
+ * Features:
+ * - Balanced journals: every posting debits and credits the same amount
+ * - Wallet balances cached from entries inside the same Mongo session
+ * - User.walletBalance kept as a mirror of the user's wallet
+ * - Reversing journals for refunds and corrections
+ * - Per-wallet verification and a platform-wide trial balance
+ */
+
+// Amounts are stored in currency units; anything below half a cent is noise
+const TOLERANCE = 0.005;
+
+class LedgerService {
+  /**
+   * Round an amount to two decimals
+   */
+  roundAmount(amount) {
+    return Math.round((Number(amount) + Number.EPSILON) * 100) / 100;
+  }
+
+  /**
+   * Run work inside a Mongo transaction, reusing the caller's session if given
+   */
+  async runInTransaction(work, session = null) {
+    if (session) {
+      return work(session);
+    }
+
+    const ownSession = await mongoose.startSession();
+    try {
+      let result;
+      await ownSession.withTransaction(async () => {
+        result = await work(ownSession);
+      });
+      return result;
+    } finally {
+      await ownSession.endSession();
+    }
+  }
+
+  /**
+   * Lines for a wallet top-up funded through Square
+   */
+  topUpLines(userWallet, floatWallet, amount) {
+    return [
+      { wallet: floatWallet, direction: 'DEBIT', amount, description: 'Top-up funds received' },
+      { wallet: userWallet, direction: 'CREDIT', amount, description: 'Wallet top-up' }
+    ];
+  }
+
+  /**
+   * Lines for a payment; the commission goes to platform revenue and a
+   * platform-funded discount (subsidy) is paid to the payee from promotions
+   */
+  paymentLines({ payerWallet, payeeWallet, revenueWallet, promotionsWallet, amount, commission = 0, subsidy = 0, description }) {
+    const fee = this.roundAmount(commission);
+    const support = this.roundAmount(subsidy);
+    const lines = [
+      { wallet: payerWallet, direction: 'DEBIT', amount, description },
+      { wallet: payeeWallet, direction: 'CREDIT', amount: this.roundAmount(amount + support - fee), description }
+    ];
+
+    if (support > 0) {
+      lines.push({ wallet: promotionsWallet, direction: 'DEBIT', amount: support, description: 'Platform-funded discount' });
+    }
+
+    if (fee > 0) {
+      lines.push({ wallet: revenueWallet, direction: 'CREDIT', amount: fee, description: 'Platform commission' });
+    }
+
+    return lines;
+  }
+
+  /**
+   * Lines for a wallet-to-wallet transfer
+   */
+  transferLines(fromWallet, toWallet, amount, description) {
+    return [
+      { wallet: fromWallet, direction: 'DEBIT', amount, description },
+      { wallet: toWallet, direction: 'CREDIT', amount, description }
+    ];
+  }
+
+  /**
+   * Lines for a merchant settlement paid out of the platform's bank float
+   */
+  payoutLines(merchantWallet, floatWallet, amount, description) {
+    return [
+      { wallet: merchantWallet, direction: 'DEBIT', amount, description },
+      { wallet: floatWallet, direction: 'CREDIT', amount, description: 'Merchant settlement paid out' }
+    ];
+  }
+
+  /**
+   * Lines for cashback or a bonus paid for by the platform
+   */
+  rewardLines(promotionsWallet, userWallet, amount, description) {
+    return [
+      { wallet: promotionsWallet, direction: 'DEBIT', amount, description: 'Promotion spend' },
+      { wallet: userWallet, direction: 'CREDIT', amount, description }
+    ];
+  }
+
+  /**
+   * Post a balanced journal and update the cached wallet balances.
+   *
+   * Transactions passed in get balanceBefore/balanceAfter from the line that
+   * touches their walletId, plus the journal reference, and are saved in the
+   * same session.
+   */
+  async postJournal({ lines, transactions = [], description, reversalOf, session = null }) {
+    const normalized = (lines || []).map(line => ({
+      ...line,
+      walletId: line.wallet ? line.wallet._id : line.walletId,
+      amount: this.roundAmount(line.amount)
+    }));
+
+    this.assertBalanced(normalized);
+
+    return this.runInTransaction(async (activeSession) => {
+      const journalId = generateTransactionId('JRN');
+      const postedAt = new Date();
+      const movements = new Map();
+      const entries = [];
+
+      for (const line of normalized) {
+        const wallet = await this.applyLine(line, postedAt, activeSession);
+        const key = wallet._id.toString();
+        const after = this.roundAmount(wallet.balance);
+        const before = this.roundAmount(after - this.signedAmount(wallet, line));
+
+        if (!movements.has(key)) {
+          movements.set(key, { wallet, before, after });
+        } else {
+          movements.get(key).after = after;
+        }
+
+        const transaction = transactions.find(txn => txn.walletId && txn.walletId.toString() === key)
+          || transactions[0];
+
+        entries.push({
+          journalId,
+          transactionId: transaction ? transaction._id : undefined,
+          walletId: wallet._id,
+          accountType: wallet.accountType,
+          direction: line.direction,
+          amount: line.amount,
+          currency: wallet.currency,
+          balanceAfter: after,
+          description: line.description || description,
+          reversalOf,
+          postedAt
+        });
+      }
+
+      await LedgerEntry.insertMany(entries, { session: activeSession });
+
+      for (const { wallet, after } of movements.values()) {
+        if (wallet.accountType === 'USER' && wallet.userId) {
+          await User.updateOne(
+            { _id: wallet.userId },
+            { $set: { walletBalance: after } },
+            { session: activeSession }
+          );
+        }
+      }
+
+      for (const transaction of transactions) {
+        const movement = movements.get(transaction.walletId.toString());
+        if (movement) {
+          transaction.balanceBefore = movement.before;
+          transaction.balanceAfter = movement.after;
+        }
+        transaction.ledger = { journalId, postedAt };
+        await transaction.save({ session: activeSession });
+      }
+
+      return {
+        journalId,
+        postedAt,
+        entries,
+        balances: Object.fromEntries(
+          [...movements.entries()].map(([key, { before, after }]) => [key, { before, after }])
+        )
+      };
+    }, session);
+  }
+
+  /**
+   * Credit a Square top-up to its wallet (Dr platform float, Cr user wallet)
+   * and mark it COMPLETED. Both the API and the webhook call this; a
+   * transaction that is already posted is left alone and null is returned.
+   */
+  async postTopUp(transactionObjectId, updates = {}, { session = null } = {}) {
+    return this.runInTransaction(async (activeSession) => {
+      const transaction = await Transaction.findById(transactionObjectId).session(activeSession);
+      if (!transaction || transaction.category !== 'TOP_UP') {
+        throw new TransactionError('Top-up transaction not found', transactionObjectId);
+      }
+
+      if (transaction.ledger && transaction.ledger.journalId) {
+        return null;
+      }
+
+      transaction.set(updates);
+      transaction.status = 'COMPLETED';
+      transaction.errorCode = undefined;
+      transaction.errorMessage = undefined;
+
+      const [wallet, floatWallet] = await Promise.all([
+        Wallet.findById(transaction.walletId).session(activeSession),
+        Wallet.getSystemWallet('PLATFORM_FLOAT', { session: activeSession })
+      ]);
+
+      const posting = await this.postJournal({
+        lines: this.topUpLines(wallet, floatWallet, transaction.amount),
+        transactions: [transaction],
+        description: transaction.description,
+        session: activeSession
+      });
+
+      return { ...posting, transaction };
+    }, session);
+  }
+
+  /**
+   * Post the mirror image of an earlier journal, optionally for a fraction
+   * of it (partial refunds). Rounding differences are absorbed by the last
+   * line on the heavier side so the reversal stays balanced.
+   */
+  async reverseJournal(journalId, { ratio = 1, transactions = [], description, session = null } = {}) {
+    const original = await LedgerEntry.find({ journalId }).session(session);
+    if (original.length === 0) {
+      throw new AppError('Journal not found', 404, 'JOURNAL_NOT_FOUND');
+    }
+
+    const lines = original.map(entry => ({
+      walletId: entry.walletId,
+      direction: entry.direction === 'DEBIT' ? 'CREDIT' : 'DEBIT',
+      amount: this.roundAmount(entry.amount * ratio),
+      description: description || `Reversal of ${journalId}`
+    })).filter(line => line.amount > 0);
+
+    const debits = this.sumLines(lines, 'DEBIT');
+    const credits = this.sumLines(lines, 'CREDIT');
+    const difference = this.roundAmount(debits - credits);
+    if (difference !== 0) {
+      const side = difference > 0 ? 'DEBIT' : 'CREDIT';
+      const adjustable = lines.filter(line => line.direction === side).pop();
+      adjustable.amount = this.roundAmount(adjustable.amount - Math.abs(difference));
+    }
+
+    return this.postJournal({ lines, transactions, description, reversalOf: journalId, session });
+  }
+
+  /**
+   * Ensure a set of lines is postable and balanced
+   */
+  assertBalanced(lines) {
+    if (lines.length < 2) {
+      throw new AppError('A journal needs at least two lines', 400, 'UNBALANCED_JOURNAL');
+    }
+
+    lines.forEach(line => {
+      if (!line.walletId || !['DEBIT', 'CREDIT'].includes(line.direction) || !(line.amount > 0)) {
+        throw new AppError('Invalid journal line', 400, 'INVALID_JOURNAL_LINE');
+      }
+    });
+
+    const debits = this.sumLines(lines, 'DEBIT');
+    const credits = this.sumLines(lines, 'CREDIT');
+    if (Math.abs(debits - credits) > TOLERANCE) {
+      throw new AppError(
+        `Journal is unbalanced: debits ${debits} != credits ${credits}`,
+        400,
+        'UNBALANCED_JOURNAL'
+      );
+    }
+  }
+
+  /**
+   * Sum the amounts on one side of a journal
+   */
+  sumLines(lines, direction) {
+    return this.roundAmount(
+      lines.filter(line => line.direction === direction).reduce((sum, line) => sum + line.amount, 0)
+    );
+  }
+
+  /**
+   * Signed effect of a line on a wallet's balance
+   */
+  signedAmount(wallet, line) {
+    return line.direction === wallet.normalBalance ? line.amount : -line.amount;
+  }
+
+  /**
+   * Apply one line to its wallet. User and merchant wallets can never be
+   * overdrawn or dip into funds reserved by holds, so the balance check and
+   * the decrement are a single update.
+   */
+  async applyLine(line, postedAt, session) {
+    const wallet = line.wallet || await Wallet.findById(line.walletId).session(session);
+    if (!wallet) {
+      throw new WalletError('Wallet not found', line.walletId);
+    }
+
+    const delta = this.signedAmount(wallet, line);
+    const filter = { _id: wallet._id };
+    const guarded = ['USER', 'MERCHANT'].includes(wallet.accountType);
+
+    if (guarded) {
+      filter.status = 'ACTIVE';
+      if (delta < 0) {
+        filter.$expr = {
+          $gte: [{ $subtract: ['$balance', { $ifNull: ['$heldAmount', 0] }] }, -delta - TOLERANCE]
+        };
+      }
+    }
+
+    const updated = await Wallet.findOneAndUpdate(
+      filter,
+      {
+        $inc: {
+          balance: delta,
+          'ledger.entryCount': 1,
+          'ledger.totalDebits': line.direction === 'DEBIT' ? line.amount : 0,
+          'ledger.totalCredits': line.direction === 'CREDIT' ? line.amount : 0
+        },
+        $set: { 'ledger.lastEntryAt': postedAt }
+      },
+      { new: true, session }
+    );
+
+    if (!updated) {
+      const current = await Wallet.findById(wallet._id).session(session);
+      if (current && current.status !== 'ACTIVE') {
+        throw new WalletError(`Wallet is ${current.status.toLowerCase()}`, current.walletId);
+      }
+      throw new InsufficientFundsError(
+        'Insufficient wallet balance',
+        current ? current.availableBalance : 0,
+        line.amount
+      );
+    }
+
+    return updated;
+  }
+
+  /**
+   * Balance of a wallet derived purely from its ledger entries
+   */
+  async getDerivedBalance(wallet) {
+    const totals = await LedgerEntry.getWalletTotals(wallet._id);
+    const net = wallet.normalBalance === 'DEBIT'
+      ? totals.totalDebits - totals.totalCredits
+      : totals.totalCredits - totals.totalDebits;
+
+    return { ...totals, balance: this.roundAmount(net) };
+  }
+
+  /**
+   * Compare a wallet's cached balance with its ledger, optionally repairing it
+   */
+  async verifyWallet(walletId, { repair = false } = {}) {
+    const wallet = await Wallet.findById(walletId);
+    if (!wallet) {
+      throw new WalletError('Wallet not found', walletId);
+    }
+
+    const derived = await this.getDerivedBalance(wallet);
+    const cachedBalance = this.roundAmount(wallet.balance);
+    const difference = this.roundAmount(cachedBalance - derived.balance);
+    const inSync = Math.abs(difference) <= TOLERANCE;
+
+    const update = { 'ledger.lastVerifiedAt': new Date() };
+    if (repair && !inSync) {
+      update.balance = derived.balance;
+      update['ledger.entryCount'] = derived.entryCount;
+      update['ledger.totalDebits'] = derived.totalDebits;
+      update['ledger.totalCredits'] = derived.totalCredits;
+
+      if (wallet.accountType === 'USER' && wallet.userId) {
+        await User.updateOne({ _id: wallet.userId }, { $set: { walletBalance: derived.balance } });
+      }
+    }
+    await Wallet.updateOne({ _id: wallet._id }, { $set: update });
+
+    return {
+      walletId: wallet.walletId,
+      accountType: wallet.accountType,
+      cachedBalance,
+      derivedBalance: derived.balance,
+      difference,
+      inSync,
+      repaired: repair && !inSync
+    };
+  }
+
+  /**
+   * Trial balance across every account in the system.
+   *
+   * Proves two things: every journal balanced (total debits equal total
+   * credits), and what the platform holds (float plus promotions spent)
+   * equals what it owes (user wallets, merchant accounts, event collections
+   * and earned commission). Wallets whose cached balance drifted from their
+   * entries are listed.
+   */
+  async getTrialBalance() {
+    const [perWallet, unposted] = await Promise.all([
+      LedgerEntry.aggregate([
+        {
+          $group: {
+            _id: '$walletId',
+            totalDebits: { $sum: { $cond: [{ $eq: ['$direction', 'DEBIT'] }, '$amount', 0] } },
+            totalCredits: { $sum: { $cond: [{ $eq: ['$direction', 'CREDIT'] }, '$amount', 0] } }
+          }
+        },
+        {
+          $lookup: {
+            from: 'wallets',
+            localField: '_id',
+            foreignField: '_id',
+            as: 'wallet'
+          }
+        },
+        { $unwind: '$wallet' }
+      ]),
+      Wallet.find({ 'ledger.entryCount': 0, balance: { $ne: 0 } }).select('walletId accountType balance').lean()
+    ]);
+
+    const accounts = {};
+    const driftedWallets = [];
+    let totalDebits = 0;
+    let totalCredits = 0;
+
+    perWallet.forEach(row => {
+      const { wallet } = row;
+      const derived = wallet.normalBalance === 'DEBIT'
+        ? row.totalDebits - row.totalCredits
+        : row.totalCredits - row.totalDebits;
+
+      if (!accounts[wallet.accountType]) {
+        accounts[wallet.accountType] = {
+          normalBalance: wallet.normalBalance,
+          wallets: 0,
+          totalDebits: 0,
+          totalCredits: 0,
+          derivedBalance: 0,
+          cachedBalance: 0
+        };
+      }
+
+      const account = accounts[wallet.accountType];
+      account.wallets += 1;
+      account.totalDebits += row.totalDebits;
+      account.totalCredits += row.totalCredits;
+      account.derivedBalance += derived;
+      account.cachedBalance += wallet.balance;
+
+      totalDebits += row.totalDebits;
+      totalCredits += row.totalCredits;
+
+      if (Math.abs(wallet.balance - derived) > TOLERANCE) {
+        driftedWallets.push({
+          walletId: wallet.walletId,
+          accountType: wallet.accountType,
+          cachedBalance: this.roundAmount(wallet.balance),
+          derivedBalance: this.roundAmount(derived)
+        });
+      }
+    });
+
+    unposted.forEach(wallet => {
+      driftedWallets.push({
+        walletId: wallet.walletId,
+        accountType: wallet.accountType,
+        cachedBalance: this.roundAmount(wallet.balance),
+        derivedBalance: 0
+      });
+    });
+
+    let assets = 0;
+    let liabilities = 0;
+    Object.values(accounts).forEach(account => {
+      ['totalDebits', 'totalCredits', 'derivedBalance', 'cachedBalance'].forEach(field => {
+        account[field] = this.roundAmount(account[field]);
+      });
+      if (account.normalBalance === 'DEBIT') {
+        assets += account.derivedBalance;
+      } else {
+        liabilities += account.derivedBalance;
+      }
+    });
+
+    totalDebits = this.roundAmount(totalDebits);
+    totalCredits = this.roundAmount(totalCredits);
+    assets = this.roundAmount(assets);
+    liabilities = this.roundAmount(liabilities);
+
+    return {
+      generatedAt: new Date(),
+      balanced: Math.abs(totalDebits - totalCredits) <= TOLERANCE
+        && Math.abs(assets - liabilities) <= TOLERANCE
+        && driftedWallets.length === 0,
+      totals: {
+        totalDebits,
+        totalCredits,
+        difference: this.roundAmount(totalDebits - totalCredits)
+      },
+      equation: {
+        debitNormal: assets,
+        creditNormal: liabilities,
+        difference: this.roundAmount(assets - liabilities)
+      },
+      accounts,
+      driftedWallets
+    };
+  }
+}
+
+module.exports = new LedgerService();
@@ -0,0 +1,324 @@
+const LoyaltyAccount = require('../models/LoyaltyAccount');
+const Transaction = require('../models/Transaction');
+const ledgerService = require('./ledgerService');
+const { AppError } = require('../middleware/errorHandler');
+
+// Wallet payments always move something; a discount never takes the bill to zero
+const MIN_CHARGE = 0.01;
+
+/**
+ * Merchant loyalty programs
+ *
+ * Features:
+ * - Stamp cards ("10th coffee free") and points earned per unit spent
+ * - Points and stamps accrue on every wallet payment to the merchant
+ * - Redemption at checkout as a merchant-funded discount on the payment
+ * - Balances kept per student and merchant in LoyaltyAccount
+ * - Earnings taken back in proportion when the payment is refunded
+ */
+
+class LoyaltyService {
+  /**
+   * The merchant's program, or null if loyalty is switched off
+   */
+  getProgram(merchant) {
+    const program = merchant?.loyaltyProgram;
+    if (!merchant?.features?.supportsLoyalty || !program?.type) {
+      return null;
+    }
+    return program;
+  }
+
+  /**
+   * Check a program config before saving it on the merchant
+   */
+  validateProgram(program) {
+    if (program.type === 'STAMPS') {
+      if (!program.stampsRequired || !(program.stampRewardValue > 0)) {
+        throw new AppError('Stamp cards need stampsRequired and stampRewardValue', 400, 'INVALID_LOYALTY_PROGRAM');
+      }
+    } else if (program.type === 'POINTS') {
+      if (!(program.pointsPerUnit > 0) || !(program.pointValue > 0)) {
+        throw new AppError('Points programs need pointsPerUnit and pointValue', 400, 'INVALID_LOYALTY_PROGRAM');
+      }
+    } else {
+      throw new AppError('Program type must be STAMPS or POINTS', 400, 'INVALID_LOYALTY_PROGRAM');
+    }
+  }
+
+  /**
+   * Points or stamps a payment of this amount earns
+   */
+  calculateEarnings(program, amount) {
+    if (program.type === 'POINTS') {
+      return { points: Math.floor(amount * program.pointsPerUnit), stamps: 0 };
+    }
+    return { points: 0, stamps: amount >= (program.minPurchaseForStamp || 0) ? 1 : 0 };
+  }
+
+  /**
+   * Work out the discount for a redemption request against a bill.
+   * request is { points } for points programs or { stampReward: true }.
+   */
+  quoteRedemption(program, account, amount, request = {}) {
+    if (!program) {
+      throw new AppError('This merchant has no loyalty program', 400, 'LOYALTY_NOT_AVAILABLE');
+    }
+
+    const maxDiscount = ledgerService.roundAmount(amount - MIN_CHARGE);
+
+    if (program.type === 'STAMPS') {
+      if (!request.stampReward) {
+        throw new AppError('This merchant uses stamp cards', 400, 'INVALID_LOYALTY_REDEMPTION');
+      }
+      if (!account || account.rewardsAvailable < 1) {
+        throw new AppError('No completed stamp card to redeem', 400, 'NO_LOYALTY_REWARD');
+      }
+
+      const discount = Math.min(program.stampRewardValue, maxDiscount);
+      return { discount: ledgerService.roundAmount(discount), points: 0, stampRewards: 1 };
+    }
+
+    const requested = parseInt(request.points);
+    if (!(requested > 0)) {
+      throw new AppError('Points to redeem are required', 400, 'INVALID_LOYALTY_REDEMPTION');
+    }
+    if (requested < (program.minRedeemPoints || 0)) {
+      throw new AppError(`At least ${program.minRedeemPoints} points must be redeemed`, 400, 'LOYALTY_BELOW_MINIMUM');
+    }
+    if (!account || account.points < requested) {
+      throw new AppError('Not enough loyalty points', 400, 'INSUFFICIENT_LOYALTY_POINTS');
+    }
+
+    // Only use as many points as the bill allows
+    const cap = Math.min(amount * (program.maxRedeemPercent || 100) / 100, maxDiscount);
+    const points = Math.min(requested, Math.floor(cap / program.pointValue));
+    if (points < 1) {
+      throw new AppError('This bill is too small to redeem points against', 400, 'LOYALTY_BILL_TOO_SMALL');
+    }
+
+    return {
+      discount: ledgerService.roundAmount(points * program.pointValue),
+      points,
+      stampRewards: 0
+    };
+  }
+
+  /**
+   * Take the quoted points or stamp card off the account, inside the payment's
+   * Mongo transaction so a failed payment gives them back
+   */
+  async redeem({ userId, merchantId, quote, session }) {
+    const filter = { userId, merchantId };
+    if (quote.points) filter.points = { $gte: quote.points };
+    if (quote.stampRewards) filter.rewardsAvailable = { $gte: quote.stampRewards };
+
+    const account = await LoyaltyAccount.findOneAndUpdate(
+      filter,
+      {
+        $inc: {
+          points: -quote.points,
+          rewardsAvailable: -quote.stampRewards,
+          'lifetime.pointsRedeemed': quote.points,
+          'lifetime.rewardsRedeemed': quote.stampRewards,
+          'lifetime.discountReceived': quote.discount
+        },
+        $set: { lastRedeemedAt: new Date() }
+      },
+      { new: true, session }
+    );
+
+    if (!account) {
+      throw new AppError('Loyalty balance changed, please try again', 409, 'LOYALTY_BALANCE_CHANGED');
+    }
+
+    return account;
+  }
+
+  /**
+   * Credit what a completed payment earned. Runs after the payment has
+   * committed and never throws.
+   */
+  async accrue(transaction, merchant) {
+    const program = this.getProgram(merchant);
+    if (!program || transaction.category !== 'PAYMENT' || transaction.status !== 'COMPLETED') {
+      return null;
+    }
+
+    try {
+      const earned = this.calculateEarnings(program, transaction.amount);
+      if (!earned.points && !earned.stamps) {
+        return null;
+      }
+
+      const now = new Date();
+      let account = await LoyaltyAccount.findOneAndUpdate(
+        { userId: transaction.userId, merchantId: merchant._id },
+        {
+          $inc: {
+            points: earned.points,
+            stamps: earned.stamps,
+            'lifetime.pointsEarned': earned.points,
+            'lifetime.stampsEarned': earned.stamps
+          },
+          $set: { lastEarnedAt: now }
+        },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+
+      // Close the card once it is full; the guard keeps concurrent stamps from closing it twice
+      let rewardEarned = false;
+      if (program.type === 'STAMPS' && account.stamps >= program.stampsRequired) {
+        const closed = await LoyaltyAccount.findOneAndUpdate(
+          { _id: account._id, stamps: { $gte: program.stampsRequired } },
+          {
+            $inc: {
+              stamps: -program.stampsRequired,
+              rewardsAvailable: 1,
+              'lifetime.rewardsEarned': 1
+            }
+          },
+          { new: true }
+        );
+        if (closed) {
+          account = closed;
+          rewardEarned = true;
+        }
+      }
+
+      await Transaction.updateOne(
+        { _id: transaction._id },
+        { $set: { 'loyalty.pointsEarned': earned.points, 'loyalty.stampsEarned': earned.stamps } }
+      );
+
+      return { ...earned, rewardEarned, account };
+    } catch (error) {
+      console.error(`Loyalty accrual error for ${transaction.transactionId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Take back the share of a payment's points and stamps matching a refund
+   * or dispute reversal of ratio of it. Runs in the refund's session.
+   * Balances already spent stop at zero; lifetime totals drop in full.
+   */
+  async reverseEarnings(payment, ratio, session) {
+    const loyalty = payment.loyalty || {};
+    const share = (earned = 0, reversed = 0) => Math.min(Math.round(earned * ratio), earned - reversed);
+
+    const points = share(loyalty.pointsEarned, loyalty.pointsReversed);
+    const stamps = share(loyalty.stampsEarned, loyalty.stampsReversed);
+    if (!(points > 0) && !(stamps > 0)) {
+      return null;
+    }
+
+    const takeBack = (field, amount) => ({ $max: [0, { $subtract: [`$${field}`, amount] }] });
+
+    const account = await LoyaltyAccount.findOneAndUpdate(
+      { userId: payment.userId, merchantId: payment.metadata.merchantId },
+      [{
+        $set: {
+          points: takeBack('points', points),
+          stamps: takeBack('stamps', stamps),
+          'lifetime.pointsEarned': { $subtract: ['$lifetime.pointsEarned', points] },
+          'lifetime.stampsEarned': { $subtract: ['$lifetime.stampsEarned', stamps] }
+        }
+      }],
+      { new: true, session }
+    );
+
+    await Transaction.updateOne(
+      { _id: payment._id },
+      { $inc: { 'loyalty.pointsReversed': points, 'loyalty.stampsReversed': stamps } },
+      { session }
+    );
+
+    return { points, stamps, account };
+  }
+
+  /**
+   * A student's balances with every merchant they have earned with
+   */
+  async getUserAccounts(userId) {
+    const accounts = await LoyaltyAccount.find({ userId })
+      .populate('merchantId', 'name category features loyaltyProgram')
+      .sort({ lastEarnedAt: -1 });
+
+    return accounts
+      .filter(account => account.merchantId)
+      .map(account => this.summarize(account, account.merchantId));
+  }
+
+  /**
+   * Members and outstanding balances for a merchant's program
+   */
+  async getMerchantSummary(merchant) {
+    const [summary] = await LoyaltyAccount.aggregate([
+      { $match: { merchantId: merchant._id } },
+      {
+        $group: {
+          _id: null,
+          members: { $sum: 1 },
+          outstandingPoints: { $sum: '$points' },
+          outstandingRewards: { $sum: '$rewardsAvailable' },
+          pointsEarned: { $sum: '$lifetime.pointsEarned' },
+          pointsRedeemed: { $sum: '$lifetime.pointsRedeemed' },
+          rewardsEarned: { $sum: '$lifetime.rewardsEarned' },
+          rewardsRedeemed: { $sum: '$lifetime.rewardsRedeemed' },
+          discountGiven: { $sum: '$lifetime.discountReceived' }
+        }
+      }
+    ]);
+
+    const program = this.getProgram(merchant);
+    const totals = summary || {
+      members: 0,
+      outstandingPoints: 0,
+      outstandingRewards: 0,
+      pointsEarned: 0,
+      pointsRedeemed: 0,
+      rewardsEarned: 0,
+      rewardsRedeemed: 0,
+      discountGiven: 0
+    };
+    delete totals._id;
+
+    // What the merchant would give away if every balance were redeemed today
+    let outstandingValue = 0;
+    if (program?.type === 'POINTS') outstandingValue = totals.outstandingPoints * program.pointValue;
+    if (program?.type === 'STAMPS') outstandingValue = totals.outstandingRewards * program.stampRewardValue;
+
+    return {
+      ...totals,
+      discountGiven: ledgerService.roundAmount(totals.discountGiven),
+      outstandingValue: ledgerService.roundAmount(outstandingValue)
+    };
+  }
+
+  /**
+   * Balance plus what it is worth at the merchant right now
+   */
+  summarize(account, merchant) {
+    const program = this.getProgram(merchant);
+
+    return {
+      merchant: {
+        id: merchant._id,
+        name: merchant.name,
+        category: merchant.category
+      },
+      programType: program ? program.type : null,
+      active: Boolean(program),
+      points: account.points,
+      pointsValue: program?.type === 'POINTS' ? ledgerService.roundAmount(account.points * program.pointValue) : 0,
+      stamps: account.stamps,
+      stampsRequired: program?.type === 'STAMPS' ? program.stampsRequired : undefined,
+      rewardsAvailable: account.rewardsAvailable,
+      rewardValue: program?.type === 'STAMPS' ? program.stampRewardValue : undefined,
+      lastEarnedAt: account.lastEarnedAt
+    };
+  }
+}
+
+module.exports = new LoyaltyService();
@@ -0,0 +1,280 @@
+const OfflineToken = require('../models/OfflineToken');
+const OfflineSyncBatch = require('../models/OfflineSyncBatch');
+const WalletHold = require('../models/WalletHold');
+const ledgerService = require('./ledgerService');
+const holdService = require('./holdService');
+const EncryptionManager = require('../utils/encryption');
+const { generateTransactionId } = require('../utils/helpers');
+const { AppError } = require('../middleware/errorHandler');
+
+const TOKEN_TTL_HOURS = parseFloat(process.env.OFFLINE_TOKEN_TTL_HOURS) || 24;
+const SYNC_GRACE_HOURS = parseFloat(process.env.OFFLINE_SYNC_GRACE_HOURS) || 72;
+const MAX_CAP = parseFloat(process.env.OFFLINE_TOKEN_MAX_AMOUNT) || 500;
+const MAX_OUTSTANDING = parseInt(process.env.OFFLINE_TOKEN_MAX_OUTSTANDING) || 10;
+// Merchant device clocks are not trusted to the second
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const encryption = new EncryptionManager();
+
+/**
+ * Offline merchant payments
+ *
+ * Features:
+ * - Single-use tokens with an amount cap, signed with the offline Ed25519
+ *   key so a merchant device can check them with no connection
+ * - Each token's cap is held on the student's wallet until the merchant
+ *   syncs, and for a grace period after the token stops being accepted
+ * - Batch sync captures what was spent and releases the rest of the hold
+ * - Double spends, bad signatures, over-cap and late tokens are recorded on
+ *   the batch and flagged for review instead of failing the whole upload
+ */
+
+class OfflinePaymentService {
+  /**
+   * Issue count tokens of up to cap each, holding cap per token
+   */
+  async issueTokens(userId, { count, cap }) {
+    if (!encryption.signingPrivateKey) {
+      throw new AppError('Offline payments are not set up', 503, 'OFFLINE_NOT_CONFIGURED');
+    }
+
+    const tokenCap = ledgerService.roundAmount(cap);
+    if (tokenCap > MAX_CAP) {
+      throw new AppError(`Offline tokens are capped at ${MAX_CAP}`, 400, 'OFFLINE_CAP_TOO_HIGH');
+    }
+
+    const outstanding = await OfflineToken.countDocuments({ userId, status: 'ISSUED', expiresAt: { $gt: new Date() } });
+    if (outstanding + count > MAX_OUTSTANDING) {
+      throw new AppError(`You can carry at most ${MAX_OUTSTANDING} offline tokens`, 400, 'TOO_MANY_OFFLINE_TOKENS');
+    }
+
+    const expiresAt = new Date(Date.now() + TOKEN_TTL_HOURS * 60 * 60 * 1000);
+    const holdExpiresAt = new Date(expiresAt.getTime() + SYNC_GRACE_HOURS * 60 * 60 * 1000);
+
+    return ledgerService.runInTransaction(async (session) => {
+      const issued = [];
+      for (let i = 0; i < count; i++) {
+        const tokenId = generateTransactionId('OFT');
+        const hold = await holdService.place({
+          userId,
+          amount: tokenCap,
+          purpose: 'OFFLINE_PAYMENT',
+          description: 'Offline payment token',
+          reference: tokenId,
+          expiresAt: holdExpiresAt,
+          session
+        });
+
+        const [token] = await OfflineToken.create([{
+          tokenId,
+          userId,
+          walletId: hold.walletId,
+          holdId: hold._id,
+          cap: tokenCap,
+          currency: hold.currency,
+          expiresAt
+        }], { session });
+
+        issued.push({ token, encoded: this.encode(token) });
+      }
+      return issued;
+    });
+  }
+
+  /**
+   * Signed form shown as a QR: base64url JSON, a dot, then the signature
+   */
+  encode(token) {
+    const body = Buffer.from(JSON.stringify({
+      v: 1,
+      tid: token.tokenId,
+      uid: token.userId.toString(),
+      cap: token.cap,
+      cur: token.currency,
+      iat: Math.floor(token.createdAt ? token.createdAt.getTime() / 1000 : Date.now() / 1000),
+      exp: Math.floor(token.expiresAt.getTime() / 1000)
+    })).toString('base64url');
+
+    return `${body}.${encryption.signData(body)}`;
+  }
+
+  /**
+   * Check the signature and return the token's claims
+   */
+  verifyToken(encoded) {
+    const [body, signature] = String(encoded).split('.');
+    if (!body || !signature || !encryption.verifySignature(body, signature)) {
+      throw new AppError('Offline token signature is not valid', 400, 'INVALID_SIGNATURE');
+    }
+
+    try {
+      return JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new AppError('Offline token signature is not valid', 400, 'INVALID_SIGNATURE');
+    }
+  }
+
+  /**
+   * Void an unused token's hold. A token already handed to a merchant will
+   * be flagged when that merchant syncs.
+   */
+  async cancelToken(tokenId, userId) {
+    const token = await OfflineToken.findOneAndUpdate(
+      { tokenId, userId, status: 'ISSUED' },
+      { $set: { status: 'CANCELLED' } },
+      { new: true }
+    );
+
+    if (!token) {
+      const existing = await OfflineToken.findOne({ tokenId, userId });
+      if (!existing) {
+        throw new AppError('Offline token not found', 404, 'OFFLINE_TOKEN_NOT_FOUND');
+      }
+      throw new AppError(`This token is already ${existing.status.toLowerCase()}`, 409, 'OFFLINE_TOKEN_CLOSED');
+    }
+
+    await holdService.void(token.holdId, { reason: 'Offline token cancelled' });
+    return token;
+  }
+
+  /**
+   * Settle a merchant device's queue. Every item gets a result; nothing in
+   * one item stops the others.
+   */
+  async syncBatch(merchant, { items, deviceId, submittedBy, io = null }) {
+    const batch = new OfflineSyncBatch({
+      batchId: generateTransactionId('OFS'),
+      merchantId: merchant._id,
+      deviceId,
+      submittedBy
+    });
+    const transactions = [];
+
+    for (const item of items) {
+      const result = await this.settleItem(merchant, item, io);
+      if (result.transaction) {
+        transactions.push(result.transaction);
+      }
+      batch.items.push(result.item);
+    }
+
+    batch.counts = {
+      settled: batch.items.filter(item => item.status === 'SETTLED').length,
+      duplicate: batch.items.filter(item => item.status === 'DUPLICATE').length,
+      flagged: batch.items.filter(item => item.status === 'FLAGGED').length
+    };
+    batch.settledAmount = ledgerService.roundAmount(
+      transactions.reduce((sum, transaction) => sum + transaction.amount, 0)
+    );
+    await batch.save();
+
+    return { batch, transactions };
+  }
+
+  async settleItem(merchant, { token: encoded, amount, acceptedAt, reference }, io) {
+    const base = {
+      amount: ledgerService.roundAmount(amount),
+      acceptedAt: new Date(acceptedAt),
+      reference
+    };
+    const flag = (reason, extra = {}) => ({
+      item: { ...base, ...extra, status: 'FLAGGED', reason, review: { status: 'OPEN' } }
+    });
+
+    let claims;
+    try {
+      claims = this.verifyToken(encoded);
+    } catch (error) {
+      return flag('INVALID_SIGNATURE');
+    }
+    base.tokenId = claims.tid;
+
+    const token = await OfflineToken.findOne({ tokenId: claims.tid });
+    if (!token) {
+      return flag('UNKNOWN_TOKEN');
+    }
+
+    if (token.status === 'REDEEMED') {
+      // The device resending something it already synced
+      const resent = token.merchantId?.equals(merchant._id) &&
+        token.amount === base.amount &&
+        token.acceptedAt?.getTime() === base.acceptedAt.getTime();
+      if (resent) {
+        return { item: { ...base, status: 'DUPLICATE', transactionId: token.transactionId } };
+      }
+      return flag('DOUBLE_SPEND');
+    }
+
+    if (token.status === 'CANCELLED') return flag('TOKEN_CANCELLED');
+    if (base.amount > token.cap) return flag('OVER_CAP');
+    if (base.acceptedAt.getTime() > token.expiresAt.getTime() + CLOCK_SKEW_MS) return flag('TOKEN_EXPIRED');
+
+    let transaction;
+    try {
+      // The claim commits with the capture, so a failed capture leaves the
+      // token ISSUED for the device to resend
+      transaction = await ledgerService.runInTransaction(async (session) => {
+        // First sync to claim the token wins; the loser is a double spend
+        const claimed = await OfflineToken.findOneAndUpdate(
+          { _id: token._id, status: 'ISSUED' },
+          {
+            $set: {
+              status: 'REDEEMED',
+              merchantId: merchant._id,
+              amount: base.amount,
+              acceptedAt: base.acceptedAt,
+              syncedAt: new Date()
+            }
+          },
+          { new: true, session }
+        );
+        if (!claimed) {
+          throw new AppError('Offline token already redeemed', 409, 'DOUBLE_SPEND');
+        }
+
+        await WalletHold.updateOne(
+          { _id: token.holdId, merchantId: null },
+          { $set: { merchantId: merchant._id } },
+          { session }
+        );
+
+        const { transaction: payment } = await holdService.captureForMerchant(token.holdId, merchant, {
+          amount: base.amount,
+          description: reference
+            ? `Offline payment to ${merchant.name} (${reference})`
+            : `Offline payment to ${merchant.name}`,
+          session
+        });
+
+        claimed.transactionId = payment._id;
+        await claimed.save({ session });
+
+        return payment;
+      });
+    } catch (error) {
+      // Usually a hold that lapsed because the device synced too late
+      if (!error.isOperational) {
+        console.error(`Offline capture failed for ${token.tokenId}:`, error);
+      }
+      return flag(error.errorCode || 'CAPTURE_FAILED');
+    }
+
+    await holdService.afterCapture(transaction, merchant, io);
+
+    return { item: { ...base, status: 'SETTLED', transactionId: transaction._id }, transaction };
+  }
+
+  /**
+   * Limits a student's app shows before asking for tokens
+   */
+  getLimits() {
+    return {
+      maxCap: MAX_CAP,
+      maxOutstanding: MAX_OUTSTANDING,
+      ttlHours: TOKEN_TTL_HOURS,
+      publicKey: encryption.signingPublicKey || null
+    };
+  }
+}
+
+module.exports = new OfflinePaymentService();
@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const Merchant = require('../models/Merchant');
+const ledgerService = require('./ledgerService');
+const holdService = require('./holdService');
+const refundService = require('./refundService');
+const catalogService = require('./catalogService');
+const { generateTransactionId } = require('../utils/helpers');
+const { AppError } = require('../middleware/errorHandler');
+
+const MAX_ADVANCE_HOURS = parseFloat(process.env.PREORDER_MAX_ADVANCE_HOURS) || 24;
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const SLOT_DEFAULTS = { slotMinutes: 15, ordersPerSlot: 10, minLeadMinutes: 15 };
+
+/**
+ * Canteen pre-orders
+ *
+ * Features:
+ * - Pickup slots cut from the merchant's operating hours, with a per-slot cap
+ * - Orders priced from the merchant's catalog and paid by a wallet hold at
+ *   placement; tracked stock is taken at the same time
+ * - Acceptance captures the hold; rejection or a student cancel voids it
+ * - Cancelling an accepted order refunds the payment; stock goes back for
+ *   orders the kitchen had not started
+ * - Kitchen queue of active orders by pickup time
+ */
+
+class OrderService {
+  getSettings(merchant) {
+    return { ...SLOT_DEFAULTS, ...(merchant.toObject ? merchant.toObject().preOrderSettings : merchant.preOrderSettings) };
+  }
+
+  /**
+   * Slots for the calendar day of `day`, starting no earlier than the lead
+   * time from now. Hours are in server local time, as in Merchant.isOpenNow.
+   */
+  slotsForDay(merchant, day = new Date(), now = new Date()) {
+    const settings = this.getSettings(merchant);
+    const hours = merchant.operatingHours?.[DAYS[day.getDay()]];
+    if (!hours || hours.closed) {
+      return [];
+    }
+
+    const open = this.atTime(day, hours.open || '00:00').getTime();
+    const close = this.atTime(day, hours.close || '23:59').getTime();
+    const earliest = now.getTime() + settings.minLeadMinutes * 60 * 1000;
+    const length = settings.slotMinutes * 60 * 1000;
+
+    const slots = [];
+    for (let start = open; start + length <= close; start += length) {
+      if (start < earliest) continue;
+      slots.push({ start: new Date(start), end: new Date(start + length) });
+    }
+    return slots;
+  }
+
+  atTime(day, time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const at = new Date(day);
+    at.setHours(hours, minutes || 0, 0, 0);
+    return at;
+  }
+
+  /**
+   * Bookable slots for a day with the places left in each
+   */
+  async getPickupSlots(merchant, day = new Date(), now = new Date()) {
+    const slots = this.slotsForDay(merchant, day, now);
+    if (slots.length === 0) {
+      return [];
+    }
+
+    const booked = await Order.aggregate([
+      {
+        $match: {
+          merchantId: merchant._id,
+          status: { $nin: ['REJECTED', 'CANCELLED'] },
+          'pickupSlot.start': { $gte: slots[0].start, $lte: slots[slots.length - 1].start }
+        }
+      },
+      { $group: { _id: '$pickupSlot.start', count: { $sum: 1 } } }
+    ]);
+    const counts = new Map(booked.map(row => [row._id.getTime(), row.count]));
+    const { ordersPerSlot } = this.getSettings(merchant);
+
+    return slots.map(slot => {
+      const remaining = Math.max(0, ordersPerSlot - (counts.get(slot.start.getTime()) || 0));
+      return { ...slot, remaining, available: remaining > 0 };
+    });
+  }
+
+  /**
+   * The slot starting exactly at pickupAt, or an error if it is not one
+   */
+  resolveSlot(merchant, pickupAt, now = new Date()) {
+    const start = new Date(pickupAt);
+    if (start.getTime() - now.getTime() > MAX_ADVANCE_HOURS * 60 * 60 * 1000) {
+      throw new AppError(`Pre-orders can be placed up to ${MAX_ADVANCE_HOURS} hours ahead`, 400, 'PICKUP_TOO_FAR');
+    }
+
+    const slot = this.slotsForDay(merchant, start, now).find(candidate => candidate.start.getTime() === start.getTime());
+    if (!slot) {
+      throw new AppError('That pickup slot is not available', 400, 'INVALID_PICKUP_SLOT');
+    }
+    return slot;
+  }
+
+  /**
+   * Place a pre-order and hold its total on the student's wallet
+   */
+  async placeOrder({ userId, merchant, items, pickupAt, notes }) {
+    if (!merchant.features?.acceptsPreOrders) {
+      throw new AppError(`${merchant.name} does not take pre-orders`, 400, 'PREORDERS_NOT_SUPPORTED');
+    }
+
+    const slot = this.resolveSlot(merchant, pickupAt);
+    const booked = await Order.countDocuments({
+      merchantId: merchant._id,
+      'pickupSlot.start': slot.start,
+      status: { $nin: ['REJECTED', 'CANCELLED'] }
+    });
+    if (booked >= this.getSettings(merchant).ordersPerSlot) {
+      throw new AppError('That pickup slot is full, please pick another', 409, 'PICKUP_SLOT_FULL');
+    }
+
+    const priced = await catalogService.priceLines(merchant, items, slot.start);
+    const conversionRate = parseFloat(process.env.COLLEX_CONVERSION_RATE || 1);
+    const total = ledgerService.roundAmount(priced.subtotal * conversionRate);
+
+    const user = await User.findById(userId);
+    const spendingCheck = user.canSpend(total);
+    if (!spendingCheck.canSpend) {
+      throw spendingCheck.hasBalance
+        ? new AppError('Daily transaction limit exceeded', 400, 'DAILY_LIMIT_EXCEEDED')
+        : new AppError('Insufficient wallet balance', 400, 'INSUFFICIENT_BALANCE');
+    }
+
+    const orderId = generateTransactionId('ORD');
+
+    // A slot the merchant never accepted lets the hold lapse at its end
+    return ledgerService.runInTransaction(async (session) => {
+      const lowStock = merchant.features.hasInventory
+        ? await catalogService.reserveStock(priced.lineItems, session)
+        : [];
+
+      const hold = await holdService.place({
+        userId,
+        amount: total,
+        purpose: 'PRE_ORDER',
+        merchantId: merchant._id,
+        description: `Pre-order at ${merchant.name}`,
+        reference: orderId,
+        expiresAt: slot.end,
+        session
+      });
+
+      const [order] = await Order.create([{
+        orderId,
+        userId,
+        merchantId: merchant._id,
+        items: priced.lineItems,
+        subtotal: priced.subtotal,
+        total,
+        currency: hold.currency,
+        pickupSlot: slot,
+        pickupCode: this.generatePickupCode(),
+        notes,
+        holdId: hold._id,
+        statusHistory: [{ status: 'PLACED', by: userId }]
+      }], { session });
+
+      return { order, lowStock };
+    });
+  }
+
+  generatePickupCode() {
+    return crypto.randomInt(1000, 10000).toString();
+  }
+
+  /**
+   * Move an order along the kitchen flow on the merchant's behalf
+   */
+  async updateStatus(orderId, merchant, { status, note, pickupCode, actorId, io = null }) {
+    const order = await Order.findOne({ _id: orderId, merchantId: merchant._id });
+    if (!order) {
+      throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
+    }
+
+    if (!order.canMoveTo(status)) {
+      throw new AppError(`A ${order.status.toLowerCase()} order cannot be marked ${status.toLowerCase()}`, 409, 'INVALID_ORDER_TRANSITION');
+    }
+
+    if (status === 'COLLECTED' && pickupCode !== undefined && pickupCode !== order.pickupCode) {
+      throw new AppError('Pickup code does not match this order', 400, 'PICKUP_CODE_MISMATCH');
+    }
+
+    const history = { status, by: actorId, note };
+
+    if (status === 'ACCEPTED') {
+      const { transaction } = await holdService.captureForMerchant(order.holdId, merchant, {
+        description: `Pre-order ${order.orderId} at ${merchant.name}`,
+        lineItems: order.toObject().items,
+        io
+      });
+      const accepted = await this.claim(order, status, { transactionId: transaction._id }, history);
+      return { order: accepted, transaction };
+    }
+
+    if (status === 'REJECTED') {
+      await this.release(order, merchant, note || 'Rejected by merchant');
+      return { order: await this.claim(order, status, { cancelReason: note }, history) };
+    }
+
+    if (status === 'CANCELLED') {
+      // Claim first so a double submit cannot refund twice
+      const cancelled = await this.claim(order, status, { cancelReason: note }, history);
+      let refunded;
+      try {
+        refunded = await refundService.requestRefund({
+          merchant,
+          paymentId: order.transactionId,
+          reason: note || `Pre-order ${order.orderId} cancelled`,
+          requestedBy: actorId
+        });
+      } catch (error) {
+        await Order.updateOne(
+          { _id: order._id, status },
+          { $set: { status: order.status }, $pop: { statusHistory: 1 } }
+        );
+        throw error;
+      }
+
+      cancelled.refundTransactionId = refunded.refund._id;
+      await cancelled.save();
+
+      // Nothing has been cooked yet, so the stock is still on the shelf
+      if (order.status === 'ACCEPTED' && merchant.features.hasInventory) {
+        await catalogService.restoreStock(order.items);
+      }
+      return { order: cancelled, refund: refunded.refund, pendingApproval: refunded.pendingApproval };
+    }
+
+    return { order: await this.claim(order, status, {}, history) };
+  }
+
+  /**
+   * Student cancel, only before the merchant has accepted
+   */
+  async cancelByStudent(orderId, userId, reason) {
+    const order = await Order.findOne({ _id: orderId, userId });
+    if (!order) {
+      throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
+    }
+
+    if (order.status !== 'PLACED') {
+      throw new AppError('Only orders the canteen has not accepted yet can be cancelled', 409, 'ORDER_NOT_CANCELLABLE');
+    }
+
+    const cancelReason = reason || 'Cancelled by customer';
+    const merchant = await Merchant.findById(order.merchantId).select('features');
+    await this.release(order, merchant, cancelReason);
+    return this.claim(order, 'CANCELLED', { cancelReason }, { status: 'CANCELLED', by: userId, note: reason });
+  }
+
+  /**
+   * Void the hold of an order that was never accepted and put its stock back
+   */
+  async release(order, merchant, reason) {
+    await ledgerService.runInTransaction(async (session) => {
+      await holdService.void(order.holdId, { reason, session });
+      if (merchant?.features?.hasInventory) {
+        await catalogService.restoreStock(order.items, session);
+      }
+    });
+  }
+
+  /**
+   * Conditional status write; fails if someone else moved the order first
+   */
+  async claim(order, status, fields, history) {
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, status: order.status },
+      { $set: { ...fields, status }, $push: { statusHistory: { ...history, at: new Date() } } },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw new AppError('Order changed, please reload', 409, 'ORDER_CHANGED');
+    }
+    return updated;
+  }
+
+  /**
+   * Active orders for the kitchen display, grouped by status and sorted by
+   * pickup time
+   */
+  async getQueue(merchant) {
+    const orders = await Order.find({ merchantId: merchant._id, status: { $in: Order.ACTIVE_STATUSES } })
+      .populate('userId', 'name studentId')
+      .sort({ 'pickupSlot.start': 1, createdAt: 1 });
+
+    const queue = Object.fromEntries(Order.ACTIVE_STATUSES.map(status => [status, []]));
+    orders.forEach(order => queue[order.status].push(order));
+
+    return {
+      queue,
+      counts: Object.fromEntries(Object.entries(queue).map(([status, list]) => [status, list.length]))
+    };
+  }
+
+  /**
+   * Socket payload for status changes
+   */
+  summarize(order) {
+    return {
+      id: order._id,
+      orderId: order.orderId,
+      merchantId: order.merchantId,
+      status: order.status,
+      pickupCode: order.pickupCode,
+      pickupSlot: order.pickupSlot,
+      total: order.total,
+      itemCount: order.items.reduce((sum, line) => sum + line.quantity, 0),
+      note: order.statusHistory[order.statusHistory.length - 1]?.note
+    };
+  }
+}
+
+module.exports = new OrderService();
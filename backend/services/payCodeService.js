@@ -0,0 +1,298 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const Wallet = require('../models/Wallet');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const ledgerService = require('./ledgerService');
+const rewardService = require('./rewardService');
+const loyaltyService = require('./loyaltyService');
+const { generateTransactionId } = require('../utils/helpers');
+const { AppError } = require('../middleware/errorHandler');
+
+const CODE_PREFIX = 'CXPAY';
+const PERIOD_SECONDS = 30;
+const DIGITS = 8;
+// Phones showing codes offline drift; accept this many steps either side
+const DRIFT_STEPS = parseInt(process.env.PAY_CODE_DRIFT_STEPS) || 2;
+const PIN_THRESHOLD = parseFloat(process.env.PAY_CODE_PIN_THRESHOLD) || 200;
+const PIN_MAX_ATTEMPTS = 5;
+const PIN_LOCK_MINUTES = 15;
+
+/**
+ * Customer-presented pay codes
+ *
+ * Features:
+ * - Per-wallet secret; the app derives a code every 30 seconds (RFC 6238,
+ *   HMAC-SHA1, 8 digits) and shows it as a QR, with no network needed
+ * - Merchant scanners charge the code with an amount; each time step can be
+ *   charged once
+ * - Wallet PIN confirmation above a threshold, locked after repeated misses
+ * - Charges post like any wallet payment, with loyalty and cashback
+ */
+
+class PayCodeService {
+  /**
+   * Issue a new secret for the user's wallet; any device holding the old
+   * one stops working
+   */
+  async enable(userId) {
+    const wallet = await Wallet.createWallet(userId);
+    const secret = crypto.randomBytes(20).toString('hex');
+
+    await Wallet.updateOne(
+      { _id: wallet._id },
+      { $set: { 'payCode.secret': secret, 'payCode.enabledAt': new Date(), 'payCode.lastCounter': 0 } }
+    );
+
+    return {
+      walletId: wallet.walletId,
+      secret,
+      encoding: 'hex',
+      algorithm: 'SHA1',
+      digits: DIGITS,
+      period: PERIOD_SECONDS,
+      format: `${CODE_PREFIX}:<walletId>:<code>`,
+      pinThreshold: PIN_THRESHOLD
+    };
+  }
+
+  async disable(userId) {
+    await Wallet.updateOne(
+      { userId, accountType: 'USER' },
+      { $unset: { 'payCode.secret': 1, 'payCode.enabledAt': 1 } }
+    );
+  }
+
+  /**
+   * HOTP value for one time step (RFC 4226 dynamic truncation)
+   */
+  generateCode(secret, counter) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', Buffer.from(secret, 'hex')).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+    return value.toString().padStart(DIGITS, '0');
+  }
+
+  counterAt(at = new Date()) {
+    return Math.floor(at.getTime() / 1000 / PERIOD_SECONDS);
+  }
+
+  /**
+   * What the student's app puts in the QR at a given moment
+   */
+  payloadFor(walletId, secret, at = new Date()) {
+    return `${CODE_PREFIX}:${walletId}:${this.generateCode(secret, this.counterAt(at))}`;
+  }
+
+  parse(scanned) {
+    const [prefix, walletId, code] = String(scanned).trim().split(':');
+    if (prefix !== CODE_PREFIX || !walletId || !new RegExp(`^\\d{${DIGITS}}$`).test(code || '')) {
+      throw new AppError('This is not a wallet pay code', 400, 'INVALID_PAY_CODE');
+    }
+    return { walletId, code };
+  }
+
+  /**
+   * Time step the code belongs to, within the drift window, or null
+   */
+  matchCounter(secret, code, at = new Date()) {
+    const now = this.counterAt(at);
+    for (let step = -DRIFT_STEPS; step <= DRIFT_STEPS; step++) {
+      const expected = this.generateCode(secret, now + step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+        return now + step;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the wallet behind a scanned code and the time step it was made for
+   */
+  async verify(scanned, at = new Date()) {
+    const { walletId, code } = this.parse(scanned);
+
+    const wallet = await Wallet.findOne({ walletId, accountType: 'USER' }).select('+payCode.secret +pin.hash');
+    if (!wallet || !wallet.payCode?.secret) {
+      throw new AppError('This pay code is not valid', 400, 'INVALID_PAY_CODE');
+    }
+
+    const counter = this.matchCounter(wallet.payCode.secret, code, at);
+    if (counter === null) {
+      throw new AppError('This pay code has expired, ask the customer to refresh it', 400, 'PAY_CODE_EXPIRED');
+    }
+    if (counter <= wallet.payCode.lastCounter) {
+      throw new AppError('This pay code was already used; wait for the next one', 409, 'PAY_CODE_USED');
+    }
+
+    return { wallet, counter };
+  }
+
+  /**
+   * Charge a scanned pay code on the merchant's behalf. amount is the bill
+   * before conversion, as a student would type it at /pay.
+   */
+  async charge(merchant, { code, amount, pin, description, reference, io = null }) {
+    const { wallet, counter } = await this.verify(code);
+
+    const conversionRate = parseFloat(process.env.COLLEX_CONVERSION_RATE || 1);
+    const collexAmount = ledgerService.roundAmount(amount * conversionRate);
+
+    const user = await User.findById(wallet.userId);
+    if (!user || !user.isActive) {
+      throw new AppError('This pay code is not valid', 400, 'INVALID_PAY_CODE');
+    }
+
+    const spendingCheck = user.canSpend(collexAmount);
+    if (!spendingCheck.canSpend) {
+      throw spendingCheck.hasBalance
+        ? new AppError('Daily transaction limit exceeded', 400, 'DAILY_LIMIT_EXCEEDED')
+        : new AppError('Insufficient wallet balance', 400, 'INSUFFICIENT_BALANCE');
+    }
+
+    if (collexAmount > PIN_THRESHOLD) {
+      await this.checkPin(wallet, pin);
+    }
+
+    const commission = ledgerService.roundAmount(collexAmount * merchant.commissionRate);
+    const transaction = new Transaction({
+      transactionId: generateTransactionId(),
+      userId: user._id,
+      walletId: wallet._id,
+      amount: collexAmount,
+      currency: wallet.currency,
+      type: 'DEBIT',
+      category: 'PAYMENT',
+      paymentMethod: 'WALLET',
+      description: description || `Payment to ${merchant.name} by pay code`,
+      status: 'COMPLETED',
+      balanceBefore: wallet.balance,
+      balanceAfter: wallet.balance,
+      fees: {
+        amount: commission,
+        type: 'PERCENTAGE',
+        description: 'Merchant commission'
+      },
+      metadata: {
+        merchantId: merchant._id,
+        orderReference: reference
+      }
+    });
+
+    await ledgerService.runInTransaction(async (session) => {
+      // Claim the time step first so two scans of one code cannot both pay
+      const claimed = await Wallet.updateOne(
+        { _id: wallet._id, 'payCode.lastCounter': { $lt: counter } },
+        { $set: { 'payCode.lastCounter': counter } },
+        { session }
+      );
+      if (claimed.modifiedCount === 0) {
+        throw new AppError('This pay code was already used; wait for the next one', 409, 'PAY_CODE_USED');
+      }
+
+      const [payerWallet, merchantWallet, revenueWallet] = await Promise.all([
+        Wallet.findById(wallet._id).session(session),
+        Wallet.getMerchantWallet(merchant._id, { session }),
+        Wallet.getSystemWallet('PLATFORM_REVENUE', { session })
+      ]);
+
+      await ledgerService.postJournal({
+        lines: ledgerService.paymentLines({
+          payerWallet,
+          payeeWallet: merchantWallet,
+          revenueWallet,
+          amount: collexAmount,
+          commission,
+          description: transaction.description
+        }),
+        transactions: [transaction],
+        description: transaction.description,
+        session
+      });
+
+      const payer = await User.findById(user._id).session(session);
+      payer.resetDailySpentIfNeeded();
+      payer.dailySpentAmount += collexAmount;
+      payer.totalSpent += collexAmount;
+      await payer.save({ session });
+    });
+
+    // The payment has committed; metrics are best effort from here
+    try {
+      await merchant.updateMetrics(collexAmount);
+    } catch (error) {
+      console.error(`Merchant metrics error for ${transaction.transactionId}:`, error);
+    }
+    const loyalty = await loyaltyService.accrue(transaction, merchant);
+    const rewards = await rewardService.applyFor(transaction, { merchant, io });
+
+    return { transaction, user, loyalty, rewards };
+  }
+
+  /**
+   * Check the wallet PIN typed on the merchant's device
+   */
+  async checkPin(wallet, pin) {
+    if (!wallet.pin?.isSet) {
+      throw new AppError(`Set a wallet PIN to pay more than ${PIN_THRESHOLD} by pay code`, 400, 'PIN_NOT_SET');
+    }
+    if (wallet.pin.lockedUntil && wallet.pin.lockedUntil > new Date()) {
+      throw new AppError('Too many wrong PINs, try again later', 423, 'PIN_LOCKED');
+    }
+    if (!pin) {
+      throw new AppError(`The customer's PIN is needed above ${PIN_THRESHOLD}`, 400, 'PIN_REQUIRED');
+    }
+
+    if (await bcrypt.compare(String(pin), wallet.pin.hash)) {
+      if (wallet.pin.failedAttempts > 0) {
+        await Wallet.updateOne({ _id: wallet._id }, { $set: { 'pin.failedAttempts': 0 }, $unset: { 'pin.lockedUntil': 1 } });
+      }
+      return;
+    }
+
+    const failed = await Wallet.findOneAndUpdate(
+      { _id: wallet._id },
+      { $inc: { 'pin.failedAttempts': 1 } },
+      { new: true }
+    );
+    if (failed.pin.failedAttempts >= PIN_MAX_ATTEMPTS) {
+      await Wallet.updateOne(
+        { _id: wallet._id },
+        { $set: { 'pin.failedAttempts': 0, 'pin.lockedUntil': new Date(Date.now() + PIN_LOCK_MINUTES * 60 * 1000) } }
+      );
+      throw new AppError('Too many wrong PINs, try again later', 423, 'PIN_LOCKED');
+    }
+    throw new AppError('Wrong PIN', 400, 'INVALID_PIN');
+  }
+
+  /**
+   * Set or change the wallet PIN; changing needs the current one
+   */
+  async setPin(userId, { pin, currentPin }) {
+    const wallet = await Wallet.createWallet(userId);
+    const current = await Wallet.findById(wallet._id).select('+pin.hash');
+
+    if (current.pin?.isSet) {
+      if (current.pin.lockedUntil && current.pin.lockedUntil > new Date()) {
+        throw new AppError('Too many wrong PINs, try again later', 423, 'PIN_LOCKED');
+      }
+      if (!currentPin || !(await bcrypt.compare(String(currentPin), current.pin.hash))) {
+        throw new AppError('Current PIN is wrong', 400, 'INVALID_PIN');
+      }
+    }
+
+    await Wallet.updateOne(
+      { _id: wallet._id },
+      {
+        $set: { 'pin.isSet': true, 'pin.hash': await bcrypt.hash(String(pin), 12), 'pin.failedAttempts': 0 },
+        $unset: { 'pin.lockedUntil': 1 }
+      }
+    );
+  }
+}
+
+module.exports = new PayCodeService();
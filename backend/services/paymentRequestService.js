@@ -0,0 +1,188 @@
+const PaymentRequest = require('../models/PaymentRequest');
+const qrService = require('./qrService');
+const ledgerService = require('./ledgerService');
+const { generateTransactionId } = require('../utils/helpers');
+const { AppError } = require('../middleware/errorHandler');
+
+const DEFAULT_TTL_MINUTES = parseFloat(process.env.PAYMENT_REQUEST_TTL_MINUTES) || 5;
+
+/**
+ * Dynamic-amount payment requests for merchant tills
+ *
+ * Features:
+ * - Short-lived QR codes with a fixed amount and the till's order reference,
+ *   built on qrService.generatePaymentQR
+ * - Expiry and use count taken from the QR security settings; single use by
+ *   default
+ * - Scans go through the QR registry, so a payload cannot be replayed once
+ *   paid, cancelled or expired
+ * - Paid inside the payment's Mongo transaction so a request is never
+ *   settled twice
+ */
+
+class PaymentRequestService {
+  /**
+   * Create a request and its QR for the merchant's till
+   */
+  async create(merchant, { amount, reference, description, expiresInMinutes, createdBy }) {
+    const { expirationTime } = qrService.config.security;
+    const ttlMinutes = Math.min(expiresInMinutes || DEFAULT_TTL_MINUTES, expirationTime / 60000);
+    const requestId = generateTransactionId('PRQ');
+
+    let qr;
+    try {
+      qr = await qrService.generatePaymentQR({
+        amount: ledgerService.roundAmount(amount),
+        merchantId: merchant._id.toString(),
+        description: description || `${merchant.name} - ${reference}`,
+        orderId: reference,
+        expiresIn: ttlMinutes * 60 * 1000,
+        metadata: { requestId }
+      });
+    } catch (error) {
+      throw new AppError(error.message, 400, 'INVALID_PAYMENT_REQUEST');
+    }
+
+    const request = await PaymentRequest.create({
+      requestId,
+      merchantId: merchant._id,
+      createdBy,
+      amount: parseFloat(qr.paymentData.amount),
+      currency: qr.paymentData.currency,
+      reference,
+      description: qr.paymentData.description,
+      qrId: qr.paymentData.qrId,
+      expiresAt: qr.expiresAt
+    });
+
+    return { request, qrCode: qr.qrCode, paymentUrl: qr.paymentUrl };
+  }
+
+  /**
+   * Look up the request behind a scanned payload and check it can still be
+   * paid. Without a QR encryption key payloads are only base64, so the
+   * request must also match the registered QR, not just the request ID.
+   */
+  async resolve(payload, scanner = {}) {
+    let scanned;
+    try {
+      scanned = await qrService.verify(payload, scanner);
+    } catch (error) {
+      if (error.errorCode === 'QR_ALREADY_USED') {
+        throw new AppError('This bill has already been paid', 409, 'PAYMENT_REQUEST_PAID');
+      }
+      if (error.errorCode === 'QR_EXPIRED') {
+        throw new AppError('This payment QR has expired, ask for a new one', 409, 'PAYMENT_REQUEST_EXPIRED');
+      }
+      if (error.errorCode === 'QR_REVOKED') {
+        throw new AppError('The merchant cancelled this bill', 409, 'PAYMENT_REQUEST_CANCELLED');
+      }
+      throw new AppError('This payment QR is invalid or has expired', 400, 'INVALID_PAYMENT_QR');
+    }
+
+    const { data } = scanned;
+    if (data.type !== 'payment_request' || !data.metadata?.requestId) {
+      throw new AppError('This payment QR is invalid or has expired', 400, 'INVALID_PAYMENT_QR');
+    }
+
+    const request = await PaymentRequest.findOne({ requestId: data.metadata.requestId, qrId: data.qrId });
+    if (!request) {
+      throw new AppError('Payment request not found', 404, 'PAYMENT_REQUEST_NOT_FOUND');
+    }
+
+    this.assertPayable(request);
+    return request;
+  }
+
+  assertPayable(request) {
+    if (request.status === 'PAID') {
+      throw new AppError('This bill has already been paid', 409, 'PAYMENT_REQUEST_PAID');
+    }
+    if (request.status === 'CANCELLED') {
+      throw new AppError('The merchant cancelled this bill', 409, 'PAYMENT_REQUEST_CANCELLED');
+    }
+    if (request.isExpired) {
+      throw new AppError('This payment QR has expired, ask for a new one', 409, 'PAYMENT_REQUEST_EXPIRED');
+    }
+  }
+
+  /**
+   * Use up the request's QR and mark it paid; run in the payment's session
+   * so a failed payment leaves both open
+   */
+  async markPaid(request, { userId, transaction, session = null }) {
+    try {
+      await qrService.redeem(request.qrId, { userId, transactionId: transaction._id, session });
+    } catch (error) {
+      if (error.errorCode === 'QR_ALREADY_USED') {
+        throw new AppError('This bill has already been paid', 409, 'PAYMENT_REQUEST_PAID');
+      }
+      throw error;
+    }
+
+    const paid = await PaymentRequest.findOneAndUpdate(
+      { _id: request._id, status: 'PENDING', expiresAt: { $gt: new Date() } },
+      { $set: { status: 'PAID', paidBy: userId, transactionId: transaction._id, paidAt: new Date() } },
+      { new: true, session }
+    );
+
+    if (!paid) {
+      const current = await PaymentRequest.findById(request._id).session(session);
+      this.assertPayable(current);
+      throw new AppError('This bill has already been paid', 409, 'PAYMENT_REQUEST_PAID');
+    }
+    return paid;
+  }
+
+  /**
+   * Withdraw a pending request, e.g. when the customer changes their order
+   */
+  async cancel(requestId, merchant) {
+    const cancelled = await PaymentRequest.findOneAndUpdate(
+      { _id: requestId, merchantId: merchant._id, status: 'PENDING' },
+      { $set: { status: 'CANCELLED', cancelledAt: new Date() } },
+      { new: true }
+    );
+
+    if (!cancelled) {
+      const request = await PaymentRequest.findOne({ _id: requestId, merchantId: merchant._id });
+      if (!request) {
+        throw new AppError('Payment request not found', 404, 'PAYMENT_REQUEST_NOT_FOUND');
+      }
+      throw new AppError(`This request is already ${request.status.toLowerCase()}`, 409, 'PAYMENT_REQUEST_CLOSED');
+    }
+
+    await qrService.revoke(cancelled.qrId);
+    return cancelled;
+  }
+
+  /**
+   * Mark a merchant's lapsed pending requests as expired
+   */
+  async expireStale(merchantId, at = new Date()) {
+    const result = await PaymentRequest.updateMany(
+      { merchantId, status: 'PENDING', expiresAt: { $lte: at } },
+      { $set: { status: 'EXPIRED' } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Socket payload for the till screen
+   */
+  summarize(request, extra = {}) {
+    return {
+      id: request._id,
+      requestId: request.requestId,
+      reference: request.reference,
+      amount: request.amount,
+      status: request.status,
+      expiresAt: request.expiresAt,
+      paidAt: request.paidAt,
+      transactionId: request.transactionId,
+      ...extra
+    };
+  }
+}
+
+module.exports = new PaymentRequestService();
@@ -15,7 +15,8 @@ class PaymentService {
         note = 'Hackspree Wallet Top-up',
         buyerEmailAddress,
         userId,
-        idempotencyKey = uuidv4()
+        idempotencyKey = uuidv4(),
+        referenceId = `user_${userId}_${Date.now()}`
       } = paymentData;
 
       // Validate required fields
@@ -40,7 +41,7 @@ class PaymentService {
         locationId,
         note,
         buyerEmailAddress,
-        referenceId: `user_${userId}_${Date.now()}`,
+        referenceId,
         autocomplete: true
       };
 
@@ -141,17 +142,17 @@ class PaymentService {
   }
 
   /**
-   * List payments
+   * List payments (one page; pass the returned cursor for the next)
    */
-  async listPayments(locationId, beginTime = null, endTime = null) {
+  async listPayments(locationId, beginTime = null, endTime = null, cursor = undefined) {
     try {
-      const requestBody = {
-        locationId,
-        beginTime: beginTime || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString(), // 30 days ago
-        endTime: endTime || new Date().toISOString()
-      };
-
-      const { result } = await paymentsApi.listPayments(requestBody);
+      const { result } = await paymentsApi.listPayments(
+        beginTime || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString(), // 30 days ago
+        endTime || new Date().toISOString(),
+        'ASC',
+        cursor,
+        locationId
+      );
       
       return {
         success: true,
@@ -168,6 +169,34 @@ class PaymentService {
     }
   }
 
+  /**
+   * List refunds (one page; pass the returned cursor for the next)
+   */
+  async listRefunds(locationId, beginTime = null, endTime = null, cursor = undefined) {
+    try {
+      const { result } = await refundsApi.listPaymentRefunds(
+        beginTime || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString(), // 30 days ago
+        endTime || new Date().toISOString(),
+        'ASC',
+        cursor,
+        locationId
+      );
+
+      return {
+        success: true,
+        refunds: result.refunds || [],
+        cursor: result.cursor
+      };
+    } catch (error) {
+      console.error('List refunds error:', error);
+      return {
+        success: false,
+        message: 'Failed to retrieve refunds',
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Verify webhook signature
    */
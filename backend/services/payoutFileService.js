@@ -0,0 +1,364 @@
+const crypto = require('crypto');
+const Settlement = require('../models/Settlement');
+const PayoutBatch = require('../models/PayoutBatch');
+const settlementService = require('./settlementService');
+const ledgerService = require('./ledgerService');
+const { generateTransactionId } = require('../utils/helpers');
+const { AppError } = require('../middleware/errorHandler');
+
+const RTGS_MIN_AMOUNT = parseFloat(process.env.PAYOUT_RTGS_MIN_AMOUNT) || 200000;
+const DEBIT_ACCOUNT = process.env.PAYOUT_DEBIT_ACCOUNT_NUMBER;
+const MAX_BATCH_SIZE = 500;
+
+const CSV_HEADER = [
+  'Payment Mode', 'Amount', 'Value Date', 'Beneficiary Name',
+  'Beneficiary Account Number', 'IFSC Code', 'Debit Account Number', 'Customer Reference'
+];
+
+// Bank return statuses, by what they mean for the payout
+const RETURN_PAID = ['PAID', 'SUCCESS', 'PROCESSED', 'CREDITED'];
+const RETURN_FAILED = ['FAILED', 'REJECTED', 'RETURNED'];
+
+/**
+ * Bank payout files
+ *
+ * Features:
+ * - Exports approved settlements as a NEFT/RTGS CSV or a fixed-width bulk file
+ * - Stores each file with its SHA-256 checksum for re-download
+ * - Imports the bank's return file: paid rows settle the payout, failed rows
+ *   release the settlement for the next file
+ * - Refuses the same return file twice
+ */
+
+class PayoutFileService {
+  /**
+   * Build a bank file for approved settlements not yet sent to the bank.
+   * Without settlementIds every eligible settlement is included.
+   */
+  async exportBatch({ format = 'NEFT_RTGS_CSV', settlementIds, adminId }) {
+    if (!DEBIT_ACCOUNT) {
+      throw new AppError('Payout debit account is not configured', 503, 'PAYOUT_NOT_CONFIGURED');
+    }
+
+    const filter = { status: 'APPROVED', payoutBatchId: null };
+    if (settlementIds?.length) filter._id = { $in: settlementIds };
+
+    const settlements = await Settlement.find(filter)
+      .select('+bankDetails.accountNumber')
+      .populate('merchantId', 'name')
+      .sort({ approvedAt: 1 })
+      .limit(MAX_BATCH_SIZE);
+
+    if (settlementIds?.length && settlements.length !== settlementIds.length) {
+      throw new AppError('Some settlements are not approved or are already in a bank file', 409, 'SETTLEMENT_NOT_EXPORTABLE');
+    }
+
+    const missingBank = settlements.filter(s => !s.bankDetails?.accountNumber || !s.bankDetails?.ifscCode);
+    if (missingBank.length) {
+      throw new AppError(
+        `Bank details missing for ${missingBank.map(s => s.settlementId).join(', ')}`,
+        400,
+        'BANK_DETAILS_MISSING'
+      );
+    }
+
+    if (settlements.length === 0) {
+      throw new AppError('No approved settlements awaiting payout', 400, 'NOTHING_TO_EXPORT');
+    }
+
+    const batchId = generateTransactionId('PAYB');
+    const valueDate = new Date();
+    const rows = settlements.map(settlement => this.row(settlement));
+    const totalAmount = ledgerService.roundAmount(rows.reduce((sum, row) => sum + row.amount, 0));
+
+    const content = format === 'FIXED_WIDTH'
+      ? this.buildFixedWidth(batchId, rows, totalAmount, valueDate)
+      : this.buildCsv(rows, valueDate);
+
+    const batch = new PayoutBatch({
+      batchId,
+      format,
+      entries: rows.map(row => this.storedEntry(row)),
+      entryCount: rows.length,
+      totalAmount,
+      fileName: `${batchId}.${format === 'FIXED_WIDTH' ? 'txt' : 'csv'}`,
+      checksum: this.checksum(content),
+      content,
+      exportedBy: adminId
+    });
+
+    await ledgerService.runInTransaction(async (session) => {
+      const claimed = await Settlement.updateMany(
+        { _id: { $in: settlements.map(s => s._id) }, status: 'APPROVED', payoutBatchId: null },
+        { $set: { payoutBatchId: batch._id } },
+        { session }
+      );
+      if (claimed.modifiedCount !== settlements.length) {
+        throw new AppError('Settlements changed while exporting, retry', 409, 'SETTLEMENT_CONFLICT');
+      }
+
+      await batch.save({ session });
+    });
+
+    return batch;
+  }
+
+  /**
+   * Apply the bank's return file to a batch. Expects a CSV with a header row
+   * naming at least the reference and status columns.
+   */
+  async importReturnFile({ batchId, fileName, content, adminId }) {
+    const checksum = this.checksum(content);
+    const rows = this.parseReturnFile(content);
+
+    // Claiming the checksum first makes a re-upload of the same file a no-op
+    const batch = await PayoutBatch.findOneAndUpdate(
+      { _id: batchId, 'returnFiles.checksum': { $ne: checksum } },
+      { $push: { returnFiles: { fileName, checksum, importedBy: adminId } } },
+      { new: true }
+    );
+
+    if (!batch) {
+      const exists = await PayoutBatch.exists({ _id: batchId });
+      if (!exists) {
+        throw new AppError('Payout batch not found', 404, 'PAYOUT_BATCH_NOT_FOUND');
+      }
+      throw new AppError('This return file has already been imported', 409, 'RETURN_FILE_DUPLICATE');
+    }
+
+    const summary = { checksum, paid: 0, failed: 0, skipped: 0, unmatched: [], errors: [] };
+
+    for (const row of rows) {
+      const entry = batch.entries.find(e => e.reference === row.reference);
+      if (!entry) {
+        summary.unmatched.push(row.reference);
+        continue;
+      }
+
+      if (entry.status !== 'EXPORTED' || (!RETURN_PAID.includes(row.status) && !RETURN_FAILED.includes(row.status))) {
+        summary.skipped++;
+        continue;
+      }
+
+      try {
+        if (RETURN_PAID.includes(row.status)) {
+          await settlementService.markPaid(entry.settlementId, adminId, row.bankReference || entry.reference);
+          await this.resolveEntry(batch._id, entry.settlementId, {
+            status: 'PAID',
+            bankReference: row.bankReference
+          });
+          summary.paid++;
+        } else {
+          const reason = row.reason || `Bank status ${row.status}`;
+          await settlementService.recordPayoutFailure(entry.settlementId, batch._id, reason);
+          await this.resolveEntry(batch._id, entry.settlementId, {
+            status: 'FAILED',
+            bankReference: row.bankReference,
+            failureReason: reason
+          });
+          summary.failed++;
+        }
+      } catch (error) {
+        console.error(`Payout return error for ${entry.reference}:`, error);
+        summary.skipped++;
+        summary.errors.push({ reference: entry.reference, message: error.message });
+      }
+    }
+
+    const updated = await PayoutBatch.findById(batch._id);
+    const returnFile = updated.returnFiles.find(f => f.checksum === checksum);
+    Object.assign(returnFile, {
+      paid: summary.paid,
+      failed: summary.failed,
+      skipped: summary.skipped,
+      unmatched: summary.unmatched
+    });
+    updated.refreshStatus();
+    await updated.save();
+
+    return { batch: updated, summary };
+  }
+
+  /**
+   * Move one still-open entry to its final state
+   */
+  async resolveEntry(batchId, settlementId, changes) {
+    const set = { 'entries.$.resolvedAt': new Date() };
+    for (const [key, value] of Object.entries(changes)) {
+      if (value !== undefined) set[`entries.$.${key}`] = value;
+    }
+
+    await PayoutBatch.updateOne(
+      { _id: batchId, entries: { $elemMatch: { settlementId, status: 'EXPORTED' } } },
+      { $set: set }
+    );
+  }
+
+  row(settlement) {
+    const amount = settlement.totals.payable;
+    return {
+      settlementId: settlement._id,
+      reference: settlement.settlementId,
+      merchantId: settlement.merchantId?._id || settlement.merchantId,
+      beneficiaryName: this.beneficiaryName(settlement),
+      accountNumber: settlement.bankDetails.accountNumber,
+      accountLast4: settlement.bankDetails.accountNumber.slice(-4),
+      ifscCode: settlement.bankDetails.ifscCode.toUpperCase(),
+      paymentMode: amount >= RTGS_MIN_AMOUNT ? 'RTGS' : 'NEFT',
+      amount
+    };
+  }
+
+  // The full account number goes in the bank file only; the batch keeps the last four digits
+  storedEntry(row) {
+    const entry = { ...row };
+    delete entry.accountNumber;
+    return entry;
+  }
+
+  beneficiaryName(settlement) {
+    const name = settlement.bankDetails.accountHolderName || settlement.merchantId?.name || '';
+    // Banks accept a narrow character set in beneficiary names
+    return name.replace(/[^A-Za-z0-9 .&-]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 35);
+  }
+
+  buildCsv(rows, valueDate) {
+    const date = this.formatDate(valueDate);
+    const lines = [CSV_HEADER.map(field => this.csvField(field)).join(',')];
+
+    for (const row of rows) {
+      lines.push([
+        row.paymentMode,
+        row.amount.toFixed(2),
+        date,
+        row.beneficiaryName,
+        row.accountNumber,
+        row.ifscCode,
+        DEBIT_ACCOUNT,
+        row.reference
+      ].map(field => this.csvField(field)).join(','));
+    }
+
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Header, one detail record per payout and a trailer; amounts in paise
+   *
+   * H | batch id (20) | value date YYYYMMDD | debit account (20) | count (6) | total (15)
+   * D | mode (4) | reference (25) | account (20) | IFSC (11) | name (35) | amount (15)
+   * T | count (6) | total (15)
+   */
+  buildFixedWidth(batchId, rows, totalAmount, valueDate) {
+    const count = this.pad(rows.length, 6);
+    const total = this.pad(this.toMinorUnits(totalAmount), 15);
+    const lines = [
+      'H' + this.text(batchId, 20) + this.formatDate(valueDate, true) + this.text(DEBIT_ACCOUNT, 20) + count + total
+    ];
+
+    for (const row of rows) {
+      lines.push(
+        'D' +
+        this.text(row.paymentMode, 4) +
+        this.text(row.reference, 25) +
+        this.text(row.accountNumber, 20) +
+        this.text(row.ifscCode, 11) +
+        this.text(row.beneficiaryName, 35) +
+        this.pad(this.toMinorUnits(row.amount), 15)
+      );
+    }
+
+    lines.push('T' + count + total);
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Rows of the bank return file, keyed by our reference
+   */
+  parseReturnFile(content) {
+    const lines = String(content || '').split(/\r?\n/).filter(line => line.trim());
+    if (lines.length < 2) {
+      throw new AppError('Return file has no rows', 400, 'RETURN_FILE_INVALID');
+    }
+
+    const header = this.parseCsvLine(lines[0]).map(h => h.trim().toLowerCase());
+    const column = (...names) => header.findIndex(h => names.includes(h));
+    const referenceCol = column('reference', 'customer reference', 'customer_reference');
+    const statusCol = column('status', 'payment status');
+    const utrCol = column('utr', 'bank reference', 'bank_reference');
+    const reasonCol = column('reason', 'remarks', 'failure reason');
+
+    if (referenceCol === -1 || statusCol === -1) {
+      throw new AppError('Return file needs reference and status columns', 400, 'RETURN_FILE_INVALID');
+    }
+
+    return lines.slice(1).map(line => {
+      const fields = this.parseCsvLine(line);
+      const value = (index) => (index === -1 ? undefined : (fields[index] || '').trim() || undefined);
+      return {
+        reference: value(referenceCol),
+        status: (value(statusCol) || '').toUpperCase(),
+        bankReference: value(utrCol),
+        reason: value(reasonCol)
+      };
+    }).filter(row => row.reference);
+  }
+
+  parseCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        fields.push(field);
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    fields.push(field);
+    return fields;
+  }
+
+  csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  text(value, width) {
+    return String(value || '').slice(0, width).padEnd(width, ' ');
+  }
+
+  pad(value, width) {
+    return String(value).padStart(width, '0');
+  }
+
+  toMinorUnits(amount) {
+    return Math.round(amount * 100);
+  }
+
+  formatDate(date, compact = false) {
+    const iso = date.toISOString().slice(0, 10);
+    return compact ? iso.replace(/-/g, '') : iso;
+  }
+
+  checksum(content) {
+    return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+  }
+}
+
+module.exports = new PayoutFileService();
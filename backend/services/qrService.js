@@ -8,8 +8,18 @@ const Wallet = require('../models/Wallet');
 const Transaction = require('../models/Transaction');
 const Merchant = require('../models/Merchant');
 const Event = require('../models/Event');
+const IssuedQR = require('../models/IssuedQR');
+const QRScan = require('../models/QRScan');
 const encryptionService = require('./encryptionService');
 const config = require('../config');
+const { AppError } = require('../middleware/errorHandler');
+
+const ANALYTICS_TIMEFRAMES = {
+  '1h': 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000
+};
 
 /**
  * Comprehensive QR Code Service for Hackspree Wallet Application
@@ -24,6 +34,7 @@ const config = require('../config');
  * - Multiple output formats (Data URL, Buffer, SVG)
  * - Custom branding and styling options
  * - Batch QR code generation
+ * - Registry of issued codes; single-use and expiry enforced on every scan
  * - QR code analytics and tracking
  */
 
@@ -171,8 +182,13 @@ class QRService {
       nonce: crypto.randomBytes(16).toString('hex')
     };
 
-    // Encrypt and sign the payload for security
-    const securePayload = await this.createSecurePayload(paymentPayload);
+    // Register, encrypt and sign the payload for security
+    const securePayload = await this.issue(paymentPayload, {
+      ownerId: merchantId,
+      ownerType: 'Merchant',
+      maxUses: this.config.security.maxUsageCount,
+      reference: paymentPayload.orderId
+    });
 
     // Generate payment URL or encoded data
     const paymentUrl = `${config.app.baseUrl}/payment/qr/${securePayload}`;
@@ -208,7 +224,11 @@ class QRService {
       nonce: crypto.randomBytes(16).toString('hex')
     };
 
-    const securePayload = await this.createSecurePayload(merchantPayload);
+    // The counter QR is printed once and reused for every customer
+    const securePayload = await this.issue(merchantPayload, {
+      ownerId: merchant._id,
+      ownerType: 'Merchant'
+    });
     const paymentUrl = `${config.app.baseUrl}/merchant/pay/${securePayload}`;
 
     return {
@@ -253,7 +273,12 @@ class QRService {
       nonce: crypto.randomBytes(16).toString('hex')
     };
 
-    const securePayload = await this.createSecurePayload(invoicePayload);
+    const securePayload = await this.issue(invoicePayload, {
+      ownerId: merchantId,
+      ownerType: 'Merchant',
+      maxUses: this.config.security.maxUsageCount,
+      reference: invoiceId
+    });
     const invoiceUrl = `${config.app.baseUrl}/invoice/pay/${securePayload}`;
 
     return {
@@ -299,7 +324,12 @@ class QRService {
       nonce: crypto.randomBytes(16).toString('hex')
     };
 
-    const securePayload = await this.createSecurePayload(transferPayload);
+    const securePayload = await this.issue(transferPayload, {
+      ownerId: wallet.userId._id,
+      ownerType: 'User',
+      maxUses: this.config.security.maxUsageCount,
+      reference: transferPayload.requestId
+    });
     const transferUrl = `${config.app.baseUrl}/wallet/transfer/${securePayload}`;
 
     return {
@@ -333,7 +363,10 @@ class QRService {
       nonce: crypto.randomBytes(16).toString('hex')
     };
 
-    const securePayload = await this.createSecurePayload(receivePayload);
+    const securePayload = await this.issue(receivePayload, {
+      ownerId: wallet.userId._id,
+      ownerType: 'User'
+    });
     const receiveUrl = `${config.app.baseUrl}/wallet/send/${securePayload}`;
 
     return {
@@ -381,7 +414,11 @@ class QRService {
       nonce: crypto.randomBytes(16).toString('hex')
     };
 
-    const securePayload = await this.createSecurePayload(registrationPayload);
+    // Shared on posters, so any number of students can register with it
+    const securePayload = await this.issue(registrationPayload, {
+      ownerId: event._id,
+      ownerType: 'Event'
+    });
     const registrationUrl = `${config.app.baseUrl}/event/register/${securePayload}`;
 
     return {
@@ -409,13 +446,19 @@ class QRService {
       eventId: event._id,
       eventTitle: event.title,
       attendeeId,
-      checkInCode: crypto.randomBytes(8).toString('hex').toUpperCase(),
+      // Short enough to read out or type at the door
+      checkInCode: crypto.randomBytes(4).toString('hex').toUpperCase(),
       timestamp: Date.now(),
-      validUntil: event.schedule.endDate,
+      validUntil: event.endDate,
       nonce: crypto.randomBytes(16).toString('hex')
     };
 
-    const securePayload = await this.createSecurePayload(checkInPayload);
+    const securePayload = await this.issue(checkInPayload, {
+      ownerId: event._id,
+      ownerType: 'Event',
+      maxUses: this.config.security.maxUsageCount,
+      reference: attendeeId ? attendeeId.toString() : undefined
+    });
     const checkInUrl = `${config.app.baseUrl}/event/checkin/${securePayload}`;
 
     return {
@@ -454,7 +497,10 @@ class QRService {
       nonce: crypto.randomBytes(16).toString('hex')
     };
 
-    const securePayload = await this.createSecurePayload(loginPayload);
+    const securePayload = await this.issue(loginPayload, {
+      maxUses: this.config.security.maxUsageCount,
+      reference: sessionId
+    });
     const loginUrl = `${config.app.baseUrl}/auth/qr-login/${securePayload}`;
 
     return {
@@ -494,6 +540,141 @@ class QRService {
    * UTILITY AND SECURITY METHODS
    */
 
+  /**
+   * Record a payload in the QR registry and return it encoded. Codes issued
+   * with maxUses are refused once used that many times; codes without it
+   * (counter and poster QRs) are reusable until they expire or are revoked.
+   */
+  async issue(payload, { ownerId, ownerType, maxUses, reference } = {}) {
+    payload.qrId = crypto.randomUUID();
+    const expiresAt = payload.expiresAt || payload.validUntil;
+
+    await IssuedQR.create({
+      qrId: payload.qrId,
+      type: payload.type,
+      ownerId,
+      ownerType,
+      reference,
+      maxUses,
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined
+    });
+
+    return this.createSecurePayload(payload);
+  }
+
+  /**
+   * Decode a scanned payload and check it against the registry. Every scan
+   * is counted; a used, revoked or expired code is turned away. Pass
+   * track: false when the same scan was already counted, e.g. at the
+   * confirmation step after a preview.
+   */
+  async verify(payload, { userId, ip, userAgent, track = true } = {}) {
+    let data;
+    try {
+      data = await this.decodeSecurePayload(payload);
+    } catch (error) {
+      if (error.message === 'QR code has expired') {
+        throw new AppError('This QR code has expired', 409, 'QR_EXPIRED');
+      }
+      throw new AppError('This QR code is not valid', 400, 'INVALID_QR');
+    }
+
+    let entry = null;
+    if (data.qrId) {
+      entry = track
+        ? await IssuedQR.findOneAndUpdate(
+          { qrId: data.qrId },
+          { $inc: { scanCount: 1 }, $set: { lastScannedAt: new Date() } },
+          { new: true }
+        )
+        : await IssuedQR.findOne({ qrId: data.qrId });
+    }
+
+    if (!entry) {
+      throw new AppError('This QR code is not valid', 400, 'QR_NOT_REGISTERED');
+    }
+
+    const rejection = this.usageError(entry);
+    if (rejection) {
+      await this.trackQRUsage(entry.qrId, 'REJECTED', { userId, ip, userAgent, reason: rejection.errorCode });
+      throw rejection;
+    }
+
+    if (track) {
+      await this.trackQRUsage(entry.qrId, 'SCAN', { userId, ip, userAgent });
+    }
+    return { data, entry };
+  }
+
+  /**
+   * Count one use of a code. Atomic, so two devices presenting the same
+   * single-use QR cannot both get through; run it in the session of
+   * whatever the QR pays for so a failed payment does not use it up.
+   * usedAt is when the use happened, for scans uploaded from an offline
+   * device after the code expired.
+   */
+  async redeem(qrId, { userId, transactionId, session = null, usedAt = new Date() } = {}) {
+    const now = usedAt;
+    const used = await IssuedQR.findOneAndUpdate(
+      {
+        qrId,
+        status: 'ACTIVE',
+        $and: [
+          { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+          { $or: [{ maxUses: null }, { $expr: { $lt: ['$useCount', '$maxUses'] } }] }
+        ]
+      },
+      { $inc: { useCount: 1 }, $set: { lastUsedAt: now } },
+      { new: true, session }
+    );
+
+    if (!used) {
+      const entry = await IssuedQR.findOne({ qrId });
+      if (!entry) {
+        throw new AppError('This QR code is not valid', 400, 'QR_NOT_REGISTERED');
+      }
+      const rejection = this.usageError(entry) || new AppError('This QR code has already been used', 409, 'QR_ALREADY_USED');
+      // Outside the session so the attempt is kept when the caller rolls back
+      await this.trackQRUsage(qrId, 'REJECTED', { userId, reason: rejection.errorCode });
+      throw rejection;
+    }
+
+    if (used.maxUses && used.useCount >= used.maxUses) {
+      used.status = 'USED';
+      await used.save({ session });
+    }
+
+    await this.trackQRUsage(qrId, 'REDEEM', { userId, transactionId, session });
+    return used;
+  }
+
+  /**
+   * Withdraw a code before it is used, e.g. a cancelled payment request
+   */
+  async revoke(qrId, { session = null } = {}) {
+    return IssuedQR.findOneAndUpdate(
+      { qrId, status: 'ACTIVE' },
+      { $set: { status: 'REVOKED', revokedAt: new Date() } },
+      { new: true, session }
+    );
+  }
+
+  /**
+   * Why a registered code can no longer be used, if it cannot
+   */
+  usageError(entry) {
+    if (entry.status === 'REVOKED') {
+      return new AppError('This QR code has been withdrawn', 409, 'QR_REVOKED');
+    }
+    if (entry.status === 'USED' || (entry.maxUses && entry.useCount >= entry.maxUses)) {
+      return new AppError('This QR code has already been used', 409, 'QR_ALREADY_USED');
+    }
+    if (entry.isExpired) {
+      return new AppError('This QR code has expired', 409, 'QR_EXPIRED');
+    }
+    return null;
+  }
+
   /**
    * Create secure encrypted payload
    */
@@ -536,8 +717,8 @@ class QRService {
       data = JSON.parse(decrypted);
     }
 
-    // Verify signature if required
-    if (this.config.security.requireSignature) {
+    // Verify signature if required; unencrypted payloads are never signed
+    if (this.config.security.encryptionKey && this.config.security.requireSignature) {
       const expectedSignature = this.generateSignature(data);
       if (data.signature !== expectedSignature) {
         throw new Error('Invalid payload signature');
@@ -649,24 +830,65 @@ class QRService {
    */
 
   /**
-   * Track QR code usage
+   * Track QR code usage (SCAN, REDEEM or REJECTED)
    */
   async trackQRUsage(qrId, action, metadata = {}) {
-    // Implementation would depend on your analytics service
-    console.log(`QR ${qrId}: ${action}`, metadata);
+    const { userId, ip, userAgent, transactionId, reason, session = null } = metadata;
+
+    await QRScan.create([{
+      qrId,
+      action,
+      userId,
+      reason,
+      metadata: { ip, userAgent, transactionId }
+    }], { session });
   }
 
   /**
-   * Get QR code analytics
+   * Get QR code analytics: every scan attempt, distinct scanners, successful
+   * uses and turned-away scans over 1h, 24h, 7d, 30d or all time
    */
   async getQRAnalytics(qrId, timeframe = '24h') {
-    // This would integrate with your analytics service
+    const entry = await IssuedQR.findOne({ qrId });
+    if (!entry) {
+      throw new AppError('QR code not found', 404, 'QR_NOT_FOUND');
+    }
+
+    const match = { qrId };
+    if (ANALYTICS_TIMEFRAMES[timeframe]) {
+      match.createdAt = { $gte: new Date(Date.now() - ANALYTICS_TIMEFRAMES[timeframe]) };
+    }
+
+    const rows = await QRScan.aggregate([
+      { $match: match },
+      { $group: { _id: '$action', count: { $sum: 1 }, users: { $addToSet: '$userId' } } }
+    ]);
+    const byAction = Object.fromEntries(rows.map(row => [row._id, row]));
+    const count = (action) => byAction[action]?.count || 0;
+
+    // A turned-away scan is still a scan
+    const scanners = new Set(
+      ['SCAN', 'REJECTED']
+        .flatMap(action => byAction[action]?.users || [])
+        .filter(Boolean)
+        .map(id => id.toString())
+    );
+    const scans = count('SCAN') + count('REJECTED');
+    const conversions = count('REDEEM');
+
     return {
       qrId,
-      scans: 0,
-      uniqueScans: 0,
-      conversions: 0,
-      timeframe
+      type: entry.type,
+      status: entry.status,
+      useCount: entry.useCount,
+      maxUses: entry.maxUses,
+      expiresAt: entry.expiresAt,
+      scans,
+      uniqueScans: scanners.size,
+      conversions,
+      rejected: count('REJECTED'),
+      conversionRate: scans > 0 ? Math.round((conversions / scans) * 10000) / 100 : 0,
+      timeframe: ANALYTICS_TIMEFRAMES[timeframe] ? timeframe : 'all'
     };
   }
 }
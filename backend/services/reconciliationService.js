@@ -0,0 +1,339 @@
+const Transaction = require('../models/Transaction');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const AuditLog = require('../models/AuditLog');
+const paymentService = require('./paymentService');
+const squareWebhookService = require('./squareWebhookService');
+const { locationId: defaultLocationId } = require('../config/square');
+
+const GRACE_MINUTES = parseInt(process.env.RECONCILIATION_GRACE_MINUTES) || 15;
+const MAX_PAGES = 100;
+
+// Our transaction statuses that agree with each Square status
+const STATUS_MATCHES = {
+  COMPLETED: ['COMPLETED'],
+  APPROVED: ['PENDING', 'PROCESSING'],
+  PENDING: ['PENDING', 'PROCESSING'],
+  CANCELED: ['PENDING', 'FAILED', 'CANCELLED'],
+  FAILED: ['PENDING', 'FAILED', 'CANCELLED'],
+  REJECTED: ['PENDING', 'FAILED', 'CANCELLED']
+};
+
+// Square statuses where no money moved
+const SQUARE_UNSETTLED = ['CANCELED', 'FAILED', 'REJECTED'];
+
+/**
+ * Square reconciliation
+ *
+ * Features:
+ * - Pulls every Square payment and refund for a time window
+ * - Compares them with our SQUARE top-up and refund transactions
+ * - Flags missing, orphaned, amount-mismatched and status-mismatched records
+ * - Stores the outcome as a ReconciliationReport
+ */
+
+class ReconciliationService {
+  /**
+   * Reconcile a window and store the report. The window defaults to the
+   * previous UTC day.
+   */
+  async run({ beginTime, endTime, locationId = defaultLocationId, trigger = 'SCHEDULED', triggeredBy } = {}) {
+    const window = this.resolveWindow(beginTime, endTime);
+
+    const report = await ReconciliationReport.create({
+      locationId,
+      window,
+      trigger,
+      triggeredBy
+    });
+
+    try {
+      // Fetch a little either side so records that straddle the boundary
+      // still find their counterpart
+      const graceMs = GRACE_MINUTES * 60 * 1000;
+      const fetchBegin = new Date(window.beginTime.getTime() - graceMs).toISOString();
+      const fetchEnd = new Date(window.endTime.getTime() + graceMs).toISOString();
+
+      const payments = await this.fetchAll('listPayments', 'payments', locationId, fetchBegin, fetchEnd);
+      const refunds = await this.fetchAll('listRefunds', 'refunds', locationId, fetchBegin, fetchEnd);
+
+      const paymentResult = await this.reconcileKind('PAYMENT', payments, window);
+      const refundResult = await this.reconcileKind('REFUND', refunds, window);
+
+      const discrepancies = [...paymentResult.discrepancies, ...refundResult.discrepancies];
+      const countOf = type => discrepancies.filter(d => d.type === type).length;
+
+      report.discrepancies = discrepancies;
+      report.summary = {
+        squarePayments: paymentResult.squareCount,
+        squareRefunds: refundResult.squareCount,
+        transactionsChecked: paymentResult.transactionCount + refundResult.transactionCount,
+        matched: paymentResult.matched + refundResult.matched,
+        discrepancies: discrepancies.length,
+        missing: countOf('MISSING'),
+        orphaned: countOf('ORPHANED'),
+        amountMismatch: countOf('AMOUNT_MISMATCH'),
+        statusMismatch: countOf('STATUS_MISMATCH')
+      };
+      report.status = 'COMPLETED';
+    } catch (error) {
+      console.error('Reconciliation error:', error);
+      report.status = 'FAILED';
+      report.error = error.message;
+    }
+
+    report.completedAt = new Date();
+    await report.save();
+
+    if (report.status === 'FAILED' || report.summary.discrepancies > 0) {
+      await AuditLog.logSystem({
+        action: report.status === 'FAILED' ? 'RECONCILIATION_FAILED' : 'RECONCILIATION_DISCREPANCIES',
+        status: report.status === 'FAILED' ? 'ERROR' : 'WARNING',
+        severity: 'HIGH',
+        details: {
+          reportId: report._id,
+          window: report.window,
+          summary: report.summary,
+          error: report.error
+        }
+      });
+    }
+
+    return report;
+  }
+
+  /**
+   * Default to the previous UTC day and validate explicit windows
+   */
+  resolveWindow(beginTime, endTime) {
+    let begin = beginTime ? new Date(beginTime) : null;
+    let end = endTime ? new Date(endTime) : null;
+
+    if (!begin && !end) {
+      end = new Date();
+      end.setUTCHours(0, 0, 0, 0);
+      begin = new Date(end.getTime() - 24 * 60 * 60 * 1000);
+    } else if (!begin) {
+      begin = new Date(end.getTime() - 24 * 60 * 60 * 1000);
+    } else if (!end) {
+      end = new Date(begin.getTime() + 24 * 60 * 60 * 1000);
+    }
+
+    if (isNaN(begin) || isNaN(end) || begin >= end) {
+      throw new Error('Reconciliation window is invalid');
+    }
+
+    return { beginTime: begin, endTime: end };
+  }
+
+  /**
+   * Follow Square cursors until every page for the window is loaded
+   */
+  async fetchAll(method, key, locationId, beginTime, endTime) {
+    const items = [];
+    let cursor;
+
+    for (let page = 0; page < MAX_PAGES; page++) {
+      const response = await paymentService[method](locationId, beginTime, endTime, cursor);
+      if (!response.success) {
+        throw new Error(`${response.message}: ${response.error}`);
+      }
+
+      items.push(...response[key]);
+      cursor = response.cursor;
+      if (!cursor) {
+        return items;
+      }
+    }
+
+    throw new Error(`Square ${key} listing exceeded ${MAX_PAGES} pages`);
+  }
+
+  /**
+   * Compare one kind of Square object (payments or refunds) with our
+   * transactions and collect the differences
+   */
+  async reconcileKind(kind, squareItems, window) {
+    const inWindow = item => {
+      const createdAt = new Date(item.createdAt);
+      return createdAt >= window.beginTime && createdAt < window.endTime;
+    };
+
+    const transactions = await this.loadTransactions(kind, squareItems, window);
+    const lookup = this.indexTransactions(transactions);
+    const checked = new Set();
+    const discrepancies = [];
+    let matched = 0;
+
+    for (const item of squareItems) {
+      const transaction = this.matchTransaction(kind, item, lookup);
+      const squareAmount = squareWebhookService.amountFromMoney(item.amountMoney);
+
+      if (!transaction) {
+        if (inWindow(item) && !SQUARE_UNSETTLED.includes(item.status)) {
+          discrepancies.push({
+            type: 'MISSING',
+            kind,
+            squareId: item.id,
+            squareStatus: item.status,
+            squareAmount,
+            message: `Square ${kind.toLowerCase()} ${item.id} has no matching transaction`
+          });
+        }
+        continue;
+      }
+
+      checked.add(transaction._id.toString());
+      const found = this.compare(kind, item, squareAmount, transaction);
+      if (found.length) {
+        discrepancies.push(...found);
+      } else {
+        matched++;
+      }
+    }
+
+    // Anything of ours in the window that Square did not report
+    const squareIds = new Set(squareItems.map(item => item.id));
+    for (const transaction of transactions) {
+      if (checked.has(transaction._id.toString()) || !this.isInWindow(transaction, window)) {
+        continue;
+      }
+
+      const squareId = kind === 'PAYMENT' ? transaction.squarePaymentId : transaction.squareRefundId;
+      const moved = ['PROCESSING', 'COMPLETED'].includes(transaction.status);
+      const claimsSquare = squareId && !['FAILED', 'CANCELLED'].includes(transaction.status);
+
+      // A PENDING top-up without a Square id is an abandoned order, not an orphan
+      if (!moved && !claimsSquare) {
+        continue;
+      }
+
+      discrepancies.push({
+        type: 'ORPHANED',
+        kind,
+        squareId,
+        transactionId: transaction._id,
+        transactionRef: transaction.transactionId,
+        transactionStatus: transaction.status,
+        transactionAmount: transaction.amount,
+        message: squareId && !squareIds.has(squareId)
+          ? `Transaction ${transaction.transactionId} references ${squareId}, which Square did not return`
+          : `Transaction ${transaction.transactionId} is ${transaction.status} without a Square ${kind.toLowerCase()}`
+      });
+    }
+
+    return {
+      squareCount: squareItems.filter(inWindow).length,
+      transactionCount: transactions.filter(t => this.isInWindow(t, window) || checked.has(t._id.toString())).length,
+      matched,
+      discrepancies
+    };
+  }
+
+  /**
+   * Our SQUARE transactions created in the window, plus any transaction the
+   * Square records point at regardless of when it was created
+   */
+  loadTransactions(kind, squareItems, window) {
+    const category = kind === 'PAYMENT' ? 'TOP_UP' : 'REFUND';
+    const conditions = [{
+      createdAt: { $gte: window.beginTime, $lt: window.endTime }
+    }];
+
+    if (kind === 'PAYMENT') {
+      const ids = squareItems.map(p => p.id);
+      const orderIds = squareItems.map(p => p.orderId).filter(Boolean);
+      const references = squareItems.map(p => p.referenceId).filter(Boolean);
+      conditions.push(
+        { squarePaymentId: { $in: ids } },
+        { squareOrderId: { $in: orderIds } },
+        { transactionId: { $in: references } }
+      );
+    } else {
+      conditions.push({ squareRefundId: { $in: squareItems.map(r => r.id) } });
+    }
+
+    return Transaction.find({
+      category,
+      paymentMethod: 'SQUARE',
+      $or: conditions
+    }).lean();
+  }
+
+  indexTransactions(transactions) {
+    const lookup = {
+      byPaymentId: new Map(),
+      byRefundId: new Map(),
+      byOrderId: new Map(),
+      byReference: new Map()
+    };
+
+    for (const transaction of transactions) {
+      if (transaction.squarePaymentId) lookup.byPaymentId.set(transaction.squarePaymentId, transaction);
+      if (transaction.squareRefundId) lookup.byRefundId.set(transaction.squareRefundId, transaction);
+      if (transaction.squareOrderId) lookup.byOrderId.set(transaction.squareOrderId, transaction);
+      lookup.byReference.set(transaction.transactionId, transaction);
+    }
+
+    return lookup;
+  }
+
+  matchTransaction(kind, item, lookup) {
+    if (kind === 'REFUND') {
+      return lookup.byRefundId.get(item.id);
+    }
+
+    return lookup.byPaymentId.get(item.id)
+      || (item.orderId && lookup.byOrderId.get(item.orderId))
+      || (item.referenceId && lookup.byReference.get(item.referenceId))
+      || null;
+  }
+
+  /**
+   * Amount and status differences between a Square record and its transaction
+   */
+  compare(kind, item, squareAmount, transaction) {
+    const base = {
+      kind,
+      squareId: item.id,
+      squareStatus: item.status,
+      squareAmount,
+      transactionId: transaction._id,
+      transactionRef: transaction.transactionId,
+      transactionStatus: transaction.status,
+      transactionAmount: transaction.amount
+    };
+    const found = [];
+
+    if (squareAmount !== null && Math.abs(squareAmount - transaction.amount) > 0.005) {
+      found.push({
+        ...base,
+        type: 'AMOUNT_MISMATCH',
+        message: `Square ${kind.toLowerCase()} is ${squareAmount}, transaction ${transaction.transactionId} is ${transaction.amount}`
+      });
+    }
+
+    const agreeing = STATUS_MATCHES[item.status] || [];
+    if (!agreeing.includes(transaction.status)) {
+      found.push({
+        ...base,
+        type: 'STATUS_MISMATCH',
+        message: `Square ${kind.toLowerCase()} is ${item.status}, transaction ${transaction.transactionId} is ${transaction.status}`
+      });
+    } else if (item.status === 'COMPLETED' && !transaction.ledger?.journalId) {
+      found.push({
+        ...base,
+        type: 'STATUS_MISMATCH',
+        message: `Transaction ${transaction.transactionId} is COMPLETED but was never posted to the ledger`
+      });
+    }
+
+    return found;
+  }
+
+  isInWindow(transaction, window) {
+    const createdAt = new Date(transaction.createdAt);
+    return createdAt >= window.beginTime && createdAt < window.endTime;
+  }
+}
+
+module.exports = new ReconciliationService();
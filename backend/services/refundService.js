@@ -0,0 +1,252 @@
+const Transaction = require('../models/Transaction');
+const Merchant = require('../models/Merchant');
+const ledgerService = require('./ledgerService');
+const rewardService = require('./rewardService');
+const loyaltyService = require('./loyaltyService');
+const { generateTransactionId } = require('../utils/helpers');
+const { AppError } = require('../middleware/errorHandler');
+
+const REFUND_WINDOW_DAYS = parseInt(process.env.MERCHANT_REFUND_WINDOW_DAYS) || 30;
+const APPROVAL_THRESHOLD = parseFloat(process.env.MERCHANT_REFUND_APPROVAL_THRESHOLD) || 500;
+
+/**
+ * Merchant-initiated refunds of wallet payments
+ *
+ * Features:
+ * - Full or partial refunds, linked to the original payment
+ * - Cumulative refunds can never exceed the payment amount
+ * - Commission reversed in proportion to the refunded amount
+ * - Refunds above the approval threshold wait for an admin decision
+ * - Cashback, points and stamps the payment earned are taken back in the
+ *   same proportion
+ */
+
+class RefundService {
+  /**
+   * Refund a payment made to the merchant. Without an amount the remaining
+   * refundable balance is refunded.
+   */
+  async requestRefund({ merchant, paymentId, amount, reason, requestedBy }) {
+    const payment = await Transaction.findOne({
+      _id: paymentId,
+      category: 'PAYMENT',
+      'metadata.merchantId': merchant._id
+    });
+
+    if (!payment) {
+      throw new AppError('Payment not found', 404, 'PAYMENT_NOT_FOUND');
+    }
+
+    if (payment.status !== 'COMPLETED' || !payment.ledger?.journalId) {
+      throw new AppError('Only completed payments can be refunded', 400, 'PAYMENT_NOT_REFUNDABLE');
+    }
+
+    const paidAt = payment.completedAt || payment.createdAt;
+    if (Date.now() - paidAt.getTime() > REFUND_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+      throw new AppError(
+        `Payments can only be refunded within ${REFUND_WINDOW_DAYS} days`,
+        400,
+        'REFUND_WINDOW_EXPIRED'
+      );
+    }
+
+    const remaining = this.remainingRefundable(payment);
+    if (remaining <= 0) {
+      throw new AppError('Payment has already been fully refunded', 400, 'ALREADY_REFUNDED');
+    }
+
+    const refundAmount = amount === undefined ? remaining : ledgerService.roundAmount(amount);
+    if (refundAmount > remaining) {
+      const error = new AppError(
+        `Refund exceeds the refundable amount of ${remaining}`,
+        400,
+        'REFUND_EXCEEDS_REMAINING'
+      );
+      error.details = { refundable: remaining };
+      throw error;
+    }
+
+    const needsApproval = refundAmount > APPROVAL_THRESHOLD;
+
+    let refund = new Transaction({
+      transactionId: generateTransactionId('RFD'),
+      userId: payment.userId,
+      walletId: payment.walletId,
+      amount: refundAmount,
+      currency: payment.currency,
+      type: 'CREDIT',
+      category: 'REFUND',
+      paymentMethod: 'WALLET',
+      status: needsApproval ? 'PENDING' : 'COMPLETED',
+      description: `Refund from ${merchant.name}${reason ? `: ${reason}` : ''}`.slice(0, 500),
+      balanceBefore: 0,
+      balanceAfter: 0,
+      relatedTransactionId: payment._id,
+      metadata: {
+        merchantId: merchant._id
+      },
+      refund: {
+        reason,
+        requestedBy,
+        approvalStatus: needsApproval ? 'PENDING_APPROVAL' : 'NOT_REQUIRED'
+      }
+    });
+
+    await ledgerService.runInTransaction(async (session) => {
+      // Reserve the amount first so concurrent refunds cannot exceed the cap
+      await this.reserve(payment, refundAmount, session);
+
+      if (needsApproval) {
+        await refund.save({ session });
+      } else {
+        refund = await this.post(payment, refund, session);
+      }
+    });
+
+    if (!needsApproval) {
+      await merchant.recordRefund(refund.amount);
+    }
+
+    return { refund, payment, pendingApproval: needsApproval };
+  }
+
+  /**
+   * Approve a refund waiting for admin review and post it
+   */
+  async approve(refundId, adminId, note) {
+    let refund;
+
+    await ledgerService.runInTransaction(async (session) => {
+      refund = await this.claimPending(refundId, {
+        'refund.approvalStatus': 'APPROVED',
+        'refund.reviewedBy': adminId,
+        'refund.reviewedAt': new Date(),
+        'refund.reviewNote': note,
+        status: 'COMPLETED'
+      }, session);
+
+      const payment = await Transaction.findById(refund.relatedTransactionId).session(session);
+      refund = await this.post(payment, refund, session);
+    });
+
+    const merchant = await Merchant.findById(refund.metadata.merchantId);
+    if (merchant) {
+      await merchant.recordRefund(refund.amount);
+    }
+
+    return refund;
+  }
+
+  /**
+   * Reject a refund waiting for admin review and release its reservation
+   */
+  async reject(refundId, adminId, note) {
+    let refund;
+
+    await ledgerService.runInTransaction(async (session) => {
+      refund = await this.claimPending(refundId, {
+        'refund.approvalStatus': 'REJECTED',
+        'refund.reviewedBy': adminId,
+        'refund.reviewedAt': new Date(),
+        'refund.reviewNote': note,
+        status: 'CANCELLED',
+        failureReason: 'Refund rejected by admin'
+      }, session);
+
+      await Transaction.updateOne(
+        { _id: refund.relatedTransactionId },
+        { $inc: { refundedAmount: -refund.amount } },
+        { session }
+      );
+    });
+
+    return refund;
+  }
+
+  /**
+   * Amount of a payment that can still be refunded
+   */
+  remainingRefundable(payment) {
+    return Math.max(0, ledgerService.roundAmount(payment.amount - (payment.refundedAmount || 0)));
+  }
+
+  /**
+   * Add to the payment's refunded total only if it stays within the payment amount
+   */
+  async reserve(payment, amount, session) {
+    const result = await Transaction.updateOne(
+      {
+        _id: payment._id,
+        $expr: {
+          $lte: [
+            { $add: [{ $ifNull: ['$refundedAmount', 0] }, amount] },
+            { $add: ['$amount', 0.005] }
+          ]
+        }
+      },
+      { $inc: { refundedAmount: amount } },
+      { session }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw new AppError('Refund exceeds the refundable amount', 400, 'REFUND_EXCEEDS_REMAINING');
+    }
+
+    payment.refundedAmount = ledgerService.roundAmount((payment.refundedAmount || 0) + amount);
+  }
+
+  /**
+   * Move a refund out of PENDING_APPROVAL exactly once
+   */
+  async claimPending(refundId, updates, session) {
+    const refund = await Transaction.findOneAndUpdate(
+      { _id: refundId, category: 'REFUND', 'refund.approvalStatus': 'PENDING_APPROVAL' },
+      { $set: updates },
+      { new: true, session }
+    );
+
+    if (!refund) {
+      throw new AppError('Refund is not awaiting approval', 409, 'REFUND_NOT_PENDING');
+    }
+
+    return refund;
+  }
+
+  /**
+   * Reverse the matching share of the payment journal: credit the customer,
+   * debit the merchant's net and the platform's commission, and return any
+   * platform-funded discount to promotions. Disputes refund through here
+   * too, so clawbacks of what the payment earned belong here.
+   */
+  async post(payment, refund, session) {
+    const ratio = refund.amount / payment.amount;
+    const posting = await ledgerService.reverseJournal(payment.ledger.journalId, {
+      ratio,
+      transactions: [refund],
+      description: refund.description,
+      session
+    });
+
+    await rewardService.clawBack(payment, ratio, session);
+    await loyaltyService.reverseEarnings(payment, ratio, session);
+
+    const reversedOn = (accountType) => ledgerService.roundAmount(
+      posting.entries
+        .filter(entry => entry.accountType === accountType)
+        .reduce((sum, entry) => sum + entry.amount, 0)
+    );
+
+    refund.refund.commissionReversed = reversedOn('PLATFORM_REVENUE');
+    refund.refund.subsidyReversed = reversedOn('PLATFORM_PROMOTIONS');
+    refund.fees = {
+      amount: refund.refund.commissionReversed,
+      type: 'PERCENTAGE',
+      description: 'Merchant commission reversed'
+    };
+    await refund.save({ session });
+
+    return refund;
+  }
+}
+
+module.exports = new RefundService();
@@ -0,0 +1,420 @@
+const mongoose = require('mongoose');
+const Reward = require('../models/Reward');
+const RewardUsage = require('../models/RewardUsage');
+const Transaction = require('../models/Transaction');
+const Wallet = require('../models/Wallet');
+const ledgerService = require('./ledgerService');
+const { generateTransactionId } = require('../utils/helpers');
+const { AppError } = require('../middleware/errorHandler');
+const { socketEmitters } = require('../config/socket');
+
+// Transaction categories that can earn a reward, by campaign trigger
+const TRIGGER_CATEGORIES = {
+  PAYMENT: 'PAYMENT',
+  TOP_UP: 'TOP_UP'
+};
+
+/**
+ * Cashback and rewards campaigns
+ *
+ * Features:
+ * - Percentage or flat rewards on payments and top-ups
+ * - Merchant and merchant-category targeting, date windows and minimum amounts
+ * - Campaign budgets reserved atomically; campaigns stop when spent
+ * - Per-user caps by amount and count, per day, week, month or campaign,
+ *   reserved atomically on a RewardUsage counter
+ * - Grants posted as CASHBACK credits: Dr platform promotions, Cr user wallet
+ * - Cashback clawed back in proportion when its payment is refunded
+ */
+
+class RewardService {
+  /**
+   * Grant every running campaign the transaction qualifies for. Runs after
+   * the transaction has committed and never throws; a failed grant must not
+   * fail the payment or top-up that earned it.
+   */
+  async applyFor(transaction, { merchant = null, io = null } = {}) {
+    const trigger = Object.keys(TRIGGER_CATEGORIES).find(key => TRIGGER_CATEGORIES[key] === transaction.category);
+    if (!trigger || transaction.status !== 'COMPLETED') {
+      return [];
+    }
+
+    const grants = [];
+
+    try {
+      const campaigns = await Reward.findRunning(trigger);
+
+      for (const campaign of campaigns) {
+        try {
+          const grant = await this.grantIfEligible(campaign, transaction, merchant);
+          if (grant) grants.push(grant);
+        } catch (error) {
+          console.error(`Reward ${campaign.code} error for ${transaction.transactionId}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error(`Reward lookup error for ${transaction.transactionId}:`, error);
+    }
+
+    if (io && grants.length) {
+      const last = grants[grants.length - 1];
+      socketEmitters.emitBalanceUpdate(io, transaction.userId, {
+        newBalance: last.transaction.balanceAfter,
+        amountAdded: ledgerService.roundAmount(grants.reduce((sum, grant) => sum + grant.amount, 0)),
+        reason: 'CASHBACK',
+        rewards: grants.map(grant => ({ code: grant.code, name: grant.name, amount: grant.amount }))
+      });
+    }
+
+    return grants;
+  }
+
+  /**
+   * Work out what one campaign owes for a transaction and post it
+   */
+  async grantIfEligible(campaign, transaction, merchant) {
+    if (!campaign.appliesTo({ amount: transaction.amount, merchant })) {
+      return null;
+    }
+
+    if (campaign.firstTransactionOnly) {
+      const earlier = await Transaction.exists({
+        _id: { $ne: transaction._id },
+        userId: transaction.userId,
+        category: transaction.category,
+        status: 'COMPLETED',
+        createdAt: { $lte: transaction.createdAt }
+      });
+      if (earlier) return null;
+    }
+
+    let amount = campaign.calculate(transaction.amount);
+    let usage = null;
+
+    if (campaign.perUserCap?.amount || campaign.perUserCap?.count) {
+      usage = await this.getUserUsage(campaign, transaction.userId, transaction.createdAt);
+      if (campaign.perUserCap.count && usage.count >= campaign.perUserCap.count) {
+        return null;
+      }
+      if (campaign.perUserCap.amount) {
+        amount = Math.min(amount, campaign.perUserCap.amount - usage.amount);
+      }
+    }
+
+    amount = ledgerService.roundAmount(Math.min(amount, campaign.budgetRemaining));
+    if (amount < 0.01) {
+      return null;
+    }
+
+    return this.grant(campaign, transaction, amount, merchant, usage);
+  }
+
+  /**
+   * Reserve the user's cap and the budget and post the CASHBACK credit in
+   * one Mongo transaction. usage is what getUserUsage found for capped
+   * campaigns.
+   */
+  async grant(campaign, source, amount, merchant, usage = null) {
+    let cashback;
+
+    try {
+      await ledgerService.runInTransaction(async (session) => {
+        if (usage && !await this.reserveUsage(campaign, source, amount, usage, session)) {
+          throw new AppError('Reward cap reached', 409, 'REWARD_UNAVAILABLE');
+        }
+
+        const reserved = await Reward.findOneAndUpdate(
+          {
+            _id: campaign._id,
+            status: 'ACTIVE',
+            $expr: { $lte: [{ $add: ['$budget.spent', amount] }, { $add: ['$budget.total', 0.005] }] }
+          },
+          { $inc: { 'budget.spent': amount, grantCount: 1 } },
+          { new: true, session }
+        );
+        if (!reserved) {
+          throw new AppError('Reward budget spent', 409, 'REWARD_UNAVAILABLE');
+        }
+
+        const [userWallet, promotionsWallet] = await Promise.all([
+          Wallet.findById(source.walletId).session(session),
+          Wallet.getSystemWallet('PLATFORM_PROMOTIONS', { session })
+        ]);
+
+        cashback = new Transaction({
+          transactionId: generateTransactionId('CBK'),
+          userId: source.userId,
+          walletId: userWallet._id,
+          amount,
+          currency: userWallet.currency,
+          type: 'CREDIT',
+          category: 'CASHBACK',
+          paymentMethod: 'WALLET',
+          status: 'COMPLETED',
+          description: `${campaign.name}${merchant ? ` at ${merchant.name}` : ''}`.slice(0, 500),
+          balanceBefore: userWallet.balance,
+          balanceAfter: userWallet.balance,
+          relatedTransactionId: source._id,
+          metadata: {
+            merchantId: merchant ? merchant._id : undefined,
+            rewardId: campaign._id
+          }
+        });
+
+        await ledgerService.postJournal({
+          lines: ledgerService.rewardLines(promotionsWallet, userWallet, amount, cashback.description),
+          transactions: [cashback],
+          description: cashback.description,
+          session
+        });
+
+        if (reserved.budget.total - reserved.budget.spent < 0.01) {
+          await Reward.updateOne({ _id: campaign._id }, { $set: { status: 'EXHAUSTED' } }, { session });
+        }
+      });
+    } catch (error) {
+      // Already granted for this transaction (a retried request), or the
+      // cap or budget went to a concurrent grant
+      if (error.code === 11000 || error.errorCode === 'REWARD_UNAVAILABLE') return null;
+      throw error;
+    }
+
+    return {
+      code: campaign.code,
+      name: campaign.name,
+      amount,
+      transaction: cashback
+    };
+  }
+
+  /**
+   * Count a grant against the user's cap for the period. The counter is
+   * seeded from earlier grants when first used, then only moves while it
+   * stays within the cap.
+   */
+  async reserveUsage(campaign, source, amount, usage, session) {
+    const cap = campaign.perUserCap;
+    const key = {
+      rewardId: campaign._id,
+      userId: source.userId,
+      periodStart: this.periodStart(cap.period, source.createdAt)
+    };
+
+    await RewardUsage.updateOne(
+      key,
+      { $setOnInsert: { amount: usage.amount, count: usage.count } },
+      { upsert: true, session }
+    );
+
+    const filter = { ...key };
+    if (cap.count) filter.count = { $lt: cap.count };
+    if (cap.amount) filter.amount = { $lte: cap.amount - amount + 0.005 };
+
+    const reserved = await RewardUsage.findOneAndUpdate(
+      filter,
+      { $inc: { amount, count: 1 } },
+      { new: true, session }
+    );
+    return Boolean(reserved);
+  }
+
+  /**
+   * Take back cashback a payment earned, in proportion to a refund or
+   * dispute reversal of it (Dr user wallet, Cr platform promotions). Runs in
+   * the refund's session after the refund credit, which covers it.
+   */
+  async clawBack(payment, ratio, session) {
+    const grants = await Transaction.find({
+      category: 'CASHBACK',
+      status: 'COMPLETED',
+      relatedTransactionId: payment._id
+    }).session(session);
+
+    const reversals = [];
+
+    for (const grant of grants) {
+      const remaining = ledgerService.roundAmount(grant.amount - (grant.refundedAmount || 0));
+      const amount = Math.min(ledgerService.roundAmount(grant.amount * ratio), remaining);
+      if (!(amount > 0) || !grant.ledger?.journalId) continue;
+
+      // No merchantId: settlements must not net this against the merchant
+      const reversal = new Transaction({
+        transactionId: generateTransactionId('CBR'),
+        userId: grant.userId,
+        walletId: grant.walletId,
+        amount,
+        currency: grant.currency,
+        type: 'DEBIT',
+        category: 'REVERSAL',
+        paymentMethod: 'WALLET',
+        status: 'COMPLETED',
+        description: `Cashback reversed: ${grant.description}`.slice(0, 500),
+        balanceBefore: 0,
+        balanceAfter: 0,
+        relatedTransactionId: grant._id,
+        metadata: {
+          rewardId: grant.metadata.rewardId
+        }
+      });
+
+      await ledgerService.reverseJournal(grant.ledger.journalId, {
+        ratio: amount / grant.amount,
+        transactions: [reversal],
+        description: reversal.description,
+        session
+      });
+
+      await Transaction.updateOne({ _id: grant._id }, { $inc: { refundedAmount: amount } }, { session });
+
+      // Promotions got the money back, and the user's cap frees up by as much
+      const campaign = await Reward.findByIdAndUpdate(
+        grant.metadata.rewardId,
+        { $inc: { 'budget.spent': -amount } },
+        { new: true, session }
+      );
+      if (campaign?.perUserCap?.amount || campaign?.perUserCap?.count) {
+        await RewardUsage.updateOne(
+          {
+            rewardId: campaign._id,
+            userId: grant.userId,
+            periodStart: this.periodStart(campaign.perUserCap.period, payment.createdAt)
+          },
+          { $inc: { amount: -amount, count: amount >= remaining ? -1 : 0 } },
+          { session }
+        );
+      }
+
+      reversals.push(reversal);
+    }
+
+    return reversals;
+  }
+
+  /**
+   * What a user has already received from a campaign in the current cap
+   * period, net of clawbacks
+   */
+  async getUserUsage(campaign, userId, at = new Date()) {
+    const since = this.periodStart(campaign.perUserCap.period, at);
+
+    const counter = await RewardUsage.findOne({ rewardId: campaign._id, userId, periodStart: since });
+    if (counter) {
+      return { amount: ledgerService.roundAmount(counter.amount), count: counter.count };
+    }
+
+    const match = {
+      category: 'CASHBACK',
+      status: 'COMPLETED',
+      userId: new mongoose.Types.ObjectId(userId.toString()),
+      'metadata.rewardId': campaign._id
+    };
+    if (since) match.createdAt = { $gte: since };
+
+    const kept = { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] };
+    const [usage] = await Transaction.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          amount: { $sum: kept },
+          count: { $sum: { $cond: [{ $gt: [kept, 0.005] }, 1, 0] } }
+        }
+      }
+    ]);
+
+    return {
+      amount: ledgerService.roundAmount(usage?.amount || 0),
+      count: usage?.count || 0
+    };
+  }
+
+  /**
+   * Start of the cap period containing at (UTC); null for the whole campaign
+   */
+  periodStart(period, at = new Date()) {
+    if (!period || period === 'CAMPAIGN') return null;
+
+    const start = new Date(at);
+    start.setUTCHours(0, 0, 0, 0);
+
+    if (period === 'WEEK') {
+      // Weeks start on Monday, as settlement cycles do
+      start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    } else if (period === 'MONTH') {
+      start.setUTCDate(1);
+    }
+
+    return start;
+  }
+
+  /**
+   * Spend for one campaign: totals, daily spend and top merchants
+   */
+  async getCampaignReport(rewardId) {
+    const match = {
+      category: 'CASHBACK',
+      status: 'COMPLETED',
+      'metadata.rewardId': new mongoose.Types.ObjectId(rewardId.toString())
+    };
+
+    // Net of clawbacks, as the budget is
+    const kept = { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] };
+    const [report] = await Transaction.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                spent: { $sum: kept },
+                grants: { $sum: 1 },
+                users: { $addToSet: '$userId' }
+              }
+            },
+            { $project: { _id: 0, spent: 1, grants: 1, uniqueUsers: { $size: '$users' } } }
+          ],
+          daily: [
+            {
+              $group: {
+                _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+                spent: { $sum: kept },
+                grants: { $sum: 1 }
+              }
+            },
+            { $sort: { _id: 1 } }
+          ],
+          byMerchant: [
+            { $match: { 'metadata.merchantId': { $ne: null } } },
+            {
+              $group: {
+                _id: '$metadata.merchantId',
+                spent: { $sum: kept },
+                grants: { $sum: 1 }
+              }
+            },
+            { $sort: { spent: -1 } },
+            { $limit: 10 },
+            { $lookup: { from: 'merchants', localField: '_id', foreignField: '_id', as: 'merchant' } },
+            { $project: { spent: 1, grants: 1, name: { $arrayElemAt: ['$merchant.name', 0] } } }
+          ]
+        }
+      }
+    ]);
+
+    const totals = report.totals[0] || { spent: 0, grants: 0, uniqueUsers: 0 };
+
+    return {
+      totals: { ...totals, spent: ledgerService.roundAmount(totals.spent) },
+      daily: report.daily.map(day => ({ date: day._id, spent: ledgerService.roundAmount(day.spent), grants: day.grants })),
+      byMerchant: report.byMerchant.map(row => ({
+        merchantId: row._id,
+        name: row.name,
+        spent: ledgerService.roundAmount(row.spent),
+        grants: row.grants
+      }))
+    };
+  }
+}
+
+module.exports = new RewardService();
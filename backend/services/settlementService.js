@@ -0,0 +1,400 @@
+const Settlement = require('../models/Settlement');
+const Transaction = require('../models/Transaction');
+const Merchant = require('../models/Merchant');
+const Dispute = require('../models/Dispute');
+const Wallet = require('../models/Wallet');
+const ledgerService = require('./ledgerService');
+const { generateTransactionId } = require('../utils/helpers');
+const { AppError } = require('../middleware/errorHandler');
+
+const SETTLED_CATEGORIES = ['PAYMENT', 'REFUND', 'REVERSAL'];
+
+/**
+ * Merchant settlements
+ *
+ * Features:
+ * - Batches unsettled payments, refunds and reversals per merchant cycle
+ *   (daily, weekly or monthly, from Merchant.settlementPeriod)
+ * - Nets out commission, refunds and open dispute holds
+ * - Leaves batches below minimumSettlementAmount unsettled so they carry over
+ * - PENDING -> APPROVED -> PAID, with the payout posted to the ledger
+ * - Bank payout failures send the settlement back for the next payout file
+ */
+
+class SettlementService {
+  /**
+   * Settle every merchant whose cycle has closed as of the given time
+   */
+  async run({ asOf = new Date(), merchantId } = {}) {
+    const filter = { isActive: true, isVerified: true };
+    if (merchantId) filter._id = merchantId;
+
+    const merchants = await Merchant.find(filter);
+    const results = [];
+
+    for (const merchant of merchants) {
+      try {
+        results.push(await this.settleMerchant(merchant, asOf));
+      } catch (error) {
+        console.error(`Settlement error for merchant ${merchant._id}:`, error);
+        results.push({ merchantId: merchant._id, name: merchant.name, outcome: 'FAILED', error: error.message });
+      }
+    }
+
+    return {
+      asOf,
+      created: results.filter(r => r.outcome === 'CREATED').length,
+      carriedOver: results.filter(r => r.outcome === 'CARRIED_OVER').length,
+      failed: results.filter(r => r.outcome === 'FAILED').length,
+      results
+    };
+  }
+
+  /**
+   * Build and store one merchant's settlement for the cycle ending before asOf
+   */
+  async settleMerchant(merchant, asOf = new Date()) {
+    const cycle = merchant.settlementPeriod || 'weekly';
+    const periodEnd = this.cycleEnd(cycle, asOf);
+    const base = { merchantId: merchant._id, name: merchant.name, periodEnd };
+
+    const existing = await Settlement.findOne({
+      merchantId: merchant._id,
+      periodEnd: { $gte: periodEnd },
+      status: { $ne: 'CANCELLED' }
+    }).select('settlementId');
+    if (existing) {
+      return { ...base, outcome: 'ALREADY_SETTLED', settlementId: existing.settlementId };
+    }
+
+    const [transactions, newHolds, releases] = await Promise.all([
+      Transaction.find({
+        'metadata.merchantId': merchant._id,
+        category: { $in: SETTLED_CATEGORIES },
+        status: 'COMPLETED',
+        settlementId: null,
+        'ledger.journalId': { $exists: true },
+        completedAt: { $lt: periodEnd }
+      }).sort({ completedAt: 1 }),
+      Dispute.find({
+        merchantId: merchant._id,
+        status: { $ne: 'RESOLVED' },
+        'settlementHold.heldIn': null,
+        createdAt: { $lt: periodEnd }
+      }),
+      Dispute.find({
+        merchantId: merchant._id,
+        status: 'RESOLVED',
+        'settlementHold.heldIn': { $ne: null },
+        'settlementHold.releasedIn': null
+      })
+    ]);
+
+    const lineItems = transactions.map(transaction => this.lineItem(transaction));
+    const holds = newHolds.map(d => ({ disputeId: d._id, disputeRef: d.disputeId, amount: d.amount }));
+    const releasedHolds = releases.map(d => ({
+      disputeId: d._id,
+      disputeRef: d.disputeId,
+      amount: d.settlementHold.amount
+    }));
+    const totals = this.computeTotals(lineItems, holds, releasedHolds);
+    const minimum = merchant.minimumSettlementAmount || 0;
+
+    if (lineItems.length === 0 && releasedHolds.length === 0) {
+      return { ...base, outcome: 'NOTHING_TO_SETTLE' };
+    }
+
+    if (totals.payable <= 0 || totals.payable < minimum) {
+      return { ...base, outcome: 'CARRIED_OVER', payable: totals.payable, minimum };
+    }
+
+    const settlement = new Settlement({
+      settlementId: generateTransactionId('STL'),
+      merchantId: merchant._id,
+      cycle,
+      periodStart: this.periodStart(merchant, transactions, periodEnd),
+      periodEnd,
+      lineItems,
+      holds,
+      releasedHolds,
+      totals,
+      bankDetails: this.bankSnapshot(merchant.bankDetails)
+    });
+
+    await ledgerService.runInTransaction(async (session) => {
+      const marked = await Transaction.updateMany(
+        { _id: { $in: transactions.map(t => t._id) }, settlementId: null },
+        { $set: { settlementId: settlement._id } },
+        { session }
+      );
+      if (marked.modifiedCount !== transactions.length) {
+        throw new AppError('Transactions changed while settling, retry', 409, 'SETTLEMENT_CONFLICT');
+      }
+
+      for (const hold of holds) {
+        await Dispute.updateOne(
+          { _id: hold.disputeId },
+          { $set: { 'settlementHold.heldIn': settlement._id, 'settlementHold.amount': hold.amount } },
+          { session }
+        );
+      }
+
+      if (releasedHolds.length) {
+        await Dispute.updateMany(
+          { _id: { $in: releasedHolds.map(h => h.disputeId) } },
+          { $set: { 'settlementHold.releasedIn': settlement._id } },
+          { session }
+        );
+      }
+
+      await settlement.save({ session });
+    });
+
+    return { ...base, outcome: 'CREATED', settlementId: settlement.settlementId, payable: totals.payable };
+  }
+
+  /**
+   * Admin sign-off; the merchant must have bank details to be paid
+   */
+  async approve(id, adminId) {
+    const settlement = await Settlement.findById(id).select('+bankDetails.accountNumber');
+    if (!settlement) {
+      throw new AppError('Settlement not found', 404, 'SETTLEMENT_NOT_FOUND');
+    }
+
+    if (!settlement.bankDetails?.accountNumber || !settlement.bankDetails?.ifscCode) {
+      // Details may have been added since the batch was created
+      const merchant = await Merchant.findById(settlement.merchantId);
+      if (!merchant?.bankDetails?.accountNumber || !merchant.bankDetails.ifscCode) {
+        throw new AppError('Merchant has no bank details on file', 400, 'BANK_DETAILS_MISSING');
+      }
+      settlement.bankDetails = this.bankSnapshot(merchant.bankDetails);
+    }
+
+    const updated = await Settlement.findOneAndUpdate(
+      { _id: id, status: 'PENDING' },
+      {
+        $set: {
+          status: 'APPROVED',
+          approvedBy: adminId,
+          approvedAt: new Date(),
+          bankDetails: settlement.bankDetails
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw new AppError('Only pending settlements can be approved', 409, 'SETTLEMENT_NOT_PENDING');
+    }
+
+    return updated;
+  }
+
+  /**
+   * Record the bank payout and post it: Dr merchant wallet, Cr platform float
+   */
+  async markPaid(id, adminId, payoutReference) {
+    let settlement;
+
+    await ledgerService.runInTransaction(async (session) => {
+      settlement = await Settlement.findOneAndUpdate(
+        { _id: id, status: 'APPROVED' },
+        { $set: { status: 'PAID', paidBy: adminId, paidAt: new Date(), payoutReference } },
+        { new: true, session }
+      );
+      if (!settlement) {
+        throw new AppError('Only approved settlements can be marked paid', 409, 'SETTLEMENT_NOT_APPROVED');
+      }
+
+      const merchant = await Merchant.findById(settlement.merchantId).session(session);
+      const [merchantWallet, floatWallet] = await Promise.all([
+        Wallet.getMerchantWallet(merchant._id, { session }),
+        Wallet.getSystemWallet('PLATFORM_FLOAT', { session })
+      ]);
+
+      const payout = new Transaction({
+        transactionId: generateTransactionId('PAYOUT'),
+        userId: merchant.ownerId,
+        walletId: merchantWallet._id,
+        amount: settlement.totals.payable,
+        currency: settlement.currency,
+        type: 'DEBIT',
+        category: 'WITHDRAWAL',
+        paymentMethod: 'BANK_TRANSFER',
+        status: 'COMPLETED',
+        description: `Settlement ${settlement.settlementId}`,
+        balanceBefore: merchantWallet.balance,
+        balanceAfter: merchantWallet.balance,
+        settlementId: settlement._id,
+        metadata: {
+          merchantId: merchant._id
+        }
+      });
+
+      await ledgerService.postJournal({
+        lines: ledgerService.payoutLines(merchantWallet, floatWallet, payout.amount, payout.description),
+        transactions: [payout],
+        description: payout.description,
+        session
+      });
+
+      settlement.payoutTransactionId = payout._id;
+      await settlement.save({ session });
+
+      await Merchant.updateOne(
+        { _id: merchant._id },
+        { $set: { lastSettlementAt: settlement.paidAt } },
+        { session }
+      );
+    });
+
+    return settlement;
+  }
+
+  /**
+   * The bank bounced the payout; the settlement stays approved and can be
+   * exported again
+   */
+  async recordPayoutFailure(id, batchId, reason) {
+    const settlement = await Settlement.findOneAndUpdate(
+      { _id: id, status: 'APPROVED', payoutBatchId: batchId },
+      {
+        $unset: { payoutBatchId: '' },
+        $push: { payoutFailures: { batchId, reason, failedAt: new Date() } }
+      },
+      { new: true }
+    );
+
+    if (!settlement) {
+      throw new AppError('Settlement is not awaiting this payout', 409, 'SETTLEMENT_NOT_IN_BATCH');
+    }
+
+    return settlement;
+  }
+
+  /**
+   * Cancel an unpaid settlement; its lines and holds go back to the pool
+   */
+  async cancel(id, adminId, reason) {
+    let settlement;
+
+    await ledgerService.runInTransaction(async (session) => {
+      settlement = await Settlement.findOneAndUpdate(
+        { _id: id, status: { $in: ['PENDING', 'APPROVED'] }, payoutBatchId: null },
+        { $set: { status: 'CANCELLED', cancelledBy: adminId, cancelledAt: new Date(), cancelReason: reason } },
+        { new: true, session }
+      );
+      if (!settlement) {
+        throw new AppError(
+          'Only unpaid settlements that are not in a bank file can be cancelled',
+          409,
+          'SETTLEMENT_NOT_CANCELLABLE'
+        );
+      }
+
+      await Transaction.updateMany(
+        { settlementId: settlement._id },
+        { $unset: { settlementId: '' } },
+        { session }
+      );
+      await Dispute.updateMany(
+        { 'settlementHold.heldIn': settlement._id },
+        { $unset: { 'settlementHold.heldIn': '', 'settlementHold.amount': '' } },
+        { session }
+      );
+      await Dispute.updateMany(
+        { 'settlementHold.releasedIn': settlement._id },
+        { $unset: { 'settlementHold.releasedIn': '' } },
+        { session }
+      );
+    });
+
+    return settlement;
+  }
+
+  /**
+   * Start of the cycle containing asOf, i.e. the end of the last closed cycle (UTC)
+   */
+  cycleEnd(cycle, asOf = new Date()) {
+    const end = new Date(asOf);
+    end.setUTCHours(0, 0, 0, 0);
+
+    if (cycle === 'weekly') {
+      // Weeks close on Monday 00:00 UTC
+      const daysSinceMonday = (end.getUTCDay() + 6) % 7;
+      end.setUTCDate(end.getUTCDate() - daysSinceMonday);
+    } else if (cycle === 'monthly') {
+      end.setUTCDate(1);
+    }
+
+    return end;
+  }
+
+  periodStart(merchant, transactions, periodEnd) {
+    const candidates = [];
+    if (transactions.length) candidates.push(transactions[0].completedAt);
+    if (merchant.lastSettlementAt) candidates.push(merchant.lastSettlementAt);
+    return candidates.length ? new Date(Math.min(...candidates.map(d => d.getTime()))) : periodEnd;
+  }
+
+  /**
+   * One settlement line; refunds and reversals reduce the payout
+   */
+  lineItem(transaction) {
+    const sign = transaction.category === 'PAYMENT' ? 1 : -1;
+    const commission = transaction.category === 'PAYMENT'
+      ? transaction.fees?.amount || 0
+      : transaction.refund?.commissionReversed || 0;
+    // The merchant was paid the platform-funded part of any discount too
+    const subsidy = transaction.category === 'PAYMENT'
+      ? (transaction.discounts || [])
+        .filter(discount => discount.fundedBy === 'PLATFORM')
+        .reduce((sum, discount) => sum + discount.amount, 0)
+      : transaction.refund?.subsidyReversed || 0;
+    const grossAmount = ledgerService.roundAmount(sign * (transaction.amount + subsidy));
+    const signedCommission = ledgerService.roundAmount(sign * commission);
+
+    return {
+      transactionId: transaction._id,
+      transactionRef: transaction.transactionId,
+      category: transaction.category,
+      occurredAt: transaction.completedAt,
+      grossAmount,
+      commission: signedCommission,
+      netAmount: ledgerService.roundAmount(grossAmount - signedCommission)
+    };
+  }
+
+  computeTotals(lineItems, holds, releasedHolds) {
+    const sum = (items, field) => ledgerService.roundAmount(items.reduce((total, item) => total + item[field], 0));
+    const payments = lineItems.filter(item => item.category === 'PAYMENT');
+    const refunds = lineItems.filter(item => item.category !== 'PAYMENT');
+
+    const net = sum(lineItems, 'netAmount');
+    const disputeHolds = sum(holds, 'amount');
+    const holdReleases = sum(releasedHolds, 'amount');
+
+    return {
+      grossSales: sum(payments, 'grossAmount'),
+      refunds: ledgerService.roundAmount(-sum(refunds, 'grossAmount')),
+      commission: sum(lineItems, 'commission'),
+      net,
+      disputeHolds,
+      holdReleases,
+      payable: ledgerService.roundAmount(net - disputeHolds + holdReleases)
+    };
+  }
+
+  bankSnapshot(bankDetails = {}) {
+    return {
+      accountHolderName: bankDetails.accountHolderName,
+      accountNumber: bankDetails.accountNumber,
+      accountLast4: bankDetails.accountNumber ? bankDetails.accountNumber.slice(-4) : undefined,
+      ifscCode: bankDetails.ifscCode,
+      bankName: bankDetails.bankName
+    };
+  }
+}
+
+module.exports = new SettlementService();
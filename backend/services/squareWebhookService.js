@@ -0,0 +1,345 @@
+const Transaction = require('../models/Transaction');
+const Wallet = require('../models/Wallet');
+const WebhookEvent = require('../models/WebhookEvent');
+const ledgerService = require('./ledgerService');
+const rewardService = require('./rewardService');
+const { generateTransactionId } = require('../utils/helpers');
+const { TransactionError } = require('../middleware/errorHandler');
+
+/**
+ * Square webhook processing
+ *
+ * Features:
+ * - Stores every delivery in the WebhookEvent inbox before acting on it
+ * - Drops duplicate deliveries by Square event_id
+ * - Moves top-ups PENDING -> PROCESSING -> COMPLETED/FAILED and credits wallets
+ * - Records refunds and debits the wallet once Square completes them
+ * - Replays single events or every failed event from the inbox
+ */
+
+class SquareWebhookService {
+  /**
+   * Store an incoming event and process it unless it is a duplicate
+   */
+  async receive(event) {
+    if (!event || !event.event_id || !event.type) {
+      throw new TransactionError('Malformed Square webhook event');
+    }
+
+    let webhookEvent;
+    try {
+      webhookEvent = await WebhookEvent.create({
+        provider: 'SQUARE',
+        eventId: event.event_id,
+        type: event.type,
+        objectId: event.data?.id,
+        payload: event
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      const existing = await WebhookEvent.findOneAndUpdate(
+        { provider: 'SQUARE', eventId: event.event_id },
+        { $inc: { duplicateDeliveries: 1 } },
+        { new: true }
+      );
+      return { duplicate: true, webhookEvent: existing };
+    }
+
+    await this.process(webhookEvent);
+    return { duplicate: false, webhookEvent };
+  }
+
+  /**
+   * Run the handler for a stored event and record the outcome on it
+   */
+  async process(webhookEvent) {
+    webhookEvent.status = 'PROCESSING';
+    webhookEvent.attempts += 1;
+    await webhookEvent.save();
+
+    try {
+      const result = await this.dispatch(webhookEvent.type, webhookEvent.payload);
+      webhookEvent.status = result.ignored ? 'IGNORED' : 'PROCESSED';
+      webhookEvent.result = result;
+      webhookEvent.lastError = undefined;
+      webhookEvent.processedAt = new Date();
+    } catch (error) {
+      console.error(`Square webhook ${webhookEvent.eventId} failed:`, error);
+      webhookEvent.status = 'FAILED';
+      webhookEvent.lastError = error.message;
+    }
+
+    await webhookEvent.save();
+    return webhookEvent;
+  }
+
+  /**
+   * Re-run a stored event. Top-ups and refunds are claimed inside the
+   * transaction that posts them, so a replay racing a live delivery posts
+   * once.
+   */
+  async replay(eventId) {
+    const webhookEvent = await WebhookEvent.findOne({ provider: 'SQUARE', eventId });
+    if (!webhookEvent) {
+      return null;
+    }
+    return this.process(webhookEvent);
+  }
+
+  /**
+   * Replay every failed event, oldest first
+   */
+  async replayFailed({ limit = 100 } = {}) {
+    const failed = await WebhookEvent.find({ provider: 'SQUARE', status: 'FAILED' })
+      .sort({ receivedAt: 1 })
+      .limit(limit);
+
+    const results = [];
+    for (const webhookEvent of failed) {
+      const processed = await this.process(webhookEvent);
+      results.push({ eventId: processed.eventId, status: processed.status, lastError: processed.lastError });
+    }
+    return results;
+  }
+
+  /**
+   * Route an event to its handler
+   */
+  async dispatch(type, payload) {
+    const object = payload.data?.object || {};
+
+    switch (type) {
+      case 'payment.created':
+      case 'payment.updated':
+        return this.handlePayment(object.payment);
+      case 'payment.failed':
+        return this.handlePayment({ ...object.payment, status: 'FAILED' });
+      case 'refund.created':
+      case 'refund.updated':
+        return this.handleRefund(object.refund);
+      default:
+        return { ignored: true, reason: 'UNHANDLED_EVENT_TYPE' };
+    }
+  }
+
+  /**
+   * Apply a payment status change to the matching transaction
+   */
+  async handlePayment(payment) {
+    if (!payment || !payment.id) {
+      throw new TransactionError('Payment event has no payment object');
+    }
+
+    const transaction = await this.findPaymentTransaction(payment);
+    if (!transaction) {
+      return { ignored: true, reason: 'NO_MATCHING_TRANSACTION', paymentId: payment.id };
+    }
+
+    const squareUpdates = {
+      squarePaymentId: payment.id,
+      'metadata.squarePayment': {
+        paymentId: payment.id,
+        status: payment.status,
+        receiptUrl: payment.receipt_url,
+        createdAt: payment.created_at,
+        updatedAt: payment.updated_at
+      }
+    };
+    if (payment.order_id) {
+      squareUpdates.squareOrderId = payment.order_id;
+    }
+
+    const outcome = { transactionId: transaction.transactionId, paymentId: payment.id };
+
+    switch (payment.status) {
+      case 'COMPLETED': {
+        const paid = this.amountFromMoney(payment.total_money || payment.amount_money);
+        if (paid !== null && Math.abs(paid - transaction.amount) > 0.005) {
+          throw new TransactionError(
+            `Square amount ${paid} does not match transaction amount ${transaction.amount}`,
+            transaction.transactionId
+          );
+        }
+
+        if (transaction.category === 'TOP_UP') {
+          const posting = await ledgerService.postTopUp(transaction._id, squareUpdates);
+          if (posting) {
+            await rewardService.applyFor(posting.transaction);
+          }
+          return { ...outcome, action: posting ? 'CREDITED' : 'ALREADY_POSTED' };
+        }
+
+        if (transaction.status !== 'COMPLETED') {
+          transaction.set(squareUpdates);
+          transaction.status = 'COMPLETED';
+          await transaction.save();
+        }
+        return { ...outcome, action: 'COMPLETED' };
+      }
+
+      case 'FAILED':
+      case 'CANCELED': {
+        if (transaction.ledger?.journalId) {
+          return { ...outcome, ignored: true, reason: 'ALREADY_POSTED' };
+        }
+
+        transaction.set(squareUpdates);
+        transaction.status = 'FAILED';
+        transaction.errorCode = `SQUARE_PAYMENT_${payment.status}`;
+        transaction.failureReason = `Square reported the payment as ${payment.status.toLowerCase()}`;
+        await transaction.save();
+        return { ...outcome, action: 'FAILED' };
+      }
+
+      default: {
+        // APPROVED / PENDING: Square has the payment but has not captured it
+        if (transaction.status === 'PENDING') {
+          transaction.set(squareUpdates);
+          transaction.status = 'PROCESSING';
+          transaction.processedAt = new Date();
+          await transaction.save();
+          return { ...outcome, action: 'PROCESSING' };
+        }
+        return { ...outcome, ignored: true, reason: 'NO_STATUS_CHANGE' };
+      }
+    }
+  }
+
+  /**
+   * Record a Square refund of a top-up and debit the wallet once it completes
+   */
+  async handleRefund(refund) {
+    if (!refund || !refund.id || !refund.payment_id) {
+      throw new TransactionError('Refund event has no refund object');
+    }
+
+    // Refund rows carry the same squarePaymentId; only the top-up is reversed
+    const original = await Transaction.findOne({ squarePaymentId: refund.payment_id, category: 'TOP_UP' });
+    if (!original) {
+      return { ignored: true, reason: 'NO_MATCHING_TRANSACTION', refundId: refund.id };
+    }
+
+    const amount = this.amountFromMoney(refund.amount_money);
+    if (!amount) {
+      throw new TransactionError('Refund event has no amount', original.transactionId);
+    }
+
+    const wallet = await Wallet.findById(original.walletId);
+
+    const refundTransaction = await Transaction.findOneAndUpdate(
+      { squareRefundId: refund.id },
+      {
+        $setOnInsert: {
+          transactionId: generateTransactionId('RFD'),
+          userId: original.userId,
+          walletId: original.walletId,
+          amount,
+          currency: original.currency,
+          type: 'DEBIT',
+          category: 'REFUND',
+          status: 'PENDING',
+          paymentMethod: 'SQUARE',
+          description: `Card refund of ${original.transactionId}`,
+          balanceBefore: wallet ? wallet.balance : 0,
+          balanceAfter: wallet ? wallet.balance : 0,
+          squareRefundId: refund.id,
+          squarePaymentId: refund.payment_id,
+          relatedTransactionId: original._id
+        }
+      },
+      { new: true, upsert: true }
+    );
+
+    const outcome = { transactionId: refundTransaction.transactionId, refundId: refund.id };
+
+    if (refundTransaction.ledger?.journalId) {
+      return { ...outcome, ignored: true, reason: 'ALREADY_POSTED' };
+    }
+
+    switch (refund.status) {
+      case 'COMPLETED': {
+        refundTransaction.status = 'COMPLETED';
+
+        if (!original.ledger?.journalId) {
+          // The top-up was never credited, so there is nothing to take back
+          refundTransaction.balanceBefore = refundTransaction.balanceAfter;
+          await refundTransaction.save();
+          return { ...outcome, action: 'COMPLETED_WITHOUT_POSTING' };
+        }
+
+        // refund.created and refund.updated arrive as separate events, so the
+        // row is claimed in the session that posts it and only one posts
+        let posted;
+        try {
+          posted = await ledgerService.runInTransaction(async (session) => {
+            const claimed = await Transaction.findOneAndUpdate(
+              { _id: refundTransaction._id, status: { $ne: 'COMPLETED' }, 'ledger.journalId': { $exists: false } },
+              { $set: { status: 'PROCESSING' } },
+              { new: true, session }
+            );
+            if (!claimed) {
+              return false;
+            }
+
+            claimed.status = 'COMPLETED';
+            await ledgerService.reverseJournal(original.ledger.journalId, {
+              ratio: amount / original.amount,
+              transactions: [claimed],
+              description: claimed.description,
+              session
+            });
+            return true;
+          });
+        } catch (error) {
+          await Transaction.updateOne(
+            { _id: refundTransaction._id },
+            { $set: { status: 'PROCESSING', errorCode: 'LEDGER_POST_FAILED', errorMessage: error.message } }
+          );
+          throw error;
+        }
+        return posted ? { ...outcome, action: 'DEBITED' } : { ...outcome, ignored: true, reason: 'ALREADY_POSTED' };
+      }
+
+      case 'REJECTED':
+      case 'FAILED':
+        refundTransaction.status = 'FAILED';
+        refundTransaction.errorCode = `SQUARE_REFUND_${refund.status}`;
+        await refundTransaction.save();
+        return { ...outcome, action: 'FAILED' };
+
+      default:
+        return { ...outcome, action: 'PENDING' };
+    }
+  }
+
+  /**
+   * Find the transaction a Square payment belongs to, never one of the
+   * refunds recorded against it
+   */
+  findPaymentTransaction(payment) {
+    const conditions = [{ squarePaymentId: payment.id }];
+    if (payment.order_id) {
+      conditions.push({ squareOrderId: payment.order_id });
+    }
+    if (payment.reference_id) {
+      conditions.push({ transactionId: payment.reference_id });
+    }
+
+    return Transaction.findOne({ category: { $ne: 'REFUND' }, $or: conditions });
+  }
+
+  /**
+   * Convert a Square money object (smallest currency unit) to an amount
+   */
+  amountFromMoney(money) {
+    if (!money || money.amount === undefined || money.amount === null) {
+      return null;
+    }
+    return ledgerService.roundAmount(Number(money.amount) / 100);
+  }
+}
+
+module.exports = new SquareWebhookService();
@@ -0,0 +1,363 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const Voucher = require('../models/Voucher');
+const Transaction = require('../models/Transaction');
+const Wallet = require('../models/Wallet');
+const ledgerService = require('./ledgerService');
+const qrService = require('./qrService');
+const config = require('../config');
+const { generateTransactionId } = require('../utils/helpers');
+const { AppError } = require('../middleware/errorHandler');
+
+const MAX_BATCH_SIZE = parseInt(process.env.VOUCHER_MAX_BATCH_SIZE) || 1000;
+
+// No 0/O, 1/I/L: codes get typed in from printed cards
+const CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+
+const CSV_HEADER = ['Code', 'Name', 'Usage', 'Value', 'Balance', 'Currency', 'Expires', 'Status', 'Redeem URL'];
+
+/**
+ * Gift vouchers and prepaid campus cards
+ *
+ * Features:
+ * - Bulk generation of unique, hard-to-guess codes, optionally assigned to
+ *   named students
+ * - Single-use vouchers or partial-use prepaid cards drawn down over time
+ * - Redemption credits the wallet as a VOUCHER transaction: Dr platform
+ *   promotions, Cr user wallet
+ * - CSV and printable PDF export with a branded QR per voucher
+ * - Liability report: issued vs. redeemed vs. expired vs. outstanding
+ */
+
+class VoucherService {
+  /**
+   * Generate a batch of vouchers. With assignedTo, one voucher is made per
+   * student and count is ignored.
+   */
+  async issueBatch({ name, usage = 'SINGLE_USE', value, count, currency, expiresAt, prefix = 'HSV', assignedTo = [], adminId }) {
+    const total = assignedTo.length || count;
+    if (!(total >= 1) || total > MAX_BATCH_SIZE) {
+      throw new AppError(`A batch must have 1-${MAX_BATCH_SIZE} vouchers`, 400, 'INVALID_BATCH_SIZE');
+    }
+    if (new Date(expiresAt) <= new Date()) {
+      throw new AppError('Vouchers must expire in the future', 400, 'INVALID_VOUCHER_EXPIRY');
+    }
+
+    const batchId = generateTransactionId('VB');
+    const amount = ledgerService.roundAmount(value);
+
+    // A clash on a random code is very unlikely; make a fresh set and retry
+    for (let attempt = 1; ; attempt++) {
+      const vouchers = Array.from({ length: total }, (_, i) => ({
+        code: this.generateCode(prefix),
+        batchId,
+        name,
+        usage,
+        value: amount,
+        balance: amount,
+        currency,
+        expiresAt: new Date(expiresAt),
+        assignedTo: assignedTo[i],
+        createdBy: adminId
+      }));
+
+      try {
+        let created;
+        await ledgerService.runInTransaction(async (session) => {
+          created = await Voucher.insertMany(vouchers, { session });
+        });
+        return { batchId, vouchers: created };
+      } catch (error) {
+        if (error.code !== 11000 || attempt >= 3) throw error;
+      }
+    }
+  }
+
+  /**
+   * PREFIX-XXXX-XXXX-XXXX from an alphabet without look-alike characters
+   */
+  generateCode(prefix = 'HSV') {
+    const groups = [];
+    for (let g = 0; g < 3; g++) {
+      let group = '';
+      for (let i = 0; i < 4; i++) {
+        group += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+      }
+      groups.push(group);
+    }
+    return [String(prefix).toUpperCase(), ...groups].join('-');
+  }
+
+  normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  /**
+   * Credit a voucher to the student's wallet. Single-use vouchers always pay
+   * out in full; partial ones pay the requested amount or the rest of the
+   * balance.
+   */
+  async redeem({ code, userId, amount }) {
+    const voucher = await Voucher.findOne({ code: this.normalizeCode(code) });
+    if (!voucher) {
+      throw new AppError('Voucher code not found', 404, 'VOUCHER_NOT_FOUND');
+    }
+
+    this.assertRedeemable(voucher, userId);
+
+    let payout = voucher.balance;
+    if (voucher.usage === 'PARTIAL' && amount !== undefined) {
+      payout = ledgerService.roundAmount(amount);
+      if (payout > voucher.balance) {
+        throw new AppError(`Only ${voucher.balance} is left on this voucher`, 400, 'VOUCHER_INSUFFICIENT_BALANCE');
+      }
+    }
+
+    let credit;
+    await ledgerService.runInTransaction(async (session) => {
+      const now = new Date();
+      const [userWallet, promotionsWallet] = await Promise.all([
+        Wallet.createWallet(userId, { session }),
+        Wallet.getSystemWallet('PLATFORM_PROMOTIONS', { session })
+      ]);
+
+      if (!userWallet.canTransact()) {
+        throw new AppError('Your wallet cannot receive credits right now', 400, 'WALLET_UNAVAILABLE');
+      }
+
+      credit = new Transaction({
+        transactionId: generateTransactionId('VCH'),
+        userId,
+        walletId: userWallet._id,
+        amount: payout,
+        currency: userWallet.currency,
+        type: 'CREDIT',
+        category: 'VOUCHER',
+        paymentMethod: 'WALLET',
+        status: 'COMPLETED',
+        description: `Voucher: ${voucher.name}`.slice(0, 500),
+        balanceBefore: userWallet.balance,
+        balanceAfter: userWallet.balance,
+        metadata: { voucherId: voucher._id }
+      });
+
+      // The guard keeps two redemptions from drawing the same balance
+      const claimed = await Voucher.findOneAndUpdate(
+        {
+          _id: voucher._id,
+          status: 'ACTIVE',
+          expiresAt: { $gt: now },
+          balance: { $gte: payout },
+          $or: [{ holderId: null }, { holderId: userId }]
+        },
+        {
+          $inc: { balance: -payout },
+          $set: { holderId: userId, lastRedeemedAt: now },
+          $push: { redemptions: { userId, amount: payout, transactionId: credit._id, redeemedAt: now } }
+        },
+        { new: true, session }
+      );
+      if (!claimed) {
+        throw new AppError('This voucher has just been used, please check it again', 409, 'VOUCHER_CHANGED');
+      }
+
+      if (claimed.balance < 0.01) {
+        await Voucher.updateOne({ _id: voucher._id }, { $set: { status: 'REDEEMED', balance: 0 } }, { session });
+      }
+
+      await ledgerService.postJournal({
+        lines: ledgerService.rewardLines(promotionsWallet, userWallet, payout, credit.description),
+        transactions: [credit],
+        description: credit.description,
+        session
+      });
+    });
+
+    return {
+      voucher: await Voucher.findById(voucher._id),
+      transaction: credit,
+      amount: payout
+    };
+  }
+
+  /**
+   * Status, expiry and ownership checks before a redemption
+   */
+  assertRedeemable(voucher, userId, at = new Date()) {
+    if (voucher.status === 'VOID') {
+      throw new AppError('This voucher has been cancelled', 400, 'VOUCHER_VOID');
+    }
+    if (voucher.status === 'REDEEMED') {
+      throw new AppError('This voucher has already been redeemed', 409, 'VOUCHER_ALREADY_REDEEMED');
+    }
+    if (voucher.expiresAt <= at) {
+      throw new AppError('This voucher has expired', 400, 'VOUCHER_EXPIRED');
+    }
+
+    const owner = voucher.holderId || voucher.assignedTo;
+    if (owner && owner.toString() !== userId.toString()) {
+      throw new AppError('This voucher belongs to someone else', 403, 'VOUCHER_NOT_YOURS');
+    }
+  }
+
+  /**
+   * Cancel a voucher, e.g. a lost prepaid card; what is left is no longer owed
+   */
+  async voidVoucher(id, { adminId, reason }) {
+    const voucher = await Voucher.findOneAndUpdate(
+      { _id: id, status: 'ACTIVE' },
+      { $set: { status: 'VOID', voided: { by: adminId, at: new Date(), reason } } },
+      { new: true }
+    );
+
+    if (!voucher) {
+      const exists = await Voucher.exists({ _id: id });
+      if (!exists) throw new AppError('Voucher not found', 404, 'VOUCHER_NOT_FOUND');
+      throw new AppError('Only active vouchers can be cancelled', 409, 'VOUCHER_NOT_ACTIVE');
+    }
+
+    return voucher;
+  }
+
+  /**
+   * Vouchers a student holds or has been given
+   */
+  async getUserVouchers(userId) {
+    return Voucher.find({ $or: [{ holderId: userId }, { assignedTo: userId }] })
+      .select('-redemptions -createdBy -voided')
+      .sort({ createdAt: -1 });
+  }
+
+  redeemUrl(voucher) {
+    return `${config.app.baseUrl}/wallet/vouchers/redeem?code=${encodeURIComponent(voucher.code)}`;
+  }
+
+  /**
+   * Branded QR that opens the redeem screen with the code filled in
+   */
+  async qrFor(voucher) {
+    return qrService.generateBrandedQR(this.redeemUrl(voucher), {
+      primaryColor: '#10B981',
+      size: 240
+    });
+  }
+
+  buildCsv(vouchers) {
+    const lines = [CSV_HEADER.map(field => this.csvField(field)).join(',')];
+
+    for (const voucher of vouchers) {
+      lines.push([
+        voucher.code,
+        voucher.name,
+        voucher.usage,
+        voucher.value.toFixed(2),
+        voucher.balance.toFixed(2),
+        voucher.currency,
+        voucher.expiresAt.toISOString().slice(0, 10),
+        voucher.status,
+        this.redeemUrl(voucher)
+      ].map(field => this.csvField(field)).join(','));
+    }
+
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Printable A4 sheet, eight voucher cards a page, each with its QR
+   */
+  async buildPdf(vouchers) {
+    const qrCodes = [];
+    for (const voucher of vouchers) {
+      qrCodes.push(await this.qrFor(voucher));
+    }
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 36 });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const cardWidth = (doc.page.width - 72 - 18) / 2;
+      const cardHeight = (doc.page.height - 72 - 54) / 4;
+
+      vouchers.forEach((voucher, i) => {
+        const slot = i % 8;
+        if (i > 0 && slot === 0) doc.addPage();
+
+        const x = 36 + (slot % 2) * (cardWidth + 18);
+        const y = 36 + Math.floor(slot / 2) * (cardHeight + 18);
+
+        doc.roundedRect(x, y, cardWidth, cardHeight, 8).stroke('#CBD5E1');
+        doc.image(qrCodes[i], x + 10, y + 10, { fit: [cardHeight - 20, cardHeight - 20] });
+
+        const textX = x + cardHeight;
+        const textWidth = cardWidth - cardHeight - 10;
+        doc.fillColor('#111827').fontSize(11).text(config.app.name, textX, y + 14, { width: textWidth });
+        doc.fontSize(9).fillColor('#4B5563').text(voucher.name, { width: textWidth });
+        doc.moveDown(0.5).fontSize(16).fillColor('#111827')
+          .text(`${voucher.currency} ${voucher.value.toFixed(2)}`, { width: textWidth });
+        doc.moveDown(0.5).font('Courier-Bold').fontSize(10).text(voucher.code, { width: textWidth });
+        doc.font('Helvetica').fontSize(8).fillColor('#4B5563')
+          .text(`Valid until ${voucher.expiresAt.toISOString().slice(0, 10)}`, { width: textWidth })
+          .text(voucher.usage === 'PARTIAL' ? 'Can be used in parts' : 'Single use', { width: textWidth });
+      });
+
+      doc.end();
+    });
+  }
+
+  /**
+   * What vouchers still owe: issued = redeemed + outstanding + expired + voided.
+   * Expired means past expiry with value never claimed.
+   */
+  async getLiabilityReport({ batchId, at = new Date() } = {}) {
+    const match = batchId ? { batchId } : {};
+    const expired = { $and: [{ $eq: ['$status', 'ACTIVE'] }, { $lte: ['$expiresAt', at] }] };
+    const outstanding = { $and: [{ $eq: ['$status', 'ACTIVE'] }, { $gt: ['$expiresAt', at] }] };
+
+    const rows = await Voucher.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$batchId',
+          name: { $first: '$name' },
+          currency: { $first: '$currency' },
+          issuedAt: { $min: '$createdAt' },
+          count: { $sum: 1 },
+          issued: { $sum: '$value' },
+          redeemed: { $sum: { $subtract: ['$value', '$balance'] } },
+          outstanding: { $sum: { $cond: [outstanding, '$balance', 0] } },
+          expired: { $sum: { $cond: [expired, '$balance', 0] } },
+          voided: { $sum: { $cond: [{ $eq: ['$status', 'VOID'] }, '$balance', 0] } },
+          fullyRedeemed: { $sum: { $cond: [{ $eq: ['$status', 'REDEEMED'] }, 1, 0] } },
+          expiredCount: { $sum: { $cond: [expired, 1, 0] } }
+        }
+      },
+      { $sort: { issuedAt: -1 } }
+    ]);
+
+    const amounts = ['issued', 'redeemed', 'outstanding', 'expired', 'voided'];
+    const batches = rows.map(({ _id, ...row }) => {
+      const batch = { batchId: _id, ...row };
+      amounts.forEach(field => { batch[field] = ledgerService.roundAmount(row[field]); });
+      return batch;
+    });
+
+    const totals = { count: 0, fullyRedeemed: 0, expiredCount: 0 };
+    amounts.forEach(field => { totals[field] = 0; });
+    for (const batch of batches) {
+      Object.keys(totals).forEach(field => { totals[field] += batch[field]; });
+    }
+    amounts.forEach(field => { totals[field] = ledgerService.roundAmount(totals[field]); });
+
+    return { asOf: at, totals, batches };
+  }
+
+  csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+module.exports = new VoucherService();
@@ -0,0 +1,432 @@
+const Event = require('../models/Event');
+const Wallet = require('../models/Wallet');
+const Transaction = require('../models/Transaction');
+const ledgerService = require('./ledgerService');
+const holdService = require('./holdService');
+const checkInService = require('./checkInService');
+const { generateTransactionId } = require('../utils/helpers');
+const { AppError } = require('../middleware/errorHandler');
+const { socketEmitters } = require('../config/socket');
+
+// How long a waitlisted student has to take an offered spot; never past the start
+const OFFER_HOURS = parseFloat(process.env.WAITLIST_OFFER_HOURS) || 24;
+// Upper bound on offers made in one promote call
+const MAX_OFFERS_PER_RUN = 50;
+
+/**
+ * Event waitlists
+ *
+ * Features:
+ * - Students join the queue of a full event; positions always run 1..n in
+ *   queue order
+ * - A spot freed by a cancellation or a capacity increase is offered to the
+ *   first waiting student with an acceptance deadline; the offer keeps the
+ *   spot so nobody can register past the queue
+ * - Paid events hold the fee on the student's wallet with the offer; a
+ *   student whose wallet cannot cover it is skipped
+ * - Accepting captures the hold and registers the student as approved;
+ *   declined and lapsed offers move on to the next student
+ * - Students are notified of offers, lapses and position changes
+ */
+
+class WaitlistService {
+  /**
+   * Join the waitlist of a full event
+   */
+  async join(eventId, userId, { io = null } = {}) {
+    const event = await Event.findOne({ _id: eventId, isActive: true, status: 'published' });
+    if (!event) {
+      throw new AppError('Event not found or not available for registration', 404, 'EVENT_NOT_FOUND');
+    }
+
+    if (!event.settings.allowWaitlist) {
+      throw new AppError('This event has no waitlist', 400, 'WAITLIST_NOT_AVAILABLE');
+    }
+    if (!this.canOffer(event) || event.registrationStatus === 'closed') {
+      throw new AppError('Registration is closed for this event', 400, 'REGISTRATION_CLOSED');
+    }
+    if (event.registeredUsers.some(reg => reg.user.toString() === userId.toString())) {
+      throw new AppError('You are already registered for this event', 409, 'ALREADY_REGISTERED');
+    }
+    if (event.availableSpots > 0 && !event.waitlist.some(item => item.status === 'waiting')) {
+      throw new AppError('This event has spots left, register directly', 400, 'SPOTS_AVAILABLE');
+    }
+
+    try {
+      await event.addToWaitlist(userId);
+    } catch (error) {
+      if (error.message === 'User already in waitlist') {
+        throw new AppError('You are already on the waitlist', 409, 'ALREADY_WAITLISTED');
+      }
+      if (error.message === 'Waitlist is full') {
+        throw new AppError('The waitlist is full', 409, 'WAITLIST_FULL');
+      }
+      throw error;
+    }
+
+    // Spots freed while nobody was waiting go to the new arrival straight away
+    await this.promote(event._id, { io });
+    return this.getEntry(event._id, userId);
+  }
+
+  /**
+   * The student's place in the queue, or null
+   */
+  async getEntry(eventId, userId) {
+    const event = await Event.findById(eventId).select('waitlist');
+    const entry = event?.waitlist.find(item => item.user.toString() === userId.toString());
+    if (!entry) {
+      return null;
+    }
+
+    return {
+      position: entry.position,
+      status: entry.status,
+      addedAt: entry.addedAt,
+      offerExpiresAt: entry.offerExpiresAt,
+      holdId: entry.holdId,
+      queueLength: event.waitlist.length
+    };
+  }
+
+  canOffer(event) {
+    return event.isActive && event.status === 'published' && new Date(event.startDate) > new Date();
+  }
+
+  /**
+   * Offer every free spot to the front of the queue. Returns the offers made.
+   */
+  async promote(eventId, { io = null } = {}) {
+    const offers = [];
+
+    for (let attempt = 0; attempt < MAX_OFFERS_PER_RUN; attempt++) {
+      const event = await Event.findById(eventId);
+      if (!event || !this.canOffer(event) || event.currentParticipants >= event.maxParticipants) {
+        break;
+      }
+
+      const entry = event.waitlist.find(item => item.status === 'waiting');
+      if (!entry) {
+        break;
+      }
+
+      const offer = await this.offer(event, entry, io);
+      if (offer) {
+        offers.push(offer);
+      }
+    }
+
+    return offers;
+  }
+
+  /**
+   * Offer a spot to one waiting entry. Returns null when the spot went
+   * elsewhere first or the student was skipped.
+   */
+  async offer(event, entry, io) {
+    const now = new Date();
+    const offerExpiresAt = new Date(Math.min(
+      new Date(event.startDate).getTime(),
+      now.getTime() + OFFER_HOURS * 60 * 60 * 1000
+    ));
+
+    // Claim the spot and the entry together so two runs cannot offer one spot twice
+    const claimed = await Event.updateOne(
+      {
+        _id: event._id,
+        $expr: { $lt: ['$currentParticipants', '$maxParticipants'] },
+        waitlist: { $elemMatch: { _id: entry._id, status: 'waiting' } }
+      },
+      {
+        $inc: { currentParticipants: 1 },
+        $set: {
+          'waitlist.$.status': 'offered',
+          'waitlist.$.offeredAt': now,
+          'waitlist.$.offerExpiresAt': offerExpiresAt
+        }
+      }
+    );
+    if (claimed.modifiedCount !== 1) {
+      return null;
+    }
+
+    let hold = null;
+    if (event.currentPrice > 0) {
+      const conversionRate = parseFloat(process.env.COLLEX_CONVERSION_RATE || 1);
+      try {
+        hold = await holdService.place({
+          userId: entry.user,
+          amount: ledgerService.roundAmount(event.currentPrice * conversionRate),
+          purpose: 'WAITLIST_OFFER',
+          eventId: event._id,
+          description: `Waitlist offer: ${event.title}`,
+          expiresAt: offerExpiresAt
+        });
+      } catch (error) {
+        await this.withdraw(event, { ...entry.toObject(), status: 'offered' }, {
+          status: 'skipped',
+          reason: error.isOperational ? 'Your wallet could not cover the event fee' : 'The offer could not be made',
+          io
+        });
+        if (!error.isOperational) throw error;
+        return null;
+      }
+
+      await Event.updateOne(
+        { _id: event._id, 'waitlist._id': entry._id },
+        { $set: { 'waitlist.$.holdId': hold._id } }
+      );
+    }
+
+    if (io) {
+      socketEmitters.emitWaitlistUpdate(io, entry.user, {
+        event: { id: event._id, title: event.title },
+        status: 'offered',
+        offerExpiresAt,
+        amountHeld: hold ? hold.amount : 0
+      });
+    }
+
+    console.log(`🎟️ Waitlist offer: ${entry.user} → ${event.title}`);
+    return { userId: entry.user, offerExpiresAt, holdId: hold?._id };
+  }
+
+  /**
+   * Take an offered entry off the waitlist and give its spot back. Returns
+   * false if the offer was accepted or withdrawn meanwhile.
+   */
+  async withdraw(event, entry, { status, reason, io = null }) {
+    const removed = await Event.updateOne(
+      { _id: event._id, waitlist: { $elemMatch: { _id: entry._id, status: 'offered' } } },
+      { $pull: { waitlist: { _id: entry._id } }, $inc: { currentParticipants: -1 } }
+    );
+    if (removed.modifiedCount !== 1) {
+      return false;
+    }
+
+    if (entry.holdId) {
+      try {
+        await holdService.void(entry.holdId, { reason });
+      } catch (error) {
+        // The hold job may have expired it already
+        if (error.errorCode !== 'HOLD_NOT_OPEN') throw error;
+      }
+    }
+
+    if (io) {
+      socketEmitters.emitWaitlistUpdate(io, entry.user, {
+        event: { id: event._id, title: event.title },
+        status,
+        reason
+      });
+    }
+
+    await this.renumber(event._id, io);
+    return true;
+  }
+
+  /**
+   * Accept an offered spot: capture the held fee and register
+   */
+  async accept(eventId, userId, { io = null } = {}) {
+    const event = await Event.findById(eventId);
+    const entry = event?.waitlist.find(item => item.user.toString() === userId.toString());
+    if (!entry || entry.status !== 'offered') {
+      throw new AppError('You have no spot on offer for this event', 404, 'NO_WAITLIST_OFFER');
+    }
+    if (entry.offerExpiresAt <= new Date()) {
+      throw new AppError('This offer has expired', 409, 'WAITLIST_OFFER_EXPIRED');
+    }
+
+    let transaction = null;
+    await ledgerService.runInTransaction(async (session) => {
+      if (entry.holdId) {
+        ({ transaction } = await holdService.capture(entry.holdId, {
+          session,
+          post: (activeSession, claimed, amount) => this.postPayment(event, claimed, amount, activeSession)
+        }));
+      }
+
+      const revenue = transaction ? event.currentPrice : 0;
+      const moved = await Event.updateOne(
+        {
+          _id: event._id,
+          waitlist: { $elemMatch: { _id: entry._id, status: 'offered', offerExpiresAt: { $gt: new Date() } } }
+        },
+        {
+          $pull: { waitlist: { _id: entry._id } },
+          $push: {
+            registeredUsers: {
+              user: entry.user,
+              paymentStatus: 'completed',
+              approvalStatus: 'approved',
+              transactionId: transaction?._id
+            }
+          },
+          $inc: {
+            'financials.totalRevenue': revenue,
+            'financials.profit': revenue
+          }
+        },
+        { session }
+      );
+      if (moved.modifiedCount !== 1) {
+        throw new AppError('This offer has expired', 409, 'WAITLIST_OFFER_EXPIRED');
+      }
+    });
+
+    await this.renumber(event._id, io);
+
+    let ticket = null;
+    try {
+      ticket = await checkInService.issueTicket(event, entry.user);
+    } catch (error) {
+      console.error('Event ticket issue error:', error);
+    }
+
+    if (io) {
+      socketEmitters.emitWaitlistUpdate(io, entry.user, {
+        event: { id: event._id, title: event.title },
+        status: 'accepted',
+        amountCharged: transaction ? transaction.amount : 0,
+        ticketCode: ticket?.code
+      });
+    }
+
+    return { event, transaction, ticket };
+  }
+
+  /**
+   * Dr student wallet, Cr event collections for a captured offer hold
+   */
+  async postPayment(event, claimed, amount, session) {
+    const [payerWallet, collectionsWallet] = await Promise.all([
+      Wallet.findById(claimed.walletId).session(session),
+      Wallet.getSystemWallet('EVENT_COLLECTIONS', { session })
+    ]);
+
+    const payment = new Transaction({
+      transactionId: generateTransactionId(),
+      userId: claimed.userId,
+      walletId: payerWallet._id,
+      amount,
+      currency: payerWallet.currency,
+      type: 'DEBIT',
+      category: 'EVENT_PAYMENT',
+      paymentMethod: 'WALLET',
+      description: `Event registration: ${event.title}`,
+      status: 'COMPLETED',
+      balanceBefore: payerWallet.balance,
+      balanceAfter: payerWallet.balance,
+      grossAmount: claimed.amount,
+      metadata: {
+        eventId: event._id,
+        holdId: claimed._id
+      }
+    });
+
+    await ledgerService.postJournal({
+      lines: ledgerService.transferLines(payerWallet, collectionsWallet, amount, payment.description),
+      transactions: [payment],
+      description: payment.description,
+      session
+    });
+
+    return payment;
+  }
+
+  /**
+   * Leave the queue, declining any offer; a declined spot moves on
+   */
+  async leave(eventId, userId, { io = null } = {}) {
+    const event = await Event.findById(eventId);
+    const entry = event?.waitlist.find(item => item.user.toString() === userId.toString());
+    if (!entry) {
+      throw new AppError('You are not on the waitlist', 404, 'NOT_WAITLISTED');
+    }
+
+    if (entry.status === 'offered') {
+      await this.withdraw(event, entry, { status: 'declined', reason: 'Offer declined', io });
+      await this.promote(event._id, { io });
+      return;
+    }
+
+    const removed = await Event.updateOne(
+      { _id: event._id, waitlist: { $elemMatch: { _id: entry._id, status: 'waiting' } } },
+      { $pull: { waitlist: { _id: entry._id } } }
+    );
+    if (removed.modifiedCount !== 1) {
+      throw new AppError('Your waitlist entry changed, please reload', 409, 'WAITLIST_CHANGED');
+    }
+    await this.renumber(event._id, io);
+  }
+
+  /**
+   * Withdraw lapsed offers and pass the spots on. eventId limits the run
+   * to one event, e.g. before showing its waitlist.
+   */
+  async expireOffers(at = new Date(), { eventId, io = null } = {}) {
+    const filter = { waitlist: { $elemMatch: { status: 'offered', offerExpiresAt: { $lte: at } } } };
+    if (eventId) filter._id = eventId;
+
+    const summary = { expired: 0, offered: 0, errors: [] };
+    const events = await Event.find(filter).select('title waitlist');
+
+    for (const event of events) {
+      try {
+        const lapsed = event.waitlist.filter(item => item.status === 'offered' && item.offerExpiresAt <= at);
+        for (const entry of lapsed) {
+          if (await this.withdraw(event, entry, { status: 'expired', reason: 'Waitlist offer expired', io })) {
+            summary.expired += 1;
+          }
+        }
+
+        const offers = await this.promote(event._id, { io });
+        summary.offered += offers.length;
+      } catch (error) {
+        console.error(`Failed to expire waitlist offers for ${event._id}:`, error);
+        summary.errors.push({ eventId: event._id, message: error.message });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Rewrite positions as 1..n in queue (array) order, in one update so
+   * concurrent joins cannot interleave, then tell waiting students where
+   * they stand
+   */
+  async renumber(eventId, io = null) {
+    await Event.updateOne({ _id: eventId }, [{
+      $set: {
+        waitlist: {
+          $map: {
+            input: { $range: [0, { $size: '$waitlist' }] },
+            as: 'index',
+            in: {
+              $mergeObjects: [
+                { $arrayElemAt: ['$waitlist', '$$index'] },
+                { position: { $add: ['$$index', 1] } }
+              ]
+            }
+          }
+        }
+      }
+    }]);
+
+    if (io) {
+      const event = await Event.findById(eventId).select('title waitlist');
+      event.waitlist
+        .filter(item => item.status === 'waiting')
+        .forEach(item => socketEmitters.emitWaitlistUpdate(io, item.user, {
+          event: { id: event._id, title: event.title },
+          status: 'waiting',
+          position: item.position,
+          queueLength: event.waitlist.length
+        }));
+    }
+  }
+}
+
+module.exports = new WaitlistService();
@@ -0,0 +1,383 @@
+const mongoose = require('mongoose');
+const Event = require('../../models/Event');
+const checkInService = require('../../services/checkInService');
+const waitlistService = require('../../services/waitlistService');
+const eventRefundService = require('../../services/eventRefundService');
+const ledgerService = require('../../services/ledgerService');
+const certificateService = require('../../services/certificateService');
+const CertificateTemplate = require('../../models/CertificateTemplate');
+const feedbackService = require('../../services/feedbackService');
+
+/**
+ * Unit tests for event attendance, waitlists, refunds and follow-up
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+// A published paid event two days out; each block overrides what it tests
+const buildEvent = (overrides = {}) => new Event({
+  title: 'Hack Night',
+  price: 20,
+  startDate: new Date(Date.now() + 48 * HOUR),
+  endDate: new Date(Date.now() + 72 * HOUR),
+  status: 'published',
+  ...overrides
+});
+
+describe('event registration', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('claims the spot with one guarded update', async () => {
+    const event = buildEvent({ maxParticipants: 10 });
+    const userId = new mongoose.Types.ObjectId();
+    const update = jest.spyOn(Event, 'findOneAndUpdate').mockResolvedValue(buildEvent({ currentParticipants: 1 }));
+
+    const registered = await event.registerUser(userId, null);
+
+    const [filter, change] = update.mock.calls[0];
+    expect(filter.$expr).toEqual({ $lt: ['$currentParticipants', '$maxParticipants'] });
+    expect(filter['registeredUsers.user']).toEqual({ $ne: userId });
+    expect(change.$inc).toMatchObject({ currentParticipants: 1, 'financials.totalRevenue': 20 });
+    expect(registered.currentParticipants).toBe(1);
+  });
+
+  it('reports a full event when another registration took the last spot', async () => {
+    const event = buildEvent({ maxParticipants: 1 });
+    jest.spyOn(Event, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Event, 'findById').mockReturnValue({ select: () => ({ session: async () => event }) });
+
+    await expect(event.registerUser(new mongoose.Types.ObjectId(), null)).rejects.toThrow('Event is full');
+  });
+});
+
+describe('event check-in', () => {
+  const organizerId = new mongoose.Types.ObjectId();
+  const coOrganizerId = new mongoose.Types.ObjectId();
+  const startDate = new Date(Date.now() + HOUR / 2);
+  const event = {
+    _id: new mongoose.Types.ObjectId(),
+    status: 'published',
+    startDate,
+    endDate: new Date(startDate.getTime() + 2 * HOUR),
+    organizer: { userId: organizerId },
+    coOrganizers: [{ userId: coOrganizerId, role: 'volunteer' }],
+    registeredUsers: []
+  };
+
+  it('lets the organizer, co-organizers and admins run the door', () => {
+    expect(checkInService.canCheckIn(event, { _id: coOrganizerId, role: 'student' })).toBe(true);
+    expect(checkInService.canCheckIn(event, { _id: new mongoose.Types.ObjectId(), role: 'admin' })).toBe(true);
+    expect(checkInService.canCheckIn(event, { _id: new mongoose.Types.ObjectId(), role: 'student' })).toBe(false);
+  });
+
+  it('opens the door an hour before the start and closes it at the end', () => {
+    expect(() => checkInService.assertOpen(event, new Date(), false)).not.toThrow();
+    expect(() => checkInService.assertOpen(event, new Date(startDate.getTime() - 2 * HOUR), false))
+      .toThrow('Check-in opens 60 minutes before the start');
+    expect(() => checkInService.assertOpen({ ...event, status: 'draft' }, new Date(), false))
+      .toThrow('Check-in is not available for a draft event');
+  });
+
+  it('accepts offline scans from before the end on an event already closed', () => {
+    const closed = { ...event, status: 'completed', startDate: new Date(Date.now() - 3 * HOUR), endDate: new Date(Date.now() - HOUR) };
+    const scannedAt = new Date(Date.now() - 2 * HOUR);
+
+    expect(() => checkInService.assertOpen(closed, scannedAt, true)).not.toThrow();
+    expect(() => checkInService.assertOpen(closed, scannedAt, false)).toThrow('Check-in is not available for a completed event');
+  });
+
+  it('reports a second scan of a ticket as a duplicate with the first check-in time', async () => {
+    const checkedInAt = new Date();
+    const registration = {
+      _id: new mongoose.Types.ObjectId(),
+      user: new mongoose.Types.ObjectId(),
+      approvalStatus: 'approved',
+      attendanceStatus: 'attended',
+      checkedInAt
+    };
+
+    await expect(checkInService.claim(event, registration, { scannedAt: new Date(), offline: false, method: 'qr' }))
+      .rejects.toMatchObject({ errorCode: 'ALREADY_CHECKED_IN', checkedInAt });
+  });
+
+  it('refuses a ticket issued for another event', async () => {
+    const payload = Buffer.from(JSON.stringify({
+      type: 'event_checkin',
+      eventId: new mongoose.Types.ObjectId().toString(),
+      eventTitle: 'Robotics Night',
+      qrId: 'qr-1'
+    })).toString('base64url');
+
+    await expect(checkInService.findByTicket(event, payload))
+      .rejects.toMatchObject({ errorCode: 'TICKET_WRONG_EVENT' });
+  });
+
+  it('tracks ticket and check-in details on each registration', () => {
+    const model = buildEvent({
+      registeredUsers: [{
+        user: new mongoose.Types.ObjectId(),
+        ticket: { qrId: 'qr-1', code: 'A1B2C3D4' },
+        checkInMethod: 'walk_in'
+      }]
+    });
+
+    expect(model.registeredUsers[0].ticket.code).toBe('A1B2C3D4');
+    expect(model.validateSync()?.errors['registeredUsers.0.checkInMethod']).toBeUndefined();
+  });
+});
+
+describe('event waitlist', () => {
+  const fullEvent = (overrides = {}) => buildEvent({ maxParticipants: 1, currentParticipants: 1, ...overrides });
+
+  it('leaves the waitlist uncapped when waitlistLimit is 0', async () => {
+    const event = fullEvent({ waitlistLimit: 0 });
+    event.save = async () => event;
+
+    await event.addToWaitlist(new mongoose.Types.ObjectId());
+    await event.addToWaitlist(new mongoose.Types.ObjectId());
+
+    expect(event.waitlist.map(item => item.position)).toEqual([1, 2]);
+    expect(event.waitlist[0].status).toBe('waiting');
+  });
+
+  it('frees the spot on cancellation without pulling anyone off the waitlist', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const event = fullEvent({
+      settings: { allowCancellation: true, refundPolicy: 'partial' },
+      registeredUsers: [{ user: userId, transactionId: new mongoose.Types.ObjectId() }],
+      waitlist: [{ user: new mongoose.Types.ObjectId(), position: 1 }]
+    });
+
+    const { refundRatio } = await event.cancelRegistration(userId);
+
+    expect(refundRatio).toBe(0.5);
+    expect(event.financials.refundedAmount).toBe(0);
+    expect(event.currentParticipants).toBe(0);
+    expect(event.waitlist).toHaveLength(1);
+  });
+
+  it('refunds nothing for a registration that was never charged', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const event = fullEvent({
+      settings: { allowCancellation: true, refundPolicy: 'full' },
+      registeredUsers: [{ user: userId, approvalStatus: 'pending', paymentStatus: 'pending' }]
+    });
+
+    const { refundRatio } = await event.cancelRegistration(userId);
+    expect(refundRatio).toBe(0);
+  });
+
+  it('only makes offers for published events that have not started', () => {
+    expect(waitlistService.canOffer(fullEvent())).toBe(true);
+    expect(waitlistService.canOffer(fullEvent({ status: 'cancelled' }))).toBe(false);
+    expect(waitlistService.canOffer(fullEvent({ startDate: new Date(Date.now() - 60 * 1000) }))).toBe(false);
+  });
+});
+
+describe('event refund policy', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  const start = new Date('2026-03-10T18:00:00Z');
+  const policyEvent = (settings = {}) => buildEvent({
+    startDate: start,
+    endDate: new Date(start.getTime() + 4 * HOUR),
+    settings: { allowCancellation: true, ...settings }
+  });
+
+  it('refunds by the tier the notice falls in', () => {
+    const event = policyEvent({
+      refundSchedule: [{ hoursBefore: 24, percent: 50 }, { hoursBefore: 168, percent: 100 }]
+    });
+
+    expect(event.getRefundTiers().map(tier => tier.hoursBefore)).toEqual([168, 24]);
+    expect(event.refundRatioAt(new Date(start.getTime() - 8 * 24 * HOUR))).toBe(1);
+    expect(event.refundRatioAt(new Date(start.getTime() - 48 * HOUR))).toBe(0.5);
+    expect(event.refundRatioAt(new Date(start.getTime() - 12 * HOUR))).toBe(0);
+  });
+
+  it('falls back to the flat refund policy without a schedule', () => {
+    const before = new Date(start.getTime() - HOUR);
+
+    expect(policyEvent({ refundPolicy: 'full' }).refundRatioAt(before)).toBe(1);
+    expect(policyEvent({ refundPolicy: 'partial' }).refundRatioAt(before)).toBe(0.5);
+    expect(policyEvent({ refundPolicy: 'none' }).refundRatioAt(before)).toBe(0);
+  });
+
+  it('refunds nothing once the event has started', () => {
+    const event = policyEvent({ refundPolicy: 'full' });
+    expect(event.refundRatioAt(new Date(start.getTime() + HOUR))).toBe(0);
+  });
+
+  it('rejects tiers outside 0-100 percent', () => {
+    const event = policyEvent({ refundSchedule: [{ hoursBefore: 24, percent: 120 }] });
+    const error = event.validateSync();
+
+    expect(error.errors['settings.refundSchedule.0.percent']).toBeDefined();
+  });
+
+  it('quotes nothing past the cancellation deadline or for unpaid registrations', async () => {
+    const event = policyEvent({
+      refundPolicy: 'full',
+      cancellationDeadline: new Date(start.getTime() - 24 * HOUR)
+    });
+
+    const quote = await eventRefundService.quote(event, { user: new mongoose.Types.ObjectId() }, new Date(start.getTime() - 2 * HOUR));
+
+    expect(quote.percent).toBe(0);
+    expect(quote.amount).toBe(0);
+    expect(quote.cancellationAllowed).toBe(false);
+  });
+
+  it('books the amount actually refunded on a cancelled event', async () => {
+    const event = policyEvent({ refundPolicy: 'full' });
+    const registration = { _id: new mongoose.Types.ObjectId(), user: new mongoose.Types.ObjectId(), transactionId: new mongoose.Types.ObjectId() };
+
+    jest.spyOn(ledgerService, 'runInTransaction').mockImplementation(work => work(null));
+    jest.spyOn(eventRefundService, 'refundRegistration').mockResolvedValue({ _id: new mongoose.Types.ObjectId(), amount: 15 });
+    const update = jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const outcome = await eventRefundService.settleRegistration(event, registration, 1, null);
+
+    expect(outcome).toMatchObject({ status: 'REFUNDED', amount: 15 });
+    expect(update.mock.calls[0][1].$inc).toEqual({ 'financials.refundedAmount': 15 });
+  });
+});
+
+describe('event certificates', () => {
+  const certificate = {
+    certificateId: 'CERT-ABCD-EFGH-JKMN',
+    recipientName: 'Asha Rao',
+    eventTitle: 'Hack Night',
+    eventDate: new Date('2026-03-10T18:00:00Z'),
+    organizerName: 'Coding Club'
+  };
+
+  it('generates readable verification IDs', () => {
+    const id = certificateService.generateCertificateId();
+
+    expect(id).toMatch(/^CERT-[2-9A-HJKMNP-Z]{4}-[2-9A-HJKMNP-Z]{4}-[2-9A-HJKMNP-Z]{4}$/);
+    expect(certificateService.normalizeId(` ${id.toLowerCase()} `)).toBe(id);
+  });
+
+  it('fills template placeholders and leaves unknown ones alone', () => {
+    const text = certificateService.fillPlaceholders('{{ name }} attended {{event}} ({{venue}})', {
+      name: 'Asha Rao',
+      event: 'Hack Night'
+    });
+
+    expect(text).toBe('Asha Rao attended Hack Night ({{venue}})');
+  });
+
+  it('only revises certificates whose printed text changed', () => {
+    const same = { ...certificate, eventDate: new Date(certificate.eventDate) };
+
+    expect(certificateService.hasChanged(certificate, same)).toBe(false);
+    expect(certificateService.hasChanged(certificate, { ...same, recipientName: 'Asha R. Rao' })).toBe(true);
+  });
+
+  it('escapes certificate text on the verification page', () => {
+    const page = certificateService.verificationPage({
+      ...certificate,
+      recipientName: '<script>alert(1)</script>',
+      valid: true,
+      issuedAt: new Date()
+    });
+
+    expect(page).toContain('Valid certificate');
+    expect(page).not.toContain('<script>');
+    expect(certificateService.verificationPage(null)).toContain('Certificate not found');
+  });
+
+  it('rejects template colors that are not hex', () => {
+    const template = new CertificateTemplate({ event: new mongoose.Types.ObjectId(), textColor: 'red' });
+
+    expect(template.validateSync().errors.textColor).toBeDefined();
+  });
+
+  it('renders a PDF with the verification link', async () => {
+    const template = new CertificateTemplate({ event: new mongoose.Types.ObjectId(), signatoryName: 'Dean' });
+    const pdf = await certificateService.render(certificate, template);
+
+    expect(pdf.subarray(0, 4).toString()).toBe('%PDF');
+    expect(certificateService.verifyUrl(certificate.certificateId)).toMatch(/\/api\/certificates\/CERT-ABCD-EFGH-JKMN\/verify$/);
+  });
+});
+
+describe('event feedback', () => {
+  const attendee = new mongoose.Types.ObjectId();
+  const endedEvent = (overrides = {}) => buildEvent({
+    price: 0,
+    startDate: new Date(Date.now() - 5 * HOUR),
+    endDate: new Date(Date.now() - 2 * HOUR),
+    status: 'completed',
+    registeredUsers: [{ user: attendee, attendanceStatus: 'attended' }],
+    feedbackForm: {
+      questions: [
+        { type: 'rating', prompt: 'How were the talks?', required: true },
+        { type: 'choice', prompt: 'Best part', options: ['Talks', 'Food', 'Hacking'] },
+        { type: 'text', prompt: 'What should we change?' }
+      ]
+    },
+    ...overrides
+  });
+
+  it('is open only to checked-in attendees once the event has ended', () => {
+    const event = endedEvent();
+    const [registration] = event.registeredUsers;
+
+    expect(feedbackService.ineligibility(event, registration)).toBeNull();
+    expect(feedbackService.ineligibility(event, undefined).errorCode).toBe('NOT_AN_ATTENDEE');
+    expect(feedbackService.ineligibility(event, registration, new Date(Date.now() - 3 * HOUR)).errorCode).toBe('FEEDBACK_NOT_OPEN');
+    expect(feedbackService.ineligibility(event, registration, new Date(Date.now() + 30 * 24 * HOUR)).errorCode).toBe('FEEDBACK_CLOSED');
+  });
+
+  it('checks answers against the form', () => {
+    const { questions } = endedEvent().feedbackForm;
+    const form = { questions };
+    const [rating, choice, text] = questions.map(question => question._id.toString());
+
+    const answers = feedbackService.normalizeAnswers(form, [
+      { questionId: rating, rating: 4 },
+      { questionId: choice, choices: ['Food'] },
+      { questionId: text, text: '  More chairs  ' }
+    ]);
+    expect(answers.map(answer => answer.rating || answer.choices || answer.text)).toEqual([4, ['Food'], 'More chairs']);
+
+    expect(() => feedbackService.normalizeAnswers(form, [])).toThrow('an answer is required');
+    expect(() => feedbackService.normalizeAnswers(form, [
+      { questionId: rating, rating: 5 },
+      { questionId: choice, choices: ['Talks', 'Food'] }
+    ])).toThrow('pick one option');
+    expect(() => feedbackService.normalizeAnswers(form, [
+      { questionId: rating, rating: 5 },
+      { questionId: new mongoose.Types.ObjectId().toString(), text: 'Hi' }
+    ])).toThrow('not on this form');
+  });
+
+  it('summarizes responses without naming respondents', () => {
+    const event = endedEvent({
+      registeredUsers: [
+        { user: attendee, attendanceStatus: 'attended' },
+        { user: new mongoose.Types.ObjectId(), attendanceStatus: 'attended' },
+        { user: new mongoose.Types.ObjectId(), attendanceStatus: 'absent' }
+      ]
+    });
+    const [rating, choice] = event.feedbackForm.questions;
+    event.registeredUsers[0].feedback = {
+      rating: 5,
+      comment: 'Great, "really"',
+      answers: [{ question: rating._id, rating: 4 }, { question: choice._id, choices: ['Food'] }],
+      submittedAt: new Date()
+    };
+
+    const report = feedbackService.buildReport(event);
+    expect(report.responses).toBe(1);
+    expect(report.responseRate).toBe(50);
+    expect(report.averageRating).toBe(5);
+    expect(report.questions[1].counts).toEqual({ Talks: 0, Food: 1, Hacking: 0 });
+
+    const csv = feedbackService.buildCsv(event).split('\r\n');
+    expect(csv[0]).toBe('Submitted At,Overall Rating,Comment,How were the talks?,Best part,What should we change?');
+    expect(csv[1]).toMatch(/,5,"Great, ""really""",4,Food,$/);
+  });
+});
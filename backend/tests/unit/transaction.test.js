@@ -0,0 +1,899 @@
+const mongoose = require('mongoose');
+const { hashRequest } = require('../../middleware/idempotency');
+const squareWebhookService = require('../../services/squareWebhookService');
+const ledgerService = require('../../services/ledgerService');
+const Transaction = require('../../models/Transaction');
+const reconciliationService = require('../../services/reconciliationService');
+const refundService = require('../../services/refundService');
+const disputeService = require('../../services/disputeService');
+const Dispute = require('../../models/Dispute');
+const settlementService = require('../../services/settlementService');
+const payoutFileService = require('../../services/payoutFileService');
+const rewardService = require('../../services/rewardService');
+const Reward = require('../../models/Reward');
+const RewardUsage = require('../../models/RewardUsage');
+const loyaltyService = require('../../services/loyaltyService');
+const LoyaltyAccount = require('../../models/LoyaltyAccount');
+const couponService = require('../../services/couponService');
+const Coupon = require('../../models/Coupon');
+const voucherService = require('../../services/voucherService');
+const Voucher = require('../../models/Voucher');
+const holdService = require('../../services/holdService');
+const Wallet = require('../../models/Wallet');
+const User = require('../../models/User');
+const orderService = require('../../services/orderService');
+const Order = require('../../models/Order');
+const catalogService = require('../../services/catalogService');
+const CatalogItem = require('../../models/CatalogItem');
+const paymentRequestService = require('../../services/paymentRequestService');
+const qrService = require('../../services/qrService');
+const PaymentRequest = require('../../models/PaymentRequest');
+const IssuedQR = require('../../models/IssuedQR');
+const payCodeService = require('../../services/payCodeService');
+const offlinePaymentService = require('../../services/offlinePaymentService');
+const EncryptionManager = require('../../utils/encryption');
+const OfflineToken = require('../../models/OfflineToken');
+const OfflineSyncBatch = require('../../models/OfflineSyncBatch');
+const WalletHold = require('../../models/WalletHold');
+const { AppError } = require('../../middleware/errorHandler');
+
+/**
+ * Unit tests for idempotent money-moving requests
+ */
+
+describe('idempotency request hashing', () => {
+  it('ignores property order in the body', () => {
+    const first = hashRequest('POST', '/api/transactions/pay', { amount: 50, merchantQrCode: 'CANTEEN0001' });
+    const second = hashRequest('POST', '/api/transactions/pay', { merchantQrCode: 'CANTEEN0001', amount: 50 });
+
+    expect(first).toBe(second);
+  });
+
+  it('changes when the payload changes', () => {
+    const first = hashRequest('POST', '/api/transactions/pay', { amount: 50, merchantQrCode: 'CANTEEN0001' });
+    const second = hashRequest('POST', '/api/transactions/pay', { amount: 500, merchantQrCode: 'CANTEEN0001' });
+
+    expect(first).not.toBe(second);
+  });
+
+  it('changes when the same body targets a different route', () => {
+    const first = hashRequest('POST', '/api/events/a1/register', {});
+    const second = hashRequest('POST', '/api/events/b2/register', {});
+
+    expect(first).not.toBe(second);
+  });
+
+  it('hashes nested objects canonically', () => {
+    const first = hashRequest('POST', '/api/transactions/pay', { location: { latitude: 1, longitude: 2 } });
+    const second = hashRequest('POST', '/api/transactions/pay', { location: { longitude: 2, latitude: 1 } });
+
+    expect(first).toBe(second);
+  });
+});
+
+describe('Square webhook helpers', () => {
+  it('converts Square money to an amount', () => {
+    expect(squareWebhookService.amountFromMoney({ amount: 12345, currency: 'USD' })).toBe(123.45);
+    expect(squareWebhookService.amountFromMoney({ amount: 0, currency: 'USD' })).toBe(0);
+  });
+
+  it('returns null when there is no money object', () => {
+    expect(squareWebhookService.amountFromMoney(undefined)).toBeNull();
+    expect(squareWebhookService.amountFromMoney({ currency: 'USD' })).toBeNull();
+  });
+
+  it('ignores event types it does not handle', async () => {
+    const result = await squareWebhookService.dispatch('customer.created', { data: {} });
+
+    expect(result).toEqual({ ignored: true, reason: 'UNHANDLED_EVENT_TYPE' });
+  });
+});
+
+describe('Square webhook refunds', () => {
+  let rows;
+  let reverse;
+  const refund = (id, cents) => ({ id, payment_id: 'sq_pay_1', status: 'COMPLETED', amount_money: { amount: cents, currency: 'USD' } });
+
+  beforeEach(() => {
+    rows = [{
+      _id: new mongoose.Types.ObjectId(),
+      transactionId: 'TOPUP_1_ABC',
+      category: 'TOP_UP',
+      squarePaymentId: 'sq_pay_1',
+      amount: 100,
+      ledger: { journalId: 'JRN_TOPUP' }
+    }];
+    const matches = (row, filter) => Object.entries(filter).every(([key, value]) => row[key] === value);
+
+    jest.spyOn(Transaction, 'findOne').mockImplementation(async filter => rows.find(row => matches(row, filter)) || null);
+    jest.spyOn(Transaction, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (filter.squareRefundId) {
+        let row = rows.find(candidate => candidate.squareRefundId === filter.squareRefundId);
+        if (!row) {
+          // Newest first, so a lookup without the category filter finds the refund
+          row = { _id: new mongoose.Types.ObjectId(), ...update.$setOnInsert };
+          rows.unshift(row);
+        }
+        // What a delivery racing another one read: not posted yet
+        return { ...row, ledger: undefined };
+      }
+
+      const row = rows.find(candidate => candidate._id.equals(filter._id));
+      if (!row || row.status === 'COMPLETED' || row.ledger?.journalId) return null;
+      row.status = update.$set.status;
+      return row;
+    });
+    jest.spyOn(Wallet, 'findById').mockResolvedValue({ balance: 100 });
+    jest.spyOn(ledgerService, 'runInTransaction').mockImplementation(work => work(null));
+    reverse = jest.spyOn(ledgerService, 'reverseJournal').mockImplementation(async (journalId, { transactions }) => {
+      transactions[0].ledger = { journalId: `JRN_${transactions[0].squareRefundId}` };
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('reverses the top-up for each partial refund of one payment', async () => {
+    await squareWebhookService.handleRefund(refund('sq_rfd_1', 3000));
+    await squareWebhookService.handleRefund(refund('sq_rfd_2', 2000));
+
+    expect(reverse.mock.calls.map(([journalId, { ratio }]) => [journalId, ratio])).toEqual([
+      ['JRN_TOPUP', 0.3],
+      ['JRN_TOPUP', 0.2]
+    ]);
+  });
+
+  it('posts a refund once when two deliveries both find it unposted', async () => {
+    const first = await squareWebhookService.handleRefund(refund('sq_rfd_1', 3000));
+    const second = await squareWebhookService.handleRefund(refund('sq_rfd_1', 3000));
+
+    expect(first.action).toBe('DEBITED');
+    expect(second).toMatchObject({ ignored: true, reason: 'ALREADY_POSTED' });
+    expect(reverse).toHaveBeenCalledTimes(1);
+    expect(rows[0].status).toBe('COMPLETED');
+  });
+});
+
+
+describe('Square reconciliation', () => {
+  const transaction = {
+    _id: '64b000000000000000000001',
+    transactionId: 'TOPUP_1_ABC',
+    amount: 25,
+    status: 'COMPLETED',
+    ledger: { journalId: 'JRN_1' }
+  };
+  const payment = { id: 'sq_pay_1', status: 'COMPLETED' };
+
+  it('defaults to the previous UTC day', () => {
+    const { beginTime, endTime } = reconciliationService.resolveWindow();
+
+    expect(endTime.getUTCHours()).toBe(0);
+    expect(endTime.getTime() - beginTime.getTime()).toBe(24 * 60 * 60 * 1000);
+  });
+
+  it('rejects an inverted window', () => {
+    expect(() => reconciliationService.resolveWindow('2026-10-02', '2026-10-01')).toThrow();
+  });
+
+  it('reports nothing for a matching payment', () => {
+    expect(reconciliationService.compare('PAYMENT', payment, 25, transaction)).toEqual([]);
+  });
+
+  it('flags amount differences', () => {
+    const found = reconciliationService.compare('PAYMENT', payment, 20, transaction);
+
+    expect(found.map(d => d.type)).toEqual(['AMOUNT_MISMATCH']);
+  });
+
+  it('flags a completed payment whose transaction failed', () => {
+    const found = reconciliationService.compare('PAYMENT', payment, 25, { ...transaction, status: 'FAILED' });
+
+    expect(found.map(d => d.type)).toEqual(['STATUS_MISMATCH']);
+  });
+
+  it('flags a completed transaction that never reached the ledger', () => {
+    const found = reconciliationService.compare('PAYMENT', payment, 25, { ...transaction, ledger: {} });
+
+    expect(found.map(d => d.type)).toEqual(['STATUS_MISMATCH']);
+  });
+
+  it('accepts a pending transaction for an approved payment', () => {
+    const approved = { ...payment, status: 'APPROVED' };
+
+    expect(reconciliationService.compare('PAYMENT', approved, 25, { ...transaction, status: 'PROCESSING' })).toEqual([]);
+  });
+});
+
+describe('merchant refunds', () => {
+  it('allows the full amount when nothing has been refunded', () => {
+    expect(refundService.remainingRefundable({ amount: 120 })).toBe(120);
+  });
+
+  it('subtracts earlier refunds from the refundable amount', () => {
+    expect(refundService.remainingRefundable({ amount: 120, refundedAmount: 45.5 })).toBe(74.5);
+  });
+
+  it('never reports a negative refundable amount', () => {
+    expect(refundService.remainingRefundable({ amount: 10, refundedAmount: 10.004 })).toBe(0);
+  });
+});
+
+describe('dispute cases', () => {
+  const hour = 60 * 60 * 1000;
+  const buildDispute = (status, responseDueIn, resolutionDueIn) => new Dispute({
+    status,
+    sla: {
+      merchantResponseDueAt: new Date(Date.now() + responseDueIn),
+      resolutionDueAt: new Date(Date.now() + resolutionDueIn)
+    }
+  });
+
+  it('is overdue once the merchant response window lapses', () => {
+    expect(buildDispute('AWAITING_MERCHANT', -hour, 48 * hour).isOverdue).toBe(true);
+  });
+
+  it('is not overdue while under review before the resolution deadline', () => {
+    expect(buildDispute('UNDER_REVIEW', -hour, 48 * hour).isOverdue).toBe(false);
+  });
+
+  it('is never overdue once resolved', () => {
+    expect(buildDispute('RESOLVED', -hour, -hour).isOverdue).toBe(false);
+  });
+
+  it('accepts evidence as plain URLs or objects', () => {
+    expect(disputeService.normalizeEvidence('https://example.com/receipt.png'))
+      .toEqual({ url: 'https://example.com/receipt.png' });
+    expect(disputeService.normalizeEvidence({ url: 'https://example.com/a.png', description: 'Receipt', extra: 1 }))
+      .toEqual({ url: 'https://example.com/a.png', description: 'Receipt' });
+  });
+});
+
+describe('merchant settlements', () => {
+  // Thursday
+  const asOf = new Date('2026-10-15T13:45:00.000Z');
+
+  it('closes daily cycles at UTC midnight', () => {
+    expect(settlementService.cycleEnd('daily', asOf).toISOString()).toBe('2026-10-15T00:00:00.000Z');
+  });
+
+  it('closes weekly cycles on Monday', () => {
+    expect(settlementService.cycleEnd('weekly', asOf).toISOString()).toBe('2026-10-12T00:00:00.000Z');
+  });
+
+  it('closes monthly cycles on the first', () => {
+    expect(settlementService.cycleEnd('monthly', asOf).toISOString()).toBe('2026-10-01T00:00:00.000Z');
+  });
+
+  it('nets refunds and their reversed commission against payments', () => {
+    const payment = settlementService.lineItem({ category: 'PAYMENT', amount: 200, fees: { amount: 4 } });
+    const refund = settlementService.lineItem({ category: 'REFUND', amount: 50, refund: { commissionReversed: 1 } });
+
+    expect(payment).toMatchObject({ grossAmount: 200, commission: 4, netAmount: 196 });
+    expect(refund).toMatchObject({ grossAmount: -50, commission: -1, netAmount: -49 });
+  });
+
+  it('withholds open disputes and pays out released holds', () => {
+    const lines = [
+      { category: 'PAYMENT', grossAmount: 200, commission: 4, netAmount: 196 },
+      { category: 'REFUND', grossAmount: -50, commission: -1, netAmount: -49 }
+    ];
+    const totals = settlementService.computeTotals(lines, [{ amount: 30 }], [{ amount: 10 }]);
+
+    expect(totals).toEqual({
+      grossSales: 200,
+      refunds: 50,
+      commission: 3,
+      net: 147,
+      disputeHolds: 30,
+      holdReleases: 10,
+      payable: 127
+    });
+  });
+});
+
+describe('bank payout files', () => {
+  const row = {
+    paymentMode: 'NEFT',
+    reference: 'STL123',
+    accountNumber: '001234567890',
+    ifscCode: 'HDFC0001234',
+    beneficiaryName: 'Campus Cafe',
+    amount: 1234.5
+  };
+
+  it('quotes CSV fields that contain separators', () => {
+    expect(payoutFileService.csvField('Cafe, "North"')).toBe('"Cafe, ""North"""');
+    expect(payoutFileService.csvField('Plain')).toBe('Plain');
+  });
+
+  it('writes fixed-width detail records with amounts in paise', () => {
+    const content = payoutFileService.buildFixedWidth('PAYB1', [row], 1234.5, new Date('2026-10-15T00:00:00.000Z'));
+    const [header, detail, trailer] = content.split('\r\n');
+
+    expect(header.slice(21, 29)).toBe('20261015');
+    expect(detail).toHaveLength(111);
+    expect(detail.slice(0, 5)).toBe('DNEFT');
+    expect(detail.slice(-15)).toBe('000000000123450');
+    expect(trailer).toBe('T000001000000000123450');
+  });
+
+  it('reads return file rows by header name', () => {
+    const rows = payoutFileService.parseReturnFile(
+      'Customer Reference,UTR,Status,Remarks\r\nSTL1,UTR9,Success,\r\nSTL2,,rejected,"Account closed, contact bank"\r\n'
+    );
+
+    expect(rows).toEqual([
+      { reference: 'STL1', status: 'SUCCESS', bankReference: 'UTR9', reason: undefined },
+      { reference: 'STL2', status: 'REJECTED', bankReference: undefined, reason: 'Account closed, contact bank' }
+    ]);
+  });
+
+  it('rejects return files without a status column', () => {
+    expect(() => payoutFileService.parseReturnFile('reference,utr\nSTL1,UTR9')).toThrow('reference and status');
+  });
+
+  it('keeps only the last four account digits on the batch', () => {
+    const entry = payoutFileService.storedEntry({ ...row, accountLast4: '7890' });
+
+    expect(entry.accountNumber).toBeUndefined();
+    expect(entry).toMatchObject({ reference: 'STL123', accountLast4: '7890' });
+  });
+});
+
+describe('cashback rewards', () => {
+  const canteen = { _id: new mongoose.Types.ObjectId(), category: 'canteen' };
+  const shop = { _id: new mongoose.Types.ObjectId(), category: 'shop' };
+
+  const campaign = (overrides = {}) => new Reward({
+    code: 'CANTEEN5',
+    name: 'Canteen cashback',
+    trigger: 'PAYMENT',
+    calculation: { type: 'PERCENTAGE', value: 5, maxPerTransaction: 20 },
+    targeting: { merchantCategories: ['canteen'] },
+    startsAt: new Date('2026-10-01T00:00:00.000Z'),
+    budget: { total: 1000 },
+    ...overrides
+  });
+
+  it('targets merchant categories and minimum amounts', () => {
+    const reward = campaign({ minAmount: 10 });
+
+    expect(reward.appliesTo({ amount: 100, merchant: canteen })).toBe(true);
+    expect(reward.appliesTo({ amount: 100, merchant: shop })).toBe(false);
+    expect(reward.appliesTo({ amount: 5, merchant: canteen })).toBe(false);
+  });
+
+  it('caps percentage rewards per transaction', () => {
+    expect(campaign().calculate(120)).toBe(6);
+    expect(campaign().calculate(1000)).toBe(20);
+    expect(campaign({ calculation: { type: 'FLAT', value: 25 } }).calculate(1)).toBe(25);
+  });
+
+  it('starts weekly caps on Monday', () => {
+    // Thursday
+    const at = new Date('2026-10-15T13:45:00.000Z');
+
+    expect(rewardService.periodStart('WEEK', at).toISOString()).toBe('2026-10-12T00:00:00.000Z');
+    expect(rewardService.periodStart('MONTH', at).toISOString()).toBe('2026-10-01T00:00:00.000Z');
+    expect(rewardService.periodStart('CAMPAIGN', at)).toBeNull();
+  });
+
+  describe('with the database mocked', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    const source = { _id: new mongoose.Types.ObjectId(), userId: new mongoose.Types.ObjectId(), createdAt: new Date('2026-10-15T13:45:00.000Z') };
+
+    it('reserves the per-user cap only while it stays within the cap', async () => {
+      const reward = campaign({ perUserCap: { amount: 30, count: 3, period: 'MONTH' } });
+      const seed = jest.spyOn(RewardUsage, 'updateOne').mockResolvedValue({});
+      const reserve = jest.spyOn(RewardUsage, 'findOneAndUpdate').mockResolvedValue(null);
+
+      const reserved = await rewardService.reserveUsage(reward, source, 6, { amount: 10, count: 1 }, null);
+
+      expect(reserved).toBe(false);
+      expect(seed.mock.calls[0][1]).toEqual({ $setOnInsert: { amount: 10, count: 1 } });
+      const [filter, update] = reserve.mock.calls[0];
+      expect(filter).toMatchObject({ periodStart: new Date('2026-10-01T00:00:00.000Z'), count: { $lt: 3 } });
+      expect(filter.amount.$lte).toBeCloseTo(24.005);
+      expect(update).toEqual({ $inc: { amount: 6, count: 1 } });
+    });
+
+    it('claws back cashback in proportion to a refund', async () => {
+      const reward = campaign({ perUserCap: { amount: 30, period: 'CAMPAIGN' } });
+      const grant = new Transaction({
+        userId: source.userId,
+        walletId: new mongoose.Types.ObjectId(),
+        amount: 6,
+        type: 'CREDIT',
+        category: 'CASHBACK',
+        status: 'COMPLETED',
+        description: 'Canteen cashback',
+        relatedTransactionId: source._id,
+        metadata: { rewardId: reward._id },
+        ledger: { journalId: 'JRN_CBK' }
+      });
+
+      jest.spyOn(Transaction, 'find').mockReturnValue({ session: async () => [grant] });
+      jest.spyOn(Transaction, 'updateOne').mockResolvedValue({});
+      jest.spyOn(Reward, 'findByIdAndUpdate').mockResolvedValue(reward);
+      const usage = jest.spyOn(RewardUsage, 'updateOne').mockResolvedValue({});
+      const reverse = jest.spyOn(ledgerService, 'reverseJournal').mockResolvedValue({});
+
+      const [reversal] = await rewardService.clawBack(source, 0.5, null);
+
+      expect(reversal).toMatchObject({ amount: 3, type: 'DEBIT', category: 'REVERSAL' });
+      expect(reversal.metadata.merchantId).toBeUndefined();
+      expect(reverse).toHaveBeenCalledWith('JRN_CBK', expect.objectContaining({ ratio: 0.5 }));
+      expect(usage.mock.calls[0][1]).toEqual({ $inc: { amount: -3, count: 0 } });
+    });
+  });
+});
+
+describe('merchant loyalty', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  const points = { type: 'POINTS', pointsPerUnit: 1, pointValue: 0.5, minRedeemPoints: 10, maxRedeemPercent: 50 };
+  const stamps = { type: 'STAMPS', stampsRequired: 10, stampRewardValue: 30, minPurchaseForStamp: 20 };
+
+  it('earns whole points per unit and one stamp per qualifying payment', () => {
+    expect(loyaltyService.calculateEarnings(points, 99.9)).toEqual({ points: 99, stamps: 0 });
+    expect(loyaltyService.calculateEarnings(stamps, 25)).toEqual({ points: 0, stamps: 1 });
+    expect(loyaltyService.calculateEarnings(stamps, 15)).toEqual({ points: 0, stamps: 0 });
+  });
+
+  it('limits points redemption to the share of the bill the merchant allows', () => {
+    const quote = loyaltyService.quoteRedemption(points, { points: 500 }, 100, { points: 500 });
+
+    expect(quote).toEqual({ discount: 50, points: 100, stampRewards: 0 });
+  });
+
+  it('never discounts a bill to zero with a stamp card', () => {
+    const quote = loyaltyService.quoteRedemption(stamps, { rewardsAvailable: 1 }, 25, { stampReward: true });
+
+    expect(quote).toEqual({ discount: 24.99, points: 0, stampRewards: 1 });
+  });
+
+  it('rejects redemption without enough points', () => {
+    expect(() => loyaltyService.quoteRedemption(points, { points: 5 }, 100, { points: 20 }))
+      .toThrow('Not enough loyalty points');
+  });
+
+  it('takes back the refunded share of what a payment earned', async () => {
+    const payment = {
+      _id: new mongoose.Types.ObjectId(),
+      userId: new mongoose.Types.ObjectId(),
+      metadata: { merchantId: new mongoose.Types.ObjectId() },
+      loyalty: { pointsEarned: 10, pointsReversed: 8, stampsEarned: 1 }
+    };
+    const account = jest.spyOn(LoyaltyAccount, 'findOneAndUpdate').mockResolvedValue({});
+    const marked = jest.spyOn(Transaction, 'updateOne').mockResolvedValue({});
+
+    const reversed = await loyaltyService.reverseEarnings(payment, 0.5, null);
+
+    expect(reversed).toMatchObject({ points: 2, stamps: 1 });
+    expect(account.mock.calls[0][1][0].$set.points).toEqual({ $max: [0, { $subtract: ['$points', 2] }] });
+    expect(marked.mock.calls[0][1]).toEqual({ $inc: { 'loyalty.pointsReversed': 2, 'loyalty.stampsReversed': 1 } });
+  });
+
+  it('leaves accounts alone when nothing was earned', async () => {
+    const account = jest.spyOn(LoyaltyAccount, 'findOneAndUpdate');
+
+    expect(await loyaltyService.reverseEarnings({ loyalty: {} }, 1, null)).toBeNull();
+    expect(account).not.toHaveBeenCalled();
+  });
+});
+
+describe('coupons', () => {
+  const merchant = { _id: new mongoose.Types.ObjectId(), category: 'canteen' };
+  const event = { _id: new mongoose.Types.ObjectId(), category: 'workshop' };
+  const coupon = (fields) => new Coupon({
+    code: 'WELCOME10',
+    discountType: 'PERCENTAGE',
+    value: 10,
+    fundedBy: 'PLATFORM',
+    expiresAt: new Date('2027-01-01'),
+    createdBy: new mongoose.Types.ObjectId(),
+    ...fields
+  });
+
+  it('caps percentage discounts at maxDiscount', () => {
+    expect(couponService.calculateDiscount(coupon({ maxDiscount: 15 }), 400)).toBe(15);
+    expect(couponService.calculateDiscount(coupon({}), 99.99)).toBe(9.99);
+  });
+
+  it('never discounts a bill to zero with a flat coupon', () => {
+    expect(couponService.calculateDiscount(coupon({ discountType: 'FLAT', value: 50 }), 30)).toBe(29.99);
+  });
+
+  it('keeps payment coupons off event registrations', () => {
+    const paymentOnly = coupon({ appliesTo: 'PAYMENT', scope: { merchantCategories: ['canteen'] } });
+
+    expect(paymentOnly.isInScope({ merchant })).toBe(true);
+    expect(paymentOnly.isInScope({ merchant: { ...merchant, category: 'shop' } })).toBe(false);
+    expect(paymentOnly.isInScope({ event })).toBe(false);
+  });
+
+  it('limits event coupons to the listed events', () => {
+    const scoped = coupon({ appliesTo: 'EVENT', scope: { eventIds: [event._id] } });
+
+    expect(scoped.isInScope({ event })).toBe(true);
+    expect(scoped.isInScope({ event: { ...event, _id: new mongoose.Types.ObjectId() } })).toBe(false);
+  });
+
+  it('settles platform-funded discounts to the merchant at the full price', () => {
+    const payment = settlementService.lineItem({
+      category: 'PAYMENT',
+      amount: 90,
+      fees: { amount: 2 },
+      discounts: [
+        { source: 'COUPON', amount: 10, fundedBy: 'PLATFORM' },
+        { source: 'LOYALTY', amount: 5, fundedBy: 'MERCHANT' }
+      ]
+    });
+    const refund = settlementService.lineItem({
+      category: 'REFUND',
+      amount: 90,
+      refund: { commissionReversed: 2, subsidyReversed: 10 }
+    });
+
+    expect(payment).toMatchObject({ grossAmount: 100, commission: 2, netAmount: 98 });
+    expect(refund).toMatchObject({ grossAmount: -100, commission: -2, netAmount: -98 });
+  });
+});
+
+describe('gift vouchers', () => {
+  const holder = new mongoose.Types.ObjectId();
+  const voucher = (fields) => new Voucher({
+    code: 'HSV-ABCD-EFGH-JKMN',
+    batchId: 'VB_1_TEST',
+    name: 'Freshers welcome credit',
+    value: 100,
+    balance: 100,
+    expiresAt: new Date('2027-01-01'),
+    createdBy: new mongoose.Types.ObjectId(),
+    ...fields
+  });
+
+  it('generates prefixed codes without look-alike characters', () => {
+    const code = voucherService.generateCode('fresh');
+
+    expect(code).toMatch(/^FRESH(-[2-9A-HJKMNP-Z]{4}){3}$/);
+  });
+
+  it('keeps a partly used prepaid card with its first holder', () => {
+    const card = voucher({ usage: 'PARTIAL', balance: 40, holderId: holder });
+
+    expect(() => voucherService.assertRedeemable(card, holder)).not.toThrow();
+    expect(() => voucherService.assertRedeemable(card, new mongoose.Types.ObjectId()))
+      .toThrow('This voucher belongs to someone else');
+  });
+
+  it('refuses expired and used vouchers', () => {
+    const at = new Date('2027-06-01');
+
+    expect(() => voucherService.assertRedeemable(voucher({}), holder, at)).toThrow('This voucher has expired');
+    expect(() => voucherService.assertRedeemable(voucher({ status: 'REDEEMED', balance: 0 }), holder))
+      .toThrow('This voucher has already been redeemed');
+  });
+
+  it('exports one CSV row per voucher with its redeem link', () => {
+    const csv = voucherService.buildCsv([voucher({ name: 'Hackathon prize, 1st place' })]);
+    const [header, row] = csv.split('\r\n');
+
+    expect(header).toBe('Code,Name,Usage,Value,Balance,Currency,Expires,Status,Redeem URL');
+    expect(row).toMatch(/^HSV-ABCD-EFGH-JKMN,"Hackathon prize, 1st place",SINGLE_USE,100\.00,100\.00,USD,2027-01-01,ACTIVE,http/);
+    expect(row).toContain('/wallet/vouchers/redeem?code=HSV-ABCD-EFGH-JKMN');
+  });
+});
+
+describe('wallet holds', () => {
+  it('takes held funds out of the available balance', () => {
+    const wallet = new Wallet({ userId: new mongoose.Types.ObjectId(), balance: 100, heldAmount: 35.5 });
+
+    expect(wallet.availableBalance).toBe(64.5);
+  });
+
+  it('refuses to spend funds reserved by a hold', () => {
+    const user = new User({ walletBalance: 100, heldBalance: 80, dailySpentAmount: 0 });
+    const check = user.canSpend(30);
+
+    expect(check.canSpend).toBe(false);
+    expect(check.hasBalance).toBe(false);
+    expect(check.availableBalance).toBe(20);
+  });
+
+  it('tells an expired hold apart from one already settled', () => {
+    const lapsed = { status: 'HELD', expiresAt: new Date(Date.now() - 1000) };
+    const captured = { status: 'CAPTURED', expiresAt: new Date(Date.now() + 1000) };
+
+    expect(holdService.notOpenError(lapsed).errorCode).toBe('HOLD_EXPIRED');
+    expect(holdService.notOpenError(captured).message).toBe('This hold is already captured');
+  });
+});
+
+describe('canteen pre-orders', () => {
+  const merchant = {
+    name: 'North Canteen',
+    operatingHours: {
+      monday: { open: '08:00', close: '10:00' },
+      sunday: { closed: true }
+    },
+    preOrderSettings: { slotMinutes: 30, ordersPerSlot: 5, minLeadMinutes: 15 }
+  };
+  // Mondays, server local time
+  const monday = (time) => new Date(`2026-10-19T${time}:00`);
+
+  it('cuts pickup slots from opening hours after the lead time', () => {
+    const slots = orderService.slotsForDay(merchant, monday('00:00'), monday('08:20'));
+
+    expect(slots.map(slot => slot.start.toTimeString().slice(0, 5))).toEqual(['09:00', '09:30']);
+    expect(slots[1].end).toEqual(monday('10:00'));
+  });
+
+  it('has no slots on a closed day', () => {
+    expect(orderService.slotsForDay(merchant, new Date('2026-10-18T12:00:00'), new Date('2026-10-18T07:00:00'))).toEqual([]);
+  });
+
+  it('only accepts a pickup time that starts a slot', () => {
+    const now = monday('07:00');
+
+    expect(orderService.resolveSlot(merchant, monday('08:30'), now).end).toEqual(monday('09:00'));
+    expect(() => orderService.resolveSlot(merchant, monday('08:45'), now)).toThrow('That pickup slot is not available');
+  });
+
+  it('lets merchants move orders only along the kitchen flow', () => {
+    const order = new Order({ status: 'ACCEPTED' });
+
+    expect(order.canMoveTo('PREPARING')).toBe(true);
+    expect(order.canMoveTo('CANCELLED')).toBe(true);
+    expect(order.canMoveTo('COLLECTED')).toBe(false);
+    expect(new Order({ status: 'READY' }).canMoveTo('CANCELLED')).toBe(false);
+  });
+});
+
+describe('catalog and inventory', () => {
+  const item = (fields) => new CatalogItem({
+    merchantId: new mongoose.Types.ObjectId(),
+    name: 'A4 notebook',
+    price: 60,
+    ...fields
+  });
+
+  it('sells items only inside their availability windows', () => {
+    const breakfast = item({ availability: [{ days: ['monday', 'tuesday'], from: '07:30', to: '10:30' }] });
+
+    expect(breakfast.isAvailableAt(new Date('2026-10-19T08:00:00'))).toBe(true);
+    expect(breakfast.isAvailableAt(new Date('2026-10-19T11:00:00'))).toBe(false);
+    expect(breakfast.isAvailableAt(new Date('2026-10-18T08:00:00'))).toBe(false);
+    expect(item({ isAvailable: false }).isAvailableAt()).toBe(false);
+  });
+
+  it('flags low stock on the item or any available variant', () => {
+    expect(item({ trackStock: true, stock: 5, lowStockThreshold: 5 }).isLowStock).toBe(true);
+    expect(item({ trackStock: false, stock: 0 }).isLowStock).toBe(false);
+    expect(item({
+      trackStock: true,
+      lowStockThreshold: 3,
+      variants: [
+        { name: 'Ruled', price: 60, stock: 40 },
+        { name: 'Plain', price: 55, stock: 2 }
+      ]
+    }).isLowStock).toBe(true);
+  });
+
+  it('rejects duplicate variant SKUs and backwards windows', () => {
+    expect(() => catalogService.validateItem({ variants: [{ sku: 'nb-1' }, { sku: 'NB-1' }] }))
+      .toThrow('Variant SKUs must be unique');
+    expect(() => catalogService.validateItem({ availability: [{ from: '18:00', to: '09:00' }] }))
+      .toThrow('Availability windows must end after they start');
+  });
+});
+
+describe('till payment requests', () => {
+  const request = (fields) => new PaymentRequest({
+    requestId: 'PRQ_1',
+    merchantId: new mongoose.Types.ObjectId(),
+    amount: 120,
+    reference: 'T12-0042',
+    qrId: 'a3e1c7c2-5b8e-4f5a-9a51-2d1f0e6b7c44',
+    expiresAt: new Date(Date.now() + 5 * 60 * 1000),
+    ...fields
+  });
+
+  it('treats a pending request past its expiry as expired', () => {
+    expect(request().isExpired).toBe(false);
+    expect(request({ expiresAt: new Date(Date.now() - 1000) }).isExpired).toBe(true);
+    expect(request({ status: 'PAID', expiresAt: new Date(Date.now() - 1000) }).isExpired).toBe(false);
+  });
+
+  it('refuses to take payment for a paid, cancelled or expired request', () => {
+    expect(() => paymentRequestService.assertPayable(request())).not.toThrow();
+    expect(() => paymentRequestService.assertPayable(request({ status: 'PAID' })))
+      .toThrow('This bill has already been paid');
+    expect(() => paymentRequestService.assertPayable(request({ status: 'CANCELLED' })))
+      .toThrow('The merchant cancelled this bill');
+    expect(() => paymentRequestService.assertPayable(request({ expiresAt: new Date(Date.now() - 1000) })))
+      .toThrow('This payment QR has expired, ask for a new one');
+  });
+
+  it('rejects a scanned payload that is not a payment request', async () => {
+    const payload = await qrService.createSecurePayload({ type: 'wallet_receive', walletId: 'W1' });
+
+    await expect(paymentRequestService.resolve(payload)).rejects.toMatchObject({ errorCode: 'INVALID_PAYMENT_QR' });
+    await expect(paymentRequestService.resolve('not-a-payload')).rejects.toMatchObject({ errorCode: 'INVALID_PAYMENT_QR' });
+  });
+});
+
+describe('QR registry', () => {
+  const entry = (fields) => new IssuedQR({
+    qrId: 'a3e1c7c2-5b8e-4f5a-9a51-2d1f0e6b7c44',
+    type: 'payment_request',
+    maxUses: 1,
+    expiresAt: new Date(Date.now() + 60 * 1000),
+    ...fields
+  });
+
+  it('accepts an unused code inside its lifetime', () => {
+    expect(qrService.usageError(entry())).toBeNull();
+    expect(qrService.usageError(entry({ maxUses: undefined, useCount: 40, expiresAt: undefined }))).toBeNull();
+  });
+
+  it('turns away replayed, revoked and expired codes', () => {
+    expect(qrService.usageError(entry({ useCount: 1 })).errorCode).toBe('QR_ALREADY_USED');
+    expect(qrService.usageError(entry({ status: 'USED' })).errorCode).toBe('QR_ALREADY_USED');
+    expect(qrService.usageError(entry({ status: 'REVOKED' })).errorCode).toBe('QR_REVOKED');
+    expect(qrService.usageError(entry({ expiresAt: new Date(Date.now() - 1000) })).errorCode).toBe('QR_EXPIRED');
+  });
+
+  it('refuses payloads that were never registered', async () => {
+    const payload = await qrService.createSecurePayload({ type: 'payment_request', amount: '10.00' });
+
+    await expect(qrService.verify(payload)).rejects.toMatchObject({ errorCode: 'QR_NOT_REGISTERED' });
+  });
+});
+
+describe('customer pay codes', () => {
+  // RFC 6238 appendix B test secret, "12345678901234567890"
+  const secret = Buffer.from('12345678901234567890').toString('hex');
+
+  it('matches the RFC 6238 SHA-1 test vectors', () => {
+    expect(payCodeService.generateCode(secret, payCodeService.counterAt(new Date(59 * 1000)))).toBe('94287082');
+    expect(payCodeService.generateCode(secret, payCodeService.counterAt(new Date(1111111109 * 1000)))).toBe('07081804');
+  });
+
+  it('accepts a code from a phone clock a little out of step', () => {
+    const now = new Date('2026-10-18T10:00:00Z');
+    const shown = payCodeService.payloadFor('WALLET_1', secret, new Date(now.getTime() - 45 * 1000));
+    const { code } = payCodeService.parse(shown);
+
+    expect(payCodeService.matchCounter(secret, code, now)).toBe(payCodeService.counterAt(now) - 2);
+    expect(payCodeService.matchCounter(secret, code, new Date(now.getTime() + 5 * 60 * 1000))).toBeNull();
+  });
+
+  it('rejects anything that is not a pay code', () => {
+    expect(() => payCodeService.parse('https://example.com')).toThrow('This is not a wallet pay code');
+    expect(() => payCodeService.parse('CXPAY:WALLET_1:1234')).toThrow('This is not a wallet pay code');
+  });
+});
+
+describe('offline payment tokens', () => {
+  const { privateKey, publicKey } = EncryptionManager.generateSigningKeyPair();
+  const encryption = new EncryptionManager();
+
+  it('verifies a signed token body with the public key alone', () => {
+    const body = Buffer.from(JSON.stringify({ tid: 'OFT_1', cap: 150 })).toString('base64url');
+    const signature = encryption.signData(body, privateKey);
+
+    expect(encryption.verifySignature(body, signature, publicKey)).toBe(true);
+  });
+
+  it('rejects a token whose cap was edited after signing', () => {
+    const body = Buffer.from(JSON.stringify({ tid: 'OFT_1', cap: 150 })).toString('base64url');
+    const signature = encryption.signData(body, privateKey);
+    const edited = Buffer.from(JSON.stringify({ tid: 'OFT_1', cap: 1500 })).toString('base64url');
+
+    expect(encryption.verifySignature(edited, signature, publicKey)).toBe(false);
+    expect(encryption.verifySignature(body, 'not-a-signature', publicKey)).toBe(false);
+  });
+
+  it('refuses tokens that are not in the signed format', () => {
+    expect(() => offlinePaymentService.verifyToken('no-signature-here'))
+      .toThrow('Offline token signature is not valid');
+  });
+
+  describe('batch sync', () => {
+    const canteen = { _id: new mongoose.Types.ObjectId(), name: 'Canteen' };
+    const bookshop = { _id: new mongoose.Types.ObjectId(), name: 'Bookshop' };
+    const acceptedAt = '2026-10-18T09:30:00.000Z';
+    let tokens;
+    let captureFails;
+
+    const storedToken = (tokenId) => [...tokens.values()].find(token => token.tokenId === tokenId);
+
+    beforeEach(() => {
+      const token = {
+        _id: new mongoose.Types.ObjectId(),
+        tokenId: 'OFT_1',
+        holdId: new mongoose.Types.ObjectId(),
+        cap: 150,
+        status: 'ISSUED',
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+      };
+      tokens = new Map([[token._id.toString(), token]]);
+      captureFails = false;
+
+      jest.spyOn(offlinePaymentService, 'verifyToken').mockImplementation(encoded => ({ tid: encoded }));
+      jest.spyOn(OfflineToken, 'findOne').mockImplementation(async ({ tokenId }) => {
+        const stored = storedToken(tokenId);
+        return stored ? { ...stored } : null;
+      });
+      jest.spyOn(OfflineToken, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+        const stored = tokens.get(filter._id.toString());
+        if (!stored || stored.status !== filter.status) return null;
+        Object.assign(stored, update.$set);
+        return {
+          ...stored,
+          async save() {
+            tokens.get(this._id.toString()).transactionId = this.transactionId;
+          }
+        };
+      });
+      jest.spyOn(WalletHold, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(OfflineSyncBatch.prototype, 'save').mockImplementation(async function () { return this; });
+      jest.spyOn(holdService, 'afterCapture').mockResolvedValue({});
+      jest.spyOn(holdService, 'captureForMerchant').mockImplementation(async (holdId, merchant, { amount }) => {
+        if (captureFails) {
+          throw new AppError('Hold has expired', 409, 'HOLD_EXPIRED');
+        }
+        return { transaction: { _id: new mongoose.Types.ObjectId(), amount } };
+      });
+      // Roll the token store back when the work throws, as an aborted session would
+      jest.spyOn(ledgerService, 'runInTransaction').mockImplementation(async (work) => {
+        const snapshot = new Map([...tokens].map(([id, token]) => [id, { ...token }]));
+        try {
+          return await work(null);
+        } catch (error) {
+          tokens = snapshot;
+          throw error;
+        }
+      });
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('marks a resent token as a duplicate and flags a second merchant as a double spend', async () => {
+      const item = { token: 'OFT_1', amount: 42.5, acceptedAt };
+
+      const first = await offlinePaymentService.syncBatch(canteen, { items: [item] });
+      const settled = first.batch.items[0];
+      expect(settled.status).toBe('SETTLED');
+
+      const resent = await offlinePaymentService.syncBatch(canteen, { items: [item] });
+      expect(resent.batch.items[0].status).toBe('DUPLICATE');
+      expect(resent.batch.items[0].transactionId).toEqual(settled.transactionId);
+      expect(resent.transactions).toHaveLength(0);
+
+      const elsewhere = await offlinePaymentService.syncBatch(bookshop, { items: [item] });
+      expect(elsewhere.batch.items[0].status).toBe('FLAGGED');
+      expect(elsewhere.batch.items[0].reason).toBe('DOUBLE_SPEND');
+      expect(elsewhere.batch.counts.flagged).toBe(1);
+      expect(holdService.captureForMerchant).toHaveBeenCalledTimes(1);
+    });
+
+    it('leaves the token issued when the capture fails so a resend can settle it', async () => {
+      const item = { token: 'OFT_1', amount: 42.5, acceptedAt };
+
+      captureFails = true;
+      const failed = await offlinePaymentService.syncBatch(canteen, { items: [item] });
+      expect(failed.batch.items[0].reason).toBe('HOLD_EXPIRED');
+      expect(storedToken('OFT_1').status).toBe('ISSUED');
+      expect(holdService.afterCapture).not.toHaveBeenCalled();
+
+      captureFails = false;
+      const retried = await offlinePaymentService.syncBatch(canteen, { items: [item] });
+      expect(retried.batch.items[0].status).toBe('SETTLED');
+      expect(retried.batch.settledAmount).toBe(42.5);
+      expect(storedToken('OFT_1').transactionId).toEqual(retried.batch.items[0].transactionId);
+    });
+  });
+});
@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const ledgerService = require('../../services/ledgerService');
+const walletController = require('../../controllers/walletController');
+const User = require('../../models/User');
+const Wallet = require('../../models/Wallet');
+const { AppError } = require('../../middleware/errorHandler');
+
+/**
+ * Unit tests for the double-entry ledger helpers and wallet transfers
+ */
+
+const makeWallet = (accountType, normalBalance) => ({
+  _id: new mongoose.Types.ObjectId(),
+  accountType,
+  normalBalance
+});
+
+describe('ledgerService', () => {
+  const user = makeWallet('USER', 'CREDIT');
+  const merchant = makeWallet('MERCHANT', 'CREDIT');
+  const revenue = makeWallet('PLATFORM_REVENUE', 'CREDIT');
+  const float = makeWallet('PLATFORM_FLOAT', 'DEBIT');
+
+  const normalize = (lines) => lines.map(line => ({ ...line, walletId: line.wallet._id }));
+
+  describe('paymentLines', () => {
+    it('splits the payment between merchant and commission', () => {
+      const lines = ledgerService.paymentLines({
+        payerWallet: user,
+        payeeWallet: merchant,
+        revenueWallet: revenue,
+        amount: 100,
+        commission: 2
+      });
+
+      expect(lines).toHaveLength(3);
+      expect(lines[1]).toMatchObject({ wallet: merchant, direction: 'CREDIT', amount: 98 });
+      expect(lines[2]).toMatchObject({ wallet: revenue, direction: 'CREDIT', amount: 2 });
+      expect(() => ledgerService.assertBalanced(normalize(lines))).not.toThrow();
+    });
+
+    it('omits the revenue line when there is no commission', () => {
+      const lines = ledgerService.paymentLines({
+        payerWallet: user,
+        payeeWallet: merchant,
+        revenueWallet: revenue,
+        amount: 10
+      });
+
+      expect(lines).toHaveLength(2);
+    });
+  });
+
+  describe('assertBalanced', () => {
+    it('rejects journals whose debits and credits differ', () => {
+      const lines = normalize([
+        { wallet: float, direction: 'DEBIT', amount: 10 },
+        { wallet: user, direction: 'CREDIT', amount: 9.99 }
+      ]);
+
+      expect(() => ledgerService.assertBalanced(lines)).toThrow(/unbalanced/);
+    });
+
+    it('rejects single-line journals and non-positive amounts', () => {
+      expect(() => ledgerService.assertBalanced(normalize([
+        { wallet: user, direction: 'CREDIT', amount: 5 }
+      ]))).toThrow();
+
+      expect(() => ledgerService.assertBalanced(normalize([
+        { wallet: float, direction: 'DEBIT', amount: 0 },
+        { wallet: user, direction: 'CREDIT', amount: 0 }
+      ]))).toThrow();
+    });
+  });
+
+  describe('signedAmount', () => {
+    it('grows accounts on their normal side', () => {
+      expect(ledgerService.signedAmount(user, { direction: 'CREDIT', amount: 5 })).toBe(5);
+      expect(ledgerService.signedAmount(user, { direction: 'DEBIT', amount: 5 })).toBe(-5);
+      expect(ledgerService.signedAmount(float, { direction: 'DEBIT', amount: 5 })).toBe(5);
+    });
+  });
+
+  describe('roundAmount', () => {
+    it('rounds to cents', () => {
+      expect(ledgerService.roundAmount(0.1 + 0.2)).toBe(0.3);
+      expect(ledgerService.roundAmount(1.005)).toBe(1.01);
+    });
+  });
+});
+
+describe('walletController.transferMoney', () => {
+  const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  let users;
+
+  const makeUser = (fields) => {
+    const user = new User({ name: 'Student', email: `${new mongoose.Types.ObjectId()}@campus.edu`, isActive: true, ...fields });
+    user.save = jest.fn().mockResolvedValue(user);
+    users[user._id.toString()] = user;
+    return user;
+  };
+
+  const makeResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  const transfer = async (sender, recipient, amount) => {
+    const req = {
+      userId: sender._id,
+      body: { fromUserId: sender._id, toUserId: recipient._id, amount },
+      app: { get: () => null },
+      get: () => 'jest'
+    };
+    const res = makeResponse();
+    const next = jest.fn();
+    await walletController.transferMoney(req, res, next);
+    return { res, next };
+  };
+
+  beforeEach(() => {
+    users = {};
+    const found = (id) => {
+      const user = users[id.toString()] || null;
+      return Object.assign(Promise.resolve(user), { session: async () => user });
+    };
+    const wallet = (userId) => ({
+      _id: new mongoose.Types.ObjectId(),
+      userId,
+      accountType: 'USER',
+      normalBalance: 'CREDIT',
+      currency: 'USD',
+      balance: 0,
+      canTransact: () => true
+    });
+
+    jest.spyOn(User, 'findById').mockImplementation(found);
+    jest.spyOn(Wallet, 'createWallet').mockImplementation(async (userId) => wallet(userId));
+    jest.spyOn(Wallet, 'findById').mockImplementation(id => ({ session: async () => ({ _id: id }) }));
+    jest.spyOn(ledgerService, 'runInTransaction').mockImplementation(work => work(null));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('posts the transfer and counts it against the daily limit', async () => {
+    const post = jest.spyOn(ledgerService, 'postJournal').mockResolvedValue({});
+    const sender = makeUser({ walletBalance: 100, dailySpentAmount: 0, lastSpentReset: new Date() });
+    const recipient = makeUser({ name: 'Friend' });
+
+    const { res, next } = await transfer(sender, recipient, 40);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.json.mock.calls[0][0].transfer).toMatchObject({ amount: 40, status: 'completed' });
+    expect(post.mock.calls[0][0].lines.map(line => [line.direction, line.amount])).toEqual([['DEBIT', 40], ['CREDIT', 40]]);
+    expect(sender.dailySpentAmount).toBe(40);
+  });
+
+  it('hands other ledger errors to the error handler', async () => {
+    const unbalanced = new AppError('Journal is unbalanced: debits 40 != credits 0', 400, 'UNBALANCED_JOURNAL');
+    jest.spyOn(ledgerService, 'postJournal').mockRejectedValue(unbalanced);
+    const sender = makeUser({ walletBalance: 100, lastSpentReset: new Date() });
+    const recipient = makeUser({});
+
+    const { res, next } = await transfer(sender, recipient, 40);
+
+    expect(next).toHaveBeenCalledWith(unbalanced);
+    expect(res.status).not.toHaveBeenCalledWith(500);
+  });
+
+  it('refuses transfers to merchant and admin accounts', async () => {
+    const post = jest.spyOn(ledgerService, 'postJournal').mockResolvedValue({});
+    const sender = makeUser({ walletBalance: 100, lastSpentReset: new Date() });
+    const merchant = makeUser({ role: 'merchant' });
+
+    const { res } = await transfer(sender, merchant, 10);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].code).toBe('INVALID_RECIPIENT');
+    expect(post).not.toHaveBeenCalled();
+  });
+
+  it('refuses transfers to your own wallet', async () => {
+    const sender = makeUser({ walletBalance: 100 });
+
+    const { res } = await transfer(sender, sender, 10);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].code).toBe('SELF_TRANSFER');
+  });
+
+  it('applies the daily limit to today only', async () => {
+    jest.spyOn(ledgerService, 'postJournal').mockResolvedValue({});
+    const recipient = makeUser({});
+
+    const yesterdaysSpender = makeUser({ walletBalance: 500, dailySpentAmount: 4990, lastSpentReset: yesterday });
+    const allowed = await transfer(yesterdaysSpender, recipient, 100);
+    expect(allowed.res.status).not.toHaveBeenCalled();
+    expect(yesterdaysSpender.dailySpentAmount).toBe(100);
+
+    const todaysSpender = makeUser({ walletBalance: 500, dailySpentAmount: 4990, lastSpentReset: new Date() });
+    const blocked = await transfer(todaysSpender, recipient, 100);
+    expect(blocked.res.status).toHaveBeenCalledWith(400);
+    expect(blocked.res.json.mock.calls[0][0].code).toBe('DAILY_LIMIT_EXCEEDED');
+  });
+});
@@ -19,6 +19,7 @@ const APP_CONSTANTS = {
     PAYMENT: 'payment',
     REFUND: 'refund',
     CASHBACK: 'cashback',
+    VOUCHER: 'voucher',
     TRANSFER: 'transfer',
     WITHDRAWAL: 'withdrawal'
   },
@@ -4,6 +4,8 @@ class EncryptionManager {
   constructor() {
     this.masterKey = process.env.MASTER_ENCRYPTION_KEY;
     this.cardKey = process.env.CARD_ENCRYPTION_KEY;
+    this.signingPrivateKey = process.env.OFFLINE_SIGNING_PRIVATE_KEY;
+    this.signingPublicKey = process.env.OFFLINE_SIGNING_PUBLIC_KEY;
     this.algorithm = 'aes-256-gcm';
   }
 
@@ -21,6 +23,21 @@ class EncryptionManager {
     return crypto.randomBytes(32).toString('hex');
   }
 
+  /**
+   * Generate an Ed25519 key pair for offline payment tokens, as base64 DER
+   */
+  static generateSigningKeyPair() {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519', {
+      privateKeyEncoding: { type: 'pkcs8', format: 'der' },
+      publicKeyEncoding: { type: 'spki', format: 'der' }
+    });
+
+    return {
+      privateKey: privateKey.toString('base64'),
+      publicKey: publicKey.toString('base64')
+    };
+  }
+
   /**
    * Encrypt sensitive data using master key
    */
@@ -101,6 +118,35 @@ class EncryptionManager {
       .digest('hex');
   }
 
+  /**
+   * Sign data with the offline signing key; returns a base64url signature
+   */
+  signData(data, privateKey = this.signingPrivateKey) {
+    if (!privateKey) {
+      throw new Error('Offline signing key is not configured');
+    }
+
+    const key = crypto.createPrivateKey({ key: Buffer.from(privateKey, 'base64'), format: 'der', type: 'pkcs8' });
+    return crypto.sign(null, Buffer.from(data, 'utf8'), key).toString('base64url');
+  }
+
+  /**
+   * Verify a signature from signData; merchant devices do the same with the
+   * published public key while offline
+   */
+  verifySignature(data, signature, publicKey = this.signingPublicKey) {
+    if (!publicKey) {
+      throw new Error('Offline signing key is not configured');
+    }
+
+    try {
+      const key = crypto.createPublicKey({ key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' });
+      return crypto.verify(null, Buffer.from(data, 'utf8'), key, Buffer.from(signature, 'base64url'));
+    } catch (error) {
+      return false;
+    }
+  }
+
   /**
    * Verify HMAC signature
    */
@@ -0,0 +1,149 @@
+/**
+ * Migration: open wallets from user balances
+ * Created: 2026-10-18T00:00:00.000Z
+ *
+ * Balances used to live on users.walletBalance. Every user gets a USER wallet
+ * and any existing balance is posted as an opening journal against the
+ * platform float, so the ledger balances from day one.
+ */
+
+const crypto = require('crypto');
+
+const randomHex = (bytes) => crypto.randomBytes(bytes).toString('hex').toUpperCase();
+
+module.exports = {
+  /**
+   * Apply migration
+   * @param {Db} db - MongoDB database instance
+   * @param {MongoClient} client - MongoDB client instance
+   */
+  async up(db, client) {
+    console.log('Applying migration: open wallets from user balances');
+
+    const wallets = db.collection('wallets');
+    const ledgerEntries = db.collection('ledgerentries');
+    const now = new Date();
+
+    await wallets.updateOne(
+      { accountType: 'PLATFORM_FLOAT' },
+      {
+        $setOnInsert: {
+          walletId: 'PLATFORM_FLOAT',
+          accountType: 'PLATFORM_FLOAT',
+          normalBalance: 'DEBIT',
+          name: 'Platform float',
+          balance: 0,
+          currency: 'USD',
+          isActive: true,
+          status: 'ACTIVE',
+          ledger: { entryCount: 0, totalDebits: 0, totalCredits: 0 },
+          createdAt: now,
+          updatedAt: now
+        }
+      },
+      { upsert: true }
+    );
+    const floatWallet = await wallets.findOne({ accountType: 'PLATFORM_FLOAT' });
+
+    const cursor = db.collection('users').find({}, { projection: { walletBalance: 1 } });
+
+    for await (const user of cursor) {
+      const existing = await wallets.findOne({ userId: user._id, accountType: 'USER' });
+      if (existing) {
+        continue;
+      }
+
+      const openingBalance = Math.round((user.walletBalance || 0) * 100) / 100;
+      const walletDoc = {
+        walletId: `WALLET_${Date.now()}_${user._id.toString().slice(-4)}_${randomHex(2)}`,
+        accountType: 'USER',
+        normalBalance: 'CREDIT',
+        userId: user._id,
+        balance: openingBalance,
+        currency: 'USD',
+        isActive: true,
+        status: 'ACTIVE',
+        pin: { isSet: false },
+        ledger: {
+          entryCount: openingBalance > 0 ? 1 : 0,
+          totalDebits: 0,
+          totalCredits: openingBalance,
+          lastEntryAt: openingBalance > 0 ? now : undefined
+        },
+        createdAt: now,
+        updatedAt: now
+      };
+
+      const { insertedId } = await wallets.insertOne(walletDoc);
+
+      if (openingBalance > 0) {
+        const journalId = `JRN_${Date.now()}_${randomHex(4)}`;
+        const floatAfter = await wallets.findOneAndUpdate(
+          { _id: floatWallet._id },
+          {
+            $inc: {
+              balance: openingBalance,
+              'ledger.entryCount': 1,
+              'ledger.totalDebits': openingBalance
+            },
+            $set: { 'ledger.lastEntryAt': now }
+          },
+          { returnDocument: 'after' }
+        );
+
+        await ledgerEntries.insertMany([
+          {
+            journalId,
+            walletId: floatWallet._id,
+            accountType: 'PLATFORM_FLOAT',
+            direction: 'DEBIT',
+            amount: openingBalance,
+            currency: 'USD',
+            balanceAfter: Math.round(floatAfter.balance * 100) / 100,
+            description: 'Opening balance migrated from user record',
+            postedAt: now,
+            createdAt: now
+          },
+          {
+            journalId,
+            walletId: insertedId,
+            accountType: 'USER',
+            direction: 'CREDIT',
+            amount: openingBalance,
+            currency: 'USD',
+            balanceAfter: openingBalance,
+            description: 'Opening balance migrated from user record',
+            postedAt: now,
+            createdAt: now
+          }
+        ]);
+      }
+    }
+  },
+
+  /**
+   * Rollback migration
+   * @param {Db} db - MongoDB database instance
+   * @param {MongoClient} client - MongoDB client instance
+   */
+  async down(db, client) {
+    console.log('Rolling back migration: open wallets from user balances');
+
+    // Only a clean rollback while no other journals have been posted
+    const wallets = db.collection('wallets');
+    const ledgerEntries = db.collection('ledgerentries');
+
+    await ledgerEntries.deleteMany({
+      description: 'Opening balance migrated from user record'
+    });
+    await wallets.deleteMany({
+      accountType: 'USER',
+      'ledger.entryCount': { $lte: 1 }
+    });
+
+    const floatWallet = await wallets.findOne({ accountType: 'PLATFORM_FLOAT' });
+    if (floatWallet && await ledgerEntries.countDocuments({ walletId: floatWallet._id }) === 0) {
+      await wallets.deleteOne({ _id: floatWallet._id });
+    }
+  }
+};